@@ -0,0 +1,591 @@
+/**
+ * Auth Module
+ * Authentication and role-based access control for every /api route (except
+ * /api/health).
+ *
+ * Callers authenticate with one of:
+ *   - an issued API key: `Authorization: Bearer pdk_...` or `X-API-Key: pdk_...`
+ *   - a JWT signed with JWT_SECRET (HS256): `Authorization: Bearer <jwt>` with
+ *     claims `role`, optional `courses` / `exams` (scopes), `sub` and `name`
+ *   - AUTH_BOOTSTRAP_KEY, a static admin key for issuing the first API keys
+ * EventSource cannot send headers, so `/events` streams also accept
+ * `?access_token=`.
+ *
+ * Roles grant permissions (see PERMISSIONS); scopes limit a principal to
+ * exams. An exam scope matches that exam id; a course scope matches the exam
+ * ids of the course, namespaced as `<courseId>:<exam>` (e.g. course `cs101`
+ * covers exam `cs101:midterm`). Admins and principals without scopes reach
+ * every exam; scoped principals only reach data that has an in-scope examId.
+ *
+ * Every principal also has a tenant (tenants.js): an API key's `tenant`, the
+ * JWT claim `tenant`, or the default tenant for non-admins without one. A
+ * request works in its principal's tenant; admins without a tenant (platform
+ * admins, the bootstrap key) pick one with the `X-Tenant-Id` header and work
+ * in the default tenant otherwise. Naming another tenant is refused (403).
+ *
+ * API keys are stored hashed (SHA-256); the key itself is returned once, when
+ * it is issued. Backend is chosen with API_KEY_STORE_PROVIDER:
+ *   - "fs" (default): one JSON file per key under API_KEY_STORE_DIR
+ *   - "memory": in-process Map (tests and demos)
+ *
+ * AUTH_ENABLED=false turns authentication off (local development only):
+ * every request then acts as an unscoped platform admin.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { DEFAULT_TENANT, normalizeTenantId } from "./tenants.js";
+
+dotenv.config();
+
+export const AUTH_ENABLED =
+  (process.env.AUTH_ENABLED || "true").trim().toLowerCase() !== "false";
+export const API_KEY_STORE_PROVIDER = (
+  process.env.API_KEY_STORE_PROVIDER || "fs"
+)
+  .trim()
+  .toLowerCase();
+const API_KEY_STORE_DIR = path.resolve(
+  process.env.API_KEY_STORE_DIR || "data/api-keys",
+);
+const JWT_SECRET = process.env.JWT_SECRET || null;
+const JWT_ISSUER = process.env.JWT_ISSUER || null;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || null;
+const BOOTSTRAP_KEY = process.env.AUTH_BOOTSTRAP_KEY || null;
+
+const KEY_PREFIX = "pdk_";
+// lastUsedAt is written at most once per minute per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export const ROLES = {
+  ADMIN: "admin",
+  INSTRUCTOR: "instructor",
+  TA: "ta",
+  INTEGRATION: "integration",
+};
+
+const { ADMIN, INSTRUCTOR, TA, INTEGRATION } = ROLES;
+export const PERMISSIONS = {
+  "submissions:read": [ADMIN, INSTRUCTOR, TA],
+  "submissions:write": [ADMIN, INSTRUCTOR, INTEGRATION],
+  check: [ADMIN, INSTRUCTOR, TA, INTEGRATION],
+  reembed: [ADMIN, INSTRUCTOR],
+  "jobs:read": [ADMIN, INSTRUCTOR, TA, INTEGRATION],
+  "jobs:manage": [ADMIN, INSTRUCTOR, INTEGRATION],
+  "cases:read": [ADMIN, INSTRUCTOR, TA],
+  "cases:write": [ADMIN, INSTRUCTOR, TA],
+  "starter:read": [ADMIN, INSTRUCTOR, TA, INTEGRATION],
+  "starter:write": [ADMIN, INSTRUCTOR],
+  "keys:manage": [ADMIN],
+  "tenants:manage": [ADMIN],
+  "scoring:read": [ADMIN, INSTRUCTOR, TA],
+  "scoring:manage": [ADMIN, INSTRUCTOR],
+  "scoring:manage-tenant": [ADMIN],
+};
+
+const PUBLIC_PATHS = new Set(["/api/health"]);
+
+const memoryKeys = new Map();
+
+function keyPath(id) {
+  return path.join(API_KEY_STORE_DIR, `${encodeURIComponent(id)}.json`);
+}
+
+async function readKey(id) {
+  if (API_KEY_STORE_PROVIDER === "memory") {
+    const stored = memoryKeys.get(id);
+    return stored ? { ...stored } : null;
+  }
+  try {
+    return JSON.parse(await fs.promises.readFile(keyPath(id), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[API Key Store Read Error]", error.message);
+    }
+    return null;
+  }
+}
+
+async function writeKey(record) {
+  if (API_KEY_STORE_PROVIDER === "memory") {
+    memoryKeys.set(record.id, { ...record });
+    return;
+  }
+  await fs.promises.mkdir(API_KEY_STORE_DIR, { recursive: true });
+  // Write to a temp file and rename so readers never see a partial file
+  const target = keyPath(record.id);
+  const tempFile = `${target}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(record), "utf8");
+  await fs.promises.rename(tempFile, target);
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key, "utf8").digest("hex");
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function normalizeList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+function buildScopes(courses, exams) {
+  const scopes = {
+    courses: normalizeList(courses),
+    exams: normalizeList(exams),
+  };
+  return scopes.courses.length || scopes.exams.length ? scopes : null;
+}
+
+// Keys issued before tenants: admins stay platform-wide, others join the default tenant
+function keyTenant(record) {
+  if (record.tenant !== undefined) return record.tenant;
+  return record.role === ADMIN ? null : DEFAULT_TENANT;
+}
+
+// Tenant of a new key or JWT principal: admins may have none (platform-wide)
+function principalTenant(role, tenant) {
+  const normalized = normalizeTenantId(tenant);
+  if (normalized) return normalized;
+  return role === ADMIN ? null : DEFAULT_TENANT;
+}
+
+/**
+ * API key as reported by the API (no hash)
+ * @param {Object} record - Stored key
+ * @returns {Object} Public view
+ */
+export function describeApiKey(record) {
+  const { keyHash, ...rest } = record;
+  return {
+    ...rest,
+    tenant: keyTenant(record),
+    active:
+      !record.revokedAt &&
+      (!record.expiresAt || Date.parse(record.expiresAt) > Date.now()),
+  };
+}
+
+/**
+ * Issue an API key
+ * @param {Object} data - { name, role, tenant, courses, exams, expiresAt }
+ * @param {string} [createdBy] - Who issued it
+ * @returns {Promise<Object>} { key (shown once), record }
+ */
+export async function createApiKey(data, createdBy = null) {
+  const { name, role, tenant = null, courses, exams, expiresAt = null } = data;
+  if (!name || !String(name).trim()) {
+    throw new Error("Invalid API key: name is required");
+  }
+  if (!Object.values(ROLES).includes(role)) {
+    throw new Error(
+      `Invalid API key role "${role}". Use one of: ${Object.values(ROLES).join(", ")}`,
+    );
+  }
+  if (expiresAt != null && Number.isNaN(Date.parse(expiresAt))) {
+    throw new Error("Invalid API key expiresAt: use an ISO 8601 date");
+  }
+  let keyTenantId;
+  try {
+    keyTenantId = principalTenant(role, tenant);
+  } catch (error) {
+    throw new Error(`Invalid API key tenant: ${error.message}`);
+  }
+
+  const id = crypto.randomBytes(6).toString("hex");
+  const key = `${KEY_PREFIX}${id}_${crypto.randomBytes(24).toString("base64url")}`;
+  const record = {
+    id,
+    name: String(name).trim(),
+    role,
+    tenant: keyTenantId,
+    // Admins are never scoped
+    scopes: role === ADMIN ? null : buildScopes(courses, exams),
+    keyHash: hashKey(key),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + id.length),
+    createdAt: new Date().toISOString(),
+    createdBy,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    revokedAt: null,
+    lastUsedAt: null,
+  };
+  await writeKey(record);
+  console.log(
+    `[Auth] Issued ${role} API key ${id} (${record.name}, tenant ${keyTenantId ?? "all"})`,
+  );
+  return { key, record };
+}
+
+/**
+ * List API keys, newest first
+ * @param {string} [tenantId] - Only keys of this tenant
+ * @returns {Promise<Array<Object>>} Stored keys
+ */
+export async function listApiKeys(tenantId = null) {
+  let records;
+  if (API_KEY_STORE_PROVIDER === "memory") {
+    records = [...memoryKeys.values()];
+  } else {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(API_KEY_STORE_DIR);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    records = (
+      await Promise.all(
+        files
+          .filter((file) => file.endsWith(".json"))
+          .map((file) => readKey(decodeURIComponent(file.slice(0, -5)))),
+      )
+    ).filter(Boolean);
+  }
+  return records
+    .filter((record) => !tenantId || keyTenant(record) === tenantId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Revoke an API key (it stays listed, marked revoked)
+ * @param {string} id - Key ID
+ * @param {string} [tenantId] - Only revoke a key of this tenant
+ * @returns {Promise<Object|null>} Revoked key, or null if it does not exist
+ */
+export async function revokeApiKey(id, tenantId = null) {
+  const record = await readKey(id);
+  if (!record || (tenantId && keyTenant(record) !== tenantId)) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await writeKey(record);
+    console.log(`[Auth] Revoked API key ${id}`);
+  }
+  return record;
+}
+
+async function authenticateApiKey(key) {
+  const id = key.slice(KEY_PREFIX.length).split("_")[0];
+  const record = id ? await readKey(id) : null;
+  if (!record || !safeEqual(record.keyHash, hashKey(key))) return null;
+  if (record.revokedAt) return null;
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+    return null;
+  }
+
+  if (
+    !record.lastUsedAt ||
+    Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS
+  ) {
+    record.lastUsedAt = new Date().toISOString();
+    writeKey(record).catch((error) =>
+      console.error("[API Key Store Save Error]", error.message),
+    );
+  }
+  return {
+    type: "api_key",
+    id: record.id,
+    name: record.name,
+    role: record.role,
+    tenant: keyTenant(record),
+    scopes: record.scopes,
+  };
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function authenticateJwt(token) {
+  if (!JWT_SECRET) return null;
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    return null;
+  }
+  if (header.alg !== "HS256") return null;
+
+  const expected = crypto
+    .createHmac("sha256", JWT_SECRET)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest("base64url");
+  if (!safeEqual(expected, parts[2])) return null;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp != null && now >= claims.exp) return null;
+  if (claims.nbf != null && now < claims.nbf) return null;
+  if (JWT_ISSUER && claims.iss !== JWT_ISSUER) return null;
+  if (JWT_AUDIENCE && !normalizeList(claims.aud).includes(JWT_AUDIENCE)) {
+    return null;
+  }
+  if (!Object.values(ROLES).includes(claims.role)) return null;
+
+  let tenant;
+  try {
+    tenant = principalTenant(claims.role, claims.tenant);
+  } catch {
+    return null;
+  }
+  return {
+    type: "jwt",
+    id: claims.sub ? String(claims.sub) : null,
+    name: claims.name || claims.sub || null,
+    role: claims.role,
+    tenant,
+    scopes:
+      claims.role === ADMIN ? null : buildScopes(claims.courses, claims.exams),
+  };
+}
+
+function isEventStreamRequest(req) {
+  return req.method === "GET" && req.path.endsWith("/events");
+}
+
+function readCredentials(req) {
+  const header = req.headers.authorization || "";
+  if (header.toLowerCase().startsWith("bearer ")) {
+    return header.slice(7).trim();
+  }
+  if (req.headers["x-api-key"]) return String(req.headers["x-api-key"]).trim();
+  if (isEventStreamRequest(req)) {
+    return req.query.access_token || null;
+  }
+  return null;
+}
+
+/**
+ * Resolve the principal for a credential
+ * @param {string} credential - API key, JWT or bootstrap key
+ * @returns {Promise<Object|null>} { type, id, name, role, tenant, scopes } or null
+ */
+export async function authenticateCredential(credential) {
+  if (BOOTSTRAP_KEY && safeEqual(credential, BOOTSTRAP_KEY)) {
+    return {
+      type: "bootstrap",
+      id: "bootstrap",
+      name: "bootstrap",
+      role: ADMIN,
+      tenant: null,
+      scopes: null,
+    };
+  }
+  if (credential.startsWith(KEY_PREFIX)) {
+    return authenticateApiKey(credential);
+  }
+  return authenticateJwt(credential);
+}
+
+/**
+ * Whether a principal may use a tenant's data
+ * @param {Object} principal - req.principal
+ * @param {string} tenantId - Tenant ID
+ * @returns {boolean}
+ */
+export function canAccessTenant(principal, tenantId) {
+  return !principal?.tenant || principal.tenant === tenantId;
+}
+
+/**
+ * Set req.tenantId: the principal's tenant, or the one a platform admin names
+ * with X-Tenant-Id (event streams: ?tenant=). Answers 400/403 when it cannot.
+ * @returns {boolean} Whether the request may continue
+ */
+function resolveTenant(req, res) {
+  const requested =
+    req.headers["x-tenant-id"] ??
+    (isEventStreamRequest(req) ? req.query.tenant : null);
+  let tenantId;
+  try {
+    tenantId = normalizeTenantId(requested);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      errorType: "INVALID_TENANT",
+    });
+    return false;
+  }
+  if (tenantId && !canAccessTenant(req.principal, tenantId)) {
+    res.status(403).json({
+      success: false,
+      error: `These credentials belong to tenant "${req.principal.tenant}" and cannot use tenant "${tenantId}"`,
+      errorType: "TENANT_FORBIDDEN",
+    });
+    return false;
+  }
+  req.tenantId = tenantId || req.principal.tenant || DEFAULT_TENANT;
+  return true;
+}
+
+/**
+ * Express middleware: sets req.principal and req.tenantId, answers 401
+ * without valid credentials
+ */
+export async function authenticate(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.principal = {
+      type: "anonymous",
+      id: null,
+      name: null,
+      role: ADMIN,
+      tenant: null,
+      scopes: null,
+    };
+    return resolveTenant(req, res) ? next() : undefined;
+  }
+  // req.path is relative to the mount point ("/api")
+  if (req.method === "OPTIONS" || PUBLIC_PATHS.has(req.baseUrl + req.path)) {
+    return next();
+  }
+
+  try {
+    const credential = readCredentials(req);
+    if (!credential) {
+      return res.status(401).json({
+        success: false,
+        error:
+          "Authentication required: send an API key (Authorization: Bearer pdk_... or X-API-Key) or a JWT",
+        errorType: "UNAUTHENTICATED",
+      });
+    }
+    const principal = await authenticateCredential(credential);
+    if (!principal) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid, expired or revoked credentials",
+        errorType: "INVALID_CREDENTIALS",
+      });
+    }
+    req.principal = principal;
+    if (resolveTenant(req, res)) next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Whether a principal may use an exam's data
+ * @param {Object} principal - req.principal
+ * @param {string|null} examId - Exam ID (null: data not tied to an exam)
+ * @returns {boolean}
+ */
+export function canAccessExam(principal, examId) {
+  if (!principal?.scopes) return true;
+  if (examId == null || examId === "") return false;
+  const id = String(examId);
+  return (
+    principal.scopes.exams.includes(id) ||
+    principal.scopes.courses.some(
+      (course) => id === course || id.startsWith(`${course}:`),
+    )
+  );
+}
+
+/**
+ * Answer 403 for data outside the principal's scopes
+ * @param {Object} res - Express response
+ * @param {string|null} examId - Exam that was refused
+ */
+export function rejectOutOfScope(res, examId) {
+  return res.status(403).json({
+    success: false,
+    error:
+      examId == null || examId === ""
+        ? "examId is required for credentials scoped to courses or exams"
+        : `Exam "${examId}" is outside the scopes of these credentials`,
+    errorType: "OUT_OF_SCOPE",
+  });
+}
+
+/**
+ * Express middleware: refuse credentials scoped to courses or exams, for
+ * changes that apply to every exam of the tenant
+ */
+export function requireUnscoped(req, res, next) {
+  if (req.principal?.scopes) {
+    return res.status(403).json({
+      success: false,
+      error:
+        "Credentials scoped to courses or exams cannot change settings shared by every exam",
+      errorType: "OUT_OF_SCOPE",
+    });
+  }
+  next();
+}
+
+/**
+ * Express middleware factory: role permission, plus exam scopes when the
+ * request names its exams
+ * @param {string} permission - Key of PERMISSIONS
+ * @param {Function} [examIdsOf] - (req) → exam IDs the request touches
+ * @returns {Function} Middleware
+ */
+export function authorize(permission, examIdsOf = null) {
+  const roles = PERMISSIONS[permission];
+  if (!roles) throw new Error(`Unknown permission "${permission}"`);
+
+  return (req, res, next) => {
+    const { principal } = req;
+    if (!principal || !roles.includes(principal.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `Role "${principal?.role}" does not have permission "${permission}"`,
+        errorType: "FORBIDDEN",
+      });
+    }
+    if (examIdsOf) {
+      const examIds = [examIdsOf(req)].flat();
+      const refused = (examIds.length ? examIds : [null])
+        .map((examId) =>
+          examId != null && String(examId).trim() !== ""
+            ? String(examId).trim()
+            : null,
+        )
+        .find((examId) => !canAccessExam(principal, examId));
+      if (refused !== undefined) return rejectOutOfScope(res, refused);
+    }
+    next();
+  };
+}
+
+/**
+ * Name recorded as the actor of changes (case history, job owner)
+ * @param {Object} principal - req.principal
+ * @returns {string|null}
+ */
+export function principalName(principal) {
+  if (!principal || principal.type === "anonymous") return null;
+  return principal.name || principal.id;
+}
+
+export default {
+  AUTH_ENABLED,
+  API_KEY_STORE_PROVIDER,
+  ROLES,
+  PERMISSIONS,
+  describeApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateCredential,
+  authenticate,
+  canAccessTenant,
+  canAccessExam,
+  rejectOutOfScope,
+  requireUnscoped,
+  authorize,
+  principalName,
+};
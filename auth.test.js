@@ -0,0 +1,253 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import * as auth from "./auth.js";
+
+function signJwt(claims, secret = process.env.JWT_SECRET, alg = "HS256") {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg, typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(unsigned)
+    .digest("base64url");
+  return `${unsigned}.${signature}`;
+}
+
+/** Run a middleware against a fake request; resolves with what it answered */
+function run(middleware, req) {
+  return new Promise((resolve, reject) => {
+    const request = {
+      method: "GET",
+      baseUrl: "/api",
+      path: "/submissions",
+      headers: {},
+      query: {},
+      ...req,
+    };
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body, req: request });
+        return this;
+      },
+    };
+    Promise.resolve(
+      middleware(request, res, (error) =>
+        error ? reject(error) : resolve({ status: null, req: request }),
+      ),
+    ).catch(reject);
+  });
+}
+
+const bearer = (credential) => ({
+  headers: { authorization: `Bearer ${credential}` },
+});
+
+test("API keys are validated when they are issued", async () => {
+  await assert.rejects(
+    auth.createApiKey({ name: " ", role: "ta" }),
+    /name is required/,
+  );
+  await assert.rejects(
+    auth.createApiKey({ name: "x", role: "owner" }),
+    /Invalid API key role "owner"/,
+  );
+  await assert.rejects(
+    auth.createApiKey({ name: "x", role: "ta", tenant: "no spaces" }),
+    /Invalid API key tenant/,
+  );
+  await assert.rejects(
+    auth.createApiKey({ name: "x", role: "ta", expiresAt: "soon" }),
+    /expiresAt/,
+  );
+});
+
+test("issued keys authenticate with their role, tenant and scopes", async () => {
+  const { key, record } = await auth.createApiKey({
+    name: "Grader",
+    role: "ta",
+    tenant: "Uni-A",
+    courses: ["cs101"],
+  });
+  assert.ok(key.startsWith(record.keyPrefix));
+  assert.equal(auth.describeApiKey(record).keyHash, undefined);
+
+  const principal = await auth.authenticateCredential(key);
+  assert.equal(principal.role, "ta");
+  assert.equal(principal.tenant, "uni-a");
+  assert.deepEqual(principal.scopes, { courses: ["cs101"], exams: [] });
+
+  assert.equal(await auth.authenticateCredential(`${key}x`), null);
+  assert.equal(await auth.revokeApiKey(record.id, "uni-b"), null);
+  await auth.revokeApiKey(record.id, "uni-a");
+  assert.equal(await auth.authenticateCredential(key), null);
+});
+
+test("admins are never scoped; non-admins default to the default tenant", async () => {
+  const admin = await auth.createApiKey({
+    name: "Ops",
+    role: "admin",
+    exams: ["final"],
+  });
+  assert.equal(admin.record.scopes, null);
+  assert.equal(admin.record.tenant, null);
+
+  const integration = await auth.createApiKey({
+    name: "LMS",
+    role: "integration",
+  });
+  assert.equal(integration.record.tenant, "default");
+  assert.ok(
+    (await auth.listApiKeys("default")).some(
+      (record) => record.id === integration.record.id,
+    ),
+  );
+  assert.ok(
+    !(await auth.listApiKeys("default")).some(
+      (record) => record.id === admin.record.id,
+    ),
+  );
+});
+
+test("expired keys are refused", async () => {
+  const { key } = await auth.createApiKey({
+    name: "Old",
+    role: "ta",
+    expiresAt: "2000-01-01T00:00:00Z",
+  });
+  assert.equal(await auth.authenticateCredential(key), null);
+});
+
+test("JWTs need a valid HS256 signature, a role and a valid tenant", async () => {
+  const principal = await auth.authenticateCredential(
+    signJwt({ sub: "u1", role: "instructor", tenant: "Uni-A", exams: "final" }),
+  );
+  assert.equal(principal.type, "jwt");
+  assert.equal(principal.tenant, "uni-a");
+  assert.deepEqual(principal.scopes, { courses: [], exams: ["final"] });
+
+  const now = Math.floor(Date.now() / 1000);
+  for (const token of [
+    signJwt({ role: "instructor" }, "wrong-secret"),
+    signJwt({ role: "instructor" }, process.env.JWT_SECRET, "none"),
+    signJwt({ role: "instructor", exp: now - 10 }),
+    signJwt({ role: "instructor", nbf: now + 600 }),
+    signJwt({ role: "superuser" }),
+    signJwt({ role: "instructor", tenant: "bad tenant" }),
+    "not.a.jwt",
+  ]) {
+    assert.equal(await auth.authenticateCredential(token), null);
+  }
+});
+
+test("course scopes cover the course's namespaced exams", () => {
+  const principal = { scopes: { courses: ["cs101"], exams: ["final"] } };
+  assert.equal(auth.canAccessExam(principal, "cs101:midterm"), true);
+  assert.equal(auth.canAccessExam(principal, "final"), true);
+  assert.equal(auth.canAccessExam(principal, "cs1010:midterm"), false);
+  assert.equal(auth.canAccessExam(principal, null), false);
+  assert.equal(auth.canAccessExam({ scopes: null }, null), true);
+});
+
+test("authenticate answers 401 without valid credentials", async () => {
+  const missing = await run(auth.authenticate, {});
+  assert.equal(missing.status, 401);
+  assert.equal(missing.body.errorType, "UNAUTHENTICATED");
+
+  const invalid = await run(auth.authenticate, bearer("pdk_nope_nope"));
+  assert.equal(invalid.status, 401);
+  assert.equal(invalid.body.errorType, "INVALID_CREDENTIALS");
+
+  const health = await run(auth.authenticate, { path: "/health" });
+  assert.equal(health.status, null);
+});
+
+test("authenticate resolves the tenant of each request", async () => {
+  const platform = await run(auth.authenticate, {
+    headers: {
+      authorization: `Bearer ${process.env.AUTH_BOOTSTRAP_KEY}`,
+      "x-tenant-id": "Uni-B",
+    },
+  });
+  assert.equal(platform.status, null);
+  assert.equal(platform.req.tenantId, "uni-b");
+
+  const { key } = await auth.createApiKey({
+    name: "A",
+    role: "instructor",
+    tenant: "uni-a",
+  });
+  const own = await run(auth.authenticate, bearer(key));
+  assert.equal(own.req.tenantId, "uni-a");
+
+  const other = await run(auth.authenticate, {
+    headers: { "x-api-key": key, "x-tenant-id": "uni-b" },
+  });
+  assert.equal(other.status, 403);
+  assert.equal(other.body.errorType, "TENANT_FORBIDDEN");
+
+  const invalid = await run(auth.authenticate, {
+    headers: { "x-api-key": key, "x-tenant-id": "not valid!" },
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.errorType, "INVALID_TENANT");
+
+  const stream = await run(auth.authenticate, {
+    path: "/jobs/1/events",
+    query: { access_token: key },
+  });
+  assert.equal(stream.status, null);
+});
+
+test("authorize checks the role and the exams a request names", async () => {
+  const ta = {
+    role: "ta",
+    scopes: { courses: ["cs101"], exams: [] },
+  };
+  const forbidden = await run(auth.authorize("keys:manage"), {
+    principal: ta,
+  });
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.body.errorType, "FORBIDDEN");
+
+  const check = auth.authorize("check", (req) => req.body.examId);
+  assert.equal(
+    (await run(check, { principal: ta, body: { examId: "cs101:final" } }))
+      .status,
+    null,
+  );
+  const outside = await run(check, {
+    principal: ta,
+    body: { examId: "cs202:final" },
+  });
+  assert.equal(outside.status, 403);
+  assert.equal(outside.body.errorType, "OUT_OF_SCOPE");
+  const blank = await run(check, { principal: ta, body: { examId: " " } });
+  assert.match(blank.body.error, /examId is required/);
+
+  assert.throws(() => auth.authorize("nope"), /Unknown permission/);
+});
+
+test("requireUnscoped refuses scoped credentials", async () => {
+  const scoped = await run(auth.requireUnscoped, {
+    principal: {
+      role: "instructor",
+      scopes: { courses: ["cs101"], exams: [] },
+    },
+  });
+  assert.equal(scoped.status, 403);
+  assert.equal(scoped.body.errorType, "OUT_OF_SCOPE");
+  assert.equal(
+    (
+      await run(auth.requireUnscoped, {
+        principal: { role: "instructor", scopes: null },
+      })
+    ).status,
+    null,
+  );
+});
@@ -0,0 +1,183 @@
+/**
+ * Check History Module
+ * Keeps every /api/check result with what is needed to audit or reproduce it
+ * weeks later (e.g. when a student appeals): the inputs and thresholds, the
+ * model, normalization and detector versions in effect, the raw external API
+ * response and the full response that was returned.
+ *
+ * A check belongs to a submission when the request named it (submissionId)
+ * or when the checked code is the submission's exact content (same question
+ * and content hash), so checks run before or without a submissionId are
+ * still found. Checks belong to the tenant they ran in and are only listed
+ * there (checks from before tenants: default tenant).
+ *
+ * Backend is chosen with CHECK_STORE_PROVIDER:
+ *   - "fs" (default): one JSON file per check under CHECK_STORE_DIR, plus an
+ *     append-only index.jsonl used for listing (no need to open every check)
+ *   - "memory": in-process Map (tests and demos)
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { DEFAULT_TENANT, tenantOf } from "./tenants.js";
+
+dotenv.config();
+
+export const CHECK_STORE_PROVIDER = (process.env.CHECK_STORE_PROVIDER || "fs")
+  .trim()
+  .toLowerCase();
+const CHECK_STORE_DIR = path.resolve(
+  process.env.CHECK_STORE_DIR || "data/checks",
+);
+const INDEX_FILE = path.join(CHECK_STORE_DIR, "index.jsonl");
+
+const memoryChecks = new Map();
+let pendingIndexWrite = Promise.resolve();
+
+function checkPath(id) {
+  return path.join(CHECK_STORE_DIR, `${encodeURIComponent(id)}.json`);
+}
+
+// Listing fields: enough to filter and summarize without loading the check
+function indexEntry(record) {
+  return {
+    id: record.id,
+    tenantId: record.tenantId,
+    submissionId: record.submissionId,
+    questionId: record.questionId,
+    examId: record.examId,
+    studentId: record.studentId,
+    contentHash: record.contentHash,
+    status: record.response?.overall?.status || null,
+    confidence: record.response?.final_decision?.confidence || null,
+    createdAt: record.createdAt,
+  };
+}
+
+/**
+ * Store a check
+ * @param {Object} check - { tenantId, submissionId, questionId, examId, studentId, contentHash, requestedBy, inputs, versions, external, response }
+ * @returns {Promise<Object>} Stored check (with id and createdAt)
+ */
+export async function saveCheck(check) {
+  const record = {
+    id: `chk_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`,
+    tenantId: check.tenantId || DEFAULT_TENANT,
+    submissionId: check.submissionId || null,
+    questionId: check.questionId,
+    examId: check.examId || null,
+    studentId: check.studentId || null,
+    contentHash: check.contentHash || null,
+    requestedBy: check.requestedBy || null,
+    inputs: check.inputs || {},
+    versions: check.versions || {},
+    external: check.external || null,
+    response: check.response,
+    createdAt: new Date().toISOString(),
+  };
+
+  if (CHECK_STORE_PROVIDER === "memory") {
+    memoryChecks.set(record.id, structuredClone(record));
+    return record;
+  }
+
+  await fs.promises.mkdir(CHECK_STORE_DIR, { recursive: true });
+  // Write to a temp file and rename so readers never see a partial file
+  const target = checkPath(record.id);
+  const tempFile = `${target}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(record), "utf8");
+  await fs.promises.rename(tempFile, target);
+
+  // Appends are chained so concurrent checks never interleave lines
+  const line = `${JSON.stringify(indexEntry(record))}\n`;
+  pendingIndexWrite = pendingIndexWrite
+    .then(() => fs.promises.appendFile(INDEX_FILE, line, "utf8"))
+    .catch((error) =>
+      console.error("[Check Store Index Error]", error.message),
+    );
+  await pendingIndexWrite;
+  return record;
+}
+
+/**
+ * Get a stored check
+ * @param {string} id - Check ID
+ * @returns {Promise<Object|null>} Check or null
+ */
+export async function getCheck(id) {
+  if (CHECK_STORE_PROVIDER === "memory") {
+    const stored = memoryChecks.get(id);
+    return stored ? structuredClone(stored) : null;
+  }
+  try {
+    return JSON.parse(await fs.promises.readFile(checkPath(id), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Check Store Read Error]", error.message);
+    }
+    return null;
+  }
+}
+
+async function readIndex() {
+  if (CHECK_STORE_PROVIDER === "memory") {
+    return [...memoryChecks.values()].map(indexEntry);
+  }
+  await pendingIndexWrite;
+  let text = "";
+  try {
+    text = await fs.promises.readFile(INDEX_FILE, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // Partial last line after a crash
+      }
+    });
+}
+
+/**
+ * Checks of a submission, newest first (index entries, not full checks)
+ * @param {string} submissionId - Submission ID
+ * @param {Object} [submission] - { questionId, contentHash } of the stored submission, to match checks of its exact code
+ * @param {string} [tenantId] - Tenant of the submission (default tenant when omitted)
+ * @returns {Promise<Array<Object>>} [{ id, tenantId, submissionId, questionId, examId, studentId, contentHash, status, confidence, createdAt, linkedBy }]
+ */
+export async function listChecksForSubmission(
+  submissionId,
+  submission = null,
+  tenantId = DEFAULT_TENANT,
+) {
+  return (await readIndex())
+    .filter((entry) => tenantOf(entry) === tenantId)
+    .map((entry) => {
+      if (entry.submissionId === submissionId) {
+        return { ...entry, linkedBy: "submissionId" };
+      }
+      if (
+        submission?.contentHash &&
+        entry.contentHash === submission.contentHash &&
+        entry.questionId === submission.questionId
+      ) {
+        return { ...entry, linkedBy: "contentHash" };
+      }
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export default {
+  CHECK_STORE_PROVIDER,
+  saveCheck,
+  getCheck,
+  listChecksForSubmission,
+};
@@ -0,0 +1,138 @@
+import { TEMP_DIR } from "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import * as checkHistory from "./checkHistory.js";
+
+function check(overrides = {}) {
+  return {
+    tenantId: "uni-a",
+    submissionId: null,
+    questionId: "q1",
+    examId: "e1",
+    studentId: "bob",
+    contentHash: "hash-bob",
+    requestedBy: "prof",
+    inputs: { code: "x = 1", similarityThreshold: 0.8 },
+    versions: { provider: "local", fingerprintVersion: 1 },
+    external: { available: false, response: null },
+    response: {
+      overall: { status: "PLAGIARISM_DETECTED" },
+      final_decision: { confidence: "HIGH" },
+    },
+    ...overrides,
+  };
+}
+
+/** Saves in order, with distinct createdAt timestamps */
+async function saveAll(store, checks) {
+  const saved = [];
+  for (const item of checks) {
+    saved.push(await store.saveCheck(item));
+    await new Promise((resolve) => setTimeout(resolve, 2));
+  }
+  return saved;
+}
+
+test("stores the full check with its inputs and versions", async () => {
+  const saved = await checkHistory.saveCheck(check());
+  assert.match(saved.id, /^chk_/);
+  assert.ok(saved.createdAt);
+
+  const stored = await checkHistory.getCheck(saved.id);
+  assert.deepEqual(stored, saved);
+  assert.equal(stored.inputs.code, "x = 1");
+  assert.equal(stored.versions.fingerprintVersion, 1);
+  assert.equal(await checkHistory.getCheck("chk_missing"), null);
+
+  // Callers cannot change the stored copy
+  stored.inputs.code = "changed";
+  assert.equal((await checkHistory.getCheck(saved.id)).inputs.code, "x = 1");
+});
+
+test("lists a submission's checks by id or by its exact code", async () => {
+  const submission = { questionId: "q2", contentHash: "hash-s1" };
+  const [named, sameCode, otherQuestion, otherTenant, unrelated] =
+    await saveAll(checkHistory, [
+      check({ questionId: "q2", submissionId: "s1" }),
+      check({ questionId: "q2", contentHash: "hash-s1" }),
+      check({ questionId: "q3", contentHash: "hash-s1" }),
+      check({ questionId: "q2", submissionId: "s1", tenantId: "uni-b" }),
+      check({ questionId: "q2", contentHash: "hash-other" }),
+    ]);
+
+  const listed = await checkHistory.listChecksForSubmission(
+    "s1",
+    submission,
+    "uni-a",
+  );
+  assert.deepEqual(
+    listed.map(({ id, linkedBy }) => [id, linkedBy]),
+    [
+      [sameCode.id, "contentHash"],
+      [named.id, "submissionId"],
+    ],
+  );
+  assert.equal(listed[0].status, "PLAGIARISM_DETECTED");
+  assert.equal(listed[0].confidence, "HIGH");
+  assert.equal(listed[0].inputs, undefined, "index entries only");
+
+  const ids = listed.map(({ id }) => id);
+  for (const excluded of [otherQuestion, otherTenant, unrelated]) {
+    assert.ok(!ids.includes(excluded.id));
+  }
+  assert.deepEqual(
+    (await checkHistory.listChecksForSubmission("s1", null, "uni-b")).map(
+      ({ id }) => id,
+    ),
+    [otherTenant.id],
+  );
+});
+
+test("checks from before tenants belong to the default tenant", async () => {
+  const legacy = await checkHistory.saveCheck(
+    check({ tenantId: undefined, submissionId: "s-old" }),
+  );
+  assert.equal(legacy.tenantId, "default");
+  assert.deepEqual(
+    (await checkHistory.listChecksForSubmission("s-old")).map(({ id }) => id),
+    [legacy.id],
+  );
+});
+
+test("fs provider keeps one file per check plus the listing index", async () => {
+  const dir = path.join(TEMP_DIR, "checks");
+  process.env.CHECK_STORE_PROVIDER = "fs";
+  process.env.CHECK_STORE_DIR = dir;
+  const fsStore = await import("./checkHistory.js?fs");
+  process.env.CHECK_STORE_PROVIDER = "memory";
+  delete process.env.CHECK_STORE_DIR;
+
+  assert.deepEqual(await fsStore.listChecksForSubmission("s1"), []);
+  const saved = await Promise.all(
+    Array.from({ length: 5 }, (_, i) =>
+      fsStore.saveCheck(check({ tenantId: null, submissionId: `s${i % 2}` })),
+    ),
+  );
+
+  const files = fs.readdirSync(dir);
+  assert.equal(files.length, 6);
+  assert.ok(files.includes("index.jsonl"));
+  assert.ok(files.every((file) => !file.endsWith(".tmp")));
+
+  // Concurrent saves never interleave index lines; a torn last line is skipped
+  fs.appendFileSync(path.join(dir, "index.jsonl"), '{"id":"chk_torn');
+  const listed = await fsStore.listChecksForSubmission("s0");
+  assert.deepEqual(
+    listed.map(({ id }) => id).sort(),
+    saved
+      .filter(({ submissionId }) => submissionId === "s0")
+      .map(({ id }) => id)
+      .sort(),
+  );
+  assert.deepEqual(
+    (await fsStore.getCheck(saved[0].id)).response,
+    check().response,
+  );
+});
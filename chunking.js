@@ -1,102 +1,369 @@
 /**
  * Code Chunking Module
  * Splits code into semantic chunks (functions, blocks) for fine-grained similarity detection
+ *
+ * Chunk boundaries come from lexer tokens (lexer.js), so braces inside strings,
+ * template literals, regexes and comments never shift them. Definitions are
+ * emitted as a tree: a class, each of its methods and any inner functions are
+ * separate chunks, and every chunk carries `parentIndex` (null at top level)
+ * plus 0-based `startLine` / `endLine` into the original source.
  */
 
+import { tokenize, toBraceBlocks } from './lexer.js';
+import { getLanguage, resolveLanguage } from './languages.js';
+
+// Tokens allowed between a parameter list and a function body (`const`, `throws X`, `noexcept`, ...)
+const SIGNATURE_SUFFIX = new Set(['const', 'throws', 'noexcept', 'override', 'final', 'volatile', 'mutable', '.', ',', '::', '<', '>', '&', '&&', '->', '*']);
+
+// Tokens that may directly precede a function name in a C-like declaration
+const DECLARATION_PREFIX = new Set(['>', '*', '&', '&&', '::', '~', ']']);
+
+// Keywords that start a declaration statement in JavaScript (ASI boundary when walking back)
+const JS_DECLARATION_START = new Set(['export', 'const', 'let', 'var', 'function', 'class', 'async']);
+
+// Minimum size of a nested chunk (method, inner function): short helpers are still worth comparing
+const NESTED_MIN_LINES = 2;
+const NESTED_MIN_CHARS = 20;
+
 /**
- * Extract functions from JavaScript code
- * Supports: function declarations, arrow functions, function expressions
- * @param {string} code - JavaScript code text
- * @returns {Array<Object>} Array of {index, text, type, name} chunks
+ * Lexer tokens that shape the program (comments and preprocessor lines dropped,
+ * `end` blocks rewritten as braces)
  */
-export function extractJavaScriptFunctions(code) {
-  const chunks = [];
+function significantTokens(code, language) {
+  return toBraceBlocks(tokenize(code, language).filter(token => token.type !== 'comment' && token.type !== 'preprocessor'), language);
+}
+
+/** Index of the matching close bracket for every open bracket (and vice versa) */
+function matchBrackets(tokens) {
+  const closers = { ')': '(', ']': '[', '}': '{' };
+  const match = new Array(tokens.length).fill(-1);
+  const stack = [];
+  tokens.forEach((token, k) => {
+    if (token.type !== 'punctuation') return;
+    if (token.value === '(' || token.value === '[' || token.value === '{') {
+      stack.push(k);
+    } else if (closers[token.value]) {
+      // Skip unbalanced closers instead of corrupting the pairing
+      let pos = stack.length - 1;
+      while (pos >= 0 && tokens[stack[pos]].value !== closers[token.value]) pos--;
+      if (pos < 0) return;
+      match[stack[pos]] = k;
+      match[k] = stack[pos];
+      stack.length = pos;
+    }
+  });
+  return match;
+}
+
+/** Last source line (1-based) covered by a token, counting newlines inside it */
+function tokenEndLine(token) {
+  return token.line + (token.value.match(/\n/g) || []).length;
+}
+
+/**
+ * Turn definitions into chunks: nesting by containment, text = whole source lines
+ * @param {string} code - Source code
+ * @param {Array<Object>} definitions - { name, type, start, end } with 1-based start/end lines
+ * @returns {Array<Object>} Chunks in source order with index/parentIndex/depth
+ */
+function buildChunkTree(code, definitions) {
   const lines = code.split('\n');
-  
-  // Patterns to detect function starts
-  const patterns = [
-    // Function declarations: function foo() { ... }
-    /^\s*function\s+(\w+)\s*\(/,
-    // Arrow functions assigned to const/let/var: const foo = () => { ... }
-    /^\s*(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s*)?\([^)]*\)\s*=>/,
-    // Arrow functions with single param: const foo = x => { ... }
-    /^\s*(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s*)?(\w+)\s*=>/,
-    // Function expressions: const foo = function() { ... }
-    /^\s*(?:const|let|var)\s+(\w+)\s*=\s*(?:async\s*)?function\s*\(/,
-    // Class methods: methodName() { ... }
-    /^\s*(?:async\s+)?(\w+)\s*\([^)]*\)\s*{/,
-    // Export function: export function foo() { ... }
-    /^\s*export\s+(?:async\s+)?function\s+(\w+)\s*\(/,
-    // Export const arrow: export const foo = () => { ... }
-    /^\s*export\s+const\s+(\w+)\s*=\s*(?:async\s*)?\([^)]*\)\s*=>/,
-  ];
-  
-  let currentChunk = null;
-  let braceDepth = 0;
-  let chunkIndex = 0;
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmedLine = line.trim();
-    
-    // Skip empty lines and comments when not in a chunk
-    if (!currentChunk && (trimmedLine === '' || trimmedLine.startsWith('//'))) {
-      continue;
+  const sorted = [...definitions].sort((a, b) => a.start - b.start || b.end - a.end);
+  const chunks = [];
+  const open = [];
+
+  sorted.forEach((def, index) => {
+    while (open.length > 0 && chunks[open[open.length - 1]].endLine < def.start - 1) open.pop();
+    const parent = open.length > 0 ? chunks[open[open.length - 1]] : null;
+    const startLine = def.start - 1;
+    const endLine = Math.min(def.end - 1, lines.length - 1);
+    chunks.push({
+      index,
+      text: lines.slice(startLine, endLine + 1).join('\n').trimEnd(),
+      type: def.type === 'function' && parent?.type === 'class' ? 'method' : def.type,
+      name: def.name,
+      startLine,
+      endLine,
+      parentIndex: parent ? parent.index : null,
+      depth: parent ? parent.depth + 1 : 0,
+    });
+    open.push(index);
+  });
+
+  return chunks;
+}
+
+/**
+ * Find definitions in brace- or `end`-delimited code (every registry language but Python)
+ * A definition is a type (`class Foo {`) or a callable whose body brace follows
+ * its parameter list (`name(...) {`, `function name(...) {`, `(...) => {`).
+ * Definition keywords come from the language registry (languages.js).
+ * @param {string} code - Source code
+ * @param {string} language - Canonical language
+ * @returns {Array<Object>} Definitions { name, type, start, end } (1-based lines)
+ */
+function findBraceDefinitions(code, language) {
+  const tokens = significantTokens(code, language);
+  const match = matchBrackets(tokens);
+  const isJs = language === 'javascript';
+  const syntax = (getLanguage(language) || getLanguage('javascript')).syntax;
+  const definitionKeywords = new Set([...syntax.functionKeywords, ...syntax.typeKeywords]);
+  const definitions = [];
+  const enclosing = []; // open definitions: { type, close }
+
+  const value = k => tokens[k]?.value;
+  const type = k => tokens[k]?.type;
+  const isIdentifier = k => type(k) === 'identifier';
+
+  // First token of the statement that declares something at token k
+  const declarationStart = (k) => {
+    let start = k;
+    let angle = 0;
+    for (let j = k - 1; j >= 0; j--) {
+      const text = value(j);
+      // Without mandatory semicolons a new line ends the previous statement
+      if (!isJs && !syntax.typedDeclarations && tokens[j].line < tokens[start].line) break;
+      if (type(j) === 'punctuation') {
+        if (text === ';' || text === '{' || text === '}' || text === '(' || text === '[') break;
+        if (text === ',' && angle <= 0) break;
+        if (text === ':' && language === 'cpp') break;
+        if ((text === ')' || text === ']') && match[j] >= 0) {
+          j = match[j];
+          start = j;
+          continue;
+        }
+      }
+      if (type(j) === 'operator' && ['=>', '->'].includes(text) && isJs) break;
+      if (text === '>' || text === '>>') angle += text.length;
+      if (text === '<') angle--;
+      if (isJs && JS_DECLARATION_START.has(value(start)) && tokens[j].line < tokens[start].line) break;
+      start = j;
     }
-    
-    // Check if this line starts a new function
-    if (!currentChunk) {
-      for (const pattern of patterns) {
-        const match = line.match(pattern);
-        if (match) {
-          const functionName = match[1] || 'anonymous';
-          currentChunk = {
-            index: chunkIndex++,
-            startLine: i,
-            name: functionName,
-            type: 'function',
-            lines: [line],
-          };
-          
-          // Count braces in this line
-          braceDepth = (line.match(/{/g) || []).length - (line.match(/}/g) || []).length;
+    return start;
+  };
+
+  // Body brace after a parameter list, or -1 for prototypes, calls and expressions
+  const bodyAfter = (close) => {
+    for (let j = close + 1; j < tokens.length; j++) {
+      const text = value(j);
+      if (text === '{' && type(j) === 'punctuation') return j;
+      if (isJs) return -1;
+      if (text === ':' && language === 'cpp') {
+        // Constructor initializer list: `: a(x), b{y}`
+        for (j = j + 1; j < tokens.length; j++) {
+          if (isIdentifier(j) || value(j) === ',' || value(j) === '::') continue;
+          if ((value(j) === '(' || value(j) === '{') && match[j] > j) {
+            if (value(j) === '{' && !isIdentifier(j - 1)) return j;
+            j = match[j];
+            continue;
+          }
+          return value(j) === '{' ? j : -1;
+        }
+        return -1;
+      }
+      if (text === '(' && match[j] > j && type(j - 1) === 'keyword') {
+        j = match[j]; // noexcept(...), throws-like suffixes with arguments
+        continue;
+      }
+      if (!(SIGNATURE_SUFFIX.has(text) || isIdentifier(j) || (type(j) === 'keyword' && !['return', 'new'].includes(text)))) {
+        return -1;
+      }
+    }
+    return -1;
+  };
+
+  const addDefinition = (name, defType, startToken, bodyOpen) => {
+    const close = match[bodyOpen];
+    const endToken = close >= 0 ? tokens[close] : tokens[tokens.length - 1];
+    definitions.push({
+      name: name || 'anonymous',
+      type: defType,
+      start: tokens[startToken].line,
+      end: tokenEndLine(endToken),
+    });
+    enclosing.push({ type: defType, close: close >= 0 ? close : tokens.length });
+  };
+
+  // Name bound by `const name = ...`, `name: ...`, `name := ...` or `name = ...` before token k
+  const boundName = (k) => {
+    if (['=', ':', ':='].includes(value(k - 1)) && isIdentifier(k - 2)) return value(k - 2);
+    return null;
+  };
+
+  // Index after a generic parameter list `<...>` starting at k
+  const skipGenerics = (k) => {
+    if (value(k) !== '<') return k;
+    let depth = 0;
+    for (let j = k; j < tokens.length; j++) {
+      if (value(j) === '<') depth++;
+      else if (value(j) === '>') depth--;
+      else if (value(j) === '>>') depth -= 2;
+      if (depth <= 0) return j + 1;
+    }
+    return k;
+  };
+
+  // Body brace after the signature of a keyword-introduced function (return types, where clauses)
+  const keywordBodyAfter = (from) => {
+    for (let j = from; j < tokens.length; j++) {
+      if (value(j) === '{' && type(j) === 'punctuation') return j;
+      if ([';', '}', '=', '=>'].includes(value(j)) || (type(j) === 'keyword' && definitionKeywords.has(value(j)))) return -1;
+      if (match[j] > j) j = match[j];
+    }
+    return -1;
+  };
+
+  for (let k = 0; k < tokens.length; k++) {
+    while (enclosing.length > 0 && k > enclosing[enclosing.length - 1].close) enclosing.pop();
+    const inClass = enclosing.length > 0 && enclosing[enclosing.length - 1].type === 'class';
+    const text = value(k);
+
+    if (type(k) === 'keyword' && syntax.typeKeywords.includes(text)) {
+      const nameToken = skipGenerics(k + 1);
+      for (let j = k + 1; j < tokens.length; j++) {
+        if (value(j) === '{' && type(j) === 'punctuation') {
+          const name = isIdentifier(nameToken) ? value(nameToken) : boundName(k);
+          addDefinition(name, 'class', declarationStart(k), j);
           break;
         }
+        // Primary constructors and supertype calls: `class Point(val x: Int) : Base() {`
+        if (value(j) === '(' && match[j] > j && isIdentifier(j - 1) && !syntax.typedDeclarations && !isJs) {
+          j = match[j];
+          continue;
+        }
+        if ([';', '(', ')', '='].includes(value(j)) || (isJs && value(j) === '}')) break;
+        if (!isJs && (value(j) === '}' || (j > k + 1 && type(j) === 'keyword' && definitionKeywords.has(value(j))))) break;
+      }
+      continue;
+    }
+
+    if (type(k) === 'keyword' && syntax.functionKeywords.includes(text)) {
+      let j = k + 1;
+      if (value(j) === '*') j++;
+      // Go method receiver: `func (s *Stack) Push(...)`
+      if (value(j) === '(' && match[j] > j && isIdentifier(match[j] + 1) && value(match[j] + 2) === '(') j = match[j] + 1;
+      j = skipGenerics(j);
+      // Extension / singleton methods: `fun String.name(...)`, `def self.name`
+      if ((isIdentifier(j) || value(j) === 'self') && value(j + 1) === '.' && tokens[j + 2]) j += 2;
+      const name = isIdentifier(j) || (!isJs && type(j) === 'keyword' && value(j + 1) === '(') ? value(j++) : boundName(k);
+      j = skipGenerics(j);
+      if (isJs) {
+        if (value(j) === '(' && match[j] > j && value(match[j] + 1) === '{') {
+          addDefinition(name, 'function', declarationStart(k), match[j] + 1);
+          k = match[j];
+        }
+        continue;
       }
-    } else {
-      // We're inside a function, add the line
-      currentChunk.lines.push(line);
-      
-      // Update brace depth
-      braceDepth += (line.match(/{/g) || []).length;
-      braceDepth -= (line.match(/}/g) || []).length;
-      
-      // If braces are balanced, the function is complete
-      if (braceDepth <= 0) {
-        currentChunk.text = currentChunk.lines.join('\n');
-        currentChunk.endLine = i;
-        delete currentChunk.lines; // Clean up intermediate data
-        
-        chunks.push(currentChunk);
-        currentChunk = null;
-        braceDepth = 0;
+      // Ruby allows `def name a, b` without parentheses
+      const body = value(j) === '(' && match[j] > j ? keywordBodyAfter(match[j] + 1) : syntax.blocks === 'end' ? keywordBodyAfter(j) : -1;
+      if (body >= 0) {
+        addDefinition(name, 'function', declarationStart(k), body);
+        if (value(j) === '(') k = match[j];
       }
+      continue;
     }
+
+    if (isJs && text === '=>' && value(k + 1) === '{') {
+      const paramsStart = value(k - 1) === ')' && match[k - 1] >= 0 ? match[k - 1] : k - 1;
+      const head = value(paramsStart - 1) === 'async' ? paramsStart - 1 : paramsStart;
+      addDefinition(boundName(head), 'function', declarationStart(head), k + 1);
+      continue;
+    }
+
+    if (!isIdentifier(k) || value(k + 1) !== '(' || match[k + 1] < 0) continue;
+    const prev = k > 0 ? tokens[k - 1] : null;
+    if (prev && (prev.value === '.' || prev.value === '?.' || (prev.value === '->' && !isJs))) continue;
+
+    if (isJs) {
+      // Methods in classes and object literals: `name(...) {`
+      const methodContext = !prev || ['{', '}', ';', ',', '*', 'async', 'static', 'get', 'set'].includes(prev.value) || prev.line < tokens[k].line;
+      if (methodContext && value(match[k + 1] + 1) === '{') {
+        addDefinition(value(k), 'function', declarationStart(k), match[k + 1] + 1);
+        k = match[k + 1];
+      }
+      continue;
+    }
+
+    if (!syntax.typedDeclarations) continue;
+
+    // Java / C / C++ / C#: `Type name(...) {`, `Class::name(...) {`, constructors in class bodies
+    const typed = prev && (prev.type === 'identifier' || (prev.type === 'keyword' && !['return', 'new', 'else', 'case', 'throw', 'delete'].includes(prev.value)) || DECLARATION_PREFIX.has(prev.value));
+    const constructor = inClass && (!prev || ['{', '}', ';', ':'].includes(prev.value));
+    if (!typed && !constructor) continue;
+    const body = bodyAfter(match[k + 1]);
+    if (body < 0) continue;
+    const qualified = value(k - 1) === '::' && isIdentifier(k - 2) ? `${value(k - 2)}::${value(k)}` : value(k);
+    addDefinition(qualified, 'function', declarationStart(k), body);
   }
-  
-  // Handle incomplete chunks (shouldn't happen with valid code)
-  if (currentChunk) {
-    currentChunk.text = currentChunk.lines.join('\n');
-    currentChunk.endLine = lines.length - 1;
-    delete currentChunk.lines;
-    chunks.push(currentChunk);
-  }
-  
-  return chunks;
+
+  return definitions;
 }
 
 /**
- * Filter out trivial chunks that are too small or likely boilerplate
+ * Find def/class definitions in Python code by indentation of logical lines
+ * Decorators are included in the definition; nested defs become child chunks.
+ * @param {string} code - Python source code
+ * @returns {Array<Object>} Definitions { name, type, start, end } (1-based lines)
+ */
+function findPythonDefinitions(code) {
+  const tokens = significantTokens(code, 'python');
+  const definitions = [];
+
+  // Logical lines: first token index of each statement line at bracket depth 0
+  const lineStarts = [];
+  let depth = 0;
+  tokens.forEach((token, k) => {
+    if (depth === 0 && (k === 0 || tokenEndLine(tokens[k - 1]) < token.line)) lineStarts.push(k);
+    if (token.type === 'punctuation') {
+      if ('([{'.includes(token.value)) depth++;
+      else if (')]}'.includes(token.value)) depth = Math.max(0, depth - 1);
+    }
+  });
+
+  lineStarts.forEach((k, li) => {
+    let keyword = k;
+    if (tokens[keyword].value === 'async') keyword++;
+    const text = tokens[keyword]?.value;
+    if (tokens[keyword]?.type !== 'keyword' || (text !== 'def' && text !== 'class')) return;
+    if (tokens[keyword + 1]?.type !== 'identifier') return;
+
+    const indent = tokens[k].column;
+
+    // Include decorators directly above the definition
+    let start = li;
+    while (start > 0 && tokens[lineStarts[start - 1]].value === '@' && tokens[lineStarts[start - 1]].column === indent) start--;
+
+    // Body runs until the next logical line indented at or left of the definition
+    let next = li + 1;
+    while (next < lineStarts.length && tokens[lineStarts[next]].column > indent) next++;
+    const lastToken = next < lineStarts.length ? tokens[lineStarts[next] - 1] : tokens[tokens.length - 1];
+
+    definitions.push({
+      name: tokens[keyword + 1].value,
+      type: text === 'class' ? 'class' : 'function',
+      start: tokens[lineStarts[start]].line,
+      end: tokenEndLine(lastToken),
+    });
+  });
+
+  return definitions;
+}
+
+/**
+ * Extract functions from JavaScript code
+ * Supports: function declarations/expressions, arrow functions with block
+ * bodies, classes, class and object-literal methods (nested chunks included)
+ * @param {string} code - JavaScript code text
+ * @returns {Array<Object>} Array of {index, text, type, name, startLine, endLine, parentIndex, depth} chunks
+ */
+export function extractJavaScriptFunctions(code) {
+  return buildChunkTree(code, findBraceDefinitions(code, 'javascript'));
+}
+
+/**
+ * Filter out trivial chunks that are too small or likely boilerplate.
+ * The size minimums apply to top-level chunks; nested chunks (parentIndex set)
+ * only need NESTED_MIN_LINES / NESTED_MIN_CHARS.
  * @param {Array<Object>} chunks - Array of code chunks
  * @param {number} minLines - Minimum number of lines
  * @param {number} minChars - Minimum number of characters
@@ -106,9 +373,11 @@ export function filterTrivialChunks(chunks, minLines = 3, minChars = 50) {
   return chunks.filter(chunk => {
     const lineCount = chunk.text.split('\n').length;
     const charCount = chunk.text.trim().length;
+    const nested = chunk.parentIndex != null;
     
     // Filter out very small chunks
-    if (lineCount < minLines || charCount < minChars) {
+    if (lineCount < (nested ? Math.min(minLines, NESTED_MIN_LINES) : minLines) ||
+        charCount < (nested ? Math.min(minChars, NESTED_MIN_CHARS) : minChars)) {
       return false;
     }
     
@@ -123,155 +392,77 @@ export function filterTrivialChunks(chunks, minLines = 3, minChars = 50) {
 }
 
 /**
- * Extract functions/methods from brace-delimited code (Java, C, C++).
- * Uses language-specific patterns to detect method/function starts, then
- * tracks brace depth to find the end of each block.
+ * Extract functions/methods from brace-delimited code (Java, C, C++, C#, Go,
+ * Rust, Kotlin, PHP) and `end`-delimited Ruby.
+ * Uses lexer tokens to find type and function definitions and their matching
+ * closing brace, so braces in strings and comments are ignored.
  * @param {string} code - Source code
- * @param {Array<RegExp>} patterns - Regex patterns that match a line and capture group 1 = name
- * @returns {Array<Object>} Array of {index, text, type, name} chunks
+ * @param {string} language - Programming language
+ * @returns {Array<Object>} Array of {index, text, type, name, startLine, endLine, parentIndex, depth} chunks
  */
-export function extractBraceBasedFunctions(code, patterns) {
-  const chunks = [];
-  const lines = code.split('\n');
-  let currentChunk = null;
-  let braceDepth = 0;
-  let chunkIndex = 0;
-
-  const isCommentLine = (trimmed) =>
-    trimmed.startsWith('//') || trimmed.startsWith('/*') || trimmed.startsWith('*');
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    if (!currentChunk) {
-      if (trimmed === '' || isCommentLine(trimmed)) continue;
-
-      for (const pattern of patterns) {
-        const match = line.match(pattern);
-        if (match) {
-          currentChunk = {
-            index: chunkIndex++,
-            startLine: i,
-            name: match[1] || 'anonymous',
-            type: 'function',
-            lines: [line],
-          };
-          braceDepth = (line.match(/{/g) || []).length - (line.match(/}/g) || []).length;
-          break;
-        }
-      }
-    } else {
-      currentChunk.lines.push(line);
-      braceDepth += (line.match(/{/g) || []).length;
-      braceDepth -= (line.match(/}/g) || []).length;
-
-      if (braceDepth <= 0) {
-        currentChunk.text = currentChunk.lines.join('\n');
-        currentChunk.endLine = i;
-        delete currentChunk.lines;
-        chunks.push(currentChunk);
-        currentChunk = null;
-        braceDepth = 0;
-      }
-    }
-  }
-
-  if (currentChunk) {
-    currentChunk.text = currentChunk.lines.join('\n');
-    currentChunk.endLine = lines.length - 1;
-    delete currentChunk.lines;
-    chunks.push(currentChunk);
-  }
-
-  return chunks;
+export function extractBraceBasedFunctions(code, language) {
+  return buildChunkTree(code, findBraceDefinitions(code, resolveLanguage(language)));
 }
 
 /**
- * Extract top-level functions and classes from Python code using indentation.
- * Detects `def` and `class` at the module level (indent=0), collects all lines
- * that belong to them, and stops when a new top-level statement begins.
+ * Extract functions and classes from Python code using indentation.
+ * Every `def` and `class` becomes a chunk (methods and inner functions are
+ * children of their enclosing definition); a definition ends where the next
+ * logical line is indented at or left of its own `def`/`class`.
  * @param {string} code - Python source code
- * @returns {Array<Object>} Array of {index, text, type, name} chunks
+ * @returns {Array<Object>} Array of {index, text, type, name, startLine, endLine, parentIndex, depth} chunks
  */
 export function extractPythonFunctions(code) {
-  const chunks = [];
-  const lines = code.split('\n');
-  let currentChunk = null;
-  let chunkIndex = 0;
-
-  const flushChunk = (upToLine) => {
-    if (!currentChunk) return;
-    currentChunk.text = currentChunk.lines.join('\n').trimEnd();
-    currentChunk.endLine = upToLine;
-    delete currentChunk.lines;
-    chunks.push(currentChunk);
-    currentChunk = null;
-  };
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmed = line.trim();
-
-    // Determine indentation level of this non-empty line
-    const indent = trimmed.length > 0 ? line.length - line.trimStart().length : null;
+  return buildChunkTree(code, findPythonDefinitions(code));
+}
 
-    // A top-level def/class starts a new chunk (indent === 0)
-    const topLevelDef = indent === 0 && /^(def|class)\s+(\w+)/.exec(trimmed);
+/**
+ * Remove trivial chunks and re-index, pointing each parent reference at the
+ * nearest ancestor that was kept
+ * @param {Array<Object>} chunks - Chunks from buildChunkTree
+ * @returns {Array<Object>} Re-indexed chunks
+ */
+export function filterAndReindex(chunks) {
+  const kept = new Set(filterTrivialChunks(chunks).map(chunk => chunk.index));
+  const newIndex = new Map();
+  const result = [];
 
-    if (topLevelDef) {
-      // Flush previous chunk if any
-      flushChunk(i - 1);
-      currentChunk = {
-        index: chunkIndex++,
-        startLine: i,
-        name: topLevelDef[2],
-        type: topLevelDef[1] === 'class' ? 'class' : 'function',
-        lines: [line],
-      };
-    } else if (currentChunk) {
-      // Any non-empty line at indent 0 that isn't a def/class ends the current chunk
-      if (indent === 0 && trimmed.length > 0 && !trimmed.startsWith('#')) {
-        flushChunk(i - 1);
-        // Don't lose this line — it belongs to the module-level scope (not chunked)
-      } else {
-        currentChunk.lines.push(line);
-      }
-    }
-  }
-  flushChunk(lines.length - 1);
+  chunks.forEach(chunk => {
+    if (!kept.has(chunk.index)) return;
+    let parent = chunk.parentIndex;
+    while (parent != null && !kept.has(parent)) parent = chunks[parent].parentIndex;
+    const depth = parent != null ? result[newIndex.get(parent)].depth + 1 : 0;
+    newIndex.set(chunk.index, result.length);
+    result.push({
+      ...chunk,
+      index: result.length,
+      parentIndex: parent != null ? newIndex.get(parent) : null,
+      depth,
+    });
+  });
 
-  return chunks;
+  return result;
 }
 
-/** Normalize language aliases to canonical names */
-function resolveLanguage(lang) {
-  const aliases = {
-    js: 'javascript',
-    ts: 'javascript',
-    typescript: 'javascript',
-    py: 'python',
-    'c++': 'cpp',
-    cc: 'cpp',
+/** Whole-program chunk used when no definitions are found */
+function wholeChunk(code) {
+  return {
+    index: 0,
+    text: code,
+    type: 'whole',
+    name: 'main',
+    startLine: 0,
+    endLine: code.split('\n').length - 1,
+    parentIndex: null,
+    depth: 0,
   };
-  return aliases[lang?.toLowerCase?.()] || lang;
 }
 
-/** Java method-start patterns (modifiers + return type + name + () */
-const JAVA_METHOD_PATTERNS = [
-  /^\s*(?:(?:public|private|protected|static|final|abstract|synchronized)\s+)*[\w<>\[\]\s,?]+\s+(\w+)\s*\(/,
-];
-
-/** C/C++ function-start patterns (return type + name + () */
-const C_CPP_METHOD_PATTERNS = [
-  /^\s*(?:[\w:*&<>\[\]\s]+\s+)+(\w+)\s*\([^)]*\)\s*\{?/,
-];
-
 /**
  * Extract code chunks with intelligent splitting
  * @param {string} code - Code text
  * @param {string} language - Programming language
- * @returns {Array<Object>} Array of {index, text, type, name} chunks
+ * @returns {Array<Object>} Array of {index, text, type, name, startLine, endLine, parentIndex, depth} chunks
  */
 export function extractCodeChunks(code, language = 'javascript') {
   if (!code || code.trim().length === 0) {
@@ -286,35 +477,19 @@ export function extractCodeChunks(code, language = 'javascript') {
   } else if (lang === 'python') {
     chunks = extractPythonFunctions(code);
     if (chunks.length === 0) {
-      chunks = [{ index: 0, text: code, type: 'whole', name: 'main' }];
-    }
-  } else if (lang === 'java') {
-    chunks = extractBraceBasedFunctions(code, JAVA_METHOD_PATTERNS);
-    if (chunks.length === 0) {
-      chunks = [{ index: 0, text: code, type: 'whole', name: 'main' }];
+      chunks = [wholeChunk(code)];
     }
-  } else if (lang === 'cpp' || lang === 'c') {
-    chunks = extractBraceBasedFunctions(code, C_CPP_METHOD_PATTERNS);
+  } else if (getLanguage(lang)) {
+    chunks = extractBraceBasedFunctions(code, lang);
     if (chunks.length === 0) {
-      chunks = [{ index: 0, text: code, type: 'whole', name: 'main' }];
+      chunks = [wholeChunk(code)];
     }
   } else {
-    chunks = [{
-      index: 0,
-      text: code,
-      type: 'whole',
-      name: 'main',
-    }];
+    chunks = [wholeChunk(code)];
   }
-  
-  // Filter out trivial chunks
-  const filteredChunks = filterTrivialChunks(chunks);
-  
-  // Re-index after filtering
-  return filteredChunks.map((chunk, i) => ({
-    ...chunk,
-    index: i,
-  }));
+
+  // Filter out trivial chunks and re-index (parent references follow)
+  return filterAndReindex(chunks);
 }
 
 /**
@@ -369,6 +544,7 @@ export function getChunkStats(chunks) {
       acc[chunk.type] = (acc[chunk.type] || 0) + 1;
       return acc;
     }, {}),
+    maxDepth: chunks.reduce((max, chunk) => Math.max(max, chunk.depth ?? 0), 0),
   };
 }
 
@@ -378,7 +554,7 @@ export default {
   extractPythonFunctions,
   extractBraceBasedFunctions,
   filterTrivialChunks,
+  filterAndReindex,
   slidingWindowChunks,
   getChunkStats,
 };
-
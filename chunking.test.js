@@ -0,0 +1,91 @@
+import './testEnv.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as chunking from './chunking.js';
+
+const outline = chunks =>
+  chunks.map(c => [c.type, c.name, c.startLine, c.endLine, c.parentIndex]);
+
+test('braces inside strings, comments and chars are not block delimiters', () => {
+  const code = `public class Shop {
+    private int total;
+
+    void add(String item) {
+        String s = "}{ not a brace";
+        // } not a brace either
+        char c = '}';
+        total += item.length() + s.length();
+    }
+
+    int size() {
+        return total;
+    }
+}`;
+  assert.deepEqual(outline(chunking.extractCodeChunks(code, 'java')), [
+    ['class', 'Shop', 0, 13, null],
+    ['method', 'add', 3, 8, 0],
+    ['method', 'size', 10, 12, 0],
+  ]);
+});
+
+test('short nested methods are kept, short top-level chunks are not', () => {
+  const code = `class Account:
+    def balance(self):
+        return self.total
+
+    def deposit(self, amount):
+        self.total = self.total + amount
+        return self.total
+
+def f():
+    return 1
+`;
+  assert.deepEqual(outline(chunking.extractCodeChunks(code, 'python')), [
+    ['class', 'Account', 0, 6, null],
+    ['method', 'balance', 1, 2, 0],
+    ['method', 'deposit', 4, 6, 0],
+  ]);
+});
+
+test('filterTrivialChunks applies the nested minimums only to children', () => {
+  const text = 'def a():\n    return 1';
+  assert.equal(chunking.filterTrivialChunks([{ text, parentIndex: null }]).length, 0);
+  assert.equal(chunking.filterTrivialChunks([{ text, parentIndex: 0 }]).length, 1);
+  assert.equal(
+    chunking.filterTrivialChunks([{ text: 'def a(): pass', parentIndex: 0 }]).length,
+    0
+  );
+});
+
+test('children of a dropped chunk move up to the nearest kept ancestor', () => {
+  const chunk = (index, text, parentIndex) => ({ index, text, parentIndex, depth: 0 });
+  const body = 'line one of the body\nline two of the body\nline three';
+  const result = chunking.filterAndReindex([
+    chunk(0, body, null),
+    chunk(1, 'x', 0),
+    chunk(2, body, 1),
+  ]);
+  assert.deepEqual(
+    result.map(c => [c.index, c.parentIndex, c.depth]),
+    [
+      [0, null, 0],
+      [1, 0, 1],
+    ]
+  );
+});
+
+test('code without definitions becomes one whole chunk', () => {
+  const code = 'x = 10\ny = 20\nprint(x + y)\nprint(x * y)\nprint(x - y)\n';
+  const [whole] = chunking.extractCodeChunks(code, 'python');
+  assert.equal(whole.type, 'whole');
+  assert.equal(whole.startLine, 0);
+  assert.deepEqual(chunking.extractCodeChunks('   ', 'python'), []);
+});
+
+test('sliding windows overlap', () => {
+  const code = Array.from({ length: 30 }, (_, i) => `line ${i}`).join('\n');
+  const windows = chunking.slidingWindowChunks(code, 20, 5);
+  assert.equal(windows.length, 2);
+  assert.equal(windows[1].startLine, 15);
+  assert.ok(windows[0].text.includes('line 19'));
+});
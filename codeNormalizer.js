@@ -2,94 +2,751 @@
  * Code Normalizer Module
  * Normalizes code to reduce impact of variable names and cosmetic differences
  * This helps embeddings focus on logic and structure rather than naming
+ *
+ * All rewriting is token-based (lexer.js): comments, string literals and
+ * keywords are classified by a real lexer, and identifiers are renamed by
+ * scope and kind — only names the program itself declares are renamed, so
+ * library calls (append, push, println, ...) and member accesses stay intact.
  */
 
-/** Normalize language aliases to canonical names */
-export function resolveLanguage(lang) {
-  const aliases = {
-    js: 'javascript',
-    ts: 'javascript',
-    typescript: 'javascript',
-    py: 'python',
-    'c++': 'cpp',
-    cc: 'cpp',
+import { tokenize, toBraceBlocks, rebuildSource } from './lexer.js';
+import { getLanguage, resolveLanguage } from './languages.js';
+
+/** Normalize language aliases to canonical names (shared language registry) */
+export { resolveLanguage };
+
+// Bump when normalizeCode output changes, so stored check results say which rules produced them
+export const NORMALIZATION_VERSION = 2;
+
+// Operators that access a member of an object/namespace (the name after them is never renamed)
+const MEMBER_ACCESS = new Set(['.', '->', '::', '?.', '&.', '?->']);
+
+// Default structural penalty tiers: the first tier whose minFunctionDiff is reached sets the factor
+export const STRUCTURAL_PENALTY_TIERS = [
+  { minFunctionDiff: 3, factor: 0.3 },  // 70% penalty - very different structure (modular vs monolithic)
+  { minFunctionDiff: 2, factor: 0.5 },  // 50% penalty
+  { minFunctionDiff: 1, factor: 0.75 }  // 25% penalty
+];
+
+// Keywords whose following name is a package/namespace (`package main`, `namespace util`), never renamed
+const NAMESPACE_KEYWORDS = new Set(['package', 'namespace']);
+
+// Keywords that name a type in C-like declarations (`int x`, `bool done`)
+const TYPE_KEYWORDS = new Set(['int', 'long', 'short', 'byte', 'char', 'float', 'double', 'boolean', 'bool', 'void', 'signed', 'unsigned', 'auto', 'var', 'string', 'object', 'decimal', 'uint', 'ulong', 'ushort', 'sbyte']);
+
+// Modifiers that may precede a method/constructor definition
+const METHOD_MODIFIERS = new Set(['public', 'private', 'protected', 'static', 'final', 'abstract', 'synchronized', 'native', 'async', 'get', 'set', 'virtual', 'inline', 'explicit', 'constexpr', 'override', 'internal', 'sealed']);
+
+// Type definitions counted as classes by analyzeStructure
+const CLASS_DEFINITIONS = new Set(['class', 'struct', 'object', 'trait', 'module']);
+
+// Placeholder prefix per binding kind
+const PLACEHOLDER_PREFIX = {
+  variable: 'var',
+  function: 'func',
+  class: 'cls',
+};
+
+/**
+ * Significant tokens (no comments, docstrings or preprocessor lines)
+ * @param {Array<Object>} tokens - Tokens from lexer.tokenize
+ * @returns {Array<Object>} Tokens with their original `index`
+ */
+function significantTokens(tokens) {
+  return tokens
+    .map((token, index) => ({ ...token, index }))
+    .filter(token => token.type !== 'comment' && token.type !== 'preprocessor' && !token.docstring);
+}
+
+/** Index of the matching close bracket for every open bracket */
+function matchBrackets(sig) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const match = new Array(sig.length).fill(-1);
+  const stack = [];
+  sig.forEach((token, k) => {
+    if (token.type !== 'punctuation') return;
+    if (pairs[token.value]) {
+      stack.push(k);
+    } else if (Object.values(pairs).includes(token.value) && stack.length > 0) {
+      const open = stack.pop();
+      match[open] = k;
+      match[k] = open;
+    }
+  });
+  return match;
+}
+
+/**
+ * Analyze declarations and references by scope
+ * Scopes follow braces (brace languages), `end` blocks (Ruby) or indentation
+ * (Python). A name declared anywhere in a scope is visible in the whole scope
+ * and its children. Declaration syntax comes from the language registry.
+ *
+ * Binding kinds:
+ *   - variable / function / class: declared by the program → renamed
+ *   - member: methods, fields and class attributes → kept (they are used via obj.name)
+ *
+ * @param {Array<Object>} tokens - Tokens from lexer.tokenize
+ * @param {string} language - Canonical language
+ * @returns {Object} { resolved: Map<tokenIndex, binding>, functionCount, classCount }
+ */
+export function analyzeIdentifiers(tokens, language) {
+  const syntax = (getLanguage(language) || getLanguage('javascript')).syntax;
+  const isJs = language === 'javascript';
+  const sig = syntax.blocks === 'indent' ? significantTokens(tokens) : toBraceBlocks(significantTokens(tokens), language);
+  const match = matchBrackets(sig);
+  const scopes = [{ id: 0, parent: null, kind: 'module', bindings: new Map() }];
+  const scopeOf = new Array(sig.length).fill(0);
+  const declarations = new Map(); // sig index → binding
+  const skipped = new Set(); // sig indices that are property keys / keyword arguments
+  const pendingBraces = new Map(); // sig index of '{' → { kind, params }
+  const definitionKeywords = new Set([...syntax.functionKeywords, ...syntax.typeKeywords]);
+  let functionCount = 0;
+  let classCount = 0;
+
+  const value = k => sig[k]?.value;
+  const isIdentifier = k => sig[k]?.type === 'identifier';
+  const isPunct = (k, text) => sig[k]?.type === 'punctuation' && sig[k].value === text;
+  // `->` is member access in C/C++/PHP but a lambda arrow in Java/Kotlin
+  const afterMember = k => k > 0 && MEMBER_ACCESS.has(value(k - 1)) && value(k - 1) !== syntax.lambdaArrow;
+
+  const newScope = (parent, kind) => {
+    scopes.push({ id: scopes.length, parent, kind, bindings: new Map() });
+    return scopes.length - 1;
   };
-  return aliases[lang?.toLowerCase?.()] || lang;
+
+  // Nearest enclosing scope that is not a plain block (PHP/Ruby locals are function-scoped)
+  const functionScope = (scopeId) => {
+    let id = scopeId;
+    while (scopes[id].kind === 'block' && scopes[id].parent != null) id = scopes[id].parent;
+    return id;
+  };
+
+  const declare = (k, kind, scopeId) => {
+    if (!isIdentifier(k) || declarations.has(k)) return;
+    const scope = scopes[scopeId];
+    const bindingKind = scope.kind === 'class' && kind !== 'class' ? 'member' : kind;
+    let binding = scope.bindings.get(sig[k].value);
+    if (!binding) {
+      binding = { name: sig[k].value, kind: bindingKind, scope: scopeId };
+      scope.bindings.set(binding.name, binding);
+    }
+    declarations.set(k, binding);
+  };
+
+  // Parameter names between an open paren and its match
+  const paramNames = (open) => {
+    const close = match[open];
+    if (close < 0) return [];
+    const segments = [];
+    let segment = [];
+    for (let k = open + 1; k < close; k++) {
+      if (match[k] > k && sig[k].type === 'punctuation' && value(k) !== '{' && value(k) !== '[') {
+        // Skip nested parentheses (default values, annotations)
+        segment.push(k);
+        k = match[k];
+        continue;
+      }
+      if (isPunct(k, ',') && depthWithin(open, k) === 0) {
+        segments.push(segment);
+        segment = [];
+        continue;
+      }
+      segment.push(k);
+    }
+    segments.push(segment);
+
+    const names = [];
+    // Go: either every parameter is named (`a, b int`) or none is (`int, string`)
+    const goNamed = segments.some(seg => seg.length > 1);
+    segments.forEach(seg => {
+      // The bound name is the last identifier before a default value (`int x = 1`, `x=1`)
+      const eq = seg.findIndex(k => value(k) === '=');
+      const head = eq >= 0 ? seg.slice(0, eq) : seg;
+      if (syntax.paramStyle === 'name-first') {
+        // The name comes first (`x: int`, `{ a, b }` patterns aside)
+        const colon = head.findIndex(k => value(k) === ':');
+        const named = (colon >= 0 ? head.slice(0, colon) : head).filter(k => isIdentifier(k) && !afterMember(k));
+        names.push(...named);
+      } else if (syntax.paramStyle === 'go') {
+        const first = head.find(k => isIdentifier(k));
+        if (goNamed && first !== undefined) names.push(first);
+      } else if (syntax.paramStyle === 'sigil') {
+        names.push(...head.filter(k => isIdentifier(k) && value(k).startsWith('$')));
+      } else {
+        const identifiers = head.filter(k => isIdentifier(k) && !afterMember(k) && !MEMBER_ACCESS.has(value(k + 1)));
+        if (identifiers.length > 0) {
+          const last = identifiers[identifiers.length - 1];
+          // A lone identifier is only a name in untyped lambdas (`(a, b) -> ...`)
+          if (identifiers.length > 1 || head.some(k => sig[k].type === 'keyword' && TYPE_KEYWORDS.has(value(k))) || head.length === 1) {
+            names.push(last);
+          }
+        }
+      }
+    });
+    return names;
+  };
+
+  // Bracket depth of position k relative to `open`
+  const depthWithin = (open, k) => {
+    let depth = 0;
+    for (let i = open + 1; i < k; i++) {
+      if (sig[i].type !== 'punctuation') continue;
+      if ('([{'.includes(value(i))) depth++;
+      else if (')]}'.includes(value(i))) depth--;
+    }
+    return depth;
+  };
+
+  // First '{' (function body) after a parameter list, or -1 for prototypes and expression bodies
+  const bodyAfter = (close) => {
+    for (let k = close + 1; k < sig.length; k++) {
+      if (isPunct(k, '{')) return k;
+      if (isPunct(k, ';') || isPunct(k, '}') || value(k) === '=' || value(k) === '=>') return -1;
+      if (sig[k].type === 'keyword' && definitionKeywords.has(value(k))) return -1;
+      if (match[k] > k) k = match[k];
+    }
+    return -1;
+  };
+
+  const registerFunctionBody = (openParen, kind = 'function', extraParams = []) => {
+    const params = [...extraParams, ...paramNames(openParen)];
+    const body = match[openParen] >= 0 ? bodyAfter(match[openParen]) : -1;
+    if (body >= 0) {
+      pendingBraces.set(body, { kind, params });
+      return true;
+    }
+    return false;
+  };
+
+  // Skip a generic parameter list `<...>` starting at k; returns the index after it
+  const skipGenerics = (k) => {
+    if (value(k) !== '<') return k;
+    let depth = 0;
+    for (let j = k; j < sig.length; j++) {
+      if (value(j) === '<') depth++;
+      else if (value(j) === '>') depth--;
+      else if (value(j) === '>>') depth -= 2;
+      if (depth <= 0) return j + 1;
+    }
+    return k;
+  };
+
+  // `List<String>` style generic close: walk back to the matching '<' over type-ish tokens
+  const isGenericClose = (k) => {
+    let depth = 0;
+    for (let i = k; i >= 0; i--) {
+      const text = value(i);
+      if (text === '>' || text === '>>') depth += text.length;
+      else if (text === '<') {
+        depth--;
+        if (depth === 0) return isIdentifier(i - 1);
+      } else if (!(isIdentifier(i) || sig[i].type === 'keyword' || [',', '?', '.', '[', ']', '::', '*', '&'].includes(text))) {
+        return false;
+      }
+    }
+    return false;
+  };
+
+  // Is identifier k preceded by a type (C-like declaration `Type name`)?
+  const inTypeContext = (k) => {
+    const prev = k - 1;
+    if (prev < 0) return false;
+    if (sig[prev].type === 'keyword') return TYPE_KEYWORDS.has(value(prev));
+    if (isIdentifier(prev)) return true;
+    if (value(prev) === '>') return isGenericClose(prev);
+    if (value(prev) === ']') return value(prev - 1) === '[';
+    if (value(prev) === '?') return isIdentifier(prev - 1); // C# nullable `int? x`
+    if (value(prev) === '*' || value(prev) === '&' || value(prev) === '&&') {
+      const before = prev - 1;
+      if (before < 0) return false;
+      if (sig[before].type === 'keyword') return TYPE_KEYWORDS.has(value(before));
+      const start = before - 1;
+      return isIdentifier(before) && (start < 0 || [';', '{', '}', '(', ','].includes(value(start)) || sig[start].type === 'keyword');
+    }
+    return false;
+  };
+
+  // Does token k start a statement (previous token ends a statement or is on an earlier line)?
+  const startsStatement = (k) => {
+    if (k === 0) return true;
+    const prev = sig[k - 1];
+    if (['{', '}', ';'].includes(prev.value) && prev.type === 'punctuation') return true;
+    if (isPunct(k - 1, ',') || isPunct(k - 1, '(') || isPunct(k - 1, '.')) return false;
+    return prev.line + (prev.value.match(/\n/g) || []).length < sig[k].line;
+  };
+
+  if (syntax.blocks === 'indent') {
+    analyzePython();
+  } else {
+    analyzeBraceLanguage();
+  }
+
+  function analyzeBraceLanguage() {
+    const stack = [0];
+    const top = () => stack[stack.length - 1];
+
+    for (let k = 0; k < sig.length; k++) {
+      const token = sig[k];
+      const text = token.value;
+
+      if (isPunct(k, '{')) {
+        const pending = pendingBraces.get(k);
+        const id = newScope(top(), pending?.kind || 'block');
+        stack.push(id);
+        scopeOf[k] = id;
+        pending?.params.forEach(p => declare(p, 'variable', id));
+        continue;
+      }
+      if (isPunct(k, '}')) {
+        scopeOf[k] = top();
+        if (stack.length > 1) stack.pop();
+        continue;
+      }
+      scopeOf[k] = top();
+
+      if (token.type === 'keyword') {
+        if (syntax.functionKeywords.includes(text)) {
+          k = declareFunction(k);
+        } else if (syntax.typeKeywords.includes(text)) {
+          declareType(k);
+        } else if (syntax.declarationKeywords.includes(text)) {
+          if (isJs) declareJsDeclarators(k + 1, top());
+          else declareDeclarators(k + 1, top());
+        } else if (text === 'catch' && isPunct(k + 1, '(') && !syntax.typedDeclarations) {
+          const close = match[k + 1];
+          const params = paramNames(k + 1);
+          if (isPunct(close + 1, '{')) pendingBraces.set(close + 1, { kind: 'block', params });
+        } else if (text === 'for' && !isJs && !syntax.typedDeclarations && syntax.paramStyle !== 'go') {
+          // `for x in xs`, `for (i, x) in ...`, `for (x in xs)`
+          for (let j = k + 1; j < sig.length && value(j) !== 'in' && !isPunct(j, '{'); j++) {
+            if (isIdentifier(j) && !afterMember(j) && value(j - 1) !== ':') declare(j, 'variable', functionScope(top()));
+          }
+        } else if (text === 'as' && syntax.paramStyle === 'sigil') {
+          // PHP `foreach ($items as $key => $value)`
+          for (let j = k + 1; j < sig.length && !isPunct(j, ')'); j++) {
+            if (isIdentifier(j) && value(j).startsWith('$')) declare(j, 'variable', functionScope(top()));
+          }
+        } else if (text === 'rescue') {
+          // Ruby `rescue SomeError => e`
+          for (let j = k + 1; j < sig.length && sig[j].line === token.line; j++) {
+            if (value(j) === '=>' && isIdentifier(j + 1)) declare(j + 1, 'variable', functionScope(top()));
+          }
+        }
+        continue;
+      }
+
+      // Arrow functions / lambdas with parameters before the arrow: `(a, b) => ...`, `x -> ...`
+      if (text === syntax.lambdaArrow && syntax.lambdaParams === 'before') {
+        const lone = isIdentifier(k - 1) && value(k - 2) !== 'case';
+        const params = lone ? [k - 1] : isPunct(k - 1, ')') && match[k - 1] >= 0 ? paramNames(match[k - 1]) : [];
+        if (isPunct(k + 1, '{')) {
+          pendingBraces.set(k + 1, { kind: 'function', params });
+          if (isJs) functionCount++;
+        } else {
+          params.forEach(p => declare(p, 'variable', top()));
+        }
+        continue;
+      }
+
+      // Lambdas with parameters inside the block: `{ a, b -> ... }` (Kotlin)
+      if (text === syntax.lambdaArrow && syntax.lambdaParams === 'block') {
+        const params = [];
+        let j = k - 1;
+        for (; j >= 0 && !isPunct(j, '{'); j--) {
+          if (isIdentifier(j)) {
+            // `name: Type` → only the name is a parameter
+            if (value(j - 1) !== ':') params.push(j);
+          } else if (!isPunct(j, ',') && !isPunct(j, ':') && !['<', '>', '?'].includes(value(j))) {
+            break;
+          }
+        }
+        if (isPunct(j, '{')) params.forEach(p => declare(p, 'variable', top()));
+        continue;
+      }
+
+      // Closure parameters between bars: `|a, b| ...` (Rust), `{ |x| ... }` / `do |x|` (Ruby)
+      if (syntax.closureBars && text === '|' && (k === 0 || isPunct(k - 1, '{') || isPunct(k - 1, '(') || isPunct(k - 1, ',') || sig[k - 1].type === 'operator' || value(k - 1) === 'move' || value(k - 1) === 'return')) {
+        let j = k + 1;
+        for (; j < sig.length && value(j) !== '|'; j++) {
+          if (isIdentifier(j) && value(j - 1) !== ':') declare(j, 'variable', top());
+        }
+        k = j;
+        continue;
+      }
+
+      // Go short variable declarations: `a, b := ...`
+      if (syntax.shortDeclaration && text === ':=') {
+        for (let j = k - 1; j >= 0 && isIdentifier(j); j -= 2) {
+          declare(j, 'variable', top());
+          if (!isPunct(j - 1, ',')) break;
+        }
+        continue;
+      }
+
+      if (!isIdentifier(k)) continue;
+
+      // Object keys `{ key: value }`, struct literal fields and named arguments `f(name: value)`
+      if (isPunct(k + 1, ':') && (isPunct(k - 1, '{') || isPunct(k - 1, ',') || isPunct(k - 1, '('))) {
+        skipped.add(k);
+        continue;
+      }
+
+      // First assignment declares a local (`$x = ...` anywhere in PHP, `x = ...` / `a, b = ...` statements in Ruby)
+      if (syntax.assignmentDeclares && !afterMember(k)) {
+        if (syntax.paramStyle === 'sigil') {
+          if (value(k + 1) === '=' && value(k) !== '$this') declare(k, 'variable', functionScope(top()));
+          continue;
+        }
+        if (startsStatement(k) && !/^[@$]/.test(text)) {
+          let j = k;
+          while (isPunct(j + 1, ',') && isIdentifier(j + 2)) j += 2;
+          if (value(j + 1) === '=') {
+            for (let t = k; t <= j; t += 2) declare(t, 'variable', functionScope(top()));
+          }
+        }
+      }
+
+      const callOpen = isPunct(k + 1, '(') ? k + 1 : -1;
+      const prevText = value(k - 1);
+
+      if (syntax.typedDeclarations && !afterMember(k) && inTypeContext(k)) {
+        if (callOpen >= 0) {
+          // `Type name(params) { ... }` → function or method declaration
+          declare(k, 'function', top());
+          if (registerFunctionBody(callOpen)) functionCount++;
+          // Parameters belong to the body scope, not the enclosing one
+          if (match[callOpen] > callOpen) k = match[callOpen];
+        } else if (['=', ';', ',', ')', '[', ':', '{', 'in'].includes(value(k + 1))) {
+          declare(k, 'variable', top());
+        }
+        continue;
+      }
+
+      // Method / constructor definitions: `name(params) { ... }` in class bodies and object literals,
+      // plus out-of-class C++ definitions `Type Class::name(params) { ... }`
+      if (callOpen >= 0 && match[callOpen] >= 0) {
+        const methodContext =
+          scopes[top()].kind === 'class' ||
+          prevText === '::' ||
+          METHOD_MODIFIERS.has(prevText) ||
+          (isJs && (prevText === '{' || prevText === ',' || prevText === '}' || prevText === ';' || prevText === undefined));
+        if (methodContext && !(afterMember(k) && prevText !== '::')) {
+          const body = bodyAfter(match[callOpen]);
+          const directBody = isJs ? body === match[callOpen] + 1 : body >= 0;
+          if (directBody) {
+            registerFunctionBody(callOpen);
+            functionCount++;
+          }
+        }
+      }
+    }
+
+    // `function name(...)`, `func (r *T) Name(...)`, `fn name<T>(...)`, `fun T.name(...)`, `def self.name(...)`
+    function declareFunction(k) {
+      let j = k + 1;
+      let member = false;
+      let receiver = [];
+      if (value(j) === '*') j++; // JavaScript generators
+      if (syntax.paramStyle === 'go' && isPunct(j, '(') && match[j] > j && isIdentifier(match[j] + 1) && isPunct(match[j] + 2, '(')) {
+        // Go method receiver: `func (s *Stack) Push(...)`
+        receiver = paramNames(j);
+        member = true;
+        j = match[j] + 1;
+      }
+      j = skipGenerics(j);
+      if (isIdentifier(j) && (value(j + 1) === '.' || value(j + 1) === '::') && (isIdentifier(j + 2) || sig[j + 2]?.type === 'keyword')) {
+        // Extension / singleton methods: `fun String.name`, `def self.name`
+        member = true;
+        j += 2;
+      } else if (value(j) === 'self' && value(j + 1) === '.') {
+        member = true;
+        j += 2;
+      }
+      const named = isIdentifier(j);
+      if (named) {
+        if (member) {
+          declarations.set(j, { name: value(j), kind: 'member', scope: top() });
+        } else {
+          declare(j, 'function', top());
+        }
+        j++;
+      }
+      j = skipGenerics(j);
+
+      if (isPunct(j, '(') && match[j] > j) {
+        const hasBody = registerFunctionBody(j, 'function', receiver);
+        // Expression bodies and arrow forms (`fun f(x) = ...`, `fn($x) => ...`) bind their parameters in place
+        if (!hasBody) paramNames(j).forEach(p => declare(p, 'variable', top()));
+        if (hasBody || named) functionCount++;
+        return match[j];
+      }
+      if (named && syntax.blocks === 'end') {
+        // Ruby `def name a, b` without parentheses: parameters run up to the virtual "{"
+        const params = [];
+        for (; j < sig.length && !isPunct(j, '{'); j++) {
+          if (isIdentifier(j)) params.push(j);
+        }
+        if (isPunct(j, '{')) pendingBraces.set(j, { kind: 'function', params });
+        functionCount++;
+        return j - 1;
+      }
+      return k;
+    }
+
+    // `class Name ... {`, `struct Name<T> {`, `impl<T> Trait for Type {`, `type Name struct {`, `object Name {`
+    function declareType(k) {
+      const text = value(k);
+      let j = skipGenerics(k + 1);
+      const nameIndex = isIdentifier(j) && text !== 'impl' ? j : -1;
+      if (nameIndex >= 0) j++;
+      j = skipGenerics(j);
+      // Primary constructor `class Point(val x: Int)`: `val`/`var` parameters are properties
+      if (nameIndex >= 0 && isPunct(j, '(') && match[j] > j) {
+        for (let t = j + 1; t < match[j]; t++) {
+          if (isIdentifier(t) && ['val', 'var'].includes(value(t - 1))) {
+            declarations.set(t, { name: value(t), kind: 'member', scope: top() });
+          }
+        }
+        j = match[j] + 1;
+      }
+
+      for (; j < sig.length; j++) {
+        if (isPunct(j, '{')) {
+          // Go `type Name struct {` is a definition; `type Name func(...)` and aliases are not
+          if (text === 'type' && !['struct', 'interface'].includes(value(j - 1))) return;
+          if (nameIndex >= 0) declare(nameIndex, 'class', top());
+          if (CLASS_DEFINITIONS.has(text) && !(text === 'struct' && language === 'c')) classCount++;
+          else if (text === 'type' && value(j - 1) === 'struct') classCount++;
+          pendingBraces.set(j, { kind: 'class', params: [] });
+          return;
+        }
+        // Only a definition with a body declares the type (`struct Point p;` is a use)
+        if (isPunct(j, ';') || isPunct(j, '(') || isPunct(j, ')') || isPunct(j, '}') || value(j) === '=') return;
+        if (sig[j].type === 'keyword' && (definitionKeywords.has(value(j)) || syntax.declarationKeywords.includes(value(j)))) return;
+      }
+    }
+  }
+
+  // `let mut x: T = ...`, `val (a, b) = ...`, `var a, b int`, `let Some(x) = ...` (non-JavaScript)
+  function declareDeclarators(start, scopeId) {
+    let k = start;
+    while (sig[k]?.type === 'keyword' && ['mut', 'ref'].includes(value(k))) k++;
+    if ((isPunct(k, '(') || isPunct(k, '[') || isPunct(k, '{')) && match[k] > k) {
+      declarePattern(k, scopeId);
+      return;
+    }
+    if (isIdentifier(k) && (isPunct(k + 1, '(') || isPunct(k + 1, '{') || value(k + 1) === '::')) {
+      // Enum/struct pattern: bind the names inside, not the constructor
+      let open = k + 1;
+      while (value(open) === '::' && isIdentifier(open + 1)) open += 2;
+      if ((isPunct(open, '(') || isPunct(open, '{')) && match[open] > open) declarePattern(open, scopeId);
+      return;
+    }
+    while (isIdentifier(k)) {
+      declare(k, 'variable', scopeId);
+      if (!isPunct(k + 1, ',')) return;
+      k += 2;
+    }
+  }
+
+  // `const a = 1, { b, c: d } = obj, [e] = arr` (JavaScript)
+  function declareJsDeclarators(start, scopeId) {
+    let k = start;
+    while (k < sig.length) {
+      if (isIdentifier(k)) {
+        declare(k, 'variable', scopeId);
+        k++;
+      } else if ((isPunct(k, '{') || isPunct(k, '[')) && match[k] > k) {
+        declarePattern(k, scopeId);
+        k = match[k] + 1;
+      } else {
+        return;
+      }
+      // Skip the initializer up to the next declarator
+      if (value(k) === '=') {
+        const startLine = sig[k].line;
+        k++;
+        while (k < sig.length) {
+          if (match[k] > k) {
+            k = match[k] + 1;
+            continue;
+          }
+          if (isPunct(k, ',') || isPunct(k, ';') || isPunct(k, ')') || isPunct(k, '}') || value(k) === 'of' || value(k) === 'in') break;
+          // Automatic semicolon insertion: a new line that does not continue the expression
+          if (sig[k].line > startLine && sig[k - 1].type !== 'operator' && !isPunct(k - 1, ',') && sig[k].type !== 'operator' && !isPunct(k, '.')) {
+            return;
+          }
+          k++;
+        }
+      }
+      if (!isPunct(k, ',')) return;
+      k++;
+    }
+  }
+
+  // Destructuring patterns: `{ a, b: c, d = 1 }`, `[x, , y]`
+  function declarePattern(open, scopeId) {
+    const close = match[open];
+    for (let k = open + 1; k < close; k++) {
+      if (!isIdentifier(k)) {
+        if (value(k) === '=') {
+          // Skip default value
+          while (k + 1 < close && !isPunct(k + 1, ',')) k++;
+        }
+        continue;
+      }
+      if (isPunct(k + 1, ':')) {
+        skipped.add(k);
+        continue;
+      }
+      declare(k, 'variable', scopeId);
+    }
+  }
+
+  function analyzePython() {
+    const stack = [{ id: 0, indent: -1 }];
+    const top = () => stack[stack.length - 1].id;
+    let depth = 0;
+    let lineIndent = 0;
+
+    const endLine = token => token.line + (token.value.match(/\n/g) || []).length;
+    const startsLine = k => k === 0 || endLine(sig[k - 1]) < sig[k].line;
+
+    for (let k = 0; k < sig.length; k++) {
+      const token = sig[k];
+      const text = token.value;
+      const lineStart = depth === 0 && startsLine(k);
+
+      if (lineStart) {
+        lineIndent = token.column;
+        while (stack.length > 1 && token.column <= stack[stack.length - 1].indent) stack.pop();
+      }
+      scopeOf[k] = top();
+
+      if (lineStart || (k > 0 && isPunct(k - 1, ';') && depth === 0)) {
+        declareAssignmentTargets(k, top());
+      }
+
+      if (token.type === 'punctuation') {
+        if ('([{'.includes(text)) depth++;
+        else if (')]}'.includes(text)) depth = Math.max(0, depth - 1);
+        continue;
+      }
+
+      if (token.type === 'keyword') {
+        if ((text === 'def' || text === 'class') && isIdentifier(k + 1)) {
+          const parent = top();
+          declare(k + 1, text === 'def' ? 'function' : 'class', parent);
+          if (text === 'def') functionCount++;
+          else classCount++;
+          const id = newScope(parent, text === 'def' ? 'function' : 'class');
+          stack.push({ id, indent: lineIndent });
+          if (text === 'def' && isPunct(k + 2, '(')) {
+            paramNames(k + 2).forEach(p => declare(p, 'variable', id));
+          }
+        } else if (text === 'lambda') {
+          for (let j = k + 1; j < sig.length && !isPunct(j, ':'); j++) {
+            if (isIdentifier(j) && (j === k + 1 || isPunct(j - 1, ',') || value(j - 1) === '*' || value(j - 1) === '**')) {
+              declare(j, 'variable', top());
+            }
+          }
+        } else if (text === 'for') {
+          for (let j = k + 1; j < sig.length && value(j) !== 'in'; j++) {
+            if (isIdentifier(j) && !afterMember(j) && !['.', '[', '('].includes(value(j + 1))) {
+              declare(j, 'variable', top());
+            }
+          }
+        } else if (text === 'as' && isIdentifier(k + 1)) {
+          const statementStart = sig.slice(0, k).reverse().find((t, i, arr) => i === arr.length - 1 || startsLine(k - 1 - i));
+          if (!['import', 'from'].includes(statementStart?.value)) {
+            declare(k + 1, 'variable', top());
+          }
+        }
+        continue;
+      }
+
+      if (text === ':=' && isIdentifier(k - 1)) {
+        declare(k - 1, 'variable', top());
+      }
+
+      // Keyword arguments `f(name=value)` refer to the callee's parameters
+      if (isIdentifier(k) && depth > 0 && value(k + 1) === '=' && (isPunct(k - 1, '(') || isPunct(k - 1, ','))) {
+        skipped.add(k);
+      }
+    }
+
+    // `a = ...`, `a, b = ...`, `x: int = 0`, `a = b = 0` at the start of a statement
+    function declareAssignmentTargets(start, scopeId) {
+      let nesting = 0;
+      let lastAssign = -1;
+      let end = start;
+      for (let j = start; j < sig.length; j++) {
+        if (j > start && nesting === 0 && (startsLine(j) || isPunct(j, ';'))) break;
+        end = j;
+        if (sig[j].type === 'punctuation') {
+          if ('([{'.includes(value(j))) nesting++;
+          else if (')]}'.includes(value(j))) nesting--;
+        }
+        if (nesting === 0 && value(j) === '=') lastAssign = j;
+        if (sig[j].type === 'keyword' && j === start && !['for'].includes(value(j))) return;
+      }
+      if (lastAssign < 0 || end < start) return;
+
+      let annotation = false;
+      nesting = 0;
+      for (let j = start; j < lastAssign; j++) {
+        if (sig[j].type === 'punctuation') {
+          if ('([{'.includes(value(j))) nesting++;
+          else if (')]}'.includes(value(j))) nesting--;
+        }
+        if (value(j) === '=') {
+          annotation = false;
+          continue;
+        }
+        if (nesting === 0 && isPunct(j, ':')) annotation = true;
+        if (annotation) continue;
+        if (isIdentifier(j) && !afterMember(j) && !['.', '[', '('].includes(value(j + 1))) {
+          declare(j, 'variable', scopeId);
+        }
+      }
+    }
+  }
+
+  // Resolve every identifier to its binding through the scope chain
+  const resolved = new Map();
+  sig.forEach((token, k) => {
+    if (token.type !== 'identifier') return;
+    if (sig[k - 1]?.type === 'keyword' && NAMESPACE_KEYWORDS.has(value(k - 1))) return;
+    let binding = declarations.get(k);
+    if (!binding && !skipped.has(k)) {
+      if (afterMember(k)) return;
+      for (let scopeId = scopeOf[k]; scopeId != null; scopeId = scopes[scopeId].parent) {
+        binding = scopes[scopeId].bindings.get(token.value);
+        if (binding) break;
+      }
+    }
+    if (binding) resolved.set(token.index, binding);
+  });
+
+  return { resolved, functionCount, classCount };
 }
 
 /**
  * Normalize variable names to generic placeholders
  * This helps embeddings recognize similar logic despite different variable names
+ * Names are renamed by scope and kind (var0, func0, cls0); members, library
+ * calls and anything inside strings or comments are left untouched.
  * @param {string} code - Original code
  * @param {string} language - Programming language
  * @returns {string} Normalized code
  */
 export function normalizeVariableNames(code, language) {
   try {
-    // Create a copy to work with
-    let normalized = code;
-    
-    // Extract variable declarations and create mapping
-    const variableMap = new Map();
-    let varCounter = 0;
-    
-    // Language-specific patterns
-    const patterns = {
-      python: [
-        /def\s+([a-z_][a-z0-9_]*)\s*\(/gi,       // function definitions (first priority)
-        /for\s+([a-z_][a-z0-9_]*)\s+in\b/gi,      // for loop variables
-        /\b([a-z_][a-z0-9_]*)\s*=(?!=)/gi,         // assignments only (not == comparisons)
-        /\(([a-z_][a-z0-9_]*)\s*[,\)]/gi,          // function parameters
-      ],
-      javascript: [
-        /\b(?:const|let|var)\s+([a-z_$][a-z0-9_$]*)/gi,  // variable declarations
-        /function\s+([a-z_$][a-z0-9_$]*)\s*\(/gi,  // function declarations
-        /\(([a-z_$][a-z0-9_$]*)\s*(?:,|\))/gi,  // function parameters
-      ],
-      java: [
-        /\b(?:public|private|protected|static|final)\s+[\w<>\[\]\s,?]+\s+([a-z_][a-z0-9_]*)\s*\(/gi,  // method params (capture first param name from decl)
-        /\b(?:int|long|short|byte|char|String|boolean|double|float)\s+([a-z_][a-z0-9_]*)/gi,
-        /\b(?:List|Map|Set|ArrayList|HashMap|HashSet)\s*<[^>]*>\s+([a-z_][a-z0-9_]*)/gi,
-        /\b([a-z_][a-z0-9_]*)\s*=(?!=)/gi,  // assignments (not ==)
-        /\(([a-z_][a-z0-9_]*)\s*[,\)]/gi,   // parameters
-      ],
-      cpp: [
-        /\b(?:int|long|short|char|unsigned|size_t|string|bool|double|float|auto|void)\s+([a-z_][a-z0-9_]*)/gi,
-        /\b(?:vector|map|set|unordered_map)\s*<[^>]*>\s+([a-z_][a-z0-9_]*)/gi,
-        /\b([a-z_][a-z0-9_]*)\s*=(?!=)/gi,  // assignments (not ==)
-        /\(([a-z_][a-z0-9_]*)\s*[,\)]/gi,   // parameters
-      ]
-    };
-    
-    // Get patterns for language (default to javascript patterns)
     const lang = resolveLanguage(language);
-    const langPatterns = patterns[lang] || patterns.javascript;
-    
-    // Extract all variable names
-    langPatterns.forEach(pattern => {
-      let match;
-      const regex = new RegExp(pattern.source, pattern.flags);
-      while ((match = regex.exec(code)) !== null) {
-        const varName = match[1];
-        // Skip common keywords and built-ins
-        if (!isCommonKeyword(varName, lang) && !variableMap.has(varName)) {
-          variableMap.set(varName, `var${varCounter++}`);
-        }
-      }
-    });
-    
-    // Replace variable names with generic placeholders
-    // Sort by length (longest first) to avoid partial replacements
-    const sortedVars = Array.from(variableMap.keys()).sort((a, b) => b.length - a.length);
-    
-    sortedVars.forEach(originalName => {
-      const genericName = variableMap.get(originalName);
-      // Use word boundaries to avoid partial replacements
-      const regex = new RegExp(`\\b${originalName}\\b`, 'g');
-      normalized = normalized.replace(regex, genericName);
-    });
-    
-    return normalized;
+    const tokens = tokenize(code, lang);
+    const renames = buildRenames(tokens, lang);
+    return rebuildSource(code, tokens, (token, index) => renames.get(index) ?? token.value);
   } catch (error) {
     console.error('[Code Normalizer] Error normalizing variable names:', error.message);
     // Return original code if normalization fails
@@ -98,21 +755,24 @@ export function normalizeVariableNames(code, language) {
 }
 
 /**
- * Check if a name is a common keyword or built-in
- * @param {string} name - Variable name to check
- * @param {string} language - Programming language
- * @returns {boolean}
+ * Placeholder for every renamed identifier token, numbered per kind in order of first use
+ * @returns {Map<number, string>} token index → placeholder
  */
-function isCommonKeyword(name, language) {
-  const keywords = {
-    python: ['def', 'class', 'if', 'else', 'elif', 'for', 'while', 'return', 'import', 'from', 'True', 'False', 'None', 'print', 'len', 'range', 'str', 'int', 'float', 'list', 'dict', 'set'],
-    javascript: ['function', 'const', 'let', 'var', 'if', 'else', 'for', 'while', 'return', 'import', 'export', 'class', 'true', 'false', 'null', 'undefined', 'console', 'log'],
-    java: ['public', 'private', 'protected', 'class', 'interface', 'void', 'static', 'final', 'return', 'if', 'else', 'for', 'while', 'true', 'false', 'null', 'System', 'out', 'println', 'new', 'this', 'super', 'extends', 'implements', 'try', 'catch', 'throw', 'throws'],
-    cpp: ['class', 'public', 'private', 'return', 'if', 'else', 'for', 'while', 'true', 'false', 'nullptr', 'std', 'cout', 'cin', 'include', 'using', 'namespace', 'struct', 'template', 'typename']
-  };
-  
-  const langKeywords = keywords[language] || keywords.javascript;
-  return langKeywords.includes(name);
+function buildRenames(tokens, language) {
+  const { resolved } = analyzeIdentifiers(tokens, language);
+  const placeholders = new Map();
+  const counters = { variable: 0, function: 0, class: 0 };
+  const renames = new Map();
+
+  [...resolved.keys()].sort((a, b) => a - b).forEach(index => {
+    const binding = resolved.get(index);
+    if (!PLACEHOLDER_PREFIX[binding.kind]) return;
+    if (!placeholders.has(binding)) {
+      placeholders.set(binding, `${PLACEHOLDER_PREFIX[binding.kind]}${counters[binding.kind]++}`);
+    }
+    renames.set(index, placeholders.get(binding));
+  });
+  return renames;
 }
 
 /**
@@ -126,26 +786,27 @@ export function normalizeCode(code, language = 'javascript') {
   try {
     const lang = resolveLanguage(language);
     let normalized = code;
-    
+
     // 1. Normalize whitespace
     normalized = normalized.trim();
     normalized = normalized.replace(/\r\n/g, '\n'); // Normalize line endings
     normalized = normalized.replace(/\t/g, '  '); // Tabs to spaces
-    
-    // 2. Remove excessive blank lines
+
+    // 2. One lexer pass: drop comments/docstrings, normalize string literals,
+    //    rename declared identifiers by scope and kind
+    const tokens = tokenize(normalized, lang);
+    const renames = buildRenames(tokens, lang);
+    normalized = rebuildSource(normalized, tokens, (token, index) => {
+      if (token.type === 'comment' || token.docstring) return null;
+      if (token.type === 'string') return '"STRING"';
+      return renames.get(index) ?? token.value;
+    });
+
+    // 3. Remove trailing whitespace and excessive blank lines left by removed comments
+    normalized = normalized.replace(/[ \t]+$/gm, '');
     normalized = normalized.replace(/\n{3,}/g, '\n\n');
-    
-    // 3. Remove comments BEFORE variable normalization (avoids capturing tokens from comments)
-    normalized = removeComments(normalized, lang);
-    
-    // 4. Normalize string literals BEFORE variable normalization (avoids capturing from inside strings)
-    normalized = normalized.replace(/"[^"]*"/g, '"STRING"');
-    normalized = normalized.replace(/'[^']*'/g, "'STRING'");
-    
-    // 5. Normalize variable names (runs last so comments/strings don't pollute the variable map)
-    normalized = normalizeVariableNames(normalized, lang);
-    
-    return normalized;
+
+    return normalized.trim();
   } catch (error) {
     console.error('[Code Normalizer] Error normalizing code:', error.message);
     return code;
@@ -160,27 +821,44 @@ export function normalizeCode(code, language = 'javascript') {
  */
 function removeComments(code, language) {
   try {
-    let result = code;
-    
-    if (language === 'python') {
-      // Remove # comments
-      result = result.replace(/#[^\n]*/g, '');
-      // Remove docstrings
-      result = result.replace(/"""[\s\S]*?"""/g, '');
-      result = result.replace(/'''[\s\S]*?'''/g, '');
-    } else {
-      // Remove // comments
-      result = result.replace(/\/\/[^\n]*/g, '');
-      // Remove /* */ comments
-      result = result.replace(/\/\*[\s\S]*?\*\//g, '');
-    }
-    
-    return result;
+    const tokens = tokenize(code, resolveLanguage(language));
+    return rebuildSource(code, tokens, token =>
+      token.type === 'comment' || token.docstring ? null : token.value
+    );
   } catch (error) {
     return code;
   }
 }
 
+/**
+ * Tokenize code into a normalized token stream (comments removed, strings → STRING,
+ * numbers → NUM, non-keyword identifiers → ID), keeping the source position of
+ * every token so matches can be reported as line/column ranges.
+ * Used by fingerprint-based detectors (winnowing, GST) that need renaming-proof tokens.
+ * Preprocessor lines (#include ...) are skipped as shared boilerplate.
+ * @param {string} code - Original code
+ * @param {string} language - Programming language
+ * @returns {Array<Object>} Array of { value, line, column, endLine, endColumn } (1-based lines, 0-based columns, endColumn exclusive)
+ */
+export function tokenizeNormalized(code, language = 'javascript') {
+  const source = (code || '').replace(/\r\n/g, '\n');
+  return tokenize(source, resolveLanguage(language))
+    .filter(token => token.type !== 'comment' && token.type !== 'preprocessor' && !token.docstring)
+    .map(token => {
+      let value = token.value;
+      if (token.type === 'string') value = 'STRING';
+      else if (token.type === 'number') value = 'NUM';
+      else if (token.type === 'identifier') value = 'ID';
+      // Multi-line tokens (template strings, raw strings) end on a later line
+      const sourceLines = token.value.split('\n');
+      const endLine = token.line + sourceLines.length - 1;
+      const endColumn = sourceLines.length > 1
+        ? sourceLines[sourceLines.length - 1].length
+        : token.column + token.value.length;
+      return { value, line: token.line, column: token.column, endLine, endColumn };
+    });
+}
+
 /**
  * Create a dual embedding: one with normalized code, one with original
  * This gives us the best of both worlds for matching
@@ -217,7 +895,7 @@ export function createSemanticSignature(code, language) {
     signature.push(`control:if=${ifCount},for=${forCount},while=${whileCount},return=${returnCount}`);
     
     // Extract function/method patterns
-    if (language === 'python') {
+    if (resolveLanguage(language) === 'python') {
       const defCount = (code.match(/\bdef\s+\w+\s*\(/g) || []).length;
       signature.push(`functions:${defCount}`);
     } else {
@@ -238,45 +916,36 @@ export function createSemanticSignature(code, language) {
 /**
  * Analyze structural metrics of code
  * Used for calculating structural difference penalties
+ * Counts come from lexer tokens, so keywords inside strings or comments are ignored.
  * 
  * @param {string} code - Code to analyze
  * @param {string} language - Programming language
  * @returns {Object} Structural metrics
  */
 export function analyzeStructure(code, language = 'javascript') {
+  const lang = resolveLanguage(language);
   const lines = code.split('\n').filter(line => line.trim());
-  const stats = {
+  const tokens = tokenize(code, lang);
+  const keywordCount = names => tokens.filter(token => token.type === 'keyword' && names.includes(token.value)).length;
+  const { functionCount, classCount } = analyzeIdentifiers(tokens, lang);
+  const syntax = (getLanguage(lang) || getLanguage('javascript')).syntax;
+
+  return {
     lines: lines.length,
-    conditionals: (code.match(/\b(if|elif|else|switch|case)\b/g) || []).length,
-    loops: (code.match(/\b(for|while|do)\b/g) || []).length,
-    returns: (code.match(/\breturn\b/g) || []).length,
-    functions: 0,
-    classes: 0
+    conditionals: keywordCount(syntax.conditionals),
+    loops: keywordCount(syntax.loops),
+    returns: keywordCount(syntax.returns),
+    functions: functionCount,
+    classes: classCount
   };
-  
-  const lang = resolveLanguage(language);
-  if (lang === 'python') {
-    stats.functions = (code.match(/\bdef\s+\w+\s*\(/g) || []).length;
-    stats.classes = (code.match(/\bclass\s+\w+/g) || []).length;
-  } else if (lang === 'java') {
-    stats.functions = (code.match(/\b(?:public|private|protected|static|final|abstract|synchronized)\s+[\w<>\[\]\s,?]+\s+\w+\s*\(/g) || []).length;
-    stats.classes = (code.match(/\bclass\s+\w+/g) || []).length;
-  } else if (lang === 'cpp' || lang === 'c') {
-    stats.functions = (code.match(/(?:^|\n)\s*(?:[\w:*&<>\[\]\s]+\s+)+\w+\s*\([^)]*\)\s*\{/g) || []).length;
-    stats.classes = (code.match(/\bclass\s+\w+/g) || []).length;
-  } else {
-    stats.functions = (code.match(/\bfunction\s+\w+\s*\(|\w+\s*:\s*function\s*\(|\w+\s*=\s*function\s*\(|=>\s*{/g) || []).length;
-    stats.classes = (code.match(/\bclass\s+\w+/g) || []).length;
-  }
-  
-  return stats;
 }
 
 /**
  * Calculate structural difference penalty
  * Penalizes significant differences in code organization (e.g., 3 functions vs 1 monolithic)
  *
- * Uses absolute function count difference (funcDiff) for aggressive penalties:
+ * Uses absolute function count difference (funcDiff); the tiers come from the
+ * scoring profile (`structuralPenalty`), by default:
  * - funcDiff >= 3: 0.3 multiplier (70% penalty) - e.g., 3 functions vs 1
  * - funcDiff === 2: 0.5 multiplier (50% penalty)
  * - funcDiff === 1: 0.75 multiplier (25% penalty)
@@ -285,29 +954,24 @@ export function analyzeStructure(code, language = 'javascript') {
  * @param {string} code1 - First code
  * @param {string} code2 - Second code
  * @param {string} language - Programming language
- * @returns {Object} { penaltyFactor, funcDiff, struct1, struct2 } for logging
+ * @param {Array<Object>} [tiers] - [{ minFunctionDiff, factor }], first reached tier wins; none: 1.0
+ * @returns {Object} { penaltyFactor, funcDiff, tier, struct1, struct2 } for logging
  */
-export function calculateStructuralPenalty(code1, code2, language = 'javascript') {
+export function calculateStructuralPenalty(code1, code2, language = 'javascript', tiers = STRUCTURAL_PENALTY_TIERS) {
   const struct1 = analyzeStructure(code1, language);
   const struct2 = analyzeStructure(code2, language);
 
   // Absolute difference in function count (e.g., 3 vs 1 => funcDiff = 2)
   const funcDiff = Math.abs(struct1.functions - struct2.functions);
 
-  let penaltyFactor;
-  if (funcDiff >= 3) {
-    penaltyFactor = 0.3;  // 70% penalty - very different structure (modular vs monolithic)
-  } else if (funcDiff === 2) {
-    penaltyFactor = 0.5;  // 50% penalty
-  } else if (funcDiff === 1) {
-    penaltyFactor = 0.75; // 25% penalty
-  } else {
-    penaltyFactor = 1.0;  // No penalty - same function count
-  }
+  // No tier reached (e.g. same function count): no penalty
+  const tier = tiers.find(t => funcDiff >= t.minFunctionDiff) || null;
+  const penaltyFactor = tier ? tier.factor : 1.0;
 
   return {
     penaltyFactor,
     funcDiff,
+    tier,
     struct1,
     struct2
   };
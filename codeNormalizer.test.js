@@ -0,0 +1,64 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as codeNormalizer from "./codeNormalizer.js";
+
+test("identifiers are renamed consistently, member names are kept", () => {
+  const a = codeNormalizer.normalizeCode(
+    'def f(total):\n    s = "total" # total\n    return obj.total + total',
+    "python",
+  );
+  const b = codeNormalizer.normalizeCode(
+    'def g(count):\n    s = "other"\n    return obj.total + count',
+    "python",
+  );
+  assert.equal(a, b);
+  assert.match(a, /obj\.total \+ var0/);
+  assert.doesNotMatch(a, /#/);
+});
+
+test("package and namespace names are not renamed", () => {
+  const go = codeNormalizer.normalizeCode(
+    "package main\n\nfunc add(a int, b int) int {\n\treturn a + b\n}",
+    "go",
+  );
+  assert.match(go, /^package main\n/);
+  assert.match(go, /func func0\(var0 int, var1 int\)/);
+
+  const java = codeNormalizer.normalizeCode(
+    "package com.example;\npublic class A { int f(int x) { return x; } }",
+    "java",
+  );
+  assert.match(java, /^package com\.example;/);
+
+  const csharp = codeNormalizer.normalizeCode(
+    "namespace Shop { class Cart { } }",
+    "csharp",
+  );
+  assert.match(csharp, /^namespace Shop /);
+});
+
+test("normalized tokens keep source positions", () => {
+  const tokens = codeNormalizer.tokenizeNormalized(
+    "x = 1\nprint('hi')",
+    "python",
+  );
+  assert.deepEqual(
+    tokens.map((t) => [t.value, t.line, t.column]),
+    [
+      ["ID", 1, 0],
+      ["=", 1, 2],
+      ["NUM", 1, 4],
+      ["ID", 2, 0],
+      ["(", 2, 5],
+      ["STRING", 2, 6],
+      [")", 2, 10],
+    ],
+  );
+});
+
+test("prepareDualCode keeps the original next to the normalized code", () => {
+  const dual = codeNormalizer.prepareDualCode("let a = 1;", "javascript");
+  assert.equal(dual.original, "let a = 1;");
+  assert.notEqual(dual.normalized, dual.original);
+});
@@ -0,0 +1,194 @@
+/**
+ * Collusion Clusters Module
+ * Groups students whose submissions are linked by suspicious pairs, so rings
+ * (A copied from B, C copied from A) surface as one case instead of separate
+ * pairs that may each fall below the radar.
+ *
+ * The similarity graph has one node per student and an edge wherever the best
+ * combined pair score between two students (similarityMatrix.js) reaches the
+ * threshold. Clusters are the connected components of that graph. Within a
+ * cluster, students are ranked as "source" candidates by weighted degree (how
+ * strongly they are linked to the others), earlier submissions first on ties:
+ * the original is usually the submission everyone else resembles.
+ */
+
+import dotenv from "dotenv";
+import { buildSimilarityMatrix } from "./similarityMatrix.js";
+
+dotenv.config();
+
+// Minimum combined pair score for an edge in the similarity graph
+export const DEFAULT_CLUSTER_THRESHOLD =
+  parseFloat(process.env.COLLUSION_CLUSTER_THRESHOLD) || 0.75;
+const MAX_SOURCE_CANDIDATES = 3;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function studentKey(studentId) {
+  return String(studentId || "")
+    .trim()
+    .toLowerCase();
+}
+
+/** Connected components of an undirected graph (union-find) */
+function connectedComponents(nodes, edges) {
+  const parent = new Map(nodes.map((node) => [node, node]));
+  const find = (node) => {
+    while (parent.get(node) !== node) {
+      parent.set(node, parent.get(parent.get(node)));
+      node = parent.get(node);
+    }
+    return node;
+  };
+  edges.forEach(({ a, b }) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootA, rootB);
+  });
+
+  const components = new Map();
+  nodes.forEach((node) => {
+    const root = find(node);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(node);
+  });
+  return [...components.values()];
+}
+
+/**
+ * Find clusters of students with linked submissions
+ * @param {string} questionId - Question ID
+ * @param {Object} [options] - { tenantId, examId, language, threshold (default 0.75), minSize (default 2), profile (scoring profile) }
+ * @returns {Promise<Object>} { questionId, examId, threshold, clusters, stats }
+ */
+export async function findCollusionClusters(questionId, options = {}) {
+  const {
+    tenantId,
+    examId = null,
+    language = null,
+    threshold = DEFAULT_CLUSTER_THRESHOLD,
+    minSize = 2,
+    profile = null,
+  } = options;
+
+  const { submissions, pairs, starterCode } = await buildSimilarityMatrix(
+    questionId,
+    { tenantId, examId, language, top: 0, profile },
+  );
+
+  // Students: their latest submission represents them in the report
+  const students = new Map();
+  submissions.forEach((sub) => {
+    students.set(studentKey(sub.studentId), sub);
+  });
+  const firstSubmittedAt = new Map();
+  submissions.forEach((sub) => {
+    const key = studentKey(sub.studentId);
+    if (!firstSubmittedAt.has(key)) firstSubmittedAt.set(key, sub.createdAt);
+  });
+
+  // Strongest pair per student pair becomes the edge (pairs are sorted by score)
+  const edges = new Map();
+  pairs
+    .filter((pair) => pair.combined >= threshold)
+    .forEach((pair) => {
+      const [a, b] = [studentKey(pair.studentA), studentKey(pair.studentB)];
+      const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+      if (!edges.has(key)) edges.set(key, { a, b, pair });
+    });
+
+  const components = connectedComponents(
+    [...students.keys()],
+    [...edges.values()],
+  ).filter((members) => members.length >= Math.max(2, minSize));
+
+  const clusters = components.map((members) => {
+    const memberSet = new Set(members);
+    const clusterEdges = [...edges.values()].filter(
+      ({ a, b }) => memberSet.has(a) && memberSet.has(b),
+    );
+
+    const degree = new Map(members.map((member) => [member, 0]));
+    const weightedDegree = new Map(members.map((member) => [member, 0]));
+    clusterEdges.forEach(({ a, b, pair }) => {
+      [a, b].forEach((member) => {
+        degree.set(member, degree.get(member) + 1);
+        weightedDegree.set(member, weightedDegree.get(member) + pair.combined);
+      });
+    });
+
+    const studentsInCluster = members
+      .map((member) => {
+        const sub = students.get(member);
+        return {
+          studentId: sub.studentId,
+          submissionId: sub.submissionId,
+          submittedAt: firstSubmittedAt.get(member) ?? null,
+          degree: degree.get(member),
+          weightedDegree: round(weightedDegree.get(member)),
+        };
+      })
+      .sort(
+        (x, y) =>
+          y.weightedDegree - x.weightedDegree ||
+          new Date(x.submittedAt || 0) - new Date(y.submittedAt || 0),
+      );
+
+    const earliest = [...studentsInCluster].sort(
+      (x, y) => new Date(x.submittedAt || 0) - new Date(y.submittedAt || 0),
+    )[0];
+    const sourceCandidates = studentsInCluster
+      .slice(0, MAX_SOURCE_CANDIDATES)
+      .map((student) => ({
+        studentId: student.studentId,
+        submissionId: student.submissionId,
+        centrality: round(
+          student.weightedDegree / Math.max(1, members.length - 1),
+        ),
+        earliest: student.studentId === earliest.studentId,
+      }));
+
+    const scores = clusterEdges.map(({ pair }) => pair.combined);
+    const possibleEdges = (members.length * (members.length - 1)) / 2;
+    return {
+      size: members.length,
+      students: studentsInCluster,
+      sourceCandidates,
+      edges: clusterEdges
+        .map(({ pair }) => pair)
+        .sort((x, y) => y.combined - x.combined),
+      maxScore: Math.max(...scores),
+      avgScore: round(scores.reduce((sum, s) => sum + s, 0) / scores.length),
+      // 1 = every member matches every other member; lower = a chain
+      density: round(clusterEdges.length / possibleEdges),
+    };
+  });
+
+  const ranked = clusters
+    .sort((x, y) => y.size - x.size || y.maxScore - x.maxScore)
+    .map((cluster, index) => ({ clusterId: index + 1, ...cluster }));
+
+  console.log(
+    `[Collusion Clusters] ${ranked.length} clusters among ${students.size} students (threshold ${threshold}, ${edges.size} edges)`,
+  );
+
+  return {
+    questionId,
+    examId,
+    threshold,
+    starterCode,
+    clusters: ranked,
+    stats: {
+      studentCount: students.size,
+      edgeCount: edges.size,
+      clusteredStudents: ranked.reduce((sum, c) => sum + c.size, 0),
+    },
+  };
+}
+
+export default {
+  DEFAULT_CLUSTER_THRESHOLD,
+  findCollusionClusters,
+};
@@ -0,0 +1,146 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as vectorDb from "./vectorDb.js";
+import * as memoryStore from "./memoryStore.js";
+import { fingerprintCode } from "./winnowing.js";
+import { embedText } from "./localEmbeddingProvider.js";
+import { findCollusionClusters } from "./collusionClusters.js";
+
+const SORT = `def bubble_sort(items):
+    n = len(items)
+    for i in range(n):
+        for j in range(0, n - i - 1):
+            if items[j] > items[j + 1]:
+                items[j], items[j + 1] = items[j + 1], items[j]
+    return items
+`;
+
+// Same program with every identifier renamed
+const SORT_RENAMED = `def sort_values(values):
+    count = len(values)
+    for a in range(count):
+        for b in range(0, count - a - 1):
+            if values[b] > values[b + 1]:
+                values[b], values[b + 1] = values[b + 1], values[b]
+    return values
+`;
+
+const STACK = `class Stack:
+    def __init__(self):
+        self.data = []
+
+    def push(self, value):
+        self.data.append(value)
+
+    def pop(self):
+        if not self.data:
+            raise IndexError("empty stack")
+        return self.data.pop()
+`;
+
+const STACK_RENAMED = `class Pile:
+    def __init__(self):
+        self.items = []
+
+    def push(self, item):
+        self.items.append(item)
+
+    def pop(self):
+        if not self.items:
+            raise IndexError("empty stack")
+        return self.items.pop()
+`;
+
+const UNRELATED = `import math
+
+def area(radius):
+    return math.pi * radius ** 2
+
+print(area(3))
+`;
+
+async function submit(submissionId, studentId, code) {
+  await vectorDb.saveSubmission({
+    submissionId,
+    studentId,
+    questionId: "q1",
+    language: "python",
+    code,
+    embedding: embedText(code),
+    chunks: [],
+    fingerprints: fingerprintCode(code, "python"),
+  });
+  // Distinct timestamps, so submission order decides "earliest"
+  await new Promise((resolve) => setTimeout(resolve, 2));
+}
+
+test.before(async () => {
+  assert.equal(await vectorDb.initializeIndex("memory"), true);
+  memoryStore.clear();
+  // A ring: bob and carol both copied alice
+  await submit("s1", "alice", SORT);
+  await submit("s2", "bob", SORT_RENAMED);
+  await submit("s3", "carol", SORT_RENAMED.replace("count", "size"));
+  // A separate pair
+  await submit("s4", "erin", STACK);
+  await submit("s5", "frank", STACK_RENAMED);
+  await submit("s6", "dave", UNRELATED);
+  // bob's resubmission represents him in the report
+  await submit("s7", "Bob", SORT_RENAMED);
+});
+
+test("connected students form one cluster, larger clusters first", async () => {
+  const result = await findCollusionClusters("q1");
+
+  assert.equal(result.stats.studentCount, 6);
+  assert.deepEqual(
+    result.clusters.map((cluster) => [
+      cluster.clusterId,
+      cluster.students.map((s) => s.studentId.toLowerCase()).sort(),
+    ]),
+    [
+      [1, ["alice", "bob", "carol"]],
+      [2, ["erin", "frank"]],
+    ],
+  );
+  assert.equal(result.stats.clusteredStudents, 5);
+
+  const [ring, pair] = result.clusters;
+  assert.equal(ring.size, 3);
+  assert.equal(ring.density, 1);
+  assert.equal(
+    ring.students.find((s) => s.studentId === "Bob").submissionId,
+    "s7",
+  );
+  assert.ok(ring.edges.every((edge) => edge.combined >= result.threshold));
+  assert.equal(pair.edges.length, 1);
+});
+
+test("source candidates rank by weighted degree, earliest marked", async () => {
+  const [ring] = (await findCollusionClusters("q1")).clusters;
+
+  assert.equal(ring.sourceCandidates.length, 3);
+  for (let i = 1; i < ring.students.length; i++) {
+    assert.ok(
+      ring.students[i - 1].weightedDegree >= ring.students[i].weightedDegree,
+    );
+  }
+  const earliest = ring.sourceCandidates.filter((c) => c.earliest);
+  assert.deepEqual(
+    earliest.map((c) => c.studentId),
+    ["alice"],
+  );
+});
+
+test("threshold and minSize filter the clusters", async () => {
+  const ringsOnly = await findCollusionClusters("q1", { minSize: 3 });
+  assert.deepEqual(
+    ringsOnly.clusters.map((cluster) => cluster.size),
+    [3],
+  );
+
+  const none = await findCollusionClusters("q1", { threshold: 1.01 });
+  assert.deepEqual(none.clusters, []);
+  assert.equal(none.stats.edgeCount, 0);
+});
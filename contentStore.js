@@ -0,0 +1,159 @@
+/**
+ * Content Store Module
+ * Keeps the full source of every submission, keyed by submissionId.
+ * Vector stores only hold a pointer (contentRef) and a SHA-256 content hash, so
+ * no read path ever works on truncated code (Pinecone metadata caps at ~40 KB
+ * and the old 1000-character preview was used for diffs and re-embedding).
+ *
+ * Backend is chosen with CONTENT_STORE_PROVIDER:
+ *   - "fs" (default): one JSON file per submission under CONTENT_STORE_DIR
+ *   - "memory": in-process Map (tests and demos)
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const CONTENT_STORE_PROVIDER = (
+  process.env.CONTENT_STORE_PROVIDER || "fs"
+)
+  .trim()
+  .toLowerCase();
+const CONTENT_STORE_DIR = path.resolve(
+  process.env.CONTENT_STORE_DIR || "data/content",
+);
+
+const memoryContents = new Map();
+
+/**
+ * SHA-256 hash of submission source (hex)
+ * @param {string} code - Source code
+ * @returns {string} Content hash
+ */
+export function hashContent(code) {
+  return crypto.createHash("sha256").update(code, "utf8").digest("hex");
+}
+
+function contentPath(contentRef) {
+  return path.join(CONTENT_STORE_DIR, `${encodeURIComponent(contentRef)}.json`);
+}
+
+/**
+ * Save the full source for a submission
+ * @param {string} submissionId - Submission ID (used as the content pointer)
+ * @param {string} code - Full source code
+ * @param {Object} [fingerprints] - Winnowing fingerprints (winnowing.fingerprintCode)
+ * @param {Array<Object>} [files] - File manifest of a multi-file project (projectFiles.buildProject)
+ * @returns {Promise<Object>} { contentRef, contentHash, codeLength }
+ */
+export async function saveContent(
+  submissionId,
+  code,
+  fingerprints = null,
+  files = null,
+) {
+  const record = {
+    contentRef: String(submissionId),
+    contentHash: hashContent(code),
+    codeLength: code.length,
+    code,
+    fingerprints,
+    files,
+    savedAt: new Date().toISOString(),
+  };
+
+  try {
+    if (CONTENT_STORE_PROVIDER === "memory") {
+      memoryContents.set(record.contentRef, record);
+    } else {
+      await fs.promises.mkdir(CONTENT_STORE_DIR, { recursive: true });
+      // Write to a temp file and rename so readers never see a partial file
+      const target = contentPath(record.contentRef);
+      const tempFile = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(record), "utf8");
+      await fs.promises.rename(tempFile, target);
+    }
+  } catch (error) {
+    console.error("[Content Store Save Error]", error.message);
+    throw new Error(`[Content Store Save Error] ${error.message}`);
+  }
+
+  return {
+    contentRef: record.contentRef,
+    contentHash: record.contentHash,
+    codeLength: record.codeLength,
+  };
+}
+
+async function readRecord(contentRef) {
+  try {
+    if (CONTENT_STORE_PROVIDER === "memory") {
+      return memoryContents.get(String(contentRef)) || null;
+    }
+    const raw = await fs.promises.readFile(
+      contentPath(String(contentRef)),
+      "utf8",
+    );
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Content Store Read Error]", error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Load the full source for a submission
+ * @param {string} contentRef - Content pointer (submissionId)
+ * @param {string} [expectedHash] - Hash stored alongside the vector; logged if it differs
+ * @returns {Promise<string|null>} Source code or null if not stored
+ */
+export async function getContent(contentRef, expectedHash = null) {
+  const content = await getContentWithFiles(contentRef, expectedHash);
+  return content ? content.code : null;
+}
+
+/**
+ * Load the full source and, for multi-file projects, the file manifest
+ * @param {string} contentRef - Content pointer (submissionId)
+ * @param {string} [expectedHash] - Hash stored alongside the vector; logged if it differs
+ * @returns {Promise<Object|null>} { code, files|null } or null if not stored
+ */
+export async function getContentWithFiles(contentRef, expectedHash = null) {
+  if (!contentRef) return null;
+
+  const record = await readRecord(contentRef);
+  if (!record) return null;
+
+  if (expectedHash && record.contentHash !== expectedHash) {
+    console.warn(
+      `[Content Store] Hash mismatch for ${contentRef}: stored content changed since it was embedded`,
+    );
+  }
+  return { code: record.code, files: record.files || null };
+}
+
+/**
+ * Load the winnowing fingerprints saved with a submission
+ * @param {string} contentRef - Content pointer (submissionId)
+ * @returns {Promise<Object|null>} Fingerprint set or null if none were stored
+ */
+export async function getFingerprints(contentRef) {
+  if (!contentRef) return null;
+
+  const record = await readRecord(contentRef);
+  return record?.fingerprints || null;
+}
+
+export default {
+  CONTENT_STORE_PROVIDER,
+  hashContent,
+  saveContent,
+  getContent,
+  getContentWithFiles,
+  getFingerprints,
+};
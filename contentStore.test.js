@@ -0,0 +1,77 @@
+import { TEMP_DIR } from "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import * as contentStore from "./contentStore.js";
+
+// Larger than Pinecone's ~40 KB metadata limit and the old 1000-character preview
+const LONG_CODE = Array.from(
+  { length: 2000 },
+  (_, i) => `def f${i}(x):\n    return x + ${i}\n`,
+).join("");
+
+test("hashContent is a stable SHA-256 hex digest", () => {
+  assert.match(contentStore.hashContent("x = 1"), /^[0-9a-f]{64}$/);
+  assert.equal(
+    contentStore.hashContent("x = 1"),
+    contentStore.hashContent("x = 1"),
+  );
+  assert.notEqual(
+    contentStore.hashContent("x = 1"),
+    contentStore.hashContent("x = 2"),
+  );
+});
+
+test("keeps the full source, fingerprints and file manifest", async () => {
+  assert.equal(contentStore.CONTENT_STORE_PROVIDER, "memory");
+  const fingerprints = { k: 5, window: 4, hashes: [1, 2, 3] };
+  const files = [{ path: "main.py", startLine: 1, endLine: 4000 }];
+
+  const saved = await contentStore.saveContent(
+    "s1",
+    LONG_CODE,
+    fingerprints,
+    files,
+  );
+  assert.deepEqual(saved, {
+    contentRef: "s1",
+    contentHash: contentStore.hashContent(LONG_CODE),
+    codeLength: LONG_CODE.length,
+  });
+
+  assert.equal(await contentStore.getContent("s1"), LONG_CODE);
+  assert.deepEqual(await contentStore.getContentWithFiles("s1"), {
+    code: LONG_CODE,
+    files,
+  });
+  assert.deepEqual(await contentStore.getFingerprints("s1"), fingerprints);
+});
+
+test("returns null for unknown refs and still serves changed content", async () => {
+  assert.equal(await contentStore.getContent("missing"), null);
+  assert.equal(await contentStore.getContent(null), null);
+  assert.equal(await contentStore.getFingerprints("missing"), null);
+
+  await contentStore.saveContent("s2", "print(1)");
+  assert.equal(await contentStore.getContent("s2", "stale-hash"), "print(1)");
+});
+
+test("fs provider writes one file per submission without temp leftovers", async () => {
+  const dir = path.join(TEMP_DIR, "content");
+  process.env.CONTENT_STORE_PROVIDER = "fs";
+  process.env.CONTENT_STORE_DIR = dir;
+  const fsStore = await import("./contentStore.js?fs");
+  process.env.CONTENT_STORE_PROVIDER = "memory";
+  delete process.env.CONTENT_STORE_DIR;
+
+  assert.equal(fsStore.CONTENT_STORE_PROVIDER, "fs");
+  await fsStore.saveContent("uni-a:s/1", LONG_CODE);
+  await fsStore.saveContent("uni-a:s/1", `${LONG_CODE}# edited\n`);
+
+  assert.deepEqual(fs.readdirSync(dir), [
+    `${encodeURIComponent("uni-a:s/1")}.json`,
+  ]);
+  assert.equal(await fsStore.getContent("uni-a:s/1"), `${LONG_CODE}# edited\n`);
+  assert.equal(await fsStore.getContent("missing"), null);
+});
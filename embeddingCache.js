@@ -0,0 +1,272 @@
+/**
+ * Embedding Cache Module
+ * Persistent cache of embeddings keyed by
+ * (model, normalization mode, language, SHA-256 of the embedded text), so
+ * resubmissions, starter-code chunks and repeated checks are never embedded twice.
+ *
+ * Backend is chosen with EMBEDDING_CACHE_PROVIDER:
+ *   - "fs" (default): append-only JSONL file at EMBEDDING_CACHE_PATH, streamed
+ *     in line by line on first use. Each key is written once; when the file
+ *     holds more than EMBEDDING_CACHE_COMPACT_LINES lines it is rewritten with
+ *     only the entries still in memory.
+ *   - "memory": in-process only
+ *   - "off": disabled (every lookup is a miss, nothing is stored)
+ *
+ * At most EMBEDDING_CACHE_MAX_ENTRIES embeddings are kept in memory; the least
+ * recently used ones are evicted first (they stay in the file until the next
+ * compaction, and are only embedded again if they are needed after eviction).
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import readline from "readline";
+import { once } from "events";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+export const EMBEDDING_CACHE_PROVIDER = (
+  process.env.EMBEDDING_CACHE_PROVIDER || "fs"
+)
+  .trim()
+  .toLowerCase();
+const EMBEDDING_CACHE_PATH = path.resolve(
+  process.env.EMBEDDING_CACHE_PATH || "data/embedding-cache.jsonl",
+);
+// A 1536-dimension embedding takes about 12 KB of memory
+export const EMBEDDING_CACHE_MAX_ENTRIES =
+  parseInt(process.env.EMBEDDING_CACHE_MAX_ENTRIES, 10) || 20000;
+// Rewrite the file once it has this many lines (evicted entries pile up in it)
+export const EMBEDDING_CACHE_COMPACT_LINES =
+  parseInt(process.env.EMBEDDING_CACHE_COMPACT_LINES, 10) ||
+  EMBEDDING_CACHE_MAX_ENTRIES * 2;
+
+// Map iteration order is insertion order: the first key is the least recently used
+const entries = new Map();
+const stats = { hits: 0, misses: 0, writes: 0, evictions: 0, compactions: 0 };
+// Keys that already have a line in the file, and the file's line count
+const persistedKeys = new Set();
+let fileLines = 0;
+let loading = null;
+let pendingWrite = Promise.resolve();
+
+// Lines are written as {"key":"...","embedding":[...]}: read the key without
+// parsing the (much larger) embedding
+const KEY_PREFIX = /^\{"key":"([^"\\]*)"/;
+
+function remember(key, embedding) {
+  entries.delete(key);
+  entries.set(key, embedding);
+  while (entries.size > EMBEDDING_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+}
+
+/**
+ * Build the cache key for an embedded text
+ * @param {Object} parts - { model, normalized, language, text }
+ * @returns {string} Cache key
+ */
+export function buildCacheKey({ model, normalized, language, text }) {
+  const textHash = crypto
+    .createHash("sha256")
+    .update(text, "utf8")
+    .digest("hex");
+  return `${model}:${normalized ? "normalized" : "raw"}:${language}:${textHash}`;
+}
+
+/**
+ * Load the JSONL cache file into memory (once; concurrent callers share the load)
+ * @returns {Promise<void>}
+ */
+function ensureLoaded() {
+  if (!loading) loading = loadFile();
+  return loading;
+}
+
+async function loadFile() {
+  if (EMBEDDING_CACHE_PROVIDER !== "fs") return;
+
+  persistedKeys.clear();
+  fileLines = 0;
+  try {
+    const lines = readline.createInterface({
+      input: fs.createReadStream(EMBEDDING_CACHE_PATH, "utf8"),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      fileLines++;
+
+      // Entries stored while the file was loading are newer, and a key
+      // appended twice by older versions only needs loading once
+      const prefix = KEY_PREFIX.exec(line);
+      if (prefix && entries.has(prefix[1])) {
+        persistedKeys.add(prefix[1]);
+        continue;
+      }
+      try {
+        const { key, embedding } = JSON.parse(line);
+        persistedKeys.add(key);
+        if (!entries.has(key)) remember(key, embedding);
+      } catch {
+        // Skip a partially written last line
+      }
+    }
+    console.log(
+      `[Embedding Cache] Loaded ${entries.size} cached embeddings from ${EMBEDDING_CACHE_PATH}`,
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Embedding Cache Load Error]", error.message);
+    }
+  }
+}
+
+/**
+ * Look up a cached embedding (counts a hit or a miss)
+ * @param {string} key - Key from buildCacheKey()
+ * @returns {Promise<Array<number>|null>} Cached embedding or null
+ */
+export async function getCachedEmbedding(key) {
+  if (EMBEDDING_CACHE_PROVIDER === "off") {
+    stats.misses++;
+    return null;
+  }
+  await ensureLoaded();
+
+  const embedding = entries.get(key);
+  if (embedding) {
+    stats.hits++;
+    remember(key, embedding);
+    return embedding;
+  }
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Store an embedding; persisted in the background for the "fs" provider
+ * @param {string} key - Key from buildCacheKey()
+ * @param {Array<number>} embedding - Embedding vector
+ */
+export function setCachedEmbedding(key, embedding) {
+  if (EMBEDDING_CACHE_PROVIDER === "off" || entries.has(key)) return;
+
+  remember(key, embedding);
+  stats.writes++;
+
+  if (EMBEDDING_CACHE_PROVIDER === "fs") {
+    // Chain appends so concurrent requests never interleave lines; the file
+    // must be loaded first to know which keys it already holds
+    pendingWrite = pendingWrite
+      .then(() => ensureLoaded())
+      .then(async () => {
+        // Evicted and embedded again: the file still has it
+        if (persistedKeys.has(key)) return;
+
+        await fs.promises.mkdir(path.dirname(EMBEDDING_CACHE_PATH), {
+          recursive: true,
+        });
+        await fs.promises.appendFile(
+          EMBEDDING_CACHE_PATH,
+          `${JSON.stringify({ key, embedding })}\n`,
+          "utf8",
+        );
+        persistedKeys.add(key);
+        fileLines++;
+
+        if (fileLines > EMBEDDING_CACHE_COMPACT_LINES) await compactFile();
+      })
+      .catch((error) => {
+        console.error("[Embedding Cache Write Error]", error.message);
+      });
+  }
+}
+
+/**
+ * Rewrite the cache file with only the entries still in memory
+ * Runs inside the pendingWrite chain, so no append can interleave. Written to
+ * a temp file and renamed, so a crash never leaves a truncated cache.
+ */
+async function compactFile() {
+  const live = [...entries];
+  const tempFile = `${EMBEDDING_CACHE_PATH}.${process.pid}.tmp`;
+  const out = fs.createWriteStream(tempFile, "utf8");
+  try {
+    for (const [key, embedding] of live) {
+      if (!out.write(`${JSON.stringify({ key, embedding })}\n`)) {
+        await once(out, "drain");
+      }
+    }
+    out.end();
+    await once(out, "finish");
+    await fs.promises.rename(tempFile, EMBEDDING_CACHE_PATH);
+  } catch (error) {
+    out.destroy();
+    await fs.promises.rm(tempFile, { force: true });
+    throw error;
+  }
+
+  console.log(
+    `[Embedding Cache] Compacted ${EMBEDDING_CACHE_PATH}: ${fileLines} lines -> ${live.length}`,
+  );
+  persistedKeys.clear();
+  live.forEach(([key]) => persistedKeys.add(key));
+  fileLines = live.length;
+  stats.compactions++;
+}
+
+/**
+ * Wait until every queued write has reached disk
+ */
+export async function flush() {
+  await pendingWrite;
+}
+
+/**
+ * Drop the in-memory entries and statistics (the file is kept; it is loaded
+ * again on the next lookup)
+ */
+export function clear() {
+  entries.clear();
+  persistedKeys.clear();
+  fileLines = 0;
+  Object.keys(stats).forEach((name) => {
+    stats[name] = 0;
+  });
+  loading = null;
+}
+
+/**
+ * Hit/miss statistics for /api/health
+ * @returns {Object} { provider, entries, maxEntries, hits, misses, writes, evictions, compactions, hitRate }
+ */
+export function getStats() {
+  const lookups = stats.hits + stats.misses;
+  return {
+    provider: EMBEDDING_CACHE_PROVIDER,
+    entries: entries.size,
+    maxEntries: EMBEDDING_CACHE_MAX_ENTRIES,
+    hits: stats.hits,
+    misses: stats.misses,
+    writes: stats.writes,
+    evictions: stats.evictions,
+    compactions: stats.compactions,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+  };
+}
+
+export default {
+  EMBEDDING_CACHE_PROVIDER,
+  EMBEDDING_CACHE_MAX_ENTRIES,
+  EMBEDDING_CACHE_COMPACT_LINES,
+  buildCacheKey,
+  getCachedEmbedding,
+  setCachedEmbedding,
+  flush,
+  clear,
+  getStats,
+};
@@ -0,0 +1,128 @@
+import { TEMP_DIR } from "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+
+// The file-backed provider with a tiny bound, so eviction is observable
+const CACHE_PATH = path.join(TEMP_DIR, "embedding-cache.jsonl");
+process.env.EMBEDDING_CACHE_PROVIDER = "fs";
+process.env.EMBEDDING_CACHE_PATH = CACHE_PATH;
+process.env.EMBEDDING_CACHE_MAX_ENTRIES = "2";
+const embeddingCache = await import("./embeddingCache.js");
+
+const key = (text, overrides = {}) =>
+  embeddingCache.buildCacheKey({
+    model: "local",
+    normalized: true,
+    language: "python",
+    text,
+    ...overrides,
+  });
+
+test.beforeEach(() => {
+  embeddingCache.clear();
+  fs.rmSync(CACHE_PATH, { force: true });
+});
+
+test("keys depend on model, normalization, language and text", () => {
+  const base = key("x = 1");
+  assert.equal(base, key("x = 1"));
+  assert.notEqual(base, key("x = 2"));
+  assert.notEqual(base, key("x = 1", { model: "openai" }));
+  assert.notEqual(base, key("x = 1", { normalized: false }));
+  assert.notEqual(base, key("x = 1", { language: "java" }));
+});
+
+test("counts hits and misses", async () => {
+  assert.equal(await embeddingCache.getCachedEmbedding(key("a")), null);
+  embeddingCache.setCachedEmbedding(key("a"), [1, 2]);
+  assert.deepEqual(await embeddingCache.getCachedEmbedding(key("a")), [1, 2]);
+
+  const stats = embeddingCache.getStats();
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 1);
+  assert.equal(stats.writes, 1);
+  assert.equal(stats.hitRate, 0.5);
+});
+
+test("evicts the least recently used entry", async () => {
+  embeddingCache.setCachedEmbedding(key("a"), [1]);
+  embeddingCache.setCachedEmbedding(key("b"), [2]);
+  await embeddingCache.getCachedEmbedding(key("a"));
+  embeddingCache.setCachedEmbedding(key("c"), [3]);
+
+  assert.equal(embeddingCache.getStats().entries, 2);
+  assert.equal(embeddingCache.getStats().evictions, 1);
+  assert.equal(await embeddingCache.getCachedEmbedding(key("b")), null);
+  assert.deepEqual(await embeddingCache.getCachedEmbedding(key("a")), [1]);
+});
+
+test("persists entries and loads them again after clear()", async () => {
+  embeddingCache.setCachedEmbedding(key("a"), [1]);
+  embeddingCache.setCachedEmbedding(key("b"), [2]);
+  await embeddingCache.flush();
+  fs.appendFileSync(CACHE_PATH, '{"key": "partial');
+
+  embeddingCache.clear();
+  assert.deepEqual(await embeddingCache.getCachedEmbedding(key("b")), [2]);
+  assert.equal(embeddingCache.getStats().entries, 2);
+});
+
+const fileKeys = () =>
+  fs
+    .readFileSync(CACHE_PATH, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line).key);
+
+test("an evicted key embedded again is not appended twice", async () => {
+  embeddingCache.setCachedEmbedding(key("a"), [1]);
+  embeddingCache.setCachedEmbedding(key("b"), [2]);
+  embeddingCache.setCachedEmbedding(key("c"), [3]);
+  assert.equal(await embeddingCache.getCachedEmbedding(key("a")), null);
+  embeddingCache.setCachedEmbedding(key("a"), [1]);
+  await embeddingCache.flush();
+
+  assert.deepEqual(fileKeys(), [key("a"), key("b"), key("c")]);
+});
+
+test("duplicate lines from older files are loaded once", async () => {
+  const line = (text, embedding) =>
+    `${JSON.stringify({ key: key(text), embedding })}\n`;
+  fs.writeFileSync(
+    CACHE_PATH,
+    line("a", [1]) + line("a", [1]) + line("b", [2]),
+  );
+
+  assert.deepEqual(await embeddingCache.getCachedEmbedding(key("a")), [1]);
+  assert.equal(embeddingCache.getStats().entries, 2);
+  assert.equal(embeddingCache.getStats().evictions, 0);
+});
+
+test("compacts the file to the live entries past the line threshold", async () => {
+  assert.equal(embeddingCache.EMBEDDING_CACHE_COMPACT_LINES, 4);
+  for (const text of ["a", "b", "c", "d"]) {
+    embeddingCache.setCachedEmbedding(key(text), [text.charCodeAt(0)]);
+  }
+  await embeddingCache.flush();
+  assert.equal(fileKeys().length, 4);
+  assert.equal(embeddingCache.getStats().compactions, 0);
+
+  embeddingCache.setCachedEmbedding(key("e"), [101]);
+  await embeddingCache.flush();
+  assert.deepEqual(fileKeys(), [key("d"), key("e")]);
+  assert.equal(embeddingCache.getStats().compactions, 1);
+  assert.deepEqual(fs.readdirSync(path.dirname(CACHE_PATH)).sort(), [
+    path.basename(CACHE_PATH),
+  ]);
+
+  // Dropped from the file, so embedding it again writes a new line
+  embeddingCache.setCachedEmbedding(key("a"), [97]);
+  await embeddingCache.flush();
+  assert.deepEqual(fileKeys(), [key("d"), key("e"), key("a")]);
+
+  embeddingCache.clear();
+  assert.deepEqual(await embeddingCache.getCachedEmbedding(key("e")), [101]);
+  assert.equal(await embeddingCache.getCachedEmbedding(key("b")), null);
+});
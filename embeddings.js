@@ -1,20 +1,27 @@
 /**
- * OpenAI Embeddings Module
- * Generates vector embeddings for code using OpenAI's API
+ * Embeddings Module
+ * Generates vector embeddings for code through a pluggable provider
  * FIXED: Added retry logic, validation, and error handling to prevent 0 scores
  * ENHANCED: Added code normalization for better variable renaming detection
+ *
+ * Provider is chosen per deployment with EMBEDDING_PROVIDER:
+ *   - "openai" (default): text-embedding-3-small via the OpenAI API
+ *   - "local": offline hashed n-gram vectors (localEmbeddingProvider.js), no network or API key
+ *
+ * Provider interface:
+ *   { name, model, dimensions, similarityBaseline, requiresApiKey,
+ *     embedBatch(texts, apiKey) → Promise<Array<Array<number>>> }
  */
 
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import * as codeNormalizer from './codeNormalizer.js';
+import * as localEmbeddingProvider from './localEmbeddingProvider.js';
+import * as embeddingCache from './embeddingCache.js';
+import { splitProject } from './projectFiles.js';
 
 dotenv.config();
 
-// Embedding model configuration
-export const EMBEDDING_MODEL = 'text-embedding-3-small'; // 1536 dimensions
-export const EMBEDDING_DIMENSIONS = 1536;
-
 // Retry configuration
 const MAX_RETRIES = 3;
 const RETRY_DELAY_MS = 1000;
@@ -48,6 +55,62 @@ function getOpenAIClient(customApiKey) {
   return defaultOpenai;
 }
 
+const openaiEmbeddingProvider = {
+  name: 'openai',
+  model: 'text-embedding-3-small',
+  dimensions: 1536,
+  // Unrelated code scores ~0.70 raw cosine with this model (see vectorDb.js calibration)
+  similarityBaseline: 0.7,
+  requiresApiKey: true,
+  async embedBatch(texts, customApiKey) {
+    const client = getOpenAIClient(customApiKey);
+
+    const response = await client.embeddings.create({
+      model: this.model,
+      input: texts,
+      encoding_format: 'float',
+    });
+
+    if (!response || !response.data) {
+      throw new Error('Invalid response from OpenAI API');
+    }
+
+    return response.data.map(item => item.embedding);
+  },
+};
+
+const EMBEDDING_PROVIDERS = {
+  openai: openaiEmbeddingProvider,
+  local: localEmbeddingProvider,
+};
+
+export const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || 'openai').trim().toLowerCase();
+
+const provider = EMBEDDING_PROVIDERS[EMBEDDING_PROVIDER];
+if (!provider) {
+  throw new Error(
+    `Unknown EMBEDDING_PROVIDER "${EMBEDDING_PROVIDER}". Supported: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`
+  );
+}
+
+// Embedding model configuration (from the active provider)
+export const EMBEDDING_MODEL = provider.model;
+export const EMBEDDING_DIMENSIONS = provider.dimensions;
+
+/**
+ * Describe the active embedding provider
+ * @returns {Object} { provider, model, dimensions, similarityBaseline, requiresApiKey }
+ */
+export function getEmbeddingProviderInfo() {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    dimensions: provider.dimensions,
+    similarityBaseline: provider.similarityBaseline,
+    requiresApiKey: provider.requiresApiKey,
+  };
+}
+
 /**
  * Validate embedding vector
  * @param {Array<number>} embedding - Embedding vector to validate
@@ -100,7 +163,7 @@ function sleep(ms) {
  * Generate embedding for a single text with retry logic
  * @param {string} text - Text to embed
  * @param {string} customApiKey - Optional custom API key
- * @returns {Promise<Array<number>>} Embedding vector (1536 dimensions)
+ * @returns {Promise<Array<number>>} Embedding vector (EMBEDDING_DIMENSIONS, 1536)
  */
 export async function generateEmbedding(text, customApiKey = null) {
   let lastError = null;
@@ -116,21 +179,9 @@ export async function generateEmbedding(text, customApiKey = null) {
         throw new Error('Cannot generate embedding for empty text');
       }
       
-      console.log(`[Embeddings] Generating embedding (attempt ${attempt}/${MAX_RETRIES}, ${normalizedText.length} chars)`);
-      
-      const client = getOpenAIClient(customApiKey);
+      console.log(`[Embeddings] Generating embedding (attempt ${attempt}/${MAX_RETRIES}, ${normalizedText.length} chars, provider: ${provider.name})`);
       
-      const response = await client.embeddings.create({
-        model: EMBEDDING_MODEL,
-        input: normalizedText,
-        encoding_format: 'float',
-      });
-      
-      if (!response || !response.data || !response.data[0]) {
-        throw new Error('Invalid response from OpenAI API');
-      }
-      
-      const embedding = response.data[0].embedding;
+      const [embedding] = await provider.embedBatch([normalizedText], customApiKey);
       
       // Validate embedding
       if (!isValidEmbedding(embedding)) {
@@ -180,21 +231,9 @@ export async function generateEmbeddingsBatch(texts, customApiKey = null) {
     // Collapsing /\s+/ → ' ' destroys indentation in code chunks.
     const normalizedTexts = validTexts.map(text => text.trim());
     
-    console.log(`[Embeddings] Generating ${normalizedTexts.length} embeddings in batch`);
-    
-    const client = getOpenAIClient(customApiKey);
-    
-    const response = await client.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: normalizedTexts,
-      encoding_format: 'float',
-    });
-    
-    if (!response || !response.data) {
-      throw new Error('Invalid batch response from OpenAI API');
-    }
+    console.log(`[Embeddings] Generating ${normalizedTexts.length} embeddings in batch (provider: ${provider.name})`);
     
-    const embeddings = response.data.map(item => item.embedding);
+    const embeddings = await provider.embedBatch(normalizedTexts, customApiKey);
     
     // Validate all embeddings
     const validatedEmbeddings = [];
@@ -224,9 +263,11 @@ export async function generateEmbeddingsBatch(texts, customApiKey = null) {
  * @param {string} code - Code text
  * @param {string} language - Programming language (e.g., 'javascript', 'python')
  * @param {string} customApiKey - Optional custom API key
+ * @param {Object} options - { storeInCache: false leaves the embedding cache untouched (ad hoc comparisons),
+ *   files: project manifest, so every file is normalized in its own language }
  * @returns {Promise<Array<number>>} Embedding vector
  */
-export async function generateCodeEmbedding(code, language = 'javascript', customApiKey = null, useNormalization = true) {
+export async function generateCodeEmbedding(code, language = 'javascript', customApiKey = null, useNormalization = true, options = {}) {
   let contextualizedCode;
   
   if (useNormalization) {
@@ -236,7 +277,12 @@ export async function generateCodeEmbedding(code, language = 'javascript', custo
     //   1. All submissions share the same boilerplate tokens
     //   2. Variable normalization (var0, var1...) makes any two programs look alike
     //   3. The redundant triple representation wastes the model's context budget
-    const normalizedCode = codeNormalizer.normalizeCode(code, language);
+    const normalizedCode = options.files?.length
+      ? splitProject(code, options.files)
+        .map(file => codeNormalizer.normalizeCode(file.content, file.language))
+        .filter(Boolean)
+        .join('\n\n')
+      : codeNormalizer.normalizeCode(code, language);
     contextualizedCode = `${language}:\n${normalizedCode}`;
     console.log(`[Embeddings] Using normalized code for ${language}`);
   } else {
@@ -244,18 +290,35 @@ export async function generateCodeEmbedding(code, language = 'javascript', custo
     console.log(`[Embeddings] Using original code (normalization disabled) for ${language}`);
   }
   
-  return generateEmbedding(contextualizedCode, customApiKey);
+  const cacheKey = embeddingCache.buildCacheKey({
+    model: EMBEDDING_MODEL,
+    normalized: useNormalization,
+    language,
+    text: contextualizedCode,
+  });
+  const cached = await embeddingCache.getCachedEmbedding(cacheKey);
+  if (cached) {
+    console.log('[Embeddings] Embedding cache hit for whole code');
+    return cached;
+  }
+  
+  const embedding = await generateEmbedding(contextualizedCode, customApiKey);
+  if (options.storeInCache !== false) {
+    embeddingCache.setCachedEmbedding(cacheKey, embedding);
+  }
+  return embedding;
 }
 
 /**
  * Generate embeddings for code chunks with context and normalization
  * ENHANCED: Includes normalized versions for better matching
- * @param {Array<Object>} chunks - Array of {index, text} objects
- * @param {string} language - Programming language
+ * @param {Array<Object>} chunks - Array of {index, text, language?} objects
+ * @param {string} language - Programming language (chunks of multi-file projects carry their own)
  * @param {string} customApiKey - Optional custom API key
+ * @param {Object} options - { storeInCache: false leaves the embedding cache untouched }
  * @returns {Promise<Array<Object>>} Array of {index, text, embedding} objects
  */
-export async function generateChunkEmbeddings(chunks, language = 'javascript', customApiKey = null, useNormalization = true) {
+export async function generateChunkEmbeddings(chunks, language = 'javascript', customApiKey = null, useNormalization = true, options = {}) {
   if (!chunks || chunks.length === 0) {
     return [];
   }
@@ -268,20 +331,43 @@ export async function generateChunkEmbeddings(chunks, language = 'javascript', c
     // Use only the normalized chunk — same reasoning as generateCodeEmbedding:
     // including both normalized + original inflates similarity via shared tokens.
     contextualizedTexts = chunks.map(chunk => {
-      const normalizedChunk = codeNormalizer.normalizeCode(chunk.text, language);
-      return `${language}:\n${normalizedChunk}`;
+      const chunkLanguage = chunk.language || language;
+      const normalizedChunk = codeNormalizer.normalizeCode(chunk.text, chunkLanguage);
+      return `${chunkLanguage}:\n${normalizedChunk}`;
     });
   } else {
-    contextualizedTexts = chunks.map(chunk => `${language}:\n${chunk.text}`);
+    contextualizedTexts = chunks.map(chunk => `${chunk.language || language}:\n${chunk.text}`);
   }
   
-  // Generate embeddings in batch for efficiency
-  const embeddings = await generateEmbeddingsBatch(contextualizedTexts, customApiKey);
+  // Reuse cached embeddings; only the misses go to the provider (in one batch)
+  const cacheKeys = contextualizedTexts.map((text, i) => embeddingCache.buildCacheKey({
+    model: EMBEDDING_MODEL,
+    normalized: useNormalization,
+    language: chunks[i].language || language,
+    text,
+  }));
+  const embeddings = await Promise.all(cacheKeys.map(key => embeddingCache.getCachedEmbedding(key)));
+  const missing = embeddings.map((embedding, i) => (embedding ? -1 : i)).filter(i => i >= 0);
+  
+  if (missing.length < chunks.length) {
+    console.log(`[Embeddings] Embedding cache hits: ${chunks.length - missing.length}/${chunks.length} chunks`);
+  }
+  
+  if (missing.length > 0) {
+    // Generate embeddings in batch for efficiency
+    const generated = await generateEmbeddingsBatch(missing.map(i => contextualizedTexts[i]), customApiKey);
+    missing.forEach((chunkIdx, i) => {
+      embeddings[chunkIdx] = generated[i];
+      if (options.storeInCache !== false) {
+        embeddingCache.setCachedEmbedding(cacheKeys[chunkIdx], generated[i]);
+      }
+    });
+  }
   
   // Combine chunks with their embeddings
+  // (keeps startLine/endLine so stored chunks can be mapped back to the full source)
   const chunksWithEmbeddings = chunks.map((chunk, i) => ({
-    index: chunk.index,
-    text: chunk.text,
+    ...chunk,
     embedding: embeddings[i],
   }));
   
@@ -336,6 +422,8 @@ export default {
   generateCodeEmbedding,
   generateChunkEmbeddings,
   cosineSimilarity,
+  getEmbeddingProviderInfo,
+  EMBEDDING_PROVIDER,
   EMBEDDING_MODEL,
   EMBEDDING_DIMENSIONS,
 };
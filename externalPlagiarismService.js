@@ -6,7 +6,7 @@
 import axios from "axios";
 import dotenv from "dotenv";
 import scoringEngine from "./scoringEngine.js";
-import { resolveLanguage } from "./codeNormalizer.js";
+import { getLanguage, resolveLanguage } from "./languages.js";
 
 dotenv.config();
 
@@ -16,6 +16,27 @@ const EXTERNAL_API_URL =
   "https://pd-production-b265.up.railway.app/api/detect";
 const EXTERNAL_API_TIMEOUT = 30000;
 
+/**
+ * External API endpoint and the tools it runs for a language (recorded with check results)
+ * @param {string} language - Programming language
+ * @returns {Object} { url, timeoutMs, tools }
+ */
+export function getExternalApiInfo(language) {
+  const lang = resolveLanguage(language);
+  return {
+    url: EXTERNAL_API_URL,
+    timeoutMs: EXTERNAL_API_TIMEOUT,
+    tools: externalTools(lang),
+  };
+}
+
+// The external service only has tree-sitter grammars for some languages
+function externalTools(lang) {
+  return getLanguage(lang)?.treesitter
+    ? ["copydetect", "difflib", `treesitter_${lang}`]
+    : ["copydetect", "difflib"];
+}
+
 /**
  * Call external plagiarism API with new format
  * @param {string} questionId - Question identifier
@@ -47,7 +68,7 @@ export async function checkExternalPlagiarism(
         code: sub.code,
       })),
       language: lang,
-      tools: ["copydetect", "difflib", `treesitter_${lang}`],
+      tools: externalTools(lang),
     };
 
     console.log("External API Payload:", payload);
@@ -239,6 +260,7 @@ export function determineFinalDecision(
 }
 
 export default {
+  getExternalApiInfo,
   checkExternalPlagiarism,
   formatExternalResult,
   determineFinalDecision,
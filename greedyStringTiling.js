@@ -0,0 +1,329 @@
+/**
+ * Greedy String Tiling Comparator (JPlag-style)
+ * Structure-aware local signal that needs no remote service: both programs are
+ * reduced to language-neutral token types (FUNC, IF, LOOP, ASSIGN, ID, ...),
+ * then Greedy String Tiling repeatedly marks the longest common unmarked runs
+ * ("tiles") of at least GST_MIN_MATCH tokens.
+ *
+ * Tiles are found independently of their position, so renaming identifiers
+ * and reordering functions or statements barely changes the coverage.
+ * Reported as tool `gst` and weighted alongside `treesitter` by scoringEngine.js.
+ */
+
+import dotenv from "dotenv";
+import { resolveLanguage, tokenizeNormalized } from "./codeNormalizer.js";
+import { subtractStarterCode } from "./starterCode.js";
+
+dotenv.config();
+
+export const GST_MIN_MATCH = parseInt(process.env.GST_MIN_MATCH, 10) || 8;
+export const TOOL_NAME = "gst";
+
+// Language keywords → neutral token types (JS, Python, Java, C/C++)
+const KEYWORD_TYPES = {
+  FUNC: ["def", "function", "func", "fn", "fun"],
+  LAMBDA: ["lambda"],
+  CLASS: [
+    "class",
+    "struct",
+    "interface",
+    "enum",
+    "union",
+    "trait",
+    "impl",
+    "object",
+    "module",
+    "type",
+  ],
+  IF: ["if", "elif", "elsif", "elseif", "unless"],
+  ELSE: ["else"],
+  SWITCH: ["switch", "match", "select"],
+  CASE: ["case", "default", "when"],
+  LOOP: ["for", "while", "do", "foreach", "loop", "until"],
+  BREAK: ["break"],
+  CONTINUE: ["continue"],
+  RETURN: ["return", "yield"],
+  TRY: ["try"],
+  CATCH: ["catch", "except", "finally", "rescue", "ensure"],
+  THROW: ["throw", "raise", "throws"],
+  NEW: ["new"],
+  IMPORT: [
+    "import",
+    "from",
+    "using",
+    "package",
+    "namespace",
+    "use",
+    "mod",
+    "require",
+  ],
+  DECL: [
+    "const",
+    "let",
+    "var",
+    "val",
+    "mut",
+    "auto",
+    "static",
+    "final",
+    "extern",
+  ],
+  TYPE: [
+    "int",
+    "long",
+    "short",
+    "byte",
+    "char",
+    "float",
+    "double",
+    "boolean",
+    "bool",
+    "void",
+    "signed",
+    "unsigned",
+  ],
+  LITERAL: ["true", "false", "True", "False", "null", "None", "nullptr", "nil"],
+  LOGIC: ["and", "or", "not"],
+  COMPARE: ["in", "is", "instanceof"],
+};
+
+const OPERATOR_TYPES = {
+  ASSIGN: ["="],
+  ASSIGN_OP: ["+=", "-=", "*=", "/=", "%=", "&=", "|=", "^=", "**=", "//="],
+  INCDEC: ["++", "--"],
+  ARITH: ["+", "-", "*", "/", "%", "**", "//"],
+  COMPARE: ["==", "!=", "===", "!==", "<", ">", "<=", ">="],
+  LOGIC: ["&&", "||", "!"],
+  BITWISE: ["&", "|", "^", "~", "<<", ">>"],
+  MEMBER: [".", "->", "::"],
+  CALL_OPEN: ["("],
+  CALL_CLOSE: [")"],
+  INDEX_OPEN: ["["],
+  INDEX_CLOSE: ["]"],
+};
+
+// Separators whose use differs between languages (braces vs indentation, ';')
+const IGNORED = new Set([";", ",", ":", "{", "}", "#"]);
+
+const TYPE_BY_VALUE = new Map();
+for (const table of [KEYWORD_TYPES, OPERATOR_TYPES]) {
+  for (const [type, values] of Object.entries(table)) {
+    values.forEach((value) => TYPE_BY_VALUE.set(value, type));
+  }
+}
+
+/**
+ * Reduce code to a stream of language-neutral token types
+ * @param {string} code - Source code
+ * @param {string} language - Programming language (resolved with resolveLanguage)
+ * @returns {Array<Object>} Array of { type, line, column, endLine, endColumn } (1-based columns, end exclusive)
+ */
+export function toTokenTypes(code, language = "python") {
+  const lang = resolveLanguage(language);
+  return tokenizeNormalized(code, lang)
+    .filter((token) => !IGNORED.has(token.value))
+    .map((token) => ({
+      type:
+        token.value === "ID" ||
+        token.value === "STRING" ||
+        token.value === "NUM"
+          ? token.value
+          : TYPE_BY_VALUE.get(token.value) || "KEYWORD",
+      line: token.line,
+      column: token.column + 1,
+      endLine: token.endLine,
+      endColumn: token.endColumn + 1,
+    }));
+}
+
+/**
+ * Greedy String Tiling over two token-type streams
+ * @param {Array<Object>} tokensA - toTokenTypes() of the checked code
+ * @param {Array<Object>} tokensB - toTokenTypes() of the compared code
+ * @param {number} minMatch - Minimum tile length in tokens
+ * @returns {Object} { similarity, coverageA, coverageB, tiles }
+ */
+export function compareTokenStreams(
+  tokensA,
+  tokensB,
+  minMatch = GST_MIN_MATCH,
+) {
+  const a = tokensA.map((t) => t.type);
+  const b = tokensB.map((t) => t.type);
+  const markedA = new Array(a.length).fill(false);
+  const markedB = new Array(b.length).fill(false);
+  const tiles = [];
+
+  const unmarkedRun = (types, marked, start) => {
+    for (let i = start; i < start + minMatch; i++) {
+      if (i >= types.length || marked[i]) return false;
+    }
+    return true;
+  };
+
+  // Each pass marks the longest remaining tiles; stop when nothing of minMatch is left
+  for (;;) {
+    let maxMatch = minMatch;
+    let matches = [];
+
+    // Index every unmarked minMatch-window of B for candidate lookup
+    const windowsB = new Map();
+    for (let j = 0; j + minMatch <= b.length; j++) {
+      if (!unmarkedRun(b, markedB, j)) continue;
+      const key = b.slice(j, j + minMatch).join(" ");
+      if (!windowsB.has(key)) windowsB.set(key, []);
+      windowsB.get(key).push(j);
+    }
+
+    for (let i = 0; i + minMatch <= a.length; i++) {
+      if (!unmarkedRun(a, markedA, i)) continue;
+      const candidates = windowsB.get(a.slice(i, i + minMatch).join(" "));
+      if (!candidates) continue;
+
+      for (const j of candidates) {
+        let length = minMatch;
+        while (
+          i + length < a.length &&
+          j + length < b.length &&
+          a[i + length] === b[j + length] &&
+          !markedA[i + length] &&
+          !markedB[j + length]
+        ) {
+          length++;
+        }
+        if (length > maxMatch) {
+          matches = [{ startA: i, startB: j, length }];
+          maxMatch = length;
+        } else if (length === maxMatch) {
+          matches.push({ startA: i, startB: j, length });
+        }
+      }
+    }
+
+    if (matches.length === 0) break;
+
+    // Mark the longest matches that are not occluded by an earlier tile
+    for (const match of matches) {
+      let occluded = false;
+      for (let k = 0; k < match.length; k++) {
+        if (markedA[match.startA + k] || markedB[match.startB + k]) {
+          occluded = true;
+          break;
+        }
+      }
+      if (occluded) continue;
+
+      for (let k = 0; k < match.length; k++) {
+        markedA[match.startA + k] = true;
+        markedB[match.startB + k] = true;
+      }
+      const lastA = tokensA[match.startA + match.length - 1];
+      const lastB = tokensB[match.startB + match.length - 1];
+      tiles.push({
+        ...match,
+        startLineA: tokensA[match.startA].line,
+        endLineA: lastA.endLine ?? lastA.line,
+        startLineB: tokensB[match.startB].line,
+        endLineB: lastB.endLine ?? lastB.line,
+        startColumnA: tokensA[match.startA].column ?? null,
+        endColumnA: lastA.endColumn ?? null,
+        startColumnB: tokensB[match.startB].column ?? null,
+        endColumnB: lastB.endColumn ?? null,
+      });
+    }
+  }
+
+  const coveredA = markedA.filter(Boolean).length;
+  const coveredB = markedB.filter(Boolean).length;
+  const total = a.length + b.length;
+
+  return {
+    similarity: total > 0 ? (coveredA + coveredB) / total : 0,
+    coverageA: a.length > 0 ? coveredA / a.length : 0,
+    coverageB: b.length > 0 ? coveredB / b.length : 0,
+    tiles: tiles.sort((x, y) => x.startA - y.startA),
+  };
+}
+
+/**
+ * Compare two pieces of code with Greedy String Tiling
+ * @param {string} codeA - Checked code
+ * @param {string} codeB - Compared code
+ * @param {string} language - Programming language
+ * @returns {Object} { similarity, coverageA, coverageB, tiles }
+ */
+export function compareCode(codeA, codeB, language = "python") {
+  return compareTokenStreams(
+    toTokenTypes(codeA, language),
+    toTokenTypes(codeB, language),
+  );
+}
+
+/**
+ * Compare code against stored submissions and format the outcome like an
+ * external tool comparison (tool `gst`) for the scoring engine
+ * @param {string} code - Code being checked
+ * @param {string} language - Programming language
+ * @param {Array<Object>} submissions - Rows with code from vectorDb
+ * @param {Object} [options] - { starterCode: lines shared with it are not tiled on either side }
+ * @returns {Object} { tool, available, mainStudentId, results: [{ studentId, submissionId, similarity, details }] }
+ */
+export function buildGstComparison(code, language, submissions, options = {}) {
+  try {
+    const { starterCode = null } = options;
+    const current = toTokenTypes(
+      subtractStarterCode(code, starterCode),
+      language,
+    );
+
+    const results = submissions.map((sub) => {
+      const comparison = compareTokenStreams(
+        current,
+        toTokenTypes(
+          subtractStarterCode(sub.code || "", starterCode),
+          language,
+        ),
+      );
+      return {
+        studentId: sub.studentId || sub.student_id || sub.id,
+        submissionId: sub.submission_id || sub.id,
+        similarity: Math.round(comparison.similarity * 1000) / 1000,
+        code: sub.code,
+        details: {
+          coverage_checked: Math.round(comparison.coverageA * 1000) / 1000,
+          coverage_matched: Math.round(comparison.coverageB * 1000) / 1000,
+          tiles: comparison.tiles,
+        },
+      };
+    });
+
+    results.sort((x, y) => y.similarity - x.similarity);
+    console.log(
+      `[GST] Compared against ${results.length} submissions (min match ${GST_MIN_MATCH}), max similarity: ${results[0]?.similarity ?? 0}`,
+    );
+
+    return {
+      tool: TOOL_NAME,
+      available: true,
+      mainStudentId: "current_check",
+      results,
+    };
+  } catch (error) {
+    console.error("[GST Error]", error.message);
+    return {
+      tool: TOOL_NAME,
+      available: false,
+      error: error.message,
+      results: [],
+    };
+  }
+}
+
+export default {
+  GST_MIN_MATCH,
+  TOOL_NAME,
+  toTokenTypes,
+  compareTokenStreams,
+  compareCode,
+  buildGstComparison,
+};
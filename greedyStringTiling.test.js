@@ -0,0 +1,113 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as gst from "./greedyStringTiling.js";
+
+const stream = (types) =>
+  types.map((type, i) => ({ type, line: i, endLine: i }));
+
+const AREA = `def area(width, height):
+    result = width * height
+    if result < 0:
+        return 0
+    return result
+`;
+
+const PERIMETER = `def perimeter(width, height):
+    total = 2 * (width + height)
+    for side in [width, height]:
+        print(side)
+    return total
+`;
+
+test("tiles survive reordered blocks", () => {
+  const x = [
+    "ID",
+    "ASSIGN",
+    "NUM",
+    "ARITH",
+    "ID",
+    "CALL_OPEN",
+    "ID",
+    "CALL_CLOSE",
+  ];
+  const y = [
+    "RETURN",
+    "ID",
+    "INDEX_OPEN",
+    "NUM",
+    "INDEX_CLOSE",
+    "ARITH",
+    "NUM",
+    "ID",
+  ];
+  const comparison = gst.compareTokenStreams(
+    stream([...x, ...y]),
+    stream([...y, ...x]),
+    8,
+  );
+  assert.equal(comparison.similarity, 1);
+  assert.equal(comparison.tiles.length, 2);
+  assert.deepEqual(
+    comparison.tiles.map((t) => [t.startA, t.startB, t.length]),
+    [
+      [0, 8, 8],
+      [8, 0, 8],
+    ],
+  );
+});
+
+test("matches shorter than minMatch are not tiled", () => {
+  const comparison = gst.compareTokenStreams(
+    stream(["ID", "ASSIGN", "NUM", "RETURN"]),
+    stream(["ID", "ASSIGN", "NUM", "CALL_OPEN"]),
+    4,
+  );
+  assert.equal(comparison.similarity, 0);
+  assert.deepEqual(comparison.tiles, []);
+  assert.equal(gst.compareTokenStreams([], [], 4).similarity, 0);
+});
+
+test("token types ignore identifiers, literals and separators", () => {
+  const types = gst.toTokenTypes("x = foo(1, 'a');", "javascript");
+  assert.deepEqual(
+    types.map((t) => t.type),
+    ["ID", "ASSIGN", "ID", "CALL_OPEN", "NUM", "STRING", "CALL_CLOSE"],
+  );
+  assert.equal(types[0].column, 1);
+});
+
+test("renamed and reordered functions still match completely", () => {
+  const renamed = `${PERIMETER.replace(/width/g, "w").replace(/height/g, "h")}\n${AREA.replace(/result/g, "r")}`;
+  const comparison = gst.compareCode(
+    `${AREA}\n${PERIMETER}`,
+    renamed,
+    "python",
+  );
+  assert.equal(comparison.similarity, 1);
+  assert.ok(comparison.tiles.length >= 2);
+});
+
+test("buildGstComparison ranks submissions and skips starter code", () => {
+  const comparison = gst.buildGstComparison(AREA, "python", [
+    { id: "p", student_id: "bob", code: PERIMETER },
+    { id: "a", student_id: "alice", code: AREA },
+  ]);
+  assert.equal(comparison.tool, gst.TOOL_NAME);
+  assert.equal(comparison.available, true);
+  assert.deepEqual(
+    comparison.results.map((r) => r.studentId),
+    ["alice", "bob"],
+  );
+  assert.equal(comparison.results[0].similarity, 1);
+  assert.ok(comparison.results[1].similarity < 1);
+
+  const withStarter = gst.buildGstComparison(
+    AREA,
+    "python",
+    [{ id: "a", student_id: "alice", code: AREA }],
+    { starterCode: AREA },
+  );
+  assert.equal(withStarter.results[0].similarity, 0);
+  assert.deepEqual(withStarter.results[0].details.tiles, []);
+});
@@ -3,6 +3,8 @@
  * Main Express Server with API Endpoints
  */
 
+import path from "path";
+import { fileURLToPath } from "url";
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
@@ -10,32 +12,271 @@ import dotenv from "dotenv";
 // Import modules
 import * as vectorDb from "./vectorDb.js";
 import * as embeddings from "./embeddings.js";
+import * as embeddingCache from "./embeddingCache.js";
 import * as chunking from "./chunking.js";
 import * as externalPlagiarism from "./externalPlagiarismService.js";
 import * as scoringEngine from "./scoringEngine.js";
+import * as winnowing from "./winnowing.js";
+import * as greedyStringTiling from "./greedyStringTiling.js";
+import * as languages from "./languages.js";
+import * as languageDetector from "./languageDetector.js";
+import * as projectFiles from "./projectFiles.js";
+import * as starterCode from "./starterCode.js";
+import * as contentStore from "./contentStore.js";
+import * as similarityMatrix from "./similarityMatrix.js";
+import * as collusionClusters from "./collusionClusters.js";
+import * as snippetComparison from "./snippetComparison.js";
+import * as matchAlignment from "./matchAlignment.js";
+import * as jobQueue from "./jobQueue.js";
+import * as progressEvents from "./progressEvents.js";
+import * as integrityCases from "./integrityCases.js";
+import * as checkHistory from "./checkHistory.js";
+import { NORMALIZATION_VERSION } from "./codeNormalizer.js";
+import * as auth from "./auth.js";
+import * as tenants from "./tenants.js";
+import * as scoringProfiles from "./scoringProfiles.js";
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware - Configure CORS for production
+// Middleware - CORS: any origin without credentials, unless CORS_ORIGINS lists
+// the allowed origins (comma-separated); only those may send credentials
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 app.use(
   cors({
-    origin: "*", // Allow all origins (adjust in production)
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-OpenAI-API-Key"],
-    credentials: true,
+    origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : "*",
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-API-Key",
+      "X-Tenant-Id",
+      "X-OpenAI-API-Key",
+    ],
+    credentials: CORS_ORIGINS.length > 0,
   }),
 );
 app.use(express.json({ limit: "10mb" })); // Support large code submissions
 
+// Every /api route except /api/health needs an API key or JWT (auth.js), and
+// works in one tenant (req.tenantId, see tenants.js)
+app.use("/api", auth.authenticate);
+
+// Access control: the permission each route needs, and the exams named by the
+// request (scoped credentials only reach their exams). Routes that look data
+// up by id (submission, check, job, case) also check the exam of what they found.
+const examInBody = (req) => req.body?.examId;
+const examInQuery = (req) => req.query.examId;
+const bulkRowExams = (req) =>
+  Array.isArray(req.body?.submissions)
+    ? req.body.submissions.map((row) => row?.exam_id)
+    : [];
+app.post("/api/submit", auth.authorize("submissions:write", examInBody));
+app.post("/api/submit/bulk", auth.authorize("submissions:write", bulkRowExams));
+app.post("/api/check", auth.authorize("check", examInBody));
+app.post("/api/compare", auth.authorize("check"));
+app.get(
+  "/api/submissions/:questionId",
+  auth.authorize("submissions:read", examInQuery),
+);
+app.post("/api/reembed/:questionId", auth.authorize("reembed", examInBody));
+app.get("/api/jobs", auth.authorize("jobs:read"));
+app.get("/api/jobs/:id", auth.authorize("jobs:read"));
+app.get("/api/jobs/:id/events", auth.authorize("jobs:read"));
+app.post("/api/jobs/:id/cancel", auth.authorize("jobs:manage"));
+app.get("/api/submission/:id", auth.authorize("submissions:read"));
+app.get("/api/submission/:id/checks", auth.authorize("submissions:read"));
+app.get("/api/checks/:checkId", auth.authorize("submissions:read"));
+app.get(
+  "/api/similarity-matrix/:questionId",
+  auth.authorize("submissions:read", examInQuery),
+);
+app.get(
+  "/api/clusters/:questionId",
+  auth.authorize("submissions:read", examInQuery),
+);
+app.put(
+  "/api/starter-code/:questionId",
+  auth.authorize("starter:write", examInBody),
+);
+app.get(
+  "/api/starter-code/:questionId",
+  auth.authorize("starter:read", examInQuery),
+);
+app.delete(
+  "/api/starter-code/:questionId",
+  auth.authorize("starter:write", examInQuery),
+);
+app.get("/api/cases", auth.authorize("cases:read"));
+app.get("/api/cases/:id", auth.authorize("cases:read"));
+app.patch("/api/cases/:id", auth.authorize("cases:write"));
+app.use("/api/keys", auth.authorize("keys:manage"));
+app.use("/api/tenants", auth.authorize("tenants:manage"));
+app.get("/api/scoring-profiles", auth.authorize("scoring:read"));
+app.get("/api/scoring-profiles/:name", auth.authorize("scoring:read"));
+// Profiles and tenant defaults apply to every exam: no scoped credentials
+app.put(
+  "/api/scoring-profiles/:name",
+  auth.authorize("scoring:manage"),
+  auth.requireUnscoped,
+);
+app.get("/api/scoring-assignments", auth.authorize("scoring:read"));
+const assignQuestionScoring = auth.authorize("scoring:manage", examInBody);
+const assignTenantScoring = auth.authorize("scoring:manage-tenant");
+app.put("/api/scoring-assignments", (req, res, next) =>
+  (req.body?.questionId?.trim?.()
+    ? assignQuestionScoring
+    : assignTenantScoring)(req, res, next),
+);
+
+/**
+ * Whether an error came from the vector database layer (any backend)
+ */
+function isVectorDbError(error) {
+  return (
+    !!error.message &&
+    (error.message.includes("Pinecone") ||
+      error.message.includes("pgvector") ||
+      error.message.includes("SQLite") ||
+      error.message.includes("Vector database"))
+  );
+}
+
+/**
+ * 400 / 404 when a request names an invalid or unknown scoring profile
+ * @returns {Object|null} The response when it was such an error, null otherwise
+ */
+function rejectScoringProfileError(res, error) {
+  if (error.message?.startsWith("Invalid scoring profile")) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      errorType: "INVALID_SCORING_PROFILE",
+    });
+  }
+  if (error.message?.startsWith("Scoring profile not found")) {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+      errorType: "SCORING_PROFILE_NOT_FOUND",
+    });
+  }
+  return null;
+}
+
+/**
+ * Re-calibrate vector matches with a scoring profile's own cosine baseline
+ * (calibration is monotonic, so the order of the matches does not change)
+ */
+function applyProfileBaseline(matches, profile) {
+  if (profile.similarityBaseline == null) return matches;
+  return matches.map((match) => ({
+    ...match,
+    similarity: vectorDb.calibrateScore(
+      match.rawSimilarity,
+      profile.similarityBaseline,
+    ),
+  }));
+}
+
+/**
+ * 400 when the tenant does not accept a language (tenant config `languages`)
+ * @returns {Object|null} The response when refused, null otherwise
+ */
+function rejectLanguage(res, tenantConfig, language) {
+  if (tenants.isLanguageAllowed(tenantConfig, language)) return null;
+  return res.status(400).json({
+    success: false,
+    error: `Language "${language}" is not accepted by this tenant. Accepted: ${tenantConfig.languages.join(", ")}`,
+    errorType: "LANGUAGE_NOT_ALLOWED",
+  });
+}
+
+/**
+ * Source of a submit/check request: the `code` string, or a multi-file project
+ * (`files` map or base64 `zip`) laid out as one combined source.
+ * Project files keep their own languages; the project language is the one
+ * with the most lines.
+ * @returns {Object} { code, project (null for single-file), languageDetection }
+ */
+function readSubmissionSource(body) {
+  const files = projectFiles.filesFromRequest(body, body.language);
+  if (!files) {
+    return {
+      code: body.code,
+      project: null,
+      languageDetection: body.code
+        ? languageDetector.resolveSubmissionLanguage(body.code, body.language)
+        : null,
+    };
+  }
+  const project = projectFiles.buildProject(files);
+  return {
+    code: project.code,
+    project,
+    languageDetection: {
+      language: project.language,
+      source: "files",
+      confidence: 1,
+    },
+  };
+}
+
+/**
+ * File location of a chunk (projectFiles.locateLines) with 1-based file lines
+ */
+function formatFileLocation(location) {
+  return location
+    ? {
+        path: location.path,
+        language: location.language,
+        lines: { start: location.startLine + 1, end: location.endLine + 1 },
+      }
+    : null;
+}
+
+/**
+ * Project manifest as reported by the API (1-based lines in the combined code)
+ */
+function formatProjectFiles(project) {
+  return project
+    ? project.files.map((file) => ({
+        path: file.path,
+        language: file.language,
+        lineCount: file.lineCount,
+        lines: { start: file.startLine + 1, end: file.endLine + 1 },
+      }))
+    : null;
+}
+
+/**
+ * Which starter code applied to a submission and how many of its lines it covered
+ */
+function formatStarterUsage(starter, studentPart) {
+  return starter
+    ? {
+        questionId: starter.questionId,
+        examId: starter.examId,
+        updatedAt: starter.updatedAt,
+        excludedLines: studentPart.starterLines,
+      }
+    : null;
+}
+
 // Health check endpoint
 app.get("/api/health", (req, res) => {
   res.json({
     status: "ok",
     service: "semantic-plagiarism-detector",
     model: embeddings.EMBEDDING_MODEL,
+    embeddingProvider: embeddings.EMBEDDING_PROVIDER,
+    embeddingCache: embeddingCache.getStats(),
+    languages: languages.getSupportedLanguages(),
     timestamp: new Date().toISOString(),
   });
 });
@@ -49,27 +290,25 @@ app.get("/api/health", (req, res) => {
  *   "code": "function foo() { ... }",
  *   "studentId": "student123",
  *   "questionId": "q1",
- *   "language": "javascript" (optional, defaults to "javascript")
+ *   "language": "javascript" (optional, detected from the code when omitted)
  * }
+ * Multi-file projects send `files` ({ "src/Main.java": "...", ... } or
+ * [{ path, content, language? }]) or `zip` (base64 zip archive) instead of `code`.
  *
  * Response:
  * {
  *   "success": true,
  *   "submissionId": 42,
  *   "chunkCount": 3,
+ *   "language": "javascript",
+ *   "languageDetection": { "language": "javascript", "source": "detected", "confidence": 0.82, ... },
+ *   "files": null (or [{ path, language, lineCount, lines }] for projects),
  *   "message": "Submission processed successfully"
  * }
  */
 app.post("/api/submit", async (req, res) => {
   try {
-    const {
-      code,
-      studentId,
-      questionId,
-      examId,
-      language = "javascript",
-      useNormalization = true,
-    } = req.body;
+    const { studentId, questionId, examId, useNormalization = true } = req.body;
     const normalizedStudentId = studentId?.trim?.();
     const normalizedQuestionId = questionId?.trim?.();
     const normalizedExamId =
@@ -80,11 +319,14 @@ app.post("/api/submit", async (req, res) => {
     // Get custom API key from header if provided
     const customApiKey = req.headers["x-openai-api-key"] || null;
 
+    const { code, project, languageDetection } = readSubmissionSource(req.body);
+
     // Validate input
     if (!code || !normalizedStudentId || !normalizedQuestionId) {
       return res.status(400).json({
         success: false,
-        error: "Missing required fields: code, studentId, questionId",
+        error:
+          "Missing required fields: code (or files/zip), studentId, questionId",
       });
     }
 
@@ -96,7 +338,7 @@ app.post("/api/submit", async (req, res) => {
     }
 
     console.log(
-      `[Submit] Processing submission from ${normalizedStudentId} for question ${normalizedQuestionId}`,
+      `[Submit] Processing submission from ${normalizedStudentId} for question ${normalizedQuestionId}${project ? ` (${project.files.length} files)` : ""}`,
     );
     if (customApiKey) {
       console.log(`[Submit] Using custom API key`);
@@ -106,20 +348,41 @@ app.post("/api/submit", async (req, res) => {
     const submissionId = `${normalizedStudentId}_${normalizedQuestionId}_${Date.now()}`;
     console.log(`[Submit] Generated submission ID: ${submissionId}`);
 
+    const { language } = languageDetection;
+    const tenantConfig = await tenants.getTenantConfig(req.tenantId);
+    if (rejectLanguage(res, tenantConfig, language)) return;
+
+    // Lines shared with the question's starter code are left out of the embeddings
+    const starter = await starterCode.getStarterCode(
+      normalizedQuestionId,
+      normalizedExamId,
+      req.tenantId,
+    );
+    const studentPart = starterCode.subtractFromSubmission(
+      code,
+      project
+        ? projectFiles.chunkProject(project)
+        : chunking.extractCodeChunks(code, language),
+      starter,
+    );
+
     // Step 1: Generate whole-code embedding
     const wholeCodeEmbedding = await embeddings.generateCodeEmbedding(
-      code,
+      studentPart.code,
       language,
       customApiKey,
       useNormalization,
+      { files: project?.files },
     );
     console.log(
       `[Submit] Generated whole-code embedding (normalization: ${useNormalization ? "ON" : "OFF"})`,
     );
 
-    // Step 2: Extract and embed chunks
-    const codeChunks = chunking.extractCodeChunks(code, language);
-    console.log(`[Submit] Extracted ${codeChunks.length} chunks`);
+    // Step 2: Embed chunks (per file, each in its own language, for projects)
+    const codeChunks = studentPart.chunks;
+    console.log(
+      `[Submit] Extracted ${codeChunks.length} chunks${starter ? ` (${studentPart.starterLines} starter lines excluded)` : ""}`,
+    );
 
     const chunksWithEmbeddings =
       codeChunks.length > 0
@@ -131,8 +394,9 @@ app.post("/api/submit", async (req, res) => {
           )
         : [];
 
-    // Step 3: Save everything to Pinecone
+    // Step 3: Save everything to the vector database
     await vectorDb.saveSubmission({
+      tenantId: req.tenantId,
       submissionId,
       studentId: normalizedStudentId,
       questionId: normalizedQuestionId,
@@ -141,6 +405,12 @@ app.post("/api/submit", async (req, res) => {
       language,
       embedding: wholeCodeEmbedding,
       chunks: chunksWithEmbeddings,
+      fingerprints: winnowing.fingerprintCode(
+        studentPart.code,
+        language,
+        project?.files,
+      ),
+      files: project?.files ?? null,
     });
     console.log(
       `[Submit] Saved to vector database with ${chunksWithEmbeddings.length} chunks`,
@@ -153,17 +423,36 @@ app.post("/api/submit", async (req, res) => {
       submissionId,
       chunkCount: codeChunks.length,
       chunkStats,
+      language,
+      languageDetection,
+      files: formatProjectFiles(project),
+      starterCode: formatStarterUsage(starter, studentPart),
       message: "Submission processed successfully",
     });
   } catch (error) {
     console.error("[Submit Error]", error);
 
-    // Check if it's a Pinecone error
-    if (error.message && error.message.includes("Pinecone")) {
+    if (error.message && error.message.startsWith("Invalid project")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: "INVALID_PROJECT",
+      });
+    }
+
+    if (error.message && error.message.includes("used by another tenant")) {
+      return res.status(409).json({
+        success: false,
+        error: "Submission ID already exists; please resubmit",
+        errorType: "SUBMISSION_ID_CONFLICT",
+      });
+    }
+
+    // Check if it's a vector database error
+    if (isVectorDbError(error)) {
       return res.status(503).json({
         success: false,
-        error:
-          "Vector database not configured. Please set PINECONE_API_KEY in your backend .env file. Get free API key from https://www.pinecone.io/",
+        error: `Vector database not configured. ${vectorDb.getStoreInfo().configHint}`,
         errorType: "PINECONE_NOT_CONFIGURED",
       });
     }
@@ -194,14 +483,299 @@ app.post("/api/submit", async (req, res) => {
   }
 });
 
+/**
+ * Starter code lookups per job and question/exam (rows of one sheet share them)
+ */
+const jobStarters = new WeakMap();
+async function getJobStarter(job, questionId, examId) {
+  if (!jobStarters.has(job)) jobStarters.set(job, new Map());
+  const starters = jobStarters.get(job);
+  const key = `${questionId}|${examId ?? ""}`;
+  if (!starters.has(key)) {
+    starters.set(
+      key,
+      await starterCode.getStarterCode(
+        questionId,
+        examId,
+        tenants.tenantOf(job.params),
+      ),
+    );
+  }
+  return starters.get(key);
+}
+
+/**
+ * Language detections of a job's results (rows/submissions without a language)
+ */
+function jobLanguageDetections(job) {
+  return job.results
+    .filter((result) => result.languageDetection)
+    .map(({ index, submissionId, language, languageDetection }) => ({
+      row: index + 1,
+      submissionId,
+      language,
+      confidence: languageDetection.confidence,
+      lowConfidence: languageDetection.lowConfidence,
+    }));
+}
+
+/**
+ * Job "bulk_submit": store one sheet row (exam_id, question_id, student_id, submission)
+ */
+jobQueue.registerJobHandler("bulk_submit", {
+  async processItem(row, index, { job, params, customApiKey = null }) {
+    const examId =
+      row.exam_id != null && String(row.exam_id).trim() !== ""
+        ? String(row.exam_id).trim()
+        : null;
+    const questionId =
+      row.question_id != null && String(row.question_id).trim()
+        ? String(row.question_id).trim()
+        : "";
+    const studentId =
+      row.student_id != null && String(row.student_id).trim()
+        ? String(row.student_id).trim()
+        : "";
+    const code = row.submission != null ? String(row.submission) : "";
+
+    if (!questionId || !studentId || !code || code.trim().length < 10) {
+      throw new Error(
+        "Missing or invalid exam_id/question_id/student_id/submission (code min 10 chars)",
+      );
+    }
+
+    // Same id when a row is retried after a restart, so it is overwritten instead of duplicated
+    const submissionId = `${studentId}_${questionId}_${Date.parse(job.createdAt)}_${index}`;
+    const languageDetection = languageDetector.resolveSubmissionLanguage(
+      code,
+      row.language,
+    );
+    const { language } = languageDetection;
+    const tenantId = tenants.tenantOf(params);
+    const tenantConfig = await tenants.getTenantConfig(tenantId);
+    if (!tenants.isLanguageAllowed(tenantConfig, language)) {
+      throw new Error(
+        `Language "${language}" is not accepted by this tenant. Accepted: ${tenantConfig.languages.join(", ")}`,
+      );
+    }
+    const studentPart = starterCode.subtractFromSubmission(
+      code,
+      chunking.extractCodeChunks(code, language),
+      await getJobStarter(job, questionId, examId),
+    );
+    const wholeCodeEmbedding = await embeddings.generateCodeEmbedding(
+      studentPart.code,
+      language,
+      customApiKey,
+      params.useNormalization,
+    );
+    const codeChunks = studentPart.chunks;
+    const chunksWithEmbeddings =
+      codeChunks.length > 0
+        ? await embeddings.generateChunkEmbeddings(
+            codeChunks,
+            language,
+            customApiKey,
+            params.useNormalization,
+          )
+        : [];
+    await vectorDb.saveSubmission({
+      tenantId,
+      submissionId,
+      studentId,
+      questionId,
+      examId,
+      code,
+      language,
+      embedding: wholeCodeEmbedding,
+      chunks: chunksWithEmbeddings,
+      fingerprints: winnowing.fingerprintCode(studentPart.code, language),
+    });
+
+    return {
+      submissionId,
+      language,
+      languageDetection:
+        languageDetection.source === "detected" ? languageDetection : null,
+    };
+  },
+  itemLabel: (row) => ({ studentId: row.student_id ?? null }),
+  summarize(job) {
+    const languageCounts = {};
+    job.results.forEach(({ language }) => {
+      languageCounts[language] = (languageCounts[language] || 0) + 1;
+    });
+    return {
+      languageCounts,
+      languageDetections: jobLanguageDetections(job).slice(0, 50),
+    };
+  },
+});
+
+/**
+ * Job "reembed": re-generate the embeddings of one stored submission
+ */
+jobQueue.registerJobHandler("reembed", {
+  async processItem(item, index, { params, customApiKey = null }) {
+    const tenantId = tenants.tenantOf(params);
+    const sub = await vectorDb.getSubmission(item.submissionId, tenantId);
+    if (!sub) {
+      throw new Error(`Submission ${item.submissionId} not found`);
+    }
+
+    // Detect language from code if not stored
+    const languageDetection = languageDetector.resolveSubmissionLanguage(
+      sub.code,
+      sub.language,
+    );
+    const { language } = languageDetection;
+
+    // Re-chunk (projects per file from the stored manifest) and leave out
+    // lines shared with the current starter code
+    const studentPart = starterCode.subtractFromSubmission(
+      sub.code,
+      sub.files
+        ? projectFiles.chunkProject({ code: sub.code, files: sub.files })
+        : chunking.extractCodeChunks(sub.code, language),
+      await starterCode.getStarterCode(sub.question_id, item.examId, tenantId),
+    );
+
+    // Re-generate embedding with current normalization setting
+    const newEmbedding = await embeddings.generateCodeEmbedding(
+      studentPart.code,
+      language,
+      customApiKey,
+      params.useNormalization,
+      { files: sub.files },
+    );
+
+    // Re-generate chunk embeddings
+    const chunks = studentPart.chunks;
+    const chunksWithEmbeddings =
+      chunks.length > 0
+        ? await embeddings.generateChunkEmbeddings(
+            chunks,
+            language,
+            customApiKey,
+            params.useNormalization,
+          )
+        : [];
+
+    // Save updated embeddings (preserve examId; store the detected language if none was stored)
+    await vectorDb.saveSubmission({
+      tenantId,
+      submissionId: sub.id,
+      studentId: sub.student_id,
+      questionId: sub.question_id,
+      examId: item.examId,
+      language,
+      code: sub.code,
+      embedding: newEmbedding,
+      chunks: chunksWithEmbeddings,
+      fingerprints: winnowing.fingerprintCode(
+        studentPart.code,
+        language,
+        sub.files,
+      ),
+      files: sub.files ?? null,
+    });
+    console.log(`[Re-embed] ✓ Re-embedded ${sub.id}`);
+
+    return {
+      submissionId: sub.id,
+      language,
+      languageDetection:
+        languageDetection.source === "detected" ? languageDetection : null,
+    };
+  },
+  itemLabel: (item) => ({ submissionId: item.submissionId }),
+  summarize: (job) => ({ languageDetections: jobLanguageDetections(job) }),
+});
+
+/**
+ * A job of the request's tenant (jobs of other tenants are not found)
+ */
+async function getTenantJob(req, id) {
+  const job = await jobQueue.getJob(id);
+  return job && tenants.tenantOf(job.params) === req.tenantId ? job : null;
+}
+
+// Exams a job touches (bulk jobs list every row's exam), for scope checks
+function jobExamIds(job) {
+  return job.params?.examIds ?? [job.params?.examId ?? null];
+}
+
+function canAccessJob(principal, job) {
+  return jobExamIds(job).every((examId) =>
+    auth.canAccessExam(principal, examId),
+  );
+}
+
+/** 403 unless every exam of the job is within the principal's scopes */
+function rejectJobOutOfScope(req, res, job) {
+  const refused = jobExamIds(job).find(
+    (examId) => !auth.canAccessExam(req.principal, examId),
+  );
+  return refused === undefined ? null : auth.rejectOutOfScope(res, refused);
+}
+
+/**
+ * Response for a queued job (202), pointing at GET /api/jobs/:id
+ */
+function jobAccepted(res, job) {
+  return res.status(202).json({
+    success: true,
+    jobId: job.id,
+    type: job.type,
+    status: job.status,
+    total: job.total,
+    statusUrl: `/api/jobs/${job.id}`,
+    message: `Queued ${job.total} items; poll /api/jobs/${job.id} for progress`,
+  });
+}
+
+/**
+ * Job progress for event streams (without the full error list and summary)
+ */
+function jobProgress(job) {
+  const { errors, summary, params, ...rest } = jobQueue.describeJob(job);
+  return { ...rest, lastError: errors[errors.length - 1] ?? null };
+}
+
+/**
+ * Stream a job's progress (`queued`, then `progress` after every item) until it finishes
+ * @returns {Promise<Object>} Finished job
+ */
+async function followJob(progress, job) {
+  progress.stage("queued", jobProgress(job));
+  const unsubscribe = jobQueue.subscribeToJob(job.id, (update) =>
+    progress.stage("progress", jobProgress(update)),
+  );
+  try {
+    return await jobQueue.waitForJob(job.id);
+  } finally {
+    unsubscribe();
+  }
+}
+
 /**
  * POST /api/submit/bulk
  * Bulk upload submissions from a sheet (exam_id, question_id, student_id, submission).
- * Body: { submissions: [ { exam_id, question_id, student_id, submission, language? } ], useNormalization?: true }
+ * Body: { submissions: [ { exam_id, question_id, student_id, submission, language? } ], useNormalization?: true, wait?: false }
+ * Rows are processed by a background job (see GET /api/jobs/:id); the response
+ * is 202 with the jobId. With `wait: true` the request waits for the job and
+ * returns the counts directly. With `Accept: text/event-stream` it streams
+ * `queued` / `progress` events and ends with the counts as the `result` event.
+ * Rows without a language get a detected one (reported under languageDetections).
  */
 app.post("/api/submit/bulk", async (req, res) => {
+  const progress = progressEvents.createProgressReporter(req, res);
   try {
-    const { submissions: rows, useNormalization = true } = req.body;
+    const {
+      submissions: rows,
+      useNormalization = true,
+      wait = false,
+    } = req.body;
     const customApiKey = req.headers["x-openai-api-key"] || null;
 
     if (!Array.isArray(rows) || rows.length === 0) {
@@ -212,107 +786,41 @@ app.post("/api/submit/bulk", async (req, res) => {
       });
     }
 
-    const results = { success: 0, failed: 0, errors: [] };
-
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      const examId =
-        row.exam_id != null && String(row.exam_id).trim() !== ""
-          ? String(row.exam_id).trim()
-          : null;
-      const questionId =
-        row.question_id != null && String(row.question_id).trim()
-          ? String(row.question_id).trim()
-          : "";
-      const studentId =
-        row.student_id != null && String(row.student_id).trim()
-          ? String(row.student_id).trim()
-          : "";
-      const code = row.submission != null ? String(row.submission) : "";
-      const language =
-        row.language && String(row.language).trim()
-          ? String(row.language).trim()
-          : "javascript";
-
-      if (!questionId || !studentId || !code || code.trim().length < 10) {
-        results.failed++;
-        results.errors.push({
-          row: i + 1,
-          error:
-            "Missing or invalid exam_id/question_id/student_id/submission (code min 10 chars)",
-        });
-        continue;
-      }
-
-      try {
-        const submissionId = `${studentId}_${questionId}_${Date.now()}_${i}`;
-        const wholeCodeEmbedding = await embeddings.generateCodeEmbedding(
-          code,
-          language,
-          customApiKey,
-          useNormalization,
-        );
-        const codeChunks = chunking.extractCodeChunks(code, language);
-        const chunksWithEmbeddings =
-          codeChunks.length > 0
-            ? await embeddings.generateChunkEmbeddings(
-                codeChunks,
-                language,
-                customApiKey,
-                useNormalization,
-              )
-            : [];
-        await vectorDb.saveSubmission({
-          submissionId,
-          studentId,
-          questionId,
-          examId,
-          code,
-          language,
-          embedding: wholeCodeEmbedding,
-          chunks: chunksWithEmbeddings,
-        });
-        results.success++;
-      } catch (err) {
-        results.failed++;
-        results.errors.push({
-          row: i + 1,
-          error: err.message || "Processing failed",
-        });
-      }
-    }
+    const examIds = [
+      ...new Set(
+        rows.map((row) =>
+          row?.exam_id != null && String(row.exam_id).trim() !== ""
+            ? String(row.exam_id).trim()
+            : null,
+        ),
+      ),
+    ];
+    const job = await jobQueue.enqueueJob(
+      "bulk_submit",
+      rows,
+      { useNormalization, examIds, tenantId: req.tenantId },
+      { customApiKey },
+    );
+    if (!wait && !progress.streaming) return jobAccepted(res, job);
 
+    const finished = progress.streaming
+      ? await followJob(progress, job)
+      : await jobQueue.waitForJob(job.id);
+    const { languageCounts, languageDetections } =
+      jobQueue.describeJob(finished).summary;
     res.json({
       success: true,
+      jobId: finished.id,
       total: rows.length,
-      successCount: results.success,
-      failCount: results.failed,
-      errors: results.errors.slice(0, 50),
-      message: `Processed ${rows.length} rows: ${results.success} succeeded, ${results.failed} failed`,
+      successCount: finished.successCount,
+      failCount: finished.failCount,
+      errors: finished.errors.slice(0, 50),
+      languageCounts,
+      languageDetections,
+      message: `Processed ${rows.length} rows: ${finished.successCount} succeeded, ${finished.failCount} failed`,
     });
   } catch (error) {
     console.error("[Bulk Submit Error]", error);
-    if (error.message && error.message.includes("Pinecone")) {
-      return res.status(503).json({
-        success: false,
-        error: "Vector database not configured.",
-        errorType: "PINECONE_NOT_CONFIGURED",
-      });
-    }
-    if (error.message && error.message.includes("quota")) {
-      return res.status(402).json({
-        success: false,
-        error: "OpenAI API quota exceeded.",
-        errorType: "QUOTA_EXCEEDED",
-      });
-    }
-    if (error.message && error.message.includes("API key")) {
-      return res.status(401).json({
-        success: false,
-        error: "Invalid or missing OpenAI API key.",
-        errorType: "INVALID_API_KEY",
-      });
-    }
     res.status(500).json({
       success: false,
       error: error.message || "Internal server error",
@@ -328,32 +836,48 @@ app.post("/api/submit/bulk", async (req, res) => {
  * {
  *   "code": "function foo() { ... }",
  *   "questionId": "q1",
- *   "language": "javascript" (optional),
- *   "similarityThreshold": 0.75 (optional, 0-1),
- *   "maxResults": 5 (optional)
+ *   "language": "javascript" (optional, detected from the code when omitted),
+ *   "similarityThreshold": 0.75 (optional, 0-1; defaults to the scoring profile's threshold),
+ *   "scoringProfile": "strict" (optional, "name" or "name@version"; defaults to the
+ *     question's, then the tenant's assigned profile, see /api/scoring-profiles),
+ *   "maxResults": 5 (optional),
+ *   "studentId": "s1" (optional, student whose code is checked),
+ *   "createCase": "auto" (optional: "auto" opens a case when flagged and studentId is set, true always, false never)
  * }
+ * Projects send `files` or `zip` instead of `code` (see /api/submit).
+ * With `Accept: text/event-stream` the stages (started, pool, embedded,
+ * similar_submissions, similar_chunks, local_matches, external, decision) are
+ * streamed as Server-Sent Events and the response below is the `result` event.
  *
  * Response:
  * {
  *   "success": true,
  *   "similarSubmissions": [...],
  *   "similarChunks": [...],
- *   "summary": { ... }
+ *   "fileMatches": [...] (projects: query files matching whole stored files),
+ *   "alignedMatches": [{ submissionId, studentId, regions: [{ detector, similarity, query, matched }] }],
+ *   "summary": { ... },
+ *   "scoringProfile": { name, version, source, profile } (profile the check was scored with),
+ *   "checkId": "chk_..." (stored check, see GET /api/checks/:checkId),
+ *   "case": { caseId, created, status, evidenceId } (when a case was opened or updated)
  * }
  */
 app.post("/api/check", async (req, res) => {
+  const progress = progressEvents.createProgressReporter(req, res);
   try {
     const {
-      code,
       questionId,
       examId,
-      language = "javascript",
-      similarityThreshold = 0.75,
+      similarityThreshold: requestedThreshold = null, // Defaults to the scoring profile's threshold
+      scoringProfile: requestedProfile = null, // "name" or "name@version"
       maxResults = 5,
       useNormalization = true,
       excludeStudentId = null, // Exclude this student's submissions before calculating plag %
       languageFilter = null, // Filter to only this language before calculating plag %
       submissionId = null, // If provided, reuse stored embedding instead of calling OpenAI
+      studentId = null, // Student whose code is checked (case subject; defaults to excludeStudentId)
+      createCase = "auto", // "auto": open a case when flagged and the student is known, true: always, false: never
+      actor = null, // Who runs the check (recorded in case history)
     } = req.body;
     const normalizedQuestionId = questionId?.trim?.();
     const normalizedExamId =
@@ -363,18 +887,21 @@ app.post("/api/check", async (req, res) => {
     const normalizedExcludeStudentId = excludeStudentId
       ? String(excludeStudentId).trim()
       : null;
+    // Aliases (golang, rs, c#, kt, ...) resolve to registry names on both sides
     const normalizedLanguageFilter = languageFilter
-      ? String(languageFilter).trim().toLowerCase()
+      ? languages.resolveLanguage(String(languageFilter))
       : null;
 
     // Get custom API key from header if provided
     const customApiKey = req.headers["x-openai-api-key"] || null;
 
+    const { code, project, languageDetection } = readSubmissionSource(req.body);
+
     // Validate input
     if (!code || !normalizedQuestionId) {
       return res.status(400).json({
         success: false,
-        error: "Missing required fields: code, questionId",
+        error: "Missing required fields: code (or files/zip), questionId",
       });
     }
 
@@ -385,32 +912,94 @@ app.post("/api/check", async (req, res) => {
       });
     }
 
+    // A named submission has its embedding reused and the check linked to it,
+    // so it must belong to this tenant and to an exam the caller may see
+    if (submissionId) {
+      const named = await vectorDb.getSubmission(submissionId, req.tenantId);
+      if (!named || !auth.canAccessExam(req.principal, named.exam_id)) {
+        return res.status(404).json({
+          success: false,
+          error: "Submission not found",
+        });
+      }
+    }
+
     console.log(
       `[Check] Checking similarity for question ${normalizedQuestionId}`,
     );
+
+    const { language } = languageDetection;
     if (customApiKey) {
       console.log(`[Check] Using custom API key`);
     }
+    const tenantConfig = await tenants.getTenantConfig(req.tenantId);
+    if (rejectLanguage(res, tenantConfig, language)) return;
+    const scoring = await scoringProfiles.resolveScoringProfile(req.tenantId, {
+      questionId: normalizedQuestionId,
+      examId: normalizedExamId,
+      requested: requestedProfile,
+    });
+    const { profile } = scoring;
+    const similarityThreshold =
+      requestedThreshold ?? profile.similarityThreshold;
 
-    // Check if submissions exist for this question (and exam if provided)
-    // Retry once after a short delay: Pinecone has eventual consistency, so a submission
-    // that was just added may not be visible for 1–3 seconds.
-    console.log(
-      `[Check] Verifying submissions exist for question ${normalizedQuestionId}${normalizedExamId ? ` exam ${normalizedExamId}` : ""}...`,
-    );
-    let existingSubmissions = await vectorDb.getSubmissionsByQuestion(
+    // Lines shared with the question's starter code are left out of every comparison
+    const starter = await starterCode.getStarterCode(
       normalizedQuestionId,
       normalizedExamId,
+      req.tenantId,
     );
-
-    if (!existingSubmissions || existingSubmissions.length === 0) {
+    const studentPart = starterCode.subtractFromSubmission(
+      code,
+      project
+        ? projectFiles.chunkProject(project)
+        : chunking.extractCodeChunks(code, language),
+      starter,
+    );
+    const starterSource = starter?.code ?? null;
+    if (starter) {
       console.log(
-        `[Check] No submissions on first try; retrying in 2.5s (Pinecone eventual consistency)...`,
+        `[Check] Starter code registered: ${studentPart.starterLines} lines excluded`,
       );
-      await new Promise((r) => setTimeout(r, 2500));
-      existingSubmissions = await vectorDb.getSubmissionsByQuestion(
+    }
+    progress.stage("started", {
+      questionId: normalizedQuestionId,
+      examId: normalizedExamId,
+      language,
+      languageDetection,
+      starterCode: formatStarterUsage(starter, studentPart),
+    });
+
+    // Check if submissions exist for this question (and exam if provided)
+    // Retry once after a short delay when the backend is eventually consistent (Pinecone):
+    // a submission that was just added may not be visible for 1–3 seconds.
+    console.log(
+      `[Check] Verifying submissions exist for question ${normalizedQuestionId}${normalizedExamId ? ` exam ${normalizedExamId}` : ""}...`,
+    );
+    let existingSubmissions = await vectorDb.getSubmissionsByQuestion(
+      normalizedQuestionId,
+      normalizedExamId,
+      null,
+      req.tenantId,
+    );
+
+    if (
+      (!existingSubmissions || existingSubmissions.length === 0) &&
+      vectorDb.getStoreInfo().eventuallyConsistent
+    ) {
+      console.log(
+        `[Check] No submissions on first try; retrying in 2.5s (eventual consistency)...`,
+      );
+      progress.stage("retrying", {
+        reason: "eventual_consistency",
+        delayMs: 2500,
+      });
+      await new Promise((r) => setTimeout(r, 2500));
+      existingSubmissions = await vectorDb.getSubmissionsByQuestion(
         normalizedQuestionId,
         normalizedExamId,
+        null,
+        req.tenantId,
       );
     }
 
@@ -450,7 +1039,7 @@ app.post("/api/check", async (req, res) => {
       existingSubmissions = existingSubmissions.filter(
         (s) =>
           !s.language ||
-          s.language.trim().toLowerCase() === normalizedLanguageFilter,
+          languages.resolveLanguage(s.language) === normalizedLanguageFilter,
       );
       console.log(
         `[Check] Language filter "${normalizedLanguageFilter}": ${beforeCount} → ${existingSubmissions.length} submissions`,
@@ -465,40 +1054,60 @@ app.post("/api/check", async (req, res) => {
         questionId: normalizedQuestionId,
       });
     }
+    progress.stage("pool", {
+      submissionCount: existingSubmissions.length,
+      excludeStudentId: normalizedExcludeStudentId,
+      languageFilter: normalizedLanguageFilter,
+    });
 
-    // Step 1: Get embedding — reuse from DB if submissionId provided, otherwise generate via OpenAI
+    // Step 1: Get embedding — reuse from DB if submissionId provided, otherwise generate via the embedding provider
     let codeEmbedding = null;
     if (submissionId) {
-      codeEmbedding = await vectorDb.getSubmissionEmbedding(submissionId);
+      codeEmbedding = await vectorDb.getSubmissionEmbedding(
+        submissionId,
+        req.tenantId,
+      );
       if (codeEmbedding) {
         console.log(
-          `[Check] Reused stored embedding for submission ${submissionId} (skipped OpenAI call)`,
+          `[Check] Reused stored embedding for submission ${submissionId} (skipped embedding call)`,
         );
       }
     }
 
     if (!codeEmbedding) {
       codeEmbedding = await embeddings.generateCodeEmbedding(
-        code,
+        studentPart.code,
         language,
         customApiKey,
         useNormalization,
+        { files: project?.files },
       );
       console.log(
-        `[Check] Generated new embedding via OpenAI (normalization: ${useNormalization ? "ON" : "OFF"})`,
+        `[Check] Generated new embedding via ${embeddings.EMBEDDING_PROVIDER} (normalization: ${useNormalization ? "ON" : "OFF"})`,
       );
     }
 
+    progress.stage("embedded", {
+      provider: embeddings.EMBEDDING_PROVIDER,
+      normalized: useNormalization,
+      chunkCount: studentPart.chunks.length,
+    });
+
     // Step 2: Find similar whole submissions
     // Use LOWER threshold (0.3) to catch more matches, let scoring engine filter later
     // This prevents missing matches due to embedding strategy mismatches
     const searchThreshold = Math.min(0.3, similarityThreshold);
-    let similarSubmissions = await vectorDb.findSimilarSubmissions(
-      codeEmbedding,
-      normalizedQuestionId,
-      50, // Get more results (filter later)
-      searchThreshold,
-      normalizedExamId,
+    let similarSubmissions = applyProfileBaseline(
+      await vectorDb.findSimilarSubmissions(
+        codeEmbedding,
+        normalizedQuestionId,
+        50, // Get more results (filter later)
+        searchThreshold,
+        normalizedExamId,
+        null,
+        req.tenantId,
+      ),
+      profile,
     );
     console.log(
       `[Check] Found ${similarSubmissions.length} submissions above ${searchThreshold} threshold`,
@@ -520,15 +1129,24 @@ app.post("/api/check", async (req, res) => {
       similarSubmissions = similarSubmissions.filter(
         (s) =>
           !s.language ||
-          s.language.trim().toLowerCase() === normalizedLanguageFilter,
+          languages.resolveLanguage(s.language) === normalizedLanguageFilter,
       );
       console.log(
         `[Check] After languageFilter "${normalizedLanguageFilter}": ${similarSubmissions.length} similar submissions`,
       );
     }
 
-    // Step 3: Extract and check chunks
-    const codeChunks = chunking.extractCodeChunks(code, language);
+    progress.stage("similar_submissions", {
+      count: similarSubmissions.length,
+      top: similarSubmissions.slice(0, maxResults).map((sub) => ({
+        submissionId: sub.submission_id,
+        studentId: sub.student_id,
+        similarity: Math.round(sub.similarity * 1000) / 1000,
+      })),
+    });
+
+    // Step 3: Check chunks (projects: file chunks plus their definitions; starter-only chunks dropped)
+    const codeChunks = studentPart.chunks;
     console.log(
       `[Check] Extracted ${codeChunks.length} chunks from query code`,
     );
@@ -546,18 +1164,35 @@ app.post("/api/check", async (req, res) => {
       const chunkSimilarityPromises = queryChunksWithEmbeddings.map(
         async (chunk) => {
           // Use lower threshold for chunks too
-          const matches = await vectorDb.findSimilarChunks(
-            chunk.embedding,
-            normalizedQuestionId,
-            10,
-            searchThreshold, // Use same lower threshold
-            normalizedExamId,
+          const matches = applyProfileBaseline(
+            await vectorDb.findSimilarChunks(
+              chunk.embedding,
+              normalizedQuestionId,
+              10,
+              searchThreshold, // Use same lower threshold
+              normalizedExamId,
+              null,
+              req.tenantId,
+            ),
+            profile,
           );
 
           return matches.map((match) => ({
             ...match,
             query_chunk_index: chunk.index,
             query_chunk_text: chunk.text,
+            query_chunk_name: chunk.name,
+            query_chunk_type: chunk.type,
+            query_chunk_parent_index: chunk.parentIndex,
+            query_start_line: chunk.startLine,
+            query_end_line: chunk.endLine,
+            query_file: project
+              ? projectFiles.locateLines(
+                  project.files,
+                  chunk.startLine,
+                  chunk.endLine,
+                )
+              : null,
           }));
         },
       );
@@ -581,7 +1216,7 @@ app.post("/api/check", async (req, res) => {
         similarChunks = similarChunks.filter(
           (c) =>
             !c.language ||
-            c.language.trim().toLowerCase() === normalizedLanguageFilter,
+            languages.resolveLanguage(c.language) === normalizedLanguageFilter,
         );
         console.log(
           `[Check] After languageFilter "${normalizedLanguageFilter}": ${similarChunks.length} similar chunks`,
@@ -592,24 +1227,62 @@ app.post("/api/check", async (req, res) => {
       console.log(`[Check] Found ${similarChunks.length} similar chunks`);
     }
 
+    progress.stage("similar_chunks", {
+      count: similarChunks.length,
+      top: similarChunks.slice(0, 10).map((chunk) => ({
+        submissionId: chunk.submission_id,
+        studentId: chunk.student_id,
+        similarity: Math.round(chunk.similarity * 1000) / 1000,
+        queryChunkName: chunk.query_chunk_name,
+        matchedChunkIndex: chunk.chunk_index,
+      })),
+    });
+
     // Step 4: Build response with summary
     const uniqueMatchedSubmissions = new Set([
       ...similarSubmissions.map((s) => s.submission_id),
       ...similarChunks.map((c) => c.submission_id),
     ]);
 
+    const { riskBands } = profile;
     const highSimilaritySubmissions = similarSubmissions.filter(
-      (s) => s.similarity >= 0.85,
+      (s) => s.similarity >= riskBands.high,
     );
     const moderateSimilaritySubmissions = similarSubmissions.filter(
-      (s) => s.similarity >= 0.75 && s.similarity < 0.85,
+      (s) => s.similarity >= riskBands.medium && s.similarity < riskBands.high,
     );
 
+    // File-level matches: each whole query file against the closest whole file
+    // of every other project (similarChunks is sorted, so the first one wins)
+    const fileMatchesByKey = new Map();
+    similarChunks
+      .filter(
+        (c) =>
+          c.query_file?.wholeFile &&
+          c.file?.wholeFile &&
+          c.similarity >= searchThreshold,
+      )
+      .forEach((c) => {
+        const key = `${c.query_file.path}|${c.submission_id}`;
+        if (!fileMatchesByKey.has(key)) fileMatchesByKey.set(key, c);
+      });
+    const fileMatches = [...fileMatchesByKey.values()]
+      .slice(0, 20)
+      .map((c) => ({
+        file: c.query_file.path,
+        submissionId: c.submission_id,
+        studentId: c.student_id,
+        matchedFile: c.file.path,
+        similarity: Math.round(c.similarity * 1000) / 1000,
+        renamed: c.query_file.path !== c.file.path,
+      }));
+
     const summary = {
       totalMatchedSubmissions: uniqueMatchedSubmissions.size,
       highSimilarity: highSimilaritySubmissions.length,
       moderateSimilarity: moderateSimilaritySubmissions.length,
       matchedChunks: similarChunks.length,
+      matchedFiles: fileMatches.length,
       maxSimilarity:
         similarSubmissions.length > 0 ? similarSubmissions[0].similarity : 0,
       threshold: similarityThreshold,
@@ -631,6 +1304,17 @@ app.post("/api/check", async (req, res) => {
       studentId: chunk.student_id,
       similarity: Math.round(chunk.similarity * 1000) / 1000,
       queryChunkIndex: chunk.query_chunk_index,
+      queryChunkName: chunk.query_chunk_name,
+      queryChunkType: chunk.query_chunk_type,
+      queryChunkParentIndex: chunk.query_chunk_parent_index ?? null,
+      // Chunk lines are stored 0-based; reported 1-based like the local detectors
+      queryLines:
+        chunk.query_start_line != null
+          ? {
+              start: chunk.query_start_line + 1,
+              end: chunk.query_end_line + 1,
+            }
+          : null,
       queryChunkPreview:
         chunk.query_chunk_text?.substring(0, 150) +
         (chunk.query_chunk_text?.length > 150 ? "..." : ""),
@@ -638,11 +1322,106 @@ app.post("/api/check", async (req, res) => {
         chunk.chunk_text?.substring(0, 150) +
         (chunk.chunk_text?.length > 150 ? "..." : ""),
       matchedChunkIndex: chunk.chunk_index,
+      matchedLines:
+        chunk.start_line != null
+          ? { start: chunk.start_line + 1, end: chunk.end_line + 1 }
+          : null,
+      // Projects: file paths and file-relative lines (files match by content, so paths may differ)
+      queryFile: formatFileLocation(chunk.query_file),
+      matchedFile: formatFileLocation(chunk.file),
+      renamed:
+        !!chunk.query_file &&
+        !!chunk.file &&
+        chunk.query_file.path !== chunk.file.path,
+    });
+
+    // Step 5: Local detectors — winnowing fingerprints (copydetect-equivalent, works offline)
+    const winnowingComparison = await winnowing.buildWinnowingComparison(
+      studentPart.code,
+      language,
+      existingSubmissions,
+      { starterCode: starterSource, files: project?.files },
+    );
+    const fingerprintMatches = winnowingComparison.results
+      .filter((r) => r.similarity > 0)
+      .slice(0, maxResults)
+      .map((r) => ({
+        submissionId: r.submissionId,
+        studentId: r.studentId,
+        similarity: r.similarity,
+        ...r.details,
+      }));
+
+    // Greedy String Tiling over language-neutral tokens (structural, weighted alongside treesitter)
+    const gstComparison = greedyStringTiling.buildGstComparison(
+      code,
+      language,
+      existingSubmissions,
+      { starterCode: starterSource },
+    );
+    const tileMatches = gstComparison.results
+      .filter((r) => r.similarity > 0)
+      .slice(0, maxResults)
+      .map((r) => ({
+        submissionId: r.submissionId,
+        studentId: r.studentId,
+        similarity: r.similarity,
+        ...r.details,
+      }));
+
+    // Aligned regions per matched submission (chunks, fingerprints and tiles) for side-by-side highlights
+    const submissionsById = new Map(
+      existingSubmissions.map((sub) => [sub.submission_id || sub.id, sub]),
+    );
+    const alignedMatches = [
+      ...new Set([
+        ...similarSubmissions
+          .slice(0, maxResults)
+          .map((sub) => sub.submission_id),
+        ...fingerprintMatches.map((m) => m.submissionId),
+        ...tileMatches.map((m) => m.submissionId),
+      ]),
+    ]
+      .filter((id) => submissionsById.has(id))
+      .map((id) => {
+        const sub = submissionsById.get(id);
+        // Best match per query chunk (similarChunks is sorted)
+        const chunksByQuery = new Map();
+        similarChunks
+          .filter((c) => c.submission_id === id)
+          .forEach((c) => {
+            if (!chunksByQuery.has(c.query_chunk_index)) {
+              chunksByQuery.set(c.query_chunk_index, formatChunk(c));
+            }
+          });
+        return {
+          submissionId: id,
+          studentId: sub.student_id,
+          regions: matchAlignment.buildAlignedRegions({
+            queryCode: code,
+            matchedCode: sub.code || "",
+            chunks: [...chunksByQuery.values()],
+            fingerprintRegions:
+              winnowingComparison.results.find((r) => r.submissionId === id)
+                ?.details.matched_regions || [],
+            tiles:
+              gstComparison.results.find((r) => r.submissionId === id)?.details
+                .tiles || [],
+          }),
+        };
+      });
+
+    progress.stage("local_matches", {
+      fingerprintMatches,
+      tileMatches,
+      fileMatches,
+      alignedMatches,
     });
 
-    // Step 5: Call external plagiarism API (always, regardless of local matches)
+    // Step 6: Call external plagiarism API (always, regardless of local matches)
     let externalResult = null;
     let finalDecision = null;
+    let externalApiResponse = null; // Raw response, kept with the stored check
 
     console.log(`[Check] Calling external plagiarism API...`);
     console.log(`[Check] Local matches found: ${similarSubmissions.length}`);
@@ -653,29 +1432,38 @@ app.post("/api/check", async (req, res) => {
         studentId: sub.student_id || sub.id,
         code: sub.code,
       }));
+      // The external tools only see student-written lines
+      const strippedForExternal = submissionsForExternal.map((sub) => ({
+        ...sub,
+        code: starterCode.subtractStarterCode(sub.code, starterSource),
+      }));
 
       console.log(
         `[Check] Sending ALL ${submissionsForExternal.length} submissions to external API`,
       );
 
       // Call external API with language parameter
-      const externalApiResponse =
-        await externalPlagiarism.checkExternalPlagiarism(
-          normalizedQuestionId,
-          {
-            studentId: "current_check",
-            code: code,
-          },
-          submissionsForExternal,
-          language,
-          maxResults,
-        );
+      externalApiResponse = await externalPlagiarism.checkExternalPlagiarism(
+        normalizedQuestionId,
+        {
+          studentId: "current_check",
+          code: starterCode.subtractStarterCode(code, starterSource),
+        },
+        strippedForExternal,
+        language,
+        maxResults,
+      );
 
       // Pass submissions to formatExternalResult so it can include full code
       externalResult = externalPlagiarism.formatExternalResult(
         externalApiResponse,
         submissionsForExternal,
       );
+      externalResult.comparisons.push(winnowingComparison, gstComparison);
+      progress.stage("external", {
+        available: externalResult.available,
+        summary: externalResult.summary,
+      });
 
       // Prepare local result for scoring engine (with maxSimilarity)
       const localResultForScoring = {
@@ -688,10 +1476,16 @@ app.post("/api/check", async (req, res) => {
 
       // Prepare structural data for penalty calculation
       const structuralData = {
-        currentCode: code,
+        currentCode: starterCode.subtractStarterCode(code, starterSource),
         comparedCode:
-          similarSubmissions.length > 0 ? similarSubmissions[0].code : "",
+          similarSubmissions.length > 0
+            ? starterCode.subtractStarterCode(
+                similarSubmissions[0].code,
+                starterSource,
+              )
+            : "",
         language: language,
+        profile,
       };
 
       // Determine final decision using new scoring engine with structural penalty
@@ -712,6 +1506,10 @@ app.post("/api/check", async (req, res) => {
         error: error.message,
         matches: [],
       };
+      progress.stage("external", {
+        available: false,
+        error: error.message,
+      });
 
       // Fallback decision when external API fails (still use scoring engine)
       const localResultForScoring = {
@@ -724,15 +1522,21 @@ app.post("/api/check", async (req, res) => {
 
       // Prepare structural data for penalty calculation
       const structuralData = {
-        currentCode: code,
+        currentCode: starterCode.subtractStarterCode(code, starterSource),
         comparedCode:
-          similarSubmissions.length > 0 ? similarSubmissions[0].code : "",
+          similarSubmissions.length > 0
+            ? starterCode.subtractStarterCode(
+                similarSubmissions[0].code,
+                starterSource,
+              )
+            : "",
         language: language,
+        profile,
       };
 
       finalDecision = externalPlagiarism.determineFinalDecision(
         localResultForScoring,
-        { available: false, comparisons: [] }, // Empty external result
+        { available: false, comparisons: [winnowingComparison, gstComparison] }, // Local detectors only
         similarityThreshold,
         structuralData,
       );
@@ -743,6 +1547,8 @@ app.post("/api/check", async (req, res) => {
       );
     }
 
+    progress.stage("decision", finalDecision);
+
     // Calculate individual verdicts for each detection method
     const localVerdict = {
       method: "Local Vector Similarity (Semantic)",
@@ -751,9 +1557,9 @@ app.post("/api/check", async (req, res) => {
         similarSubmissions[0].similarity >= similarityThreshold,
       confidence:
         similarSubmissions.length > 0
-          ? similarSubmissions[0].similarity >= 0.85
+          ? similarSubmissions[0].similarity >= riskBands.high
             ? "high"
-            : similarSubmissions[0].similarity >= 0.75
+            : similarSubmissions[0].similarity >= riskBands.medium
               ? "medium"
               : "low"
           : "none",
@@ -772,6 +1578,9 @@ app.post("/api/check", async (req, res) => {
           .slice(0, maxResults)
           .map(formatSubmission),
         similar_chunks: similarChunks.slice(0, 10).map(formatChunk),
+        fingerprint_matches: fingerprintMatches,
+        tile_matches: tileMatches,
+        file_matches: fileMatches,
       },
     };
 
@@ -822,7 +1631,7 @@ app.post("/api/check", async (req, res) => {
     };
 
     // Build comprehensive response with clear separation
-    res.json({
+    const response = {
       success: true,
 
       // Individual detection results - displayed independently
@@ -834,6 +1643,11 @@ app.post("/api/check", async (req, res) => {
       // Overall assessment (combines both, but doesn't compromise either)
       overall: overallAssessment,
 
+      language,
+      languageDetection,
+      files: formatProjectFiles(project),
+      starterCode: formatStarterUsage(starter, studentPart),
+
       // Detailed data for each method
       local_result: {
         summary,
@@ -841,6 +1655,10 @@ app.post("/api/check", async (req, res) => {
           .slice(0, maxResults)
           .map(formatSubmission),
         similarChunks: similarChunks.slice(0, 10).map(formatChunk),
+        fileMatches,
+        fingerprintMatches,
+        tileMatches,
+        alignedMatches,
       },
 
       external_result: externalResult,
@@ -848,24 +1666,132 @@ app.post("/api/check", async (req, res) => {
       // Legacy final_decision (kept for backward compatibility)
       final_decision: finalDecision,
 
+      // Scoring profile the check was scored with (name, version, settings)
+      scoringProfile: scoring,
+
       // Backward compatibility - keep original structure
       summary,
       similarSubmissions: similarSubmissions
         .slice(0, maxResults)
         .map(formatSubmission),
       similarChunks: similarChunks.slice(0, 10).map(formatChunk),
+      fileMatches,
+      alignedMatches,
 
       timestamp: new Date().toISOString(),
-    });
+    };
+
+    const caseSubjectId = studentId
+      ? String(studentId).trim()
+      : normalizedExcludeStudentId;
+
+    // Every check is stored for audits and appeals (inputs, versions, raw external response)
+    try {
+      const stored = await checkHistory.saveCheck({
+        tenantId: req.tenantId,
+        submissionId,
+        questionId: normalizedQuestionId,
+        examId: normalizedExamId,
+        studentId: caseSubjectId,
+        contentHash: contentStore.hashContent(code),
+        requestedBy: auth.principalName(req.principal),
+        inputs: {
+          code,
+          language,
+          languageDetection,
+          similarityThreshold,
+          scoringProfile: {
+            requested: requestedProfile,
+            name: scoring.name,
+            version: scoring.version,
+            source: scoring.source,
+          },
+          maxResults,
+          useNormalization,
+          excludeStudentId: normalizedExcludeStudentId,
+          languageFilter: normalizedLanguageFilter,
+          customApiKey: Boolean(customApiKey),
+        },
+        versions: {
+          ...embeddings.getEmbeddingProviderInfo(),
+          normalization: useNormalization,
+          normalizationVersion: NORMALIZATION_VERSION,
+          fingerprintVersion: winnowing.FINGERPRINT_VERSION,
+          vectorDb: vectorDb.getStoreInfo().provider,
+        },
+        external: {
+          ...externalPlagiarism.getExternalApiInfo(language),
+          available: externalResult?.available === true,
+          error: externalResult?.error || null,
+          response: externalApiResponse,
+        },
+        response,
+      });
+      response.checkId = stored.id;
+    } catch (error) {
+      // The check result stands even when it cannot be stored
+      console.error("[Check] Check not stored:", error.message);
+      response.checkId = null;
+    }
+
+    // Flagged checks of a known student open (or add evidence to) an integrity
+    // case; anonymous checks (previews, what-ifs) only when asked for
+    const flagged = overallAssessment.status === "PLAGIARISM_DETECTED";
+    if (
+      createCase === true ||
+      (createCase === "auto" && flagged && caseSubjectId)
+    ) {
+      try {
+        const evidence = integrityCases.buildEvidenceSnapshot(response, {
+          code,
+          submissionId,
+          checkId: response.checkId,
+        });
+        const recorded = await integrityCases.recordFlaggedCheck(
+          {
+            tenantId: req.tenantId,
+            questionId: normalizedQuestionId,
+            examId: normalizedExamId,
+            studentId: caseSubjectId,
+            submissionId,
+            language,
+            priority: overallAssessment.priority,
+          },
+          evidence,
+          auth.principalName(req.principal) ?? actor,
+        );
+        response.case = {
+          caseId: recorded.case.id,
+          created: recorded.created,
+          status: recorded.case.status,
+          evidenceId: evidence.id,
+        };
+      } catch (error) {
+        // The check result stands even when the case cannot be saved
+        console.error("[Check] Case not recorded:", error.message);
+        response.case = { error: error.message };
+      }
+    }
+
+    res.json(response);
   } catch (error) {
     console.error("[Check Error]", error);
 
-    // Check if it's a Pinecone error
-    if (error.message && error.message.includes("Pinecone")) {
+    if (rejectScoringProfileError(res, error)) return;
+
+    if (error.message && error.message.startsWith("Invalid project")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: "INVALID_PROJECT",
+      });
+    }
+
+    // Check if it's a vector database error
+    if (isVectorDbError(error)) {
       return res.status(503).json({
         success: false,
-        error:
-          "Vector database not configured. Please set PINECONE_API_KEY in your backend .env file. Get free API key from https://www.pinecone.io/",
+        error: `Vector database not configured. ${vectorDb.getStoreInfo().configHint}`,
         errorType: "PINECONE_NOT_CONFIGURED",
       });
     }
@@ -896,6 +1822,116 @@ app.post("/api/check", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/compare
+ * Compare two code snippets directly (no questionId, nothing is stored)
+ *
+ * Request Body:
+ * {
+ *   "codeA": "def foo(): ...",
+ *   "codeB": "def bar(): ...",
+ *   "language": "python" (optional, detected from codeA when omitted),
+ *   "similarityThreshold": 0.75 (optional, 0-1; defaults to the scoring profile's threshold),
+ *   "scoringProfile": "strict" (optional, "name" or "name@version"; defaults to the tenant's),
+ *   "useNormalization": true (optional),
+ *   "useExternal": false (optional, also run the external plagiarism API)
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "report": { overallScore, scoreBreakdown, plagiarismType, structuralPenalty, ... },
+ *   "embedding": { similarity, rawSimilarity, provider, normalized },
+ *   "chunks": { countA, countB, similarity, matches },
+ *   "fingerprints": { similarity, matched_regions, ... },
+ *   "tiles": { similarity, tiles, ... },
+ *   "external": { available, ... },
+ *   "scoringProfile": { name, version, source, profile }
+ * }
+ */
+app.post("/api/compare", async (req, res) => {
+  try {
+    const {
+      codeA,
+      codeB,
+      similarityThreshold = null, // Defaults to the scoring profile's threshold
+      scoringProfile: requestedProfile = null,
+      useNormalization = true,
+      useExternal = false,
+    } = req.body;
+    const customApiKey = req.headers["x-openai-api-key"] || null;
+
+    if (
+      typeof codeA !== "string" ||
+      typeof codeB !== "string" ||
+      codeA.trim().length === 0 ||
+      codeB.trim().length === 0
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: codeA, codeB (non-empty strings)",
+      });
+    }
+
+    const languageDetection = languageDetector.resolveSubmissionLanguage(
+      codeA,
+      req.body.language,
+    );
+    const { language } = languageDetection;
+
+    const tenantConfig = await tenants.getTenantConfig(req.tenantId);
+    if (rejectLanguage(res, tenantConfig, language)) return;
+
+    const scoring = await scoringProfiles.resolveScoringProfile(req.tenantId, {
+      requested: requestedProfile,
+    });
+    const comparison = await snippetComparison.compareSnippets(codeA, codeB, {
+      language,
+      threshold: similarityThreshold ?? scoring.profile.similarityThreshold,
+      useNormalization,
+      useExternal,
+      customApiKey,
+      profile: scoring.profile,
+    });
+
+    res.json({
+      success: true,
+      language,
+      languageDetection,
+      ...comparison,
+      scoringProfile: scoring,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("[Compare Error]", error);
+
+    if (rejectScoringProfileError(res, error)) return;
+
+    if (error.message && error.message.includes("quota")) {
+      return res.status(402).json({
+        success: false,
+        error:
+          'OpenAI API quota exceeded. Please provide a valid API key with available credits using the "OpenAI API Key" field in the frontend.',
+        errorType: "QUOTA_EXCEEDED",
+      });
+    }
+
+    if (error.message && error.message.includes("API key")) {
+      return res.status(401).json({
+        success: false,
+        error:
+          'Invalid or missing OpenAI API key. Please provide a valid API key using the "OpenAI API Key" field in the frontend.',
+        errorType: "INVALID_API_KEY",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message || "Internal server error",
+    });
+  }
+});
+
 /**
  * GET /api/submissions/:questionId
  * Get all submissions for a question (optional query: ?examId=...)
@@ -910,6 +1946,8 @@ app.get("/api/submissions/:questionId", async (req, res) => {
     const submissions = await vectorDb.getSubmissionsByQuestion(
       normalizedQuestionId,
       examId,
+      null,
+      req.tenantId,
     );
 
     res.json({
@@ -937,25 +1975,27 @@ app.get("/api/submissions/:questionId", async (req, res) => {
  * POST /api/reembed/:questionId
  * Re-generate embeddings for all submissions of a question (optional body: examId)
  * Use this after updating embedding logic to refresh old submissions
+ * Runs as a background job (202 with jobId, see GET /api/jobs/:id); with
+ * `wait: true` in the body the request waits and returns the counts directly
+ * (streamed as progress events with `Accept: text/event-stream`).
  */
 app.post("/api/reembed/:questionId", async (req, res) => {
+  const progress = progressEvents.createProgressReporter(req, res);
   try {
     const normalizedQuestionId = req.params.questionId?.trim?.();
-    const { useNormalization = true, examId } = req.body;
+    const { useNormalization = true, examId, wait = false } = req.body;
     const normalizedExamId =
       examId != null && String(examId).trim() !== ""
         ? String(examId).trim()
         : null;
     const customApiKey = req.headers["x-openai-api-key"] || null;
 
-    console.log(
-      `[Re-embed] Starting re-embedding for question ${normalizedQuestionId}${normalizedExamId ? ` exam ${normalizedExamId}` : ""} (normalization: ${useNormalization ? "ON" : "OFF"})`,
-    );
-
     // Get all submissions for this question (and exam if provided)
     const submissions = await vectorDb.getSubmissionsByQuestion(
       normalizedQuestionId,
       normalizedExamId,
+      null,
+      req.tenantId,
     );
 
     if (!submissions || submissions.length === 0) {
@@ -965,69 +2005,39 @@ app.post("/api/reembed/:questionId", async (req, res) => {
       });
     }
 
-    console.log(`[Re-embed] Re-embedding ${submissions.length} submissions...`);
-    let successCount = 0;
-    let failCount = 0;
-
-    for (const sub of submissions) {
-      try {
-        // Detect language from code if not stored
-        const language = "python"; // Default, improve later
-
-        // Re-generate embedding with current normalization setting
-        const newEmbedding = await embeddings.generateCodeEmbedding(
-          sub.code,
-          language,
-          customApiKey,
-          useNormalization,
-        );
-
-        // Re-generate chunk embeddings
-        const chunks = chunking.extractCodeChunks(sub.code, language);
-        const chunksWithEmbeddings =
-          chunks.length > 0
-            ? await embeddings.generateChunkEmbeddings(
-                chunks,
-                language,
-                customApiKey,
-                useNormalization,
-              )
-            : [];
-
-        // Save updated embeddings (preserve examId and language from metadata if present)
-        const existingExamId = sub.exam_id ?? null;
-        const existingLanguage = sub.language ?? null;
-        await vectorDb.saveSubmission({
-          submissionId: sub.id,
-          studentId: sub.student_id,
-          questionId: sub.question_id,
-          examId: existingExamId,
-          language: existingLanguage,
-          code: sub.code,
-          embedding: newEmbedding,
-          chunks: chunksWithEmbeddings,
-        });
-
-        successCount++;
-        console.log(
-          `[Re-embed] ✓ Re-embedded ${sub.id} (${successCount}/${submissions.length})`,
-        );
-      } catch (error) {
-        failCount++;
-        console.error(
-          `[Re-embed] ✗ Failed to re-embed ${sub.id}:`,
-          error.message,
-        );
-      }
-    }
+    console.log(
+      `[Re-embed] Queueing re-embedding of ${submissions.length} submissions for question ${normalizedQuestionId}${normalizedExamId ? ` exam ${normalizedExamId}` : ""} (normalization: ${useNormalization ? "ON" : "OFF"})`,
+    );
+    const job = await jobQueue.enqueueJob(
+      "reembed",
+      submissions.map((sub) => ({
+        submissionId: sub.id,
+        examId: sub.exam_id ?? null,
+      })),
+      {
+        questionId: normalizedQuestionId,
+        examId: normalizedExamId,
+        useNormalization,
+        tenantId: req.tenantId,
+      },
+      { customApiKey },
+    );
+    if (!wait && !progress.streaming) return jobAccepted(res, job);
 
+    const finished = progress.streaming
+      ? await followJob(progress, job)
+      : await jobQueue.waitForJob(job.id);
     res.json({
       success: true,
+      jobId: finished.id,
       questionId: normalizedQuestionId,
       totalSubmissions: submissions.length,
-      successCount,
-      failCount,
-      message: `Successfully re-embedded ${successCount} out of ${submissions.length} submissions`,
+      successCount: finished.successCount,
+      failCount: finished.failCount,
+      errors: finished.errors,
+      languageDetections:
+        jobQueue.describeJob(finished).summary.languageDetections,
+      message: `Successfully re-embedded ${finished.successCount} out of ${submissions.length} submissions`,
     });
   } catch (error) {
     console.error("[Re-embed Error]", error);
@@ -1039,27 +2049,67 @@ app.post("/api/reembed/:questionId", async (req, res) => {
 });
 
 /**
- * GET /api/submission/:id
- * Get a specific submission by ID
+ * GET /api/jobs
+ * Background jobs, newest first (optional query: type, status)
  */
-app.get("/api/submission/:id", async (req, res) => {
+app.get("/api/jobs", async (req, res) => {
   try {
-    const { id } = req.params;
-    const submission = await vectorDb.getSubmission(id);
+    const jobs = (
+      await jobQueue.listJobs({
+        type: req.query.type || null,
+        status: req.query.status || null,
+        tenantId: req.tenantId,
+      })
+    ).filter((job) => canAccessJob(req.principal, job));
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs: jobs.map((job) => {
+        const { errors, ...rest } = jobQueue.describeJob(job);
+        return rest;
+      }),
+    });
+  } catch (error) {
+    console.error("[List Jobs Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-    if (!submission) {
+/**
+ * GET /api/jobs/:id
+ * Progress of a background job
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "job": {
+ *     "id": "job_...", "type": "bulk_submit", "status": "running",
+ *     "total": 500, "processed": 120, "progress": 0.24, "successCount": 118, "failCount": 2,
+ *     "errors": [{ "row": 7, "error": "..." }],
+ *     "summary": { ... }
+ *   }
+ * }
+ */
+app.get("/api/jobs/:id", async (req, res) => {
+  try {
+    const job = await getTenantJob(req, req.params.id);
+    if (!job) {
       return res.status(404).json({
         success: false,
-        error: "Submission not found",
+        error: "Job not found",
+        errorType: "JOB_NOT_FOUND",
       });
     }
-
+    if (rejectJobOutOfScope(req, res, job)) return;
     res.json({
       success: true,
-      submission,
+      job: jobQueue.describeJob(job),
     });
   } catch (error) {
-    console.error("[Get Submission Error]", error);
+    console.error("[Get Job Error]", error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1067,44 +2117,1190 @@ app.get("/api/submission/:id", async (req, res) => {
   }
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error("[Express Error]", err);
-  res.status(500).json({
-    success: false,
-    error: "Internal server error",
-  });
-});
-
-// Initialize and start server
-async function startServer() {
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events for a job (works with EventSource): `progress` after
+ * every item, then `result` with the finished job (same shape as GET /api/jobs/:id)
+ */
+app.get("/api/jobs/:id/events", async (req, res) => {
   try {
-    // Try to initialize Pinecone (non-fatal if it fails)
-    const pineconeInitialized = await vectorDb.initializeIndex();
+    const job = await getTenantJob(req, req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+        errorType: "JOB_NOT_FOUND",
+      });
+    }
+    if (rejectJobOutOfScope(req, res, job)) return;
 
-    // Start Express server
-    app.listen(PORT, () => {
-      console.log(
-        `\n🚀 Semantic Plagiarism Detection Server running on http://localhost:${PORT}`,
-      );
-      console.log(`📊 Embedding Model: ${embeddings.EMBEDDING_MODEL}`);
-      console.log(`📐 Vector Dimensions: ${embeddings.EMBEDDING_DIMENSIONS}`);
-      console.log(
-        `🎯 Vector Database: Pinecone (Cloud) ${pineconeInitialized ? "✓" : "✗ NOT CONFIGURED"}`,
+    const stream = progressEvents.openEventStream(res);
+    const finish = (finished) => {
+      stream.send("result", {
+        success: true,
+        job: jobQueue.describeJob(finished),
+      });
+      stream.end();
+    };
+    if (jobQueue.isFinished(job)) return finish(job);
+
+    stream.send("progress", jobProgress(job));
+    const unsubscribe = jobQueue.subscribeToJob(job.id, (update) => {
+      if (jobQueue.isFinished(update)) {
+        unsubscribe();
+        finish(update);
+      } else {
+        stream.send("progress", jobProgress(update));
+      }
+    });
+    res.on("close", unsubscribe);
+  } catch (error) {
+    console.error("[Job Events Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job; items already processed stay saved
+ */
+app.post("/api/jobs/:id/cancel", async (req, res) => {
+  try {
+    const existing = await getTenantJob(req, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+        errorType: "JOB_NOT_FOUND",
+      });
+    }
+    if (rejectJobOutOfScope(req, res, existing)) return;
+
+    const job = await jobQueue.cancelJob(req.params.id);
+    if (job.status !== jobQueue.JOB_STATUS.CANCELLED) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${job.status}`,
+        errorType: "JOB_FINISHED",
+        job: jobQueue.describeJob(job),
+      });
+    }
+    res.json({
+      success: true,
+      job: jobQueue.describeJob(job),
+    });
+  } catch (error) {
+    console.error("[Cancel Job Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/submission/:id
+ * Get a specific submission by ID
+ */
+app.get("/api/submission/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const submission = await vectorDb.getSubmission(id, req.tenantId);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      });
+    }
+    if (!auth.canAccessExam(req.principal, submission.exam_id)) {
+      return auth.rejectOutOfScope(res, submission.exam_id);
+    }
+
+    res.json({
+      success: true,
+      submission,
+    });
+  } catch (error) {
+    console.error("[Get Submission Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/submission/:id/checks
+ * Stored checks of a submission, newest first: checks that named it
+ * (submissionId) and checks of its exact code on the same question
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "submissionId": "...",
+ *   "count": 2,
+ *   "checks": [{ id, questionId, examId, studentId, status, confidence, createdAt, linkedBy }]
+ * }
+ */
+app.get("/api/submission/:id/checks", async (req, res) => {
+  try {
+    const { id } = req.params;
+    let submission = null;
+    try {
+      submission = await vectorDb.getSubmission(id, req.tenantId);
+    } catch (error) {
+      // Checks stored with the submissionId are still listed without a vector DB
+      if (!isVectorDbError(error)) throw error;
+    }
+
+    if (submission && !auth.canAccessExam(req.principal, submission.exam_id)) {
+      return auth.rejectOutOfScope(res, submission.exam_id);
+    }
+
+    const checks = (
+      await checkHistory.listChecksForSubmission(
+        id,
+        submission && {
+          questionId: submission.question_id,
+          contentHash: submission.content_hash,
+        },
+        req.tenantId,
+      )
+    ).filter((check) => auth.canAccessExam(req.principal, check.examId));
+    if (!submission && checks.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      submissionId: id,
+      count: checks.length,
+      checks,
+    });
+  } catch (error) {
+    console.error("[List Submission Checks Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/checks/:checkId
+ * A stored check: inputs and thresholds, model/normalization/detector
+ * versions, the raw external API response and the full response returned
+ */
+app.get("/api/checks/:checkId", async (req, res) => {
+  try {
+    const check = await checkHistory.getCheck(req.params.checkId);
+    if (!check || tenants.tenantOf(check) !== req.tenantId) {
+      return res.status(404).json({
+        success: false,
+        error: "Check not found",
+        errorType: "CHECK_NOT_FOUND",
+      });
+    }
+    if (!auth.canAccessExam(req.principal, check.examId)) {
+      return auth.rejectOutOfScope(res, check.examId);
+    }
+    res.json({
+      success: true,
+      check,
+    });
+  } catch (error) {
+    console.error("[Get Check Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/similarity-matrix/:questionId
+ * All-vs-all similarity of the submissions of a question from stored vectors
+ * and the local detectors (no embedding or external API calls)
+ *
+ * Query: examId, language (optional filters), top (pairs to return, default 50),
+ * scoringProfile ("name" or "name@version"; default: the question's, then the
+ * tenant's assigned profile), format=csv (every pair as a CSV download instead of JSON)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "submissions": [{ submissionId, studentId, language }],
+ *   "matrix": [[1, 0.42, ...], ...] (combined scores, rows/columns in `submissions` order),
+ *   "topPairs": [{ submissionA, studentA, submissionB, studentB, combined, confidence, embedding, chunks, fingerprints, gst }],
+ *   "stats": { submissionCount, pairCount, missingEmbeddings },
+ *   "scoringProfile": { name, version, source, profile }
+ * }
+ */
+app.get("/api/similarity-matrix/:questionId", async (req, res) => {
+  try {
+    const normalizedQuestionId = req.params.questionId?.trim?.();
+    const examId = req.query.examId?.trim?.() || null;
+    const top = parseInt(req.query.top, 10) || 50;
+
+    const scoring = await scoringProfiles.resolveScoringProfile(req.tenantId, {
+      questionId: normalizedQuestionId,
+      examId,
+      requested: req.query.scoringProfile || null,
+    });
+    const result = await similarityMatrix.buildSimilarityMatrix(
+      normalizedQuestionId,
+      {
+        tenantId: req.tenantId,
+        examId,
+        language: req.query.language || null,
+        top,
+        profile: scoring.profile,
+      },
+    );
+
+    if (result.submissions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No submissions found for question "${normalizedQuestionId}"`,
+        errorType: "NO_SUBMISSIONS",
+      });
+    }
+
+    if (req.query.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="similarity-${encodeURIComponent(normalizedQuestionId)}${examId ? `-${encodeURIComponent(examId)}` : ""}.csv"`,
+      );
+      return res.send(similarityMatrix.pairsToCsv(result.pairs));
+    }
+
+    const { pairs, ...response } = result;
+    res.json({
+      success: true,
+      ...response,
+      scoringProfile: scoring,
+    });
+  } catch (error) {
+    console.error("[Similarity Matrix Error]", error);
+    if (rejectScoringProfileError(res, error)) return;
+    if (isVectorDbError(error)) {
+      return res.status(503).json({
+        success: false,
+        error: `Vector database not configured. ${vectorDb.getStoreInfo().configHint}`,
+        errorType: "PINECONE_NOT_CONFIGURED",
+      });
+    }
+    if (error.message && error.message.includes("Too many submissions")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: "TOO_MANY_SUBMISSIONS",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/clusters/:questionId
+ * Groups of students linked by suspicious pairs (collusion rings), from the
+ * same stored data as the similarity matrix
+ *
+ * Query: examId, language (optional filters), threshold (minimum combined pair
+ * score for a link, default: the tenant's clusterThreshold, else 0.75),
+ * minSize (smallest cluster, default 2), scoringProfile (as for the similarity matrix)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "clusters": [{ clusterId, size, students, sourceCandidates, edges, maxScore, avgScore, density }],
+ *   "stats": { studentCount, edgeCount, clusteredStudents },
+ *   "scoringProfile": { name, version, source, profile }
+ * }
+ */
+app.get("/api/clusters/:questionId", async (req, res) => {
+  try {
+    const normalizedQuestionId = req.params.questionId?.trim?.();
+    const threshold = parseFloat(req.query.threshold);
+    const tenantConfig = await tenants.getTenantConfig(req.tenantId);
+    const scoring = await scoringProfiles.resolveScoringProfile(req.tenantId, {
+      questionId: normalizedQuestionId,
+      examId: req.query.examId?.trim?.() || null,
+      requested: req.query.scoringProfile || null,
+    });
+
+    const result = await collusionClusters.findCollusionClusters(
+      normalizedQuestionId,
+      {
+        tenantId: req.tenantId,
+        examId: req.query.examId?.trim?.() || null,
+        language: req.query.language || null,
+        threshold: Number.isFinite(threshold)
+          ? threshold
+          : (tenantConfig.clusterThreshold ??
+            collusionClusters.DEFAULT_CLUSTER_THRESHOLD),
+        minSize: parseInt(req.query.minSize, 10) || 2,
+        profile: scoring.profile,
+      },
+    );
+
+    if (result.stats.studentCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No submissions found for question "${normalizedQuestionId}"`,
+        errorType: "NO_SUBMISSIONS",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      scoringProfile: scoring,
+    });
+  } catch (error) {
+    console.error("[Collusion Clusters Error]", error);
+    if (rejectScoringProfileError(res, error)) return;
+    if (isVectorDbError(error)) {
+      return res.status(503).json({
+        success: false,
+        error: `Vector database not configured. ${vectorDb.getStoreInfo().configHint}`,
+        errorType: "PINECONE_NOT_CONFIGURED",
+      });
+    }
+    if (error.message && error.message.includes("Too many submissions")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: "TOO_MANY_SUBMISSIONS",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/starter-code/:questionId
+ * Register (or replace) the starter code of a question
+ *
+ * Request Body:
+ * {
+ *   "code": "def solve(nums):\n    # TODO\n    pass" (or `files` / `zip` like /api/submit),
+ *   "examId": "exam1" (optional, otherwise it applies to every exam of the question),
+ *   "language": "python" (optional, detected when omitted)
+ * }
+ *
+ * Lines submissions share with it are left out of embeddings, chunk matching,
+ * fingerprints, token tiling and external comparisons. Submissions stored
+ * before registration keep their embeddings until POST /api/reembed/:questionId.
+ */
+app.put("/api/starter-code/:questionId", async (req, res) => {
+  try {
+    const normalizedQuestionId = req.params.questionId?.trim?.();
+    const { examId } = req.body;
+    const normalizedExamId =
+      examId != null && String(examId).trim() !== ""
+        ? String(examId).trim()
+        : null;
+
+    const { code, project, languageDetection } = readSubmissionSource(req.body);
+    if (!code || code.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: code (or files/zip)",
+      });
+    }
+
+    const starter = await starterCode.saveStarterCode({
+      tenantId: req.tenantId,
+      questionId: normalizedQuestionId,
+      examId: normalizedExamId,
+      code,
+      language: languageDetection.language,
+      files: project?.files ?? null,
+    });
+    const existingSubmissions = await vectorDb.getSubmissionsByQuestion(
+      normalizedQuestionId,
+      normalizedExamId,
+      null,
+      req.tenantId,
+    );
+
+    res.json({
+      success: true,
+      starterCode: {
+        questionId: starter.questionId,
+        examId: starter.examId,
+        language: starter.language,
+        lineCount: starter.lineCount,
+        files: formatProjectFiles(project),
+        createdAt: starter.createdAt,
+        updatedAt: starter.updatedAt,
+      },
+      existingSubmissions: existingSubmissions.length,
+      message:
+        existingSubmissions.length > 0
+          ? `Starter code registered. Re-embed question "${normalizedQuestionId}" to exclude it from the ${existingSubmissions.length} stored submission embeddings.`
+          : "Starter code registered",
+    });
+  } catch (error) {
+    console.error("[Starter Code Error]", error);
+    if (error.message && error.message.startsWith("Invalid project")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: "INVALID_PROJECT",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/starter-code/:questionId
+ * Starter code that applies to a question (optional query: ?examId=..., falls
+ * back to the question-wide starter code)
+ */
+app.get("/api/starter-code/:questionId", async (req, res) => {
+  try {
+    const normalizedQuestionId = req.params.questionId?.trim?.();
+    const examId = req.query.examId?.trim?.() || null;
+    const starter = await starterCode.getStarterCode(
+      normalizedQuestionId,
+      examId,
+      req.tenantId,
+    );
+
+    if (!starter) {
+      return res.status(404).json({
+        success: false,
+        error: `No starter code registered for question "${normalizedQuestionId}"`,
+      });
+    }
+
+    res.json({
+      success: true,
+      starterCode: starter,
+    });
+  } catch (error) {
+    console.error("[Get Starter Code Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/starter-code/:questionId
+ * Remove the starter code of a question (optional query: ?examId=... removes
+ * only that exam's starter code)
+ */
+app.delete("/api/starter-code/:questionId", async (req, res) => {
+  try {
+    const normalizedQuestionId = req.params.questionId?.trim?.();
+    const examId = req.query.examId?.trim?.() || null;
+    const removed = await starterCode.deleteStarterCode(
+      normalizedQuestionId,
+      examId,
+      req.tenantId,
+    );
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `No starter code registered for question "${normalizedQuestionId}"${examId ? ` exam "${examId}"` : ""}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Starter code removed",
+    });
+  } catch (error) {
+    console.error("[Delete Starter Code Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/cases
+ * Integrity cases, newest first, without evidence payloads
+ * (optional query: examId, questionId, studentId, status, assignee)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "count": 2,
+ *   "statusCounts": { "open": 1, "under_review": 1, ... },
+ *   "cases": [{ id, questionId, examId, studentId, status, priority, assignee, evidenceCount, latestScores, ... }]
+ * }
+ */
+app.get("/api/cases", async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    if (status && !Object.values(integrityCases.CASE_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status "${status}". Use one of: ${Object.values(integrityCases.CASE_STATUS).join(", ")}`,
+        errorType: "INVALID_CASE_STATUS",
+      });
+    }
+
+    // Counts cover the exam/question/student/assignee filter, before the status filter
+    const cases = (
+      await integrityCases.listCases({
+        tenantId: req.tenantId,
+        examId: req.query.examId || null,
+        questionId: req.query.questionId || null,
+        studentId: req.query.studentId || null,
+        assignee: req.query.assignee || null,
+      })
+    ).filter((record) => auth.canAccessExam(req.principal, record.examId));
+    const statusCounts = Object.fromEntries(
+      Object.values(integrityCases.CASE_STATUS).map((value) => [value, 0]),
+    );
+    cases.forEach((record) => statusCounts[record.status]++);
+    const listed = status
+      ? cases.filter((record) => record.status === status)
+      : cases;
+
+    res.json({
+      success: true,
+      count: listed.length,
+      statusCounts,
+      cases: listed.map(integrityCases.summarizeCase),
+    });
+  } catch (error) {
+    console.error("[List Cases Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/cases/:id
+ * Full case: notes, history and every evidence snapshot (scores, decision,
+ * matched submissions with their code, aligned regions)
+ */
+app.get("/api/cases/:id", async (req, res) => {
+  try {
+    const record = await integrityCases.getCase(req.params.id);
+    if (!record || tenants.tenantOf(record) !== req.tenantId) {
+      return res.status(404).json({
+        success: false,
+        error: "Case not found",
+        errorType: "CASE_NOT_FOUND",
+      });
+    }
+    if (!auth.canAccessExam(req.principal, record.examId)) {
+      return auth.rejectOutOfScope(res, record.examId);
+    }
+    const { subjectKey, ...rest } = record;
+    res.json({
+      success: true,
+      case: rest,
+    });
+  } catch (error) {
+    console.error("[Get Case Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/cases/:id
+ * Update a case
+ *
+ * Request Body (any of):
+ * {
+ *   "status": "under_review" (open, under_review, confirmed, dismissed, appealed),
+ *   "reason": "Confirmed with the student" (optional, kept with the status change),
+ *   "assignee": "ta_jane" (null to unassign),
+ *   "note": "Both submissions share the same typo on line 12",
+ *   "actor": "prof_smith" (recorded in history when auth is disabled; otherwise the caller's key or JWT name is used)
+ * }
+ * Status changes follow the workflow in integrityCases.js; other transitions get 409.
+ */
+app.patch("/api/cases/:id", async (req, res) => {
+  try {
+    const { status, assignee, note, reason, actor = null } = req.body || {};
+    if (status === undefined && assignee === undefined && note === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "Nothing to update: send status, assignee or note",
+      });
+    }
+
+    const existing = await integrityCases.getCase(req.params.id);
+    if (!existing || tenants.tenantOf(existing) !== req.tenantId) {
+      return res.status(404).json({
+        success: false,
+        error: "Case not found",
+        errorType: "CASE_NOT_FOUND",
+      });
+    }
+    if (!auth.canAccessExam(req.principal, existing.examId)) {
+      return auth.rejectOutOfScope(res, existing.examId);
+    }
+
+    const record = await integrityCases.updateCase(
+      req.params.id,
+      { status, assignee, note, reason },
+      auth.principalName(req.principal) ?? actor,
+    );
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: "Case not found",
+        errorType: "CASE_NOT_FOUND",
+      });
+    }
+    res.json({
+      success: true,
+      case: integrityCases.summarizeCase(record),
+    });
+  } catch (error) {
+    console.error("[Update Case Error]", error);
+
+    if (error.message && error.message.includes("transition not allowed")) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        errorType: "INVALID_CASE_TRANSITION",
+      });
+    }
+
+    if (error.message && error.message.startsWith("Invalid case")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: "INVALID_CASE_UPDATE",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The caller as authenticated: { type, id, name, role, tenant, scopes }, and
+ * the tenant the request acts in with its config
+ */
+app.get("/api/auth/me", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      authEnabled: auth.AUTH_ENABLED,
+      principal: req.principal,
+      tenantId: req.tenantId,
+      tenant: await tenants.getTenant(req.tenantId),
+    });
+  } catch (error) {
+    console.error("[Auth Me Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/keys (admin)
+ * Issue an API key. The key is only returned here; store it securely.
+ *
+ * Request Body:
+ * {
+ *   "name": "Moodle integration",
+ *   "role": "integration" (admin, instructor, ta, integration),
+ *   "tenant": "cs-dept" (optional; admin keys without one reach every tenant,
+ *     other keys default to the "default" tenant),
+ *   "courses": ["cs101"] (optional scope: exams "cs101:..." of these courses),
+ *   "exams": ["midterm-2026"] (optional scope),
+ *   "expiresAt": "2027-01-31T00:00:00Z" (optional)
+ * }
+ * Without courses or exams a non-admin key reaches every exam. Admins of a
+ * tenant can only issue keys of their own tenant.
+ */
+app.post("/api/keys", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const ownTenant = req.principal.tenant;
+    // Compared normalized: "DeptA " names the caller's own tenant "depta"
+    let requestedTenant;
+    try {
+      requestedTenant = tenants.normalizeTenantId(body.tenant);
+    } catch (error) {
+      throw new Error(`Invalid API key tenant: ${error.message}`);
+    }
+    if (ownTenant && requestedTenant && requestedTenant !== ownTenant) {
+      return res.status(403).json({
+        success: false,
+        error: `Keys of tenant "${requestedTenant}" cannot be issued from tenant "${ownTenant}"`,
+        errorType: "TENANT_FORBIDDEN",
+      });
+    }
+
+    const { key, record } = await auth.createApiKey(
+      ownTenant ? { ...body, tenant: ownTenant } : body,
+      auth.principalName(req.principal),
+    );
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey: auth.describeApiKey(record),
+      message: "Store this key now: it cannot be shown again",
+    });
+  } catch (error) {
+    console.error("[Create API Key Error]", error);
+
+    if (error.message && error.message.startsWith("Invalid API key")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: "INVALID_API_KEY_REQUEST",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/keys (admin)
+ * Issued API keys, newest first (never the keys themselves). Admins of a
+ * tenant only see that tenant's keys.
+ */
+app.get("/api/keys", async (req, res) => {
+  try {
+    const keys = await auth.listApiKeys(req.principal.tenant);
+    res.json({
+      success: true,
+      count: keys.length,
+      keys: keys.map(auth.describeApiKey),
+    });
+  } catch (error) {
+    console.error("[List API Keys Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/keys/:id (admin)
+ * Revoke an API key; requests with it are refused from now on
+ */
+app.delete("/api/keys/:id", async (req, res) => {
+  try {
+    const record = await auth.revokeApiKey(req.params.id, req.principal.tenant);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+        errorType: "API_KEY_NOT_FOUND",
+      });
+    }
+    res.json({
+      success: true,
+      apiKey: auth.describeApiKey(record),
+    });
+  } catch (error) {
+    console.error("[Revoke API Key Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/tenants (admin)
+ * Tenants with their config. Admins of a tenant only see their own.
+ */
+app.get("/api/tenants", async (req, res) => {
+  try {
+    const list = req.principal.tenant
+      ? [await tenants.getTenant(req.principal.tenant)]
+      : await tenants.listTenants();
+    res.json({
+      success: true,
+      count: list.length,
+      tenants: list,
+    });
+  } catch (error) {
+    console.error("[List Tenants Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Tenant named in the path, if the caller may administer it (else answers)
+function tenantParam(req, res) {
+  let tenantId;
+  try {
+    tenantId = tenants.normalizeTenantId(req.params.id);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+      errorType: "INVALID_TENANT",
+    });
+    return null;
+  }
+  if (!auth.canAccessTenant(req.principal, tenantId)) {
+    res.status(403).json({
+      success: false,
+      error: `Not allowed to administer tenant "${tenantId}"`,
+      errorType: "TENANT_FORBIDDEN",
+    });
+    return null;
+  }
+  return tenantId;
+}
+
+/**
+ * GET /api/tenants/:id (admin)
+ * A tenant and its effective config (defaults when it was never stored)
+ */
+app.get("/api/tenants/:id", async (req, res) => {
+  try {
+    const tenantId = tenantParam(req, res);
+    if (!tenantId) return;
+    res.json({
+      success: true,
+      tenant: await tenants.getTenant(tenantId),
+    });
+  } catch (error) {
+    console.error("[Get Tenant Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/tenants/:id (admin)
+ * Register a tenant or update its name and config. Config fields not given
+ * are kept; null resets a field to the default.
+ *
+ * Request Body:
+ * {
+ *   "name": "Computer Science",
+ *   "config": {
+ *     "similarityThreshold": 0.8 (default threshold of /api/check and /api/compare),
+ *     "clusterThreshold": 0.85 (default threshold of /api/clusters),
+ *     "weights": { "copydetect": 0.6, "treesitter": 0.4 } (combined score weights),
+ *     "languages": ["python", "java"] (accepted languages; null: all)
+ *   }
+ * }
+ */
+app.put("/api/tenants/:id", async (req, res) => {
+  try {
+    const tenantId = tenantParam(req, res);
+    if (!tenantId) return;
+    const { name = null, config = {} } = req.body || {};
+    const tenant = await tenants.saveTenant(
+      tenantId,
+      { name, config },
+      auth.principalName(req.principal),
+    );
+    res.json({
+      success: true,
+      tenant,
+    });
+  } catch (error) {
+    console.error("[Save Tenant Error]", error);
+
+    if (error.message && error.message.startsWith("Invalid tenant")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errorType: "INVALID_TENANT_CONFIG",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/scoring-profiles
+ * Scoring profiles of the request's tenant (latest versions), the builtin
+ * profile and the assignments
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "builtin": { name: "builtin", version, profile },
+ *   "profiles": [{ name, description, version, latestVersion, profile, note, createdAt, createdBy }],
+ *   "assignments": { tenant: "strict" | null, questions: { "q1": "lenient@2" } }
+ * }
+ */
+app.get("/api/scoring-profiles", async (req, res) => {
+  try {
+    const [builtin, profiles, assignments] = await Promise.all([
+      scoringProfiles.getScoringProfile(
+        req.tenantId,
+        scoringProfiles.BUILTIN_PROFILE,
+      ),
+      scoringProfiles.listScoringProfiles(req.tenantId),
+      scoringProfiles.getAssignments(req.tenantId),
+    ]);
+    res.json({
+      success: true,
+      builtin,
+      count: profiles.length,
+      profiles,
+      assignments,
+    });
+  } catch (error) {
+    console.error("[List Scoring Profiles Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/scoring-profiles/:name
+ * A profile ("strict": latest version, "strict@2": version 2) and all its versions
+ */
+app.get("/api/scoring-profiles/:name", async (req, res) => {
+  try {
+    const scoringProfile = await scoringProfiles.getScoringProfile(
+      req.tenantId,
+      req.params.name,
+    );
+    if (!scoringProfile) {
+      return res.status(404).json({
+        success: false,
+        error: `Scoring profile not found: ${req.params.name}`,
+        errorType: "SCORING_PROFILE_NOT_FOUND",
+      });
+    }
+    const versions = (await scoringProfiles.listScoringProfileVersions(
+      req.tenantId,
+      scoringProfile.name,
+    )) || [scoringProfile];
+    res.json({
+      success: true,
+      scoringProfile,
+      versions: versions.map(({ version, note, createdAt, createdBy }) => ({
+        version,
+        note,
+        createdAt,
+        createdBy,
+      })),
+    });
+  } catch (error) {
+    console.error("[Get Scoring Profile Error]", error);
+    if (rejectScoringProfileError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/scoring-profiles/:name
+ * Save a new version of a profile (created on first save). Fields not given
+ * are taken from the latest version, or from the builtin profile; earlier
+ * versions are kept.
+ *
+ * Request Body:
+ * {
+ *   "description": "Stricter scoring for final exams" (optional),
+ *   "note": "Raise copydetect weight" (optional, describes this version),
+ *   "profile": {
+ *     "weights": { "copydetect": 0.6 },
+ *     "similarityThreshold": 0.8,
+ *     "similarityBaseline": 0.72 (null: the embedding provider's),
+ *     "confidenceBands": [{ "level": "very_high", "minScore": 0.9, "minMethods": 3 }, ...],
+ *     "classification": { "template_code": { "embeddingMin": 0.9 } },
+ *     "riskBands": { "high": 0.9, "medium": 0.8 }
+ *   }
+ * }
+ */
+app.put("/api/scoring-profiles/:name", async (req, res) => {
+  try {
+    const { description = null, note = null, profile = {} } = req.body || {};
+    const scoringProfile = await scoringProfiles.saveScoringProfile(
+      req.tenantId,
+      req.params.name,
+      { description, note, profile },
+      auth.principalName(req.principal),
+    );
+    res.status(scoringProfile.version === 1 ? 201 : 200).json({
+      success: true,
+      scoringProfile,
+    });
+  } catch (error) {
+    console.error("[Save Scoring Profile Error]", error);
+    if (rejectScoringProfileError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/scoring-assignments
+ * Profiles assigned to the tenant and to its questions
+ */
+app.get("/api/scoring-assignments", async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      assignments: await scoringProfiles.getAssignments(req.tenantId),
+    });
+  } catch (error) {
+    console.error("[Get Scoring Assignments Error]", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/scoring-assignments
+ * Assign a profile to a question (in one exam or in all), or to the whole
+ * tenant (admin)
+ *
+ * Request Body:
+ * {
+ *   "questionId": "q1" (optional; omitted: the tenant's default profile),
+ *   "examId": "cs101:midterm" (optional; only this exam's question, required for scoped credentials),
+ *   "profile": "strict" (follows new versions), "strict@2" (pinned) or null (remove)
+ * }
+ */
+app.put("/api/scoring-assignments", async (req, res) => {
+  try {
+    const { questionId = null, examId = null, profile = null } = req.body || {};
+    const assignments = await scoringProfiles.assignScoringProfile(
+      req.tenantId,
+      questionId?.trim?.() || null,
+      profile,
+      examId != null && String(examId).trim() !== ""
+        ? String(examId).trim()
+        : null,
+    );
+    res.json({
+      success: true,
+      assignments,
+    });
+  } catch (error) {
+    console.error("[Assign Scoring Profile Error]", error);
+    if (rejectScoringProfileError(res, error)) return;
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  console.error("[Express Error]", err);
+  res.status(500).json({
+    success: false,
+    error: "Internal server error",
+  });
+});
+
+// Initialize and start server
+async function startServer() {
+  try {
+    // Try to initialize the vector database (non-fatal if it fails)
+    const vectorDbInitialized = await vectorDb.initializeIndex();
+    const storeInfo = vectorDb.getStoreInfo();
+
+    // Pick up bulk uploads / re-embeddings interrupted by a restart
+    const resumedJobs = await jobQueue.resumePendingJobs();
+
+    // Start Express server
+    app.listen(PORT, () => {
+      console.log(
+        `\n🚀 Semantic Plagiarism Detection Server running on http://localhost:${PORT}`,
+      );
+      console.log(
+        `📊 Embedding Model: ${embeddings.EMBEDDING_MODEL} (provider: ${embeddings.EMBEDDING_PROVIDER})`,
       );
+      console.log(`📐 Vector Dimensions: ${embeddings.EMBEDDING_DIMENSIONS}`);
+      console.log(
+        `🎯 Vector Database: ${storeInfo.label} ${vectorDbInitialized ? "✓" : "✗ NOT CONFIGURED"}`,
+      );
+
+      if (!vectorDbInitialized) {
+        console.log(
+          `\n⚠️  WARNING: Vector database (${storeInfo.provider}) is not configured!`,
+        );
+        console.log(`   ${storeInfo.configHint}`);
+      }
 
-      if (!pineconeInitialized) {
-        console.log(`\n⚠️  WARNING: Pinecone is not configured!`);
+      console.log(
+        `🏢 Tenant Store: ${tenants.TENANT_STORE_PROVIDER} (default tenant: ${tenants.DEFAULT_TENANT})`,
+      );
+      console.log(
+        `⚖️  Scoring Profiles: ${scoringProfiles.SCORING_PROFILE_STORE_PROVIDER}`,
+      );
+      console.log(
+        `🔐 Authentication: ${auth.AUTH_ENABLED ? "API keys / JWT required" : "DISABLED (AUTH_ENABLED=false)"}`,
+      );
+      if (!auth.AUTH_ENABLED) {
         console.log(
-          `   Set PINECONE_API_KEY in .env to enable vector storage.`,
+          `\n⚠️  WARNING: every request acts as an admin. Use this for local development only.`,
         );
-        console.log(`   Get free API key: https://www.pinecone.io/`);
       }
 
       console.log(`\nAPI Endpoints:`);
       console.log(`  POST /api/submit  - Submit code for analysis`);
       console.log(`  POST /api/check   - Check code for similarity`);
       console.log(`  GET  /api/health  - Health check`);
+      if (resumedJobs > 0) {
+        console.log(`\n🔁 Resumed ${resumedJobs} background job(s)`);
+      }
       console.log(`\n`);
     });
   } catch (error) {
@@ -1113,18 +3309,24 @@ async function startServer() {
   }
 }
 
-// Start the server
-startServer();
-
-// Graceful shutdown
-process.on("SIGTERM", async () => {
-  console.log("SIGTERM received, shutting down...");
-  process.exit(0);
-});
+// Start the server when run directly (`node index.js`); tests import the app
+// and listen on a port of their own
+if (
+  process.argv[1] &&
+  path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)
+) {
+  startServer();
+
+  // Graceful shutdown
+  process.on("SIGTERM", async () => {
+    console.log("SIGTERM received, shutting down...");
+    process.exit(0);
+  });
 
-process.on("SIGINT", async () => {
-  console.log("\nSIGINT received, shutting down...");
-  process.exit(0);
-});
+  process.on("SIGINT", async () => {
+    console.log("\nSIGINT received, shutting down...");
+    process.exit(0);
+  });
+}
 
 export default app;
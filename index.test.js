@@ -0,0 +1,235 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import app from "./index.js";
+import * as vectorDb from "./vectorDb.js";
+import * as tenants from "./tenants.js";
+
+let server;
+let baseUrl;
+
+/** Call the API as the bootstrap admin (or with the given headers) */
+async function api(method, path, body = null, headers = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      "X-API-Key": process.env.AUTH_BOOTSTRAP_KEY,
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const type = response.headers.get("content-type") || "";
+  return {
+    status: response.status,
+    body: type.includes("json") ? await response.json() : await response.text(),
+  };
+}
+
+const SORT = `def bubble_sort(items):
+    n = len(items)
+    for i in range(n):
+        for j in range(0, n - i - 1):
+            if items[j] > items[j + 1]:
+                items[j], items[j + 1] = items[j + 1], items[j]
+    return items
+`;
+
+const SORT_RENAMED = `def sort_values(values):
+    count = len(values)
+    for a in range(count):
+        for b in range(0, count - a - 1):
+            if values[b] > values[b + 1]:
+                values[b], values[b + 1] = values[b + 1], values[b]
+    return values
+`;
+
+test.before(async () => {
+  assert.equal(await vectorDb.initializeIndex("memory"), true);
+  await tenants.saveTenant("java-only", { config: { languages: ["java"] } });
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test("/api/compare scores two snippets in the detected language", async () => {
+  const { status, body } = await api("POST", "/api/compare", {
+    codeA: SORT,
+    codeB: SORT_RENAMED,
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.success, true);
+  assert.equal(body.language, "python");
+  assert.equal(body.languageDetection.source, "detected");
+  assert.equal(body.report.plagiarismType, "variable_rename");
+  assert.equal(body.report.isAboveThreshold, true);
+  assert.equal(body.embedding.provider, "local");
+  assert.equal(body.fingerprints.similarity, 1);
+  assert.equal(body.external.skipped, true);
+  assert.equal(body.scoringProfile.source, "builtin");
+});
+
+test("/api/compare validates the request", async () => {
+  const missing = await api("POST", "/api/compare", { codeA: SORT });
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.error, /codeA, codeB/);
+
+  const anonymous = await api(
+    "POST",
+    "/api/compare",
+    { codeA: SORT, codeB: SORT },
+    { "X-API-Key": "" },
+  );
+  assert.equal(anonymous.status, 401);
+});
+
+test("/api/compare refuses languages the tenant does not accept", async () => {
+  const refused = await api(
+    "POST",
+    "/api/compare",
+    { codeA: SORT, codeB: SORT_RENAMED },
+    { "X-Tenant-Id": "java-only" },
+  );
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.errorType, "LANGUAGE_NOT_ALLOWED");
+  assert.match(refused.body.error, /"python" is not accepted/);
+
+  const named = await api(
+    "POST",
+    "/api/compare",
+    { codeA: SORT, codeB: SORT_RENAMED, language: "py" },
+    { "X-Tenant-Id": "java-only" },
+  );
+  assert.equal(named.status, 400);
+
+  const accepted = await api(
+    "POST",
+    "/api/compare",
+    {
+      codeA: "class A { int f() { return 1; } }",
+      codeB: "class B { int g() { return 1; } }",
+      language: "java",
+    },
+    { "X-Tenant-Id": "java-only" },
+  );
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.language, "java");
+});
+
+test("flagged checks open cases only for a known student", async () => {
+  const submitted = await api("POST", "/api/submit", {
+    studentId: "alice",
+    questionId: "q-cases",
+    code: SORT,
+  });
+  assert.equal(submitted.status, 200);
+
+  const anonymous = await api("POST", "/api/check", {
+    questionId: "q-cases",
+    code: SORT_RENAMED,
+  });
+  assert.equal(anonymous.status, 200);
+  assert.equal(anonymous.body.overall.status, "PLAGIARISM_DETECTED");
+  assert.equal(anonymous.body.case, undefined);
+
+  const first = await api("POST", "/api/check", {
+    questionId: "q-cases",
+    studentId: "bob",
+    code: SORT_RENAMED,
+  });
+  assert.equal(first.body.case.created, true);
+  const again = await api("POST", "/api/check", {
+    questionId: "q-cases",
+    studentId: "bob",
+    code: SORT_RENAMED,
+  });
+  assert.equal(again.body.case.created, false);
+  assert.equal(again.body.case.caseId, first.body.case.caseId);
+
+  const asked = await api("POST", "/api/check", {
+    questionId: "q-cases",
+    code: SORT_RENAMED,
+    createCase: true,
+  });
+  assert.equal(asked.body.case.created, true);
+
+  const listed = await api("GET", "/api/cases?questionId=q-cases");
+  assert.equal(listed.body.cases.length, 2);
+});
+
+test("PATCH /api/cases/:id answers 409 for a transition off the workflow", async () => {
+  const checked = await api("POST", "/api/check", {
+    questionId: "q-cases",
+    studentId: "carol",
+    code: SORT_RENAMED,
+  });
+  const casePath = `/api/cases/${checked.body.case.caseId}`;
+
+  const confirmed = await api("PATCH", casePath, {
+    status: "confirmed",
+    reason: "same code",
+  });
+  assert.equal(confirmed.status, 200);
+  assert.equal(confirmed.body.case.status, "confirmed");
+
+  const reopened = await api("PATCH", casePath, { status: "open" });
+  assert.equal(reopened.status, 409);
+  assert.equal(reopened.body.errorType, "INVALID_CASE_TRANSITION");
+  assert.match(reopened.body.error, /confirmed → open \(allowed: appealed\)/);
+
+  const unknown = await api("PATCH", casePath, { status: "closed" });
+  assert.equal(unknown.status, 400);
+  const missing = await api("PATCH", "/api/cases/case_missing", {
+    status: "open",
+  });
+  assert.equal(missing.status, 404);
+});
+
+test("checks are stored and listed under the submission they checked", async () => {
+  const submitted = await api("POST", "/api/submit", {
+    studentId: "dana",
+    questionId: "q-history",
+    code: SORT,
+  });
+  const { submissionId } = submitted.body;
+
+  const byId = await api("POST", "/api/check", {
+    questionId: "q-history",
+    submissionId,
+    code: SORT,
+    createCase: false,
+  });
+  const byCode = await api("POST", "/api/check", {
+    questionId: "q-history",
+    code: SORT,
+    createCase: false,
+  });
+  assert.match(byId.body.checkId, /^chk_/);
+
+  const listed = await api("GET", `/api/submission/${submissionId}/checks`);
+  assert.equal(listed.status, 200);
+  assert.deepEqual(
+    Object.fromEntries(
+      listed.body.checks.map(({ id, linkedBy }) => [linkedBy, id]),
+    ),
+    { submissionId: byId.body.checkId, contentHash: byCode.body.checkId },
+  );
+
+  const stored = await api("GET", `/api/checks/${byId.body.checkId}`);
+  assert.equal(stored.status, 200);
+  assert.equal(stored.body.check.inputs.code, SORT);
+  assert.equal(stored.body.check.versions.provider, "local");
+  assert.equal(stored.body.check.response.checkId, undefined);
+
+  const otherTenant = await api(
+    "GET",
+    `/api/checks/${byId.body.checkId}`,
+    null,
+    { "X-Tenant-Id": "java-only" },
+  );
+  assert.equal(otherTenant.status, 404);
+  assert.equal(otherTenant.body.errorType, "CHECK_NOT_FOUND");
+});
@@ -0,0 +1,464 @@
+/**
+ * Integrity Cases Module
+ * Persistent cases for flagged submissions, so the integrity process (review,
+ * decision, appeal) runs inside the tool instead of in spreadsheets.
+ *
+ * A case is opened from a check result (POST /api/check flags the code of a
+ * named student as PLAGIARISM_DETECTED, or the caller asks for a case with
+ * createCase).
+ * Every check of the same student on the same question and exam while the
+ * case is still active adds an evidence snapshot to it instead of opening a
+ * new case. A snapshot freezes what the reviewer needs even after submissions
+ * are re-embedded or deleted: scores, the decision, matched submissions with
+ * their code and the aligned regions.
+ *
+ * Status workflow (anything else is rejected):
+ *   open → under_review | confirmed | dismissed
+ *   under_review → open | confirmed | dismissed
+ *   confirmed → appealed
+ *   appealed → under_review | confirmed | dismissed
+ *   dismissed → open (reopen)
+ *
+ * Active cases are found through an in-process index of case ids by subject
+ * (tenant, question, exam and subject key), built from the store on the first
+ * flagged check and kept current as cases open, so a check never reads every
+ * case. Status is not indexed: the few cases of a subject are read to see
+ * which one is still active.
+ *
+ * Every change (status, assignee, note, new evidence) is appended to the
+ * case's history with who made it and when. Cases belong to the tenant of
+ * the check that opened them (cases from before tenants: default tenant).
+ *
+ * Backend is chosen with CASE_STORE_PROVIDER:
+ *   - "fs" (default): one JSON file per case under CASE_STORE_DIR
+ *   - "memory": in-process Map (tests and demos)
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { hashContent } from "./contentStore.js";
+import { DEFAULT_TENANT, tenantOf } from "./tenants.js";
+
+dotenv.config();
+
+export const CASE_STORE_PROVIDER = (process.env.CASE_STORE_PROVIDER || "fs")
+  .trim()
+  .toLowerCase();
+const CASE_STORE_DIR = path.resolve(process.env.CASE_STORE_DIR || "data/cases");
+// Matched submissions (with code) kept per evidence snapshot
+const MAX_EVIDENCE_MATCHES = 5;
+
+export const CASE_STATUS = {
+  OPEN: "open",
+  UNDER_REVIEW: "under_review",
+  CONFIRMED: "confirmed",
+  DISMISSED: "dismissed",
+  APPEALED: "appealed",
+};
+
+const TRANSITIONS = {
+  [CASE_STATUS.OPEN]: [
+    CASE_STATUS.UNDER_REVIEW,
+    CASE_STATUS.CONFIRMED,
+    CASE_STATUS.DISMISSED,
+  ],
+  [CASE_STATUS.UNDER_REVIEW]: [
+    CASE_STATUS.OPEN,
+    CASE_STATUS.CONFIRMED,
+    CASE_STATUS.DISMISSED,
+  ],
+  [CASE_STATUS.CONFIRMED]: [CASE_STATUS.APPEALED],
+  [CASE_STATUS.APPEALED]: [
+    CASE_STATUS.UNDER_REVIEW,
+    CASE_STATUS.CONFIRMED,
+    CASE_STATUS.DISMISSED,
+  ],
+  [CASE_STATUS.DISMISSED]: [CASE_STATUS.OPEN],
+};
+
+// Cases that still collect evidence from new checks
+const ACTIVE = new Set([
+  CASE_STATUS.OPEN,
+  CASE_STATUS.UNDER_REVIEW,
+  CASE_STATUS.APPEALED,
+]);
+
+const memoryCases = new Map();
+// Case ids by subjectScope(); null until first loaded
+let subjectIndex = null;
+let subjectIndexLoad = null;
+// Updates of one case run in order, so concurrent requests never lose a change
+const locks = new Map();
+
+function casePath(id) {
+  return path.join(CASE_STORE_DIR, `${encodeURIComponent(id)}.json`);
+}
+
+async function readCase(id) {
+  if (CASE_STORE_PROVIDER === "memory") {
+    const stored = memoryCases.get(id);
+    return stored ? structuredClone(stored) : null;
+  }
+  try {
+    return JSON.parse(await fs.promises.readFile(casePath(id), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Case Store Read Error]", error.message);
+    }
+    return null;
+  }
+}
+
+async function writeCase(record) {
+  if (CASE_STORE_PROVIDER === "memory") {
+    memoryCases.set(record.id, structuredClone(record));
+    return;
+  }
+  await fs.promises.mkdir(CASE_STORE_DIR, { recursive: true });
+  // Write to a temp file and rename so readers never see a partial file
+  const target = casePath(record.id);
+  const tempFile = `${target}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(record), "utf8");
+  await fs.promises.rename(tempFile, target);
+}
+
+function withLock(key, task) {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.then(task, task);
+  const settled = run.catch(() => {});
+  locks.set(key, settled);
+  settled.then(() => {
+    if (locks.get(key) === settled) locks.delete(key);
+  });
+  return run;
+}
+
+async function readAllCases() {
+  if (CASE_STORE_PROVIDER === "memory") {
+    return [...memoryCases.values()].map((record) => structuredClone(record));
+  }
+  let files = [];
+  try {
+    files = await fs.promises.readdir(CASE_STORE_DIR);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  const records = await Promise.all(
+    files
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => readCase(decodeURIComponent(file.slice(0, -5)))),
+  );
+  return records.filter(Boolean);
+}
+
+// Cases of one subject: same tenant, question, exam and subject key
+function subjectScope(record) {
+  return [
+    tenantOf(record),
+    record.questionId,
+    record.examId || "",
+    record.subjectKey,
+  ].join("\u0000");
+}
+
+function indexCase(index, record) {
+  const scope = subjectScope(record);
+  if (!index.has(scope)) index.set(scope, new Set());
+  index.get(scope).add(record.id);
+}
+
+async function loadSubjectIndex() {
+  if (subjectIndex) return subjectIndex;
+  // Concurrent first checks share one scan of the store
+  subjectIndexLoad ??= readAllCases()
+    .then((records) => {
+      const index = new Map();
+      for (const record of records) indexCase(index, record);
+      subjectIndex = index;
+      console.log(
+        `[Cases] Indexed ${records.length} cases by subject (${index.size} subjects)`,
+      );
+      return index;
+    })
+    .finally(() => {
+      subjectIndexLoad = null;
+    });
+  return subjectIndexLoad;
+}
+
+function historyEntry(action, actor, details = {}) {
+  return {
+    at: new Date().toISOString(),
+    action,
+    actor: actor || null,
+    ...details,
+  };
+}
+
+/**
+ * Evidence snapshot of a check response (POST /api/check)
+ * @param {Object} check - Check response body
+ * @param {Object} source - { code, contentHash, submissionId, checkId } of the checked code
+ * @returns {Object} Snapshot stored with the case
+ */
+export function buildEvidenceSnapshot(check, source = {}) {
+  const local = check.detection_results?.local || {};
+  const decision = check.final_decision || {};
+  const matches = (check.local_result?.similarSubmissions || [])
+    .slice(0, MAX_EVIDENCE_MATCHES)
+    .map((sub) => ({
+      submissionId: sub.submissionId,
+      studentId: sub.studentId,
+      similarity: sub.similarity,
+      code: sub.code ?? null,
+      contentHash: sub.code != null ? hashContent(sub.code) : null,
+    }));
+  const scoreOnly = ({ submissionId, studentId, similarity }) => ({
+    submissionId,
+    studentId,
+    similarity,
+  });
+
+  return {
+    id: `ev_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+    capturedAt: new Date().toISOString(),
+    checkedAt: check.timestamp || null,
+    checkId: source.checkId || null,
+    submissionId: source.submissionId || null,
+    language: check.language || null,
+    code: source.code ?? null,
+    contentHash:
+      source.contentHash ||
+      (source.code != null ? hashContent(source.code) : null),
+    overall: check.overall || null,
+    scores: {
+      maxSimilarity: check.summary?.maxSimilarity ?? null,
+      threshold: check.summary?.threshold ?? null,
+      localConfidence: local.confidence || null,
+      confidence: decision.confidence || null,
+      highestSimilarity: decision.highestSimilarity ?? null,
+      externalAvailable: check.external_result?.available === true,
+    },
+    decision,
+    matches,
+    fingerprintMatches: (check.local_result?.fingerprintMatches || []).map(
+      scoreOnly,
+    ),
+    tileMatches: (check.local_result?.tileMatches || []).map(scoreOnly),
+    alignedMatches: check.alignedMatches || [],
+  };
+}
+
+// The checked side of a case: the student, or the submission/code when the student is unknown
+function subjectKey(subject) {
+  return (
+    subject.studentId ||
+    (subject.submissionId && `submission:${subject.submissionId}`) ||
+    `content:${subject.contentHash}`
+  );
+}
+
+/**
+ * Open a case for a flagged check, or add the evidence to the student's active case
+ * @param {Object} subject - { tenantId, questionId, examId, studentId, submissionId, language, priority, contentHash }
+ * @param {Object} evidence - Snapshot from buildEvidenceSnapshot
+ * @param {string} [actor] - Who triggered the check
+ * @returns {Promise<Object>} { case, created }
+ */
+export async function recordFlaggedCheck(subject, evidence, actor = null) {
+  const key = subjectKey({ ...subject, contentHash: evidence.contentHash });
+  const tenantId = subject.tenantId || DEFAULT_TENANT;
+  const scope = subjectScope({
+    tenantId,
+    questionId: subject.questionId,
+    examId: subject.examId,
+    subjectKey: key,
+  });
+
+  return withLock(`subject:${scope}`, async () => {
+    const index = await loadSubjectIndex();
+    const existing = (
+      await Promise.all([...(index.get(scope) || [])].map(readCase))
+    )
+      .filter((record) => record && ACTIVE.has(record.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0];
+
+    if (existing) {
+      const updated = await withLock(existing.id, async () => {
+        const record = (await readCase(existing.id)) || existing;
+        record.evidence.push(evidence);
+        if (subject.priority) record.priority = subject.priority;
+        record.history.push(
+          historyEntry("evidence_added", actor, { evidenceId: evidence.id }),
+        );
+        record.updatedAt = new Date().toISOString();
+        await writeCase(record);
+        return record;
+      });
+      console.log(
+        `[Cases] Added evidence ${evidence.id} to case ${updated.id} (${updated.evidence.length} snapshots)`,
+      );
+      return { case: updated, created: false };
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      id: `case_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`,
+      tenantId,
+      questionId: subject.questionId,
+      examId: subject.examId || null,
+      studentId: subject.studentId || null,
+      submissionId: subject.submissionId || null,
+      subjectKey: key,
+      language: subject.language || null,
+      status: CASE_STATUS.OPEN,
+      priority: subject.priority || null,
+      assignee: null,
+      notes: [],
+      evidence: [evidence],
+      history: [
+        historyEntry("opened", actor, {
+          to: CASE_STATUS.OPEN,
+          evidenceId: evidence.id,
+        }),
+      ],
+      createdAt: now,
+      updatedAt: now,
+    };
+    await writeCase(record);
+    indexCase(index, record);
+    console.log(
+      `[Cases] Opened case ${record.id} for ${key} on question ${record.questionId}${record.examId ? ` exam ${record.examId}` : ""}`,
+    );
+    return { case: record, created: true };
+  });
+}
+
+/**
+ * Case as listed by the API: everything but the evidence payloads
+ * @param {Object} record - Stored case
+ * @returns {Object} Summary with evidenceCount and the latest scores
+ */
+export function summarizeCase(record) {
+  const { evidence, notes, history, subjectKey: _key, ...rest } = record;
+  const latest = evidence[evidence.length - 1];
+  return {
+    ...rest,
+    evidenceCount: evidence.length,
+    noteCount: notes.length,
+    latestScores: latest?.scores || null,
+    lastActivityAt: history[history.length - 1]?.at || record.updatedAt,
+  };
+}
+
+/**
+ * Get a case
+ * @param {string} id - Case ID
+ * @returns {Promise<Object|null>} Case or null
+ */
+export async function getCase(id) {
+  return readCase(id);
+}
+
+/**
+ * List cases, newest first
+ * @param {Object} [filter] - { tenantId, examId, questionId, studentId, status, assignee }
+ * @returns {Promise<Array<Object>>} Stored cases
+ */
+export async function listCases(filter = {}) {
+  return (await readAllCases())
+    .filter(
+      (record) =>
+        (!filter.tenantId || tenantOf(record) === filter.tenantId) &&
+        (!filter.examId || record.examId === filter.examId) &&
+        (!filter.questionId || record.questionId === filter.questionId) &&
+        (!filter.studentId || record.studentId === filter.studentId) &&
+        (!filter.status || record.status === filter.status) &&
+        (!filter.assignee || record.assignee === filter.assignee),
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Change a case's status, assignee or add a note
+ * @param {string} id - Case ID
+ * @param {Object} changes - { status, assignee (null to unassign), note, reason }
+ * @param {string} [actor] - Who made the change
+ * @returns {Promise<Object|null>} Updated case, or null if it does not exist
+ */
+export async function updateCase(id, changes, actor = null) {
+  const { status, assignee, note, reason = null } = changes;
+  if (status !== undefined && !Object.values(CASE_STATUS).includes(status)) {
+    throw new Error(
+      `Invalid case status "${status}". Use one of: ${Object.values(CASE_STATUS).join(", ")}`,
+    );
+  }
+  if (note !== undefined && (typeof note !== "string" || !note.trim())) {
+    throw new Error("Invalid case note: note must be a non-empty string");
+  }
+
+  return withLock(id, async () => {
+    const record = await readCase(id);
+    if (!record) return null;
+
+    if (status !== undefined && status !== record.status) {
+      if (!TRANSITIONS[record.status].includes(status)) {
+        throw new Error(
+          `Case status transition not allowed: ${record.status} → ${status} (allowed: ${TRANSITIONS[record.status].join(", ")})`,
+        );
+      }
+      record.history.push(
+        historyEntry("status_changed", actor, {
+          from: record.status,
+          to: status,
+          reason,
+        }),
+      );
+      record.status = status;
+    }
+
+    if (assignee !== undefined) {
+      const next = assignee ? String(assignee).trim() : null;
+      if (next !== record.assignee) {
+        record.history.push(
+          historyEntry(next ? "assigned" : "unassigned", actor, {
+            from: record.assignee,
+            to: next,
+          }),
+        );
+        record.assignee = next;
+      }
+    }
+
+    if (note !== undefined) {
+      const entry = {
+        id: `note_${Date.now()}_${crypto.randomBytes(3).toString("hex")}`,
+        author: actor,
+        text: note.trim(),
+        createdAt: new Date().toISOString(),
+      };
+      record.notes.push(entry);
+      record.history.push(
+        historyEntry("note_added", actor, { noteId: entry.id }),
+      );
+    }
+
+    record.updatedAt = new Date().toISOString();
+    await writeCase(record);
+    console.log(`[Cases] Updated case ${id} (status ${record.status})`);
+    return record;
+  });
+}
+
+export default {
+  CASE_STORE_PROVIDER,
+  CASE_STATUS,
+  buildEvidenceSnapshot,
+  recordFlaggedCheck,
+  summarizeCase,
+  getCase,
+  listCases,
+  updateCase,
+};
@@ -0,0 +1,254 @@
+import { TEMP_DIR } from "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import * as integrityCases from "./integrityCases.js";
+
+const { CASE_STATUS } = integrityCases;
+
+function flaggedCheck(similarity = 0.93) {
+  return {
+    language: "python",
+    timestamp: "2026-01-01T00:00:00.000Z",
+    overall: { status: "PLAGIARISM_DETECTED" },
+    summary: { maxSimilarity: similarity, threshold: 0.8 },
+    final_decision: { confidence: "HIGH", highestSimilarity: similarity },
+    local_result: {
+      similarSubmissions: [
+        { submissionId: "s0", studentId: "alice", similarity, code: "x = 1" },
+      ],
+    },
+  };
+}
+
+function evidence(code = "x = 2", checkId = null) {
+  return integrityCases.buildEvidenceSnapshot(flaggedCheck(), {
+    code,
+    checkId,
+  });
+}
+
+const subject = (overrides = {}) => ({
+  tenantId: "uni-a",
+  questionId: "q1",
+  examId: "e1",
+  studentId: "bob",
+  language: "python",
+  ...overrides,
+});
+
+test("evidence snapshots keep the scores and the matched code", () => {
+  const snapshot = evidence("x = 2", "chk_1");
+  assert.match(snapshot.id, /^ev_/);
+  assert.equal(snapshot.checkId, "chk_1");
+  assert.equal(snapshot.scores.maxSimilarity, 0.93);
+  assert.equal(snapshot.scores.confidence, "HIGH");
+  assert.equal(snapshot.matches[0].code, "x = 1");
+  assert.match(snapshot.contentHash, /^[0-9a-f]{64}$/);
+});
+
+test("checks of the same subject add evidence to its active case", async () => {
+  const first = await integrityCases.recordFlaggedCheck(subject(), evidence());
+  assert.equal(first.created, true);
+  assert.equal(first.case.status, CASE_STATUS.OPEN);
+
+  const again = await integrityCases.recordFlaggedCheck(
+    subject({ priority: "high" }),
+    evidence(),
+    "ta-1",
+  );
+  assert.equal(again.created, false);
+  assert.equal(again.case.id, first.case.id);
+  assert.equal(again.case.evidence.length, 2);
+  assert.equal(again.case.priority, "high");
+  assert.deepEqual(
+    again.case.history.map(({ action, actor }) => [action, actor]),
+    [
+      ["opened", null],
+      ["evidence_added", "ta-1"],
+    ],
+  );
+
+  // Another exam, question, tenant or student is another subject
+  for (const other of [
+    subject({ examId: "e2" }),
+    subject({ questionId: "q2" }),
+    subject({ tenantId: "uni-b" }),
+    subject({ studentId: "carol" }),
+  ]) {
+    const { created } = await integrityCases.recordFlaggedCheck(
+      other,
+      evidence(),
+    );
+    assert.equal(created, true);
+  }
+
+  // Without a student, the submission (or else the code) is the subject
+  const bySubmission = subject({ studentId: null, submissionId: "s9" });
+  assert.equal(
+    (await integrityCases.recordFlaggedCheck(bySubmission, evidence())).created,
+    true,
+  );
+  assert.equal(
+    (await integrityCases.recordFlaggedCheck(bySubmission, evidence())).created,
+    false,
+  );
+  const anonymous = subject({ studentId: null });
+  const byCode = await integrityCases.recordFlaggedCheck(
+    anonymous,
+    evidence("y = 1"),
+  );
+  assert.equal(
+    byCode.case.subjectKey,
+    `content:${evidence("y = 1").contentHash}`,
+  );
+  assert.equal(
+    (await integrityCases.recordFlaggedCheck(anonymous, evidence("y = 1"))).case
+      .id,
+    byCode.case.id,
+  );
+});
+
+test("concurrent checks of one subject open a single case", async () => {
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () =>
+      integrityCases.recordFlaggedCheck(
+        subject({ studentId: "dave" }),
+        evidence(),
+      ),
+    ),
+  );
+  assert.equal(results.filter(({ created }) => created).length, 1);
+  assert.equal(new Set(results.map((r) => r.case.id)).size, 1);
+  assert.equal(
+    (await integrityCases.getCase(results[0].case.id)).evidence.length,
+    5,
+  );
+});
+
+test("status changes follow the workflow", async () => {
+  const { case: opened } = await integrityCases.recordFlaggedCheck(
+    subject({ studentId: "erin" }),
+    evidence(),
+  );
+  const move = (status) =>
+    integrityCases.updateCase(opened.id, { status, reason: "r" }, "prof");
+
+  await assert.rejects(move(CASE_STATUS.APPEALED), /open → appealed/);
+  assert.equal((await move(CASE_STATUS.UNDER_REVIEW)).status, "under_review");
+  assert.equal((await move(CASE_STATUS.CONFIRMED)).status, "confirmed");
+  await assert.rejects(move(CASE_STATUS.OPEN), /allowed: appealed/);
+  await assert.rejects(move(CASE_STATUS.DISMISSED), /transition not allowed/);
+  assert.equal((await move(CASE_STATUS.APPEALED)).status, "appealed");
+  assert.equal((await move(CASE_STATUS.DISMISSED)).status, "dismissed");
+  await assert.rejects(move(CASE_STATUS.CONFIRMED), /dismissed → confirmed/);
+  assert.equal((await move(CASE_STATUS.OPEN)).status, "open");
+  await assert.rejects(move("closed"), /Invalid case status "closed"/);
+
+  const record = await integrityCases.getCase(opened.id);
+  assert.deepEqual(
+    record.history
+      .filter(({ action }) => action === "status_changed")
+      .map(({ from, to }) => `${from}>${to}`),
+    [
+      "open>under_review",
+      "under_review>confirmed",
+      "confirmed>appealed",
+      "appealed>dismissed",
+      "dismissed>open",
+    ],
+  );
+  assert.ok(
+    record.history.every(({ actor }, i) => i === 0 || actor === "prof"),
+  );
+});
+
+test("a confirmed or dismissed case stops collecting evidence", async () => {
+  const frank = subject({ studentId: "frank" });
+  const { case: first } = await integrityCases.recordFlaggedCheck(
+    frank,
+    evidence(),
+  );
+  await integrityCases.updateCase(first.id, {
+    status: CASE_STATUS.DISMISSED,
+  });
+
+  // Keeps the two createdAt timestamps apart
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  const next = await integrityCases.recordFlaggedCheck(frank, evidence());
+  assert.equal(next.created, true);
+  assert.notEqual(next.case.id, first.id);
+
+  // Reopening makes the older case active again; the newest active one wins
+  await integrityCases.updateCase(first.id, { status: CASE_STATUS.OPEN });
+  const latest = await integrityCases.recordFlaggedCheck(frank, evidence());
+  assert.equal(latest.case.id, next.case.id);
+});
+
+test("assignee and notes are validated and recorded", async () => {
+  const { case: opened } = await integrityCases.recordFlaggedCheck(
+    subject({ studentId: "gina" }),
+    evidence(),
+  );
+  await assert.rejects(
+    integrityCases.updateCase(opened.id, { note: "  " }),
+    /non-empty string/,
+  );
+  const updated = await integrityCases.updateCase(
+    opened.id,
+    { assignee: " ta-2 ", note: " looks copied " },
+    "prof",
+  );
+  assert.equal(updated.assignee, "ta-2");
+  assert.equal(updated.notes[0].text, "looks copied");
+  assert.equal(
+    integrityCases.summarizeCase(updated).noteCount,
+    1,
+    "summaries count notes instead of listing them",
+  );
+  assert.equal(await integrityCases.updateCase("case_missing", {}), null);
+
+  const listed = await integrityCases.listCases({
+    tenantId: "uni-a",
+    assignee: "ta-2",
+  });
+  assert.deepEqual(
+    listed.map(({ id }) => id),
+    [opened.id],
+  );
+});
+
+test("fs provider finds active cases stored before a restart", async () => {
+  process.env.CASE_STORE_PROVIDER = "fs";
+  process.env.CASE_STORE_DIR = path.join(TEMP_DIR, "cases");
+  const beforeRestart = await import("./integrityCases.js?before-restart");
+  const afterRestart = await import("./integrityCases.js?after-restart");
+  process.env.CASE_STORE_PROVIDER = "memory";
+  delete process.env.CASE_STORE_DIR;
+
+  const { case: opened } = await beforeRestart.recordFlaggedCheck(
+    subject(),
+    evidence(),
+  );
+  const dismissed = await beforeRestart.recordFlaggedCheck(
+    subject({ studentId: "carol" }),
+    evidence(),
+  );
+  await beforeRestart.updateCase(dismissed.case.id, {
+    status: CASE_STATUS.DISMISSED,
+  });
+
+  const resumed = await afterRestart.recordFlaggedCheck(subject(), evidence());
+  assert.equal(resumed.created, false);
+  assert.equal(resumed.case.id, opened.id);
+  assert.equal(
+    (
+      await afterRestart.recordFlaggedCheck(
+        subject({ studentId: "carol" }),
+        evidence(),
+      )
+    ).created,
+    true,
+  );
+  assert.equal((await afterRestart.listCases()).length, 3);
+});
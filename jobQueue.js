@@ -0,0 +1,572 @@
+/**
+ * Job Queue Module
+ * Persistent background jobs for work that is too long for one HTTP request
+ * (bulk upload, re-embedding). A job is a list of items processed by the
+ * handler registered for its type; the caller gets a jobId right away and
+ * polls GET /api/jobs/:id for progress and per-item errors.
+ *
+ * Jobs run one at a time in FIFO order, each with JOB_CONCURRENCY items in
+ * flight. Every finished item (its result or error) is appended to the job's
+ * progress log, and the job record itself is rewritten at most every
+ * JOB_SAVE_INTERVAL_MS, so saving progress costs the same for the first and
+ * the ten-thousandth item. Jobs that were queued or running when the server
+ * stopped are rebuilt from their log and resume with their unfinished items on
+ * the next start (resumePendingJobs). A cancelled job finishes the items
+ * already in flight and skips the rest.
+ *
+ * Request-scoped secrets (a custom OpenAI key) are kept in memory only and are
+ * not available to a job resumed after a restart.
+ *
+ * The tenant a job works in is saved with its params (params.tenantId), so
+ * resumed jobs stay in their tenant and listings can be limited to one.
+ *
+ * Backend is chosen with JOB_STORE_PROVIDER:
+ *   - "fs" (default): one JSON file per job (plus its items and a JSONL progress
+ *     log while it is unfinished) under JOB_STORE_DIR
+ *   - "memory": in-process Map (tests and demos; nothing survives a restart)
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import dotenv from "dotenv";
+import { DEFAULT_TENANT } from "./tenants.js";
+
+dotenv.config();
+
+export const JOB_STORE_PROVIDER = (process.env.JOB_STORE_PROVIDER || "fs")
+  .trim()
+  .toLowerCase();
+const JOB_STORE_DIR = path.resolve(process.env.JOB_STORE_DIR || "data/jobs");
+export const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 4;
+// Minimum time between rewrites of a running job's record (items are logged as they finish)
+export const JOB_SAVE_INTERVAL_MS =
+  parseInt(process.env.JOB_SAVE_INTERVAL_MS, 10) || 1000;
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  FAILED: "failed",
+};
+const FINISHED = new Set([
+  JOB_STATUS.COMPLETED,
+  JOB_STATUS.CANCELLED,
+  JOB_STATUS.FAILED,
+]);
+
+const handlers = new Map();
+const memoryJobs = new Map();
+const memoryItems = new Map();
+const memoryProgress = new Map();
+// In-memory state of queued/running jobs: runtime options, waiters, save chain
+const live = new Map();
+const queue = [];
+let draining = false;
+// Progress notifications, one event name per job id
+const updates = new EventEmitter();
+updates.setMaxListeners(0);
+
+function jobPath(id, suffix = "", extension = ".json") {
+  return path.join(
+    JOB_STORE_DIR,
+    `${encodeURIComponent(id)}${suffix}${extension}`,
+  );
+}
+
+async function writeJson(file, data) {
+  await fs.promises.mkdir(JOB_STORE_DIR, { recursive: true });
+  // Write to a temp file and rename so readers never see a partial file
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(data), "utf8");
+  await fs.promises.rename(tempFile, file);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Job Store Read Error]", error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Save the job record. Until a job has finished, its per-item progress
+ * (completed, results, errors) lives in the progress log instead, so the
+ * record stays small however many items are done.
+ */
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  let record = job;
+  if (!job.finishedAt) {
+    const { completed, results, errors, ...rest } = job;
+    record = rest;
+  }
+  if (JOB_STORE_PROVIDER === "memory") {
+    memoryJobs.set(job.id, structuredClone(record));
+    return;
+  }
+  await writeJson(jobPath(job.id), record);
+}
+
+/** Saves of one job run in order, so a slow write never overwrites a newer one */
+function persist(job) {
+  const state = live.get(job.id);
+  if (!state) return saveJob(job);
+  state.saving = state.saving
+    .then(() => {
+      state.savedAt = Date.now();
+      return saveJob(job);
+    })
+    .catch((error) => console.error("[Job Save Error]", error.message));
+  return state.saving;
+}
+
+/**
+ * Log one finished item, and save the job record if the last save is older
+ * than JOB_SAVE_INTERVAL_MS
+ * @param {Object} state - Live state of the job
+ * @param {Object} entry - { index, result?, error? }
+ */
+function recordProgress(state, entry) {
+  state.saving = state.saving
+    .then(async () => {
+      await appendProgress(state.job.id, entry);
+      if (Date.now() - state.savedAt >= JOB_SAVE_INTERVAL_MS) {
+        state.savedAt = Date.now();
+        await saveJob(state.job);
+      }
+    })
+    .catch((error) => console.error("[Job Save Error]", error.message));
+  return state.saving;
+}
+
+async function appendProgress(id, entry) {
+  if (JOB_STORE_PROVIDER === "memory") {
+    if (!memoryProgress.has(id)) memoryProgress.set(id, []);
+    memoryProgress.get(id).push(structuredClone(entry));
+    return;
+  }
+  await fs.promises.mkdir(JOB_STORE_DIR, { recursive: true });
+  await fs.promises.appendFile(
+    jobPath(id, ".progress", ".jsonl"),
+    `${JSON.stringify(entry)}\n`,
+    "utf8",
+  );
+}
+
+async function loadProgress(id) {
+  if (JOB_STORE_PROVIDER === "memory") return memoryProgress.get(id) || [];
+  let raw = "";
+  try {
+    raw = await fs.promises.readFile(
+      jobPath(id, ".progress", ".jsonl"),
+      "utf8",
+    );
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Job Store Read Error]", error.message);
+    }
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a partially written last line: that item runs again
+    }
+  }
+  return entries;
+}
+
+async function deleteProgress(id) {
+  if (JOB_STORE_PROVIDER === "memory") {
+    memoryProgress.delete(id);
+    return;
+  }
+  try {
+    await fs.promises.unlink(jobPath(id, ".progress", ".jsonl"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Job Store Delete Error]", error.message);
+    }
+  }
+}
+
+/**
+ * Stored job with the per-item progress of an unfinished job rebuilt from its
+ * progress log (the log is the source of truth: the record may lag behind)
+ * @param {Object|null} job - Stored job record
+ * @returns {Promise<Object|null>} Job with completed, results, errors and counts
+ */
+async function withProgress(job) {
+  if (!job || job.finishedAt) return job;
+  const entries = await loadProgress(job.id);
+  // Records saved before progress logs existed carry their own progress
+  if (entries.length === 0 && job.completed) return job;
+
+  job.completed = [];
+  job.results = [];
+  job.errors = [];
+  job.successCount = 0;
+  job.failCount = 0;
+  for (const { index, result, error } of entries) {
+    job.completed.push(index);
+    if (error) {
+      job.failCount++;
+      job.errors.push(error);
+    } else {
+      job.successCount++;
+      if (result !== undefined) job.results.push({ index, ...result });
+    }
+  }
+  return job;
+}
+
+async function loadItems(id) {
+  if (JOB_STORE_PROVIDER === "memory") return memoryItems.get(id) || null;
+  return readJson(jobPath(id, ".items"));
+}
+
+async function deleteItems(id) {
+  if (JOB_STORE_PROVIDER === "memory") {
+    memoryItems.delete(id);
+    return;
+  }
+  try {
+    await fs.promises.unlink(jobPath(id, ".items"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Job Store Delete Error]", error.message);
+    }
+  }
+}
+
+/**
+ * Register how items of a job type are processed
+ * @param {string} type - Job type (e.g. "bulk_submit")
+ * @param {Object} handler - { processItem(item, index, context) → result, itemLabel?(item) → Object, summarize?(job) → Object }
+ */
+export function registerJobHandler(type, handler) {
+  if (typeof handler?.processItem !== "function") {
+    throw new Error(`Job handler "${type}" must implement processItem`);
+  }
+  handlers.set(type, handler);
+}
+
+/**
+ * Job as reported by the API: progress and errors, plus the handler's summary
+ * @param {Object} job - Stored job
+ * @returns {Object} Public view (no item payloads)
+ */
+export function describeJob(job) {
+  const { completed, results, ...rest } = job;
+  const processed = job.successCount + job.failCount;
+  return {
+    ...rest,
+    processed,
+    progress:
+      job.total > 0 ? Math.round((processed / job.total) * 1000) / 1000 : 1,
+    summary: handlers.get(job.type)?.summarize?.(job) ?? null,
+  };
+}
+
+/**
+ * Create a job and queue it
+ * @param {string} type - Registered job type
+ * @param {Array} items - Items to process (stored with the job until it finishes)
+ * @param {Object} [params] - Job parameters saved with the job (available after a restart)
+ * @param {Object} [runtime] - In-memory only options (e.g. customApiKey)
+ * @returns {Promise<Object>} Stored job
+ */
+export async function enqueueJob(type, items, params = {}, runtime = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type "${type}"`);
+  }
+  const now = new Date().toISOString();
+  const job = {
+    id: `job_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`,
+    type,
+    status: JOB_STATUS.QUEUED,
+    params,
+    total: items.length,
+    successCount: 0,
+    failCount: 0,
+    completed: [],
+    results: [],
+    errors: [],
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  if (JOB_STORE_PROVIDER === "memory") {
+    memoryItems.set(job.id, items);
+  } else {
+    await writeJson(jobPath(job.id, ".items"), items);
+  }
+  await saveJob(job);
+
+  schedule(job, runtime);
+  console.log(`[Jobs] Queued ${type} job ${job.id} (${items.length} items)`);
+  return job;
+}
+
+function schedule(job, runtime = {}) {
+  let resolveDone;
+  const done = new Promise((resolve) => {
+    resolveDone = resolve;
+  });
+  live.set(job.id, {
+    job,
+    runtime,
+    done,
+    resolveDone,
+    saving: Promise.resolve(),
+    savedAt: 0,
+  });
+  queue.push(job.id);
+  drain();
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (queue.length > 0) {
+      const id = queue.shift();
+      await runJob(live.get(id));
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+async function runJob(state) {
+  const { job, runtime } = state;
+  const handler = handlers.get(job.type);
+
+  try {
+    // Cancelled while still queued: nothing to run
+    const items =
+      job.status === JOB_STATUS.CANCELLED ? [] : await loadItems(job.id);
+    if (!handler || !items) {
+      throw new Error(
+        !handler ? `Unknown job type "${job.type}"` : "Job items are missing",
+      );
+    }
+
+    if (job.status !== JOB_STATUS.CANCELLED) {
+      job.status = JOB_STATUS.RUNNING;
+      job.startedAt = job.startedAt || new Date().toISOString();
+      await persist(job);
+    }
+
+    const done = new Set(job.completed);
+    const pending = items.map((_, index) => index).filter((i) => !done.has(i));
+    console.log(
+      `[Jobs] Running ${job.type} job ${job.id}: ${pending.length}/${items.length} items left (concurrency ${JOB_CONCURRENCY})`,
+    );
+
+    const worker = async () => {
+      while (pending.length > 0 && job.status !== JOB_STATUS.CANCELLED) {
+        const index = pending.shift();
+        const context = { job, params: job.params, ...runtime };
+        const entry = { index };
+        try {
+          const result = await handler.processItem(
+            items[index],
+            index,
+            context,
+          );
+          job.successCount++;
+          if (result !== undefined) {
+            job.results.push({ index, ...result });
+            entry.result = result;
+          }
+        } catch (error) {
+          entry.error = {
+            row: index + 1,
+            ...(handler.itemLabel?.(items[index]) || {}),
+            error: error.message || "Processing failed",
+          };
+          job.failCount++;
+          job.errors.push(entry.error);
+        }
+        job.completed.push(index);
+        await recordProgress(state, entry);
+        updates.emit(job.id, job);
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(JOB_CONCURRENCY, pending.length) }, worker),
+    );
+
+    if (job.status !== JOB_STATUS.CANCELLED) job.status = JOB_STATUS.COMPLETED;
+  } catch (error) {
+    console.error(`[Jobs] Job ${job.id} failed:`, error.message);
+    job.status = JOB_STATUS.FAILED;
+    job.error = error.message;
+  }
+
+  job.errors.sort((a, b) => a.row - b.row);
+  job.results.sort((a, b) => a.index - b.index);
+  job.finishedAt = new Date().toISOString();
+  await persist(job);
+  await deleteItems(job.id);
+  await deleteProgress(job.id);
+  console.log(
+    `[Jobs] ${job.type} job ${job.id} ${job.status}: ${job.successCount} succeeded, ${job.failCount} failed`,
+  );
+
+  live.delete(job.id);
+  state.resolveDone(job);
+  updates.emit(job.id, job);
+}
+
+/**
+ * Be notified after every processed item of a job and once it has finished
+ * @param {string} id - Job ID
+ * @param {Function} listener - Called with the job
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToJob(id, listener) {
+  updates.on(id, listener);
+  return () => updates.off(id, listener);
+}
+
+/** Whether a job has stopped (a cancelled job may still finish items in flight) */
+export function isFinished(job) {
+  return (
+    Boolean(job.finishedAt) || (FINISHED.has(job.status) && !live.has(job.id))
+  );
+}
+
+/**
+ * Get a job (live state for queued/running jobs, stored state otherwise)
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Stored job or null
+ */
+export async function getJob(id) {
+  if (live.has(id)) return live.get(id).job;
+  if (JOB_STORE_PROVIDER === "memory") {
+    const stored = memoryJobs.get(id);
+    return withProgress(stored ? structuredClone(stored) : null);
+  }
+  return withProgress(await readJson(jobPath(id)));
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} [filter] - { type, status, tenantId }
+ * @returns {Promise<Array<Object>>} Stored jobs
+ */
+export async function listJobs(filter = {}) {
+  let jobs;
+  if (JOB_STORE_PROVIDER === "memory") {
+    jobs = [...memoryJobs.values()].map((job) => structuredClone(job));
+  } else {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(JOB_STORE_DIR);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    jobs = (
+      await Promise.all(
+        files
+          .filter(
+            (file) => file.endsWith(".json") && !file.endsWith(".items.json"),
+          )
+          .map((file) => readJson(path.join(JOB_STORE_DIR, file))),
+      )
+    ).filter(Boolean);
+  }
+  jobs = await Promise.all(
+    jobs.map((job) => live.get(job.id)?.job || withProgress(job)),
+  );
+  return jobs
+    .filter(
+      (job) =>
+        (!filter.type || job.type === filter.type) &&
+        (!filter.status || job.status === filter.status) &&
+        (!filter.tenantId ||
+          (job.params?.tenantId || DEFAULT_TENANT) === filter.tenantId),
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Cancel a queued or running job (items in flight still finish)
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Job, or null if it does not exist
+ */
+export async function cancelJob(id) {
+  const job = await getJob(id);
+  if (!job || FINISHED.has(job.status)) return job;
+
+  job.status = JOB_STATUS.CANCELLED;
+  if (!live.has(id)) {
+    // Not running in this process (e.g. not resumed yet): nothing will finish it
+    job.finishedAt = new Date().toISOString();
+    await saveJob(job);
+    await deleteItems(id);
+    await deleteProgress(id);
+  } else {
+    await persist(job);
+  }
+  console.log(`[Jobs] Cancelled job ${id}`);
+  return job;
+}
+
+/**
+ * Wait until a job has finished
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} Finished job
+ */
+export async function waitForJob(id) {
+  if (live.has(id)) return live.get(id).done;
+  return getJob(id);
+}
+
+/**
+ * Queue the jobs that were queued or running when the server stopped
+ * @returns {Promise<number>} Number of resumed jobs
+ */
+export async function resumePendingJobs() {
+  const pending = (await listJobs())
+    .filter((job) => !FINISHED.has(job.status) && !live.has(job.id))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  pending.forEach((job) => {
+    console.log(
+      `[Jobs] Resuming ${job.type} job ${job.id} (${job.completed.length}/${job.total} items done)`,
+    );
+    schedule(job);
+  });
+  return pending.length;
+}
+
+export default {
+  JOB_STORE_PROVIDER,
+  JOB_CONCURRENCY,
+  JOB_SAVE_INTERVAL_MS,
+  JOB_STATUS,
+  registerJobHandler,
+  describeJob,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  waitForJob,
+  subscribeToJob,
+  isFinished,
+  resumePendingJobs,
+};
@@ -0,0 +1,187 @@
+import { TEMP_DIR } from "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import * as jobQueue from "./jobQueue.js";
+
+const JOB_DIR = path.join(TEMP_DIR, "jobs");
+
+/** Promise that resolves when release() is called */
+function gate() {
+  let release;
+  const opened = new Promise((resolve) => {
+    release = resolve;
+  });
+  return { opened, release };
+}
+
+/** Resolves once a job has reported `count` processed items */
+function processedItems(queue, id, count) {
+  return new Promise((resolve) => {
+    const unsubscribe = queue.subscribeToJob(id, (job) => {
+      if (job.completed.length >= count) {
+        unsubscribe();
+        resolve(job);
+      }
+    });
+  });
+}
+
+test("jobs run one at a time in FIFO order", async () => {
+  const order = [];
+  jobQueue.registerJobHandler("fifo", {
+    async processItem(item) {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      order.push(item);
+      if (item.endsWith("!")) throw new Error(`bad ${item}`);
+      return { item };
+    },
+    itemLabel: (item) => ({ item }),
+    summarize: (job) => ({ items: job.results.map((r) => r.item) }),
+  });
+
+  const first = await jobQueue.enqueueJob("fifo", ["a1", "a2!", "a3"]);
+  const second = await jobQueue.enqueueJob("fifo", ["b1", "b2"], {
+    tenantId: "uni-a",
+  });
+  const [doneFirst, doneSecond] = await Promise.all([
+    jobQueue.waitForJob(first.id),
+    jobQueue.waitForJob(second.id),
+  ]);
+
+  assert.deepEqual(order.slice(3).sort(), ["b1", "b2"]);
+  assert.equal(doneFirst.status, jobQueue.JOB_STATUS.COMPLETED);
+  assert.equal(doneSecond.status, jobQueue.JOB_STATUS.COMPLETED);
+  assert.ok(doneFirst.finishedAt <= doneSecond.startedAt);
+
+  const described = jobQueue.describeJob(await jobQueue.getJob(first.id));
+  assert.equal(described.processed, 3);
+  assert.equal(described.progress, 1);
+  assert.deepEqual(described.errors, [
+    { row: 2, item: "a2!", error: "bad a2!" },
+  ]);
+  assert.deepEqual(described.summary, { items: ["a1", "a3"] });
+  assert.equal(described.completed, undefined);
+
+  assert.deepEqual(
+    (await jobQueue.listJobs({ tenantId: "uni-a" })).map((job) => job.id),
+    [second.id],
+  );
+  await assert.rejects(jobQueue.enqueueJob("nope", []), /Unknown job type/);
+});
+
+test("cancel skips items that have not started", async () => {
+  const { opened, release } = gate();
+  const started = [];
+  jobQueue.registerJobHandler("slow", {
+    async processItem(item) {
+      started.push(item);
+      await opened;
+      return { item };
+    },
+  });
+
+  const running = await jobQueue.enqueueJob(
+    "slow",
+    Array.from({ length: 10 }, (_, i) => i),
+  );
+  const queued = await jobQueue.enqueueJob("slow", [100, 101]);
+
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(started.length, jobQueue.JOB_CONCURRENCY);
+
+  assert.equal(
+    (await jobQueue.cancelJob(queued.id)).status,
+    jobQueue.JOB_STATUS.CANCELLED,
+  );
+  await jobQueue.cancelJob(running.id);
+  release();
+
+  const finished = await jobQueue.waitForJob(running.id);
+  assert.equal(finished.status, jobQueue.JOB_STATUS.CANCELLED);
+  assert.equal(finished.successCount, jobQueue.JOB_CONCURRENCY);
+  assert.ok(jobQueue.isFinished(finished));
+
+  const skipped = await jobQueue.waitForJob(queued.id);
+  assert.equal(skipped.successCount, 0);
+  assert.ok(!started.includes(100));
+
+  // Finished jobs cannot be cancelled again
+  assert.equal(
+    (await jobQueue.cancelJob(finished.id)).finishedAt,
+    finished.finishedAt,
+  );
+  assert.equal(await jobQueue.cancelJob("job_missing"), null);
+});
+
+test("a job interrupted by a restart resumes from its progress log", async () => {
+  process.env.JOB_STORE_PROVIDER = "fs";
+  process.env.JOB_STORE_DIR = JOB_DIR;
+  process.env.JOB_CONCURRENCY = "1";
+  const beforeRestart = await import("./jobQueue.js?before-restart");
+  const afterRestart = await import("./jobQueue.js?after-restart");
+  process.env.JOB_STORE_PROVIDER = "memory";
+
+  // The first process dies while item 2 is in flight
+  beforeRestart.registerJobHandler("resumable", {
+    async processItem(item, index) {
+      if (index === 2) return new Promise(() => {});
+      if (index === 1) throw new Error("bad row");
+      return { value: item * 10 };
+    },
+  });
+  const job = await beforeRestart.enqueueJob("resumable", [1, 2, 3, 4, 5], {
+    tenantId: "uni-a",
+  });
+  await processedItems(beforeRestart, job.id, 2);
+
+  const files = fs.readdirSync(JOB_DIR).sort();
+  assert.deepEqual(files, [
+    `${job.id}.items.json`,
+    `${job.id}.json`,
+    `${job.id}.progress.jsonl`,
+  ]);
+  // While running, the job record carries no per-item arrays
+  const record = JSON.parse(
+    fs.readFileSync(path.join(JOB_DIR, `${job.id}.json`), "utf8"),
+  );
+  assert.equal(record.status, jobQueue.JOB_STATUS.RUNNING);
+  assert.equal(record.completed, undefined);
+
+  const processed = [];
+  afterRestart.registerJobHandler("resumable", {
+    async processItem(item, index) {
+      processed.push(index);
+      return { value: item * 10 };
+    },
+  });
+  const stored = await afterRestart.getJob(job.id);
+  assert.deepEqual(stored.completed, [0, 1]);
+  assert.equal(stored.failCount, 1);
+
+  assert.equal(await afterRestart.resumePendingJobs(), 1);
+  const finished = await afterRestart.waitForJob(job.id);
+
+  assert.deepEqual(processed, [2, 3, 4]);
+  assert.equal(finished.status, jobQueue.JOB_STATUS.COMPLETED);
+  assert.equal(finished.successCount, 4);
+  assert.equal(finished.failCount, 1);
+  assert.deepEqual(
+    finished.results.map((r) => [r.index, r.value]),
+    [
+      [0, 10],
+      [2, 30],
+      [3, 40],
+      [4, 50],
+    ],
+  );
+  assert.deepEqual(finished.errors, [{ row: 2, error: "bad row" }]);
+  assert.equal(finished.params.tenantId, "uni-a");
+
+  // Finished: one complete record, no items or progress log left behind
+  assert.deepEqual(fs.readdirSync(JOB_DIR), [`${job.id}.json`]);
+  const saved = await afterRestart.getJob(job.id);
+  assert.deepEqual(saved.completed.sort(), [0, 1, 2, 3, 4]);
+  assert.equal(await afterRestart.resumePendingJobs(), 0);
+});
@@ -0,0 +1,169 @@
+/**
+ * Language Detector
+ * Guesses the programming language of a submission when the request does not
+ * name one, so Python uploads without a `language` field are no longer chunked
+ * and normalized as JavaScript.
+ *
+ * Evidence per registry language (languages.js):
+ *   - shebang: `#!/usr/bin/env python3` on the first line is decisive
+ *   - syntax cues: weighted patterns characteristic of the language
+ *   - keyword frequency: words that are keywords of the language, weighted by
+ *     how few languages share them (`elsif` says more than `if`)
+ *
+ * The result carries a confidence in [0, 1] that grows with the amount of
+ * evidence and with the margin over the runner-up language.
+ */
+
+import dotenv from "dotenv";
+import {
+  getLanguage,
+  getSupportedLanguages,
+  resolveLanguage,
+} from "./languages.js";
+
+dotenv.config();
+
+// Used when the code gives no evidence at all (matches the endpoints' historical default)
+export const DEFAULT_LANGUAGE = "javascript";
+// Below this confidence a detection is reported as `lowConfidence`
+export const MIN_DETECTION_CONFIDENCE =
+  parseFloat(process.env.LANGUAGE_DETECTION_MIN_CONFIDENCE) || 0.5;
+
+const SHEBANG_WEIGHT = 20;
+// A cue counts at most this many times (long files should not drown out rarer cues)
+const MAX_CUE_HITS = 3;
+// Scale of the keyword-density score relative to cue weights
+const KEYWORD_SCALE = 20;
+// Evidence score at which confidence reaches ~63% of its margin-based ceiling
+const EVIDENCE_SCALE = 6;
+
+// keyword → number of registry languages that reserve it
+const KEYWORD_SHARE = new Map();
+for (const name of getSupportedLanguages()) {
+  new Set(getLanguage(name).keywords).forEach((keyword) =>
+    KEYWORD_SHARE.set(keyword, (KEYWORD_SHARE.get(keyword) || 0) + 1),
+  );
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/** Number of matches of a pattern in the code, capped at MAX_CUE_HITS */
+function countHits(pattern, code) {
+  const flags = pattern.flags.includes("g")
+    ? pattern.flags
+    : `${pattern.flags}g`;
+  const global = new RegExp(pattern.source, flags);
+  let hits = 0;
+  while (hits < MAX_CUE_HITS && global.exec(code)) hits++;
+  return hits;
+}
+
+/**
+ * Evidence score of every registry language for a piece of code
+ * @param {string} code - Source code
+ * @returns {Object} { [language]: score }
+ */
+export function scoreLanguages(code) {
+  const source = String(code || "").replace(/\r\n/g, "\n");
+  const firstLine = source.split("\n", 1)[0];
+  const shebang = firstLine.startsWith("#!") ? firstLine : null;
+  const words = source.match(/[A-Za-z_][A-Za-z0-9_]*/g) || [];
+  const scores = {};
+
+  for (const name of getSupportedLanguages()) {
+    const { keywords, detection } = getLanguage(name);
+    let score = 0;
+
+    if (
+      shebang &&
+      detection.shebangs.some((interpreter) =>
+        new RegExp(`[/\\s]${interpreter}[\\d.]*(?:\\s|$)`).test(shebang),
+      )
+    ) {
+      score += SHEBANG_WEIGHT;
+    }
+
+    detection.cues.forEach(([pattern, weight]) => {
+      score += countHits(pattern, source) * weight;
+    });
+
+    // Keyword density, each keyword weighted by its specificity
+    const keywordSet = new Set(keywords);
+    let keywordWeight = 0;
+    words.forEach((word) => {
+      if (keywordSet.has(word)) keywordWeight += 1 / KEYWORD_SHARE.get(word);
+    });
+    if (words.length > 0) {
+      score += (keywordWeight / words.length) * KEYWORD_SCALE;
+    }
+
+    scores[name] = round(score);
+  }
+
+  return scores;
+}
+
+/**
+ * Detect the language of a piece of code
+ * @param {string} code - Source code
+ * @returns {Object} { language, confidence, lowConfidence, candidates: [{ language, score }] (top 3) }
+ */
+export function detectLanguage(code) {
+  const scores = scoreLanguages(code);
+  const ranked = Object.entries(scores)
+    .map(([language, score]) => ({ language, score }))
+    .sort((a, b) => b.score - a.score);
+  const [best, second] = ranked;
+
+  if (!best || best.score <= 0) {
+    return {
+      language: DEFAULT_LANGUAGE,
+      confidence: 0,
+      lowConfidence: true,
+      candidates: [],
+    };
+  }
+
+  const margin = (best.score - (second?.score || 0)) / best.score;
+  const evidence = 1 - Math.exp(-best.score / EVIDENCE_SCALE);
+  const confidence = round(evidence * (0.5 + 0.5 * margin));
+
+  return {
+    language: best.language,
+    confidence,
+    lowConfidence: confidence < MIN_DETECTION_CONFIDENCE,
+    candidates: ranked.slice(0, 3),
+  };
+}
+
+/**
+ * Language for a request: the one it names (resolved through the registry),
+ * otherwise the detected one
+ * @param {string} code - Source code
+ * @param {string} [requested] - `language` field from the request, if any
+ * @returns {Object} { language, source: "request" | "detected", confidence, lowConfidence?, candidates? }
+ */
+export function resolveSubmissionLanguage(code, requested) {
+  if (requested != null && String(requested).trim() !== "") {
+    return {
+      language: resolveLanguage(requested),
+      source: "request",
+      confidence: 1,
+    };
+  }
+  const detected = detectLanguage(code);
+  console.log(
+    `[Language Detector] Detected ${detected.language} (confidence ${detected.confidence})`,
+  );
+  return { source: "detected", ...detected };
+}
+
+export default {
+  DEFAULT_LANGUAGE,
+  MIN_DETECTION_CONFIDENCE,
+  scoreLanguages,
+  detectLanguage,
+  resolveSubmissionLanguage,
+};
@@ -0,0 +1,141 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as languageDetector from "./languageDetector.js";
+
+const SAMPLES = {
+  python: `def total(values):
+    result = 0
+    for value in values:
+        if value > 0:
+            result += value
+    return result
+
+print(total([1, 2, 3]))
+`,
+  javascript: `const total = (values) => {
+  let result = 0;
+  for (const value of values) {
+    if (value > 0) result += value;
+  }
+  return result;
+};
+console.log(total([1, 2, 3]));
+`,
+  java: `public class Main {
+    public static void main(String[] args) {
+        System.out.println("hi");
+    }
+}
+`,
+  c: `#include <stdio.h>
+
+int main(void) {
+    printf("hi\\n");
+    return 0;
+}
+`,
+  cpp: `#include <iostream>
+using namespace std;
+
+int main() {
+    cout << "hi" << endl;
+    return 0;
+}
+`,
+  go: `package main
+
+import "fmt"
+
+func main() {
+    total := 0
+    for i := 0; i < 3; i++ {
+        total += i
+    }
+    fmt.Println(total)
+}
+`,
+  rust: `fn main() {
+    let mut total = 0;
+    for i in 0..3 {
+        total += i;
+    }
+    println!("{}", total);
+}
+`,
+  csharp: `using System;
+
+namespace Shop {
+    class Program {
+        static void Main(string[] args) {
+            Console.WriteLine("hi");
+        }
+    }
+}
+`,
+  kotlin: `fun main() {
+    val items = listOf(1, 2, 3)
+    println(items.sum())
+}
+`,
+  php: `<?php
+function total($values) {
+    $result = 0;
+    foreach ($values as $value) { $result += $value; }
+    return $result;
+}
+echo total([1, 2, 3]);
+`,
+  ruby: `def total(values)
+  result = 0
+  values.each do |value|
+    result += value if value > 0
+  end
+  result
+end
+puts total([1, 2, 3])
+`,
+};
+
+test("detects every registry language from typical code", () => {
+  for (const [language, code] of Object.entries(SAMPLES)) {
+    const detected = languageDetector.detectLanguage(code);
+    assert.equal(detected.language, language);
+    assert.equal(detected.lowConfidence, false, language);
+    assert.equal(detected.candidates[0].language, language);
+    assert.ok(detected.candidates.length <= 3);
+  }
+});
+
+test("a shebang outweighs the rest of the file", () => {
+  const detected = languageDetector.detectLanguage(
+    "#!/usr/bin/env python3\nx = 1\n",
+  );
+  assert.equal(detected.language, "python");
+  assert.ok(detected.confidence > 0.9);
+});
+
+test("code without evidence falls back to the default language", () => {
+  for (const code of ["", "hello", null]) {
+    assert.deepEqual(languageDetector.detectLanguage(code), {
+      language: languageDetector.DEFAULT_LANGUAGE,
+      confidence: 0,
+      lowConfidence: true,
+      candidates: [],
+    });
+  }
+});
+
+test("a language named by the request wins over detection", () => {
+  assert.deepEqual(
+    languageDetector.resolveSubmissionLanguage(SAMPLES.python, " Golang "),
+    { language: "go", source: "request", confidence: 1 },
+  );
+
+  const detected = languageDetector.resolveSubmissionLanguage(
+    SAMPLES.python,
+    "  ",
+  );
+  assert.equal(detected.source, "detected");
+  assert.equal(detected.language, "python");
+});
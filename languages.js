@@ -0,0 +1,1201 @@
+/**
+ * Language Registry
+ * Single source of truth for every supported programming language: aliases,
+ * file extensions, keywords, lexical rules (lexer.js), block and declaration
+ * syntax (codeNormalizer.js, chunking.js), structural keyword groups
+ * (analyzeStructure) and whether the external service has a tree-sitter tool.
+ *
+ * Adding a language means adding one entry here; every module reads it.
+ *
+ * Entry shape:
+ *   name, label, aliases, extensions, treesitter
+ *   keywords                      - reserved words (never renamed, kept verbatim in token streams)
+ *   lexer: {
+ *     lineComments, blockComment, nestedBlockComments, blockCommentAtLineStart,
+ *     tripleQuotedStrings, docstrings, stringPrefix, backtickStrings ("template" | "raw"),
+ *     rawStrings ("cpp" | "rust"), verbatimStrings, lifetimes, symbols, regexLiterals,
+ *     preprocessor, openTags, identifierPattern, excludeOperators, extraOperators
+ *   }
+ *   syntax: {
+ *     blocks            - "indent" | "braces" | "end"
+ *     functionKeywords  - keywords that introduce a named function (`def`, `fn`, `func`, ...)
+ *     typeKeywords      - keywords that introduce a type/class body
+ *     declarationKeywords - keywords that declare variables (`let`, `val`, `var`, ...)
+ *     typedDeclarations - C-style `Type name` declarations
+ *     paramStyle        - "name-first" | "type-first" | "go" | "sigil"
+ *     lambdaArrow, lambdaParams ("before" | "block"), closureBars
+ *     assignmentDeclares - first assignment declares a local (Python, Ruby, PHP)
+ *     shortDeclaration  - `:=` declares (Go)
+ *     conditionals, loops, returns - keyword groups counted by analyzeStructure
+ *   }
+ *   detection: {                  - evidence for languageDetector.js
+ *     shebangs          - interpreter names matched on a `#!` first line
+ *     cues              - [pattern, weight] syntax cues characteristic of the language
+ *   }
+ */
+
+const LANGUAGES = {
+  python: {
+    name: "python",
+    label: "Python",
+    aliases: ["py", "python3"],
+    extensions: [".py", ".pyw"],
+    treesitter: true,
+    keywords: [
+      "and",
+      "as",
+      "assert",
+      "async",
+      "await",
+      "break",
+      "class",
+      "continue",
+      "def",
+      "del",
+      "elif",
+      "else",
+      "except",
+      "False",
+      "finally",
+      "for",
+      "from",
+      "global",
+      "if",
+      "import",
+      "in",
+      "is",
+      "lambda",
+      "None",
+      "nonlocal",
+      "not",
+      "or",
+      "pass",
+      "raise",
+      "return",
+      "True",
+      "try",
+      "while",
+      "with",
+      "yield",
+    ],
+    lexer: {
+      lineComments: ["#"],
+      tripleQuotedStrings: true,
+      docstrings: true,
+      stringPrefix: /^(?:[rR][bBfF]?|[bBfF][rR]?|[uU])(?=['"])/,
+      excludeOperators: [
+        "===",
+        "!==",
+        "=>",
+        "++",
+        "--",
+        "&&",
+        "||",
+        "?.",
+        "??",
+        ">>>",
+        ">>>=",
+        "::",
+        "<=>",
+      ],
+    },
+    syntax: {
+      blocks: "indent",
+      functionKeywords: ["def"],
+      typeKeywords: ["class"],
+      declarationKeywords: [],
+      paramStyle: "name-first",
+      assignmentDeclares: true,
+      conditionals: ["if", "elif", "else"],
+      loops: ["for", "while"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: ["python", "python3"],
+      cues: [
+        [/^\s*def\s+\w+\s*\(.*\)\s*(?:->\s*[^:]+)?:\s*$/m, 4],
+        [/^\s*class\s+\w+(?:\(.*\))?:\s*$/m, 4],
+        [/^\s*(?:if|elif|while|for|with|try|else|except)\b.*:\s*$/m, 2],
+        [/^\s*from\s+[\w.]+\s+import\s/m, 4],
+        [/\belif\b/, 3],
+        [/\bself\b/, 1],
+        [/\b(?:None|True|False)\b/, 1],
+        [/__name__|__init__/, 3],
+        [/(?<![.\w$])print\s*\(/, 1],
+      ],
+    },
+  },
+
+  javascript: {
+    name: "javascript",
+    label: "JavaScript",
+    aliases: ["js", "ts", "typescript", "jsx", "tsx", "node"],
+    extensions: [".js", ".mjs", ".cjs", ".jsx", ".ts", ".tsx"],
+    treesitter: true,
+    keywords: [
+      "async",
+      "await",
+      "break",
+      "case",
+      "catch",
+      "class",
+      "const",
+      "continue",
+      "debugger",
+      "default",
+      "delete",
+      "do",
+      "else",
+      "export",
+      "extends",
+      "false",
+      "finally",
+      "for",
+      "function",
+      "if",
+      "import",
+      "in",
+      "instanceof",
+      "let",
+      "new",
+      "null",
+      "of",
+      "return",
+      "static",
+      "super",
+      "switch",
+      "this",
+      "throw",
+      "true",
+      "try",
+      "typeof",
+      "undefined",
+      "var",
+      "void",
+      "while",
+      "yield",
+    ],
+    lexer: {
+      lineComments: ["//"],
+      blockComment: ["/*", "*/"],
+      backtickStrings: "template",
+      regexLiterals: true,
+      excludeOperators: ["//", "//=", "::", "->", ":=", "<=>"],
+    },
+    syntax: {
+      blocks: "braces",
+      functionKeywords: ["function"],
+      typeKeywords: ["class"],
+      declarationKeywords: ["const", "let", "var"],
+      paramStyle: "name-first",
+      lambdaArrow: "=>",
+      lambdaParams: "before",
+      conditionals: ["if", "else", "switch", "case"],
+      loops: ["for", "while", "do"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: ["node", "deno", "bun"],
+      cues: [
+        [/console\.\w+\s*\(/, 4],
+        [/\b(?:const|let)\s+[\w{[]/, 2],
+        [/\bfunction\s*\w*\s*\((?!\s*\$)/, 2],
+        [/=>\s*[{(\w]/, 1],
+        [/\brequire\s*\(\s*["'`]/, 3],
+        [
+          /\bmodule\.exports\b|\bexport\s+(?:default|const|function|class)\b/,
+          4,
+        ],
+        [/^\s*import\s.*\bfrom\s+["']/m, 4],
+        [/===|!==/, 1],
+        [/\b(?:undefined|document|window)\b/, 2],
+      ],
+    },
+  },
+
+  java: {
+    name: "java",
+    label: "Java",
+    aliases: [],
+    extensions: [".java"],
+    treesitter: true,
+    keywords: [
+      "abstract",
+      "assert",
+      "boolean",
+      "break",
+      "byte",
+      "case",
+      "catch",
+      "char",
+      "class",
+      "const",
+      "continue",
+      "default",
+      "do",
+      "double",
+      "else",
+      "enum",
+      "extends",
+      "false",
+      "final",
+      "finally",
+      "float",
+      "for",
+      "if",
+      "implements",
+      "import",
+      "instanceof",
+      "int",
+      "interface",
+      "long",
+      "native",
+      "new",
+      "null",
+      "package",
+      "private",
+      "protected",
+      "public",
+      "return",
+      "short",
+      "static",
+      "super",
+      "switch",
+      "synchronized",
+      "this",
+      "throw",
+      "throws",
+      "true",
+      "try",
+      "var",
+      "void",
+      "volatile",
+      "while",
+    ],
+    lexer: {
+      lineComments: ["//"],
+      blockComment: ["/*", "*/"],
+      tripleQuotedStrings: true, // text blocks ("""...""")
+      excludeOperators: [
+        "//",
+        "//=",
+        "===",
+        "!==",
+        "=>",
+        "**",
+        "**=",
+        ":=",
+        "??",
+        "?.",
+        "<=>",
+      ],
+    },
+    syntax: {
+      blocks: "braces",
+      functionKeywords: [],
+      typeKeywords: ["class", "interface", "enum"],
+      declarationKeywords: [],
+      typedDeclarations: true,
+      paramStyle: "type-first",
+      lambdaArrow: "->",
+      lambdaParams: "before",
+      conditionals: ["if", "else", "switch", "case"],
+      loops: ["for", "while", "do"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: [],
+      cues: [
+        [/\bpublic\s+static\s+void\s+main\s*\(\s*String/, 6],
+        [/\bSystem\.(?:out|err|in)\b/, 5],
+        [/^\s*import\s+java\./m, 5],
+        [/^\s*package\s+[\w.]+\s*;/m, 3],
+        [
+          /\b(?:public|private|protected)\s+(?:static\s+)?(?:final\s+)?\w+(?:<[\w<>, ?]*>)?(?:\[\])?\s+\w+\s*[(=;]/,
+          2,
+        ],
+        [/@Override\b/, 3],
+        [/\b(?:String\[\]|ArrayList<|Integer\b|boolean\b)/, 2],
+        [/\bthrows\s+\w+/, 2],
+      ],
+    },
+  },
+
+  c: {
+    name: "c",
+    label: "C",
+    aliases: ["h"],
+    extensions: [".c", ".h"],
+    treesitter: true,
+    keywords: [
+      "auto",
+      "break",
+      "case",
+      "char",
+      "const",
+      "continue",
+      "default",
+      "do",
+      "double",
+      "else",
+      "enum",
+      "extern",
+      "float",
+      "for",
+      "goto",
+      "if",
+      "int",
+      "long",
+      "register",
+      "return",
+      "short",
+      "signed",
+      "sizeof",
+      "static",
+      "struct",
+      "switch",
+      "typedef",
+      "union",
+      "unsigned",
+      "void",
+      "volatile",
+      "while",
+    ],
+    lexer: {
+      lineComments: ["//"],
+      blockComment: ["/*", "*/"],
+      preprocessor: true,
+      stringPrefix: /^(?:u8|[uUL])(?=['"])/,
+      excludeOperators: [
+        "//",
+        "//=",
+        "===",
+        "!==",
+        "=>",
+        "**",
+        "**=",
+        ":=",
+        "??",
+        "?.",
+        ">>>",
+        ">>>=",
+        "::",
+        "<=>",
+      ],
+    },
+    syntax: {
+      blocks: "braces",
+      functionKeywords: [],
+      typeKeywords: ["struct", "union", "enum"],
+      declarationKeywords: [],
+      typedDeclarations: true,
+      paramStyle: "type-first",
+      conditionals: ["if", "else", "switch", "case"],
+      loops: ["for", "while", "do"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: [],
+      cues: [
+        [
+          /#include\s*<(?:stdio|stdlib|string|math|stdbool|ctype|limits)\.h>/,
+          5,
+        ],
+        [/(?<![.\w])(?:printf|scanf|fprintf|sprintf)\s*\(/, 2],
+        [/\b(?:malloc|calloc|realloc|free)\s*\(/, 2],
+        [/^\s*(?:int|void)\s+main\s*\(/m, 2],
+        [/\bstruct\s+\w+\s*[*{]/, 1],
+      ],
+    },
+  },
+
+  cpp: {
+    name: "cpp",
+    label: "C++",
+    aliases: ["c++", "cc", "cxx", "hpp"],
+    extensions: [".cpp", ".cc", ".cxx", ".hpp", ".hh", ".hxx"],
+    treesitter: true,
+    keywords: [
+      "auto",
+      "bool",
+      "break",
+      "case",
+      "catch",
+      "char",
+      "class",
+      "const",
+      "constexpr",
+      "continue",
+      "default",
+      "delete",
+      "do",
+      "double",
+      "else",
+      "enum",
+      "explicit",
+      "extern",
+      "false",
+      "float",
+      "for",
+      "friend",
+      "goto",
+      "if",
+      "inline",
+      "int",
+      "long",
+      "mutable",
+      "namespace",
+      "new",
+      "noexcept",
+      "nullptr",
+      "operator",
+      "private",
+      "protected",
+      "public",
+      "register",
+      "return",
+      "short",
+      "signed",
+      "sizeof",
+      "static",
+      "struct",
+      "switch",
+      "template",
+      "this",
+      "throw",
+      "true",
+      "try",
+      "typedef",
+      "typename",
+      "union",
+      "unsigned",
+      "using",
+      "virtual",
+      "void",
+      "volatile",
+      "while",
+    ],
+    lexer: {
+      lineComments: ["//"],
+      blockComment: ["/*", "*/"],
+      preprocessor: true,
+      rawStrings: "cpp",
+      stringPrefix: /^(?:u8|[uUL])?R?(?=['"])/,
+      excludeOperators: [
+        "//",
+        "//=",
+        "===",
+        "!==",
+        "=>",
+        "**",
+        "**=",
+        ":=",
+        "??",
+        "?.",
+        ">>>",
+        ">>>=",
+      ],
+    },
+    syntax: {
+      blocks: "braces",
+      functionKeywords: [],
+      typeKeywords: ["class", "struct", "union", "enum"],
+      declarationKeywords: [],
+      typedDeclarations: true,
+      paramStyle: "type-first",
+      conditionals: ["if", "else", "switch", "case"],
+      loops: ["for", "while", "do"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: [],
+      cues: [
+        [
+          /#include\s*<(?:iostream|vector|string|algorithm|map|set|unordered_map|queue|bits\/stdc\+\+\.h)>/,
+          5,
+        ],
+        [/\bstd::/, 4],
+        [/\busing\s+namespace\s+std\s*;/, 5],
+        [/\b(?:cout|cerr)\s*<<|\bcin\s*>>/, 4],
+        [/\btemplate\s*</, 3],
+        [/\b(?:vector|map|pair)<\w/, 2],
+        [/^\s*(?:int|void)\s+main\s*\(/m, 1],
+      ],
+    },
+  },
+
+  go: {
+    name: "go",
+    label: "Go",
+    aliases: ["golang"],
+    extensions: [".go"],
+    treesitter: false,
+    keywords: [
+      "break",
+      "case",
+      "chan",
+      "const",
+      "continue",
+      "default",
+      "defer",
+      "else",
+      "fallthrough",
+      "false",
+      "for",
+      "func",
+      "go",
+      "goto",
+      "if",
+      "import",
+      "interface",
+      "iota",
+      "map",
+      "nil",
+      "package",
+      "range",
+      "return",
+      "select",
+      "struct",
+      "switch",
+      "true",
+      "type",
+      "var",
+    ],
+    lexer: {
+      lineComments: ["//"],
+      blockComment: ["/*", "*/"],
+      backtickStrings: "raw",
+      excludeOperators: [
+        "//",
+        "//=",
+        "===",
+        "!==",
+        "=>",
+        "**",
+        "**=",
+        "??",
+        "?.",
+        ">>>",
+        ">>>=",
+        "::",
+        "->",
+        "<=>",
+      ],
+      extraOperators: ["<-", "&^=", "&^"],
+    },
+    syntax: {
+      blocks: "braces",
+      functionKeywords: ["func"],
+      typeKeywords: ["type"],
+      declarationKeywords: ["var", "const"],
+      paramStyle: "go",
+      shortDeclaration: true,
+      conditionals: ["if", "else", "switch", "case", "select"],
+      loops: ["for"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: [],
+      cues: [
+        [/^\s*package\s+\w+\s*$/m, 4],
+        [/\bfunc\s+(?:\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/, 5],
+        [/\bfmt\.\w+\s*\(/, 5],
+        [/^\s*import\s+(?:\(\s*$|"[\w/.]+")/m, 3],
+        [/\w\s*:=/, 2],
+        [/\[\]\w+\s*\{|\bmap\[\w+\]\w+/, 2],
+        [/\b(?:chan|defer|go\s+func)\b/, 2],
+      ],
+    },
+  },
+
+  rust: {
+    name: "rust",
+    label: "Rust",
+    aliases: ["rs"],
+    extensions: [".rs"],
+    treesitter: false,
+    keywords: [
+      "as",
+      "async",
+      "await",
+      "break",
+      "const",
+      "continue",
+      "crate",
+      "dyn",
+      "else",
+      "enum",
+      "extern",
+      "false",
+      "fn",
+      "for",
+      "if",
+      "impl",
+      "in",
+      "let",
+      "loop",
+      "match",
+      "mod",
+      "move",
+      "mut",
+      "pub",
+      "ref",
+      "return",
+      "self",
+      "Self",
+      "static",
+      "struct",
+      "super",
+      "trait",
+      "true",
+      "type",
+      "unsafe",
+      "use",
+      "where",
+      "while",
+    ],
+    lexer: {
+      lineComments: ["//"],
+      blockComment: ["/*", "*/"],
+      nestedBlockComments: true,
+      rawStrings: "rust",
+      lifetimes: true,
+      stringPrefix: /^b(?=['"])/,
+      excludeOperators: [
+        "//",
+        "//=",
+        "===",
+        "!==",
+        "**",
+        "**=",
+        ":=",
+        "??",
+        "?.",
+        ">>>",
+        ">>>=",
+        "++",
+        "--",
+        "<=>",
+      ],
+      extraOperators: ["..=", ".."],
+    },
+    syntax: {
+      blocks: "braces",
+      functionKeywords: ["fn"],
+      typeKeywords: ["struct", "enum", "trait", "impl", "union"],
+      declarationKeywords: ["let", "const", "static"],
+      paramStyle: "name-first",
+      closureBars: true,
+      conditionals: ["if", "else", "match"],
+      loops: ["for", "while", "loop"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: [],
+      cues: [
+        [/\bfn\s+\w+\s*(?:<[^>]*>)?\s*\(/, 5],
+        [/\blet\s+mut\b/, 5],
+        [/\b(?:println|print|format|vec|panic|assert_eq)!\s*[([]/, 5],
+        [/^\s*use\s+\w+(?:::[\w{}*, ]+)+;/m, 3],
+        [/&mut\s|&self\b|\bimpl\b/, 3],
+        [
+          /->\s*(?:Self|Option<|Result<|Vec<|i32|i64|u32|u64|usize|bool|String)\b/,
+          2,
+        ],
+        [/\b(?:i32|i64|u32|u64|usize|f64)\b/, 2],
+      ],
+    },
+  },
+
+  csharp: {
+    name: "csharp",
+    label: "C#",
+    aliases: ["c#", "cs", "dotnet"],
+    extensions: [".cs"],
+    treesitter: false,
+    keywords: [
+      "abstract",
+      "as",
+      "async",
+      "await",
+      "base",
+      "bool",
+      "break",
+      "byte",
+      "case",
+      "catch",
+      "char",
+      "checked",
+      "class",
+      "const",
+      "continue",
+      "decimal",
+      "default",
+      "delegate",
+      "do",
+      "double",
+      "else",
+      "enum",
+      "event",
+      "explicit",
+      "extern",
+      "false",
+      "finally",
+      "fixed",
+      "float",
+      "for",
+      "foreach",
+      "goto",
+      "if",
+      "implicit",
+      "in",
+      "int",
+      "interface",
+      "internal",
+      "is",
+      "lock",
+      "long",
+      "namespace",
+      "new",
+      "null",
+      "object",
+      "operator",
+      "out",
+      "override",
+      "params",
+      "private",
+      "protected",
+      "public",
+      "readonly",
+      "ref",
+      "return",
+      "sbyte",
+      "sealed",
+      "short",
+      "sizeof",
+      "static",
+      "string",
+      "struct",
+      "switch",
+      "this",
+      "throw",
+      "true",
+      "try",
+      "typeof",
+      "uint",
+      "ulong",
+      "unchecked",
+      "unsafe",
+      "ushort",
+      "using",
+      "var",
+      "virtual",
+      "void",
+      "volatile",
+      "while",
+    ],
+    lexer: {
+      lineComments: ["//"],
+      blockComment: ["/*", "*/"],
+      verbatimStrings: true,
+      stringPrefix: /^(?:\$@|@\$|\$|@)(?=")/,
+      preprocessor: true,
+      excludeOperators: [
+        "//",
+        "//=",
+        "===",
+        "!==",
+        "**",
+        "**=",
+        ":=",
+        ">>>",
+        ">>>=",
+        "<=>",
+      ],
+    },
+    syntax: {
+      blocks: "braces",
+      functionKeywords: [],
+      typeKeywords: ["class", "struct", "interface", "enum"],
+      declarationKeywords: [],
+      typedDeclarations: true,
+      paramStyle: "type-first",
+      lambdaArrow: "=>",
+      lambdaParams: "before",
+      conditionals: ["if", "else", "switch", "case"],
+      loops: ["for", "foreach", "while", "do"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: [],
+      cues: [
+        [/^\s*using\s+System(?:\.\w+)*\s*;/m, 6],
+        [/\bConsole\.(?:Write|WriteLine|ReadLine)\s*\(/, 5],
+        [/\bstatic\s+(?:async\s+)?(?:void|int|Task)\s+Main\s*\(/, 5],
+        [/\{\s*get;\s*(?:(?:private\s+)?set;)?\s*\}/, 4],
+        [/\bforeach\s*\(\s*(?:var|\w+)\s+\w+\s+in\b/, 4],
+        [/\b(?:string\[\]|List<|Dictionary<)/, 2],
+        [/\.(?:Length|Count)\b/, 1],
+        [/\$"/, 2],
+      ],
+    },
+  },
+
+  kotlin: {
+    name: "kotlin",
+    label: "Kotlin",
+    aliases: ["kt", "kts"],
+    extensions: [".kt", ".kts"],
+    treesitter: false,
+    keywords: [
+      "abstract",
+      "as",
+      "break",
+      "catch",
+      "class",
+      "continue",
+      "do",
+      "else",
+      "false",
+      "finally",
+      "for",
+      "fun",
+      "if",
+      "import",
+      "in",
+      "interface",
+      "internal",
+      "is",
+      "null",
+      "object",
+      "open",
+      "override",
+      "package",
+      "private",
+      "protected",
+      "public",
+      "return",
+      "super",
+      "suspend",
+      "this",
+      "throw",
+      "true",
+      "try",
+      "typealias",
+      "val",
+      "var",
+      "vararg",
+      "when",
+      "while",
+    ],
+    lexer: {
+      lineComments: ["//"],
+      blockComment: ["/*", "*/"],
+      nestedBlockComments: true,
+      tripleQuotedStrings: true,
+      excludeOperators: [
+        "//",
+        "//=",
+        "===",
+        "!==",
+        "=>",
+        "**",
+        "**=",
+        ":=",
+        "??",
+        ">>>",
+        ">>>=",
+        "<=>",
+      ],
+      extraOperators: ["?:", "!!", "..<", ".."],
+    },
+    syntax: {
+      blocks: "braces",
+      functionKeywords: ["fun"],
+      typeKeywords: ["class", "interface", "object"],
+      declarationKeywords: ["val", "var"],
+      paramStyle: "name-first",
+      lambdaArrow: "->",
+      lambdaParams: "block",
+      conditionals: ["if", "else", "when"],
+      loops: ["for", "while", "do"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: [],
+      cues: [
+        [/\bfun\s+(?:<[^>]*>\s*)?[\w.]+\s*\(/, 5],
+        [/\bval\s+\w+\s*(?::\s*[\w<>?, ]+)?=/, 3],
+        [/\bwhen\s*(?:\(.*\))?\s*\{/, 3],
+        [/\bdata\s+class\b/, 4],
+        [
+          /\b(?:mutableListOf|listOf|mapOf|mutableMapOf|arrayOf|intArrayOf)\s*[(<]/,
+          4,
+        ],
+        [/(?<![.\w])println\s*\(/, 2],
+        [/\?\.|\?:|!!/, 1],
+      ],
+    },
+  },
+
+  php: {
+    name: "php",
+    label: "PHP",
+    aliases: [],
+    extensions: [".php"],
+    treesitter: false,
+    keywords: [
+      "abstract",
+      "and",
+      "array",
+      "as",
+      "break",
+      "callable",
+      "case",
+      "catch",
+      "class",
+      "clone",
+      "const",
+      "continue",
+      "declare",
+      "default",
+      "do",
+      "echo",
+      "else",
+      "elseif",
+      "empty",
+      "enum",
+      "extends",
+      "false",
+      "final",
+      "finally",
+      "fn",
+      "for",
+      "foreach",
+      "function",
+      "global",
+      "if",
+      "implements",
+      "include",
+      "include_once",
+      "instanceof",
+      "interface",
+      "isset",
+      "list",
+      "match",
+      "namespace",
+      "new",
+      "null",
+      "or",
+      "print",
+      "private",
+      "protected",
+      "public",
+      "readonly",
+      "require",
+      "require_once",
+      "return",
+      "static",
+      "switch",
+      "throw",
+      "trait",
+      "true",
+      "try",
+      "unset",
+      "use",
+      "var",
+      "while",
+      "xor",
+      "yield",
+    ],
+    lexer: {
+      lineComments: ["//", "#"],
+      blockComment: ["/*", "*/"],
+      openTags: true,
+      excludeOperators: ["//", "//=", ":=", ">>>", ">>>=", "?."],
+      extraOperators: ["?->", "??="],
+    },
+    syntax: {
+      blocks: "braces",
+      functionKeywords: ["function", "fn"],
+      typeKeywords: ["class", "interface", "trait", "enum"],
+      declarationKeywords: [],
+      paramStyle: "sigil",
+      assignmentDeclares: true,
+      conditionals: ["if", "elseif", "else", "switch", "case", "match"],
+      loops: ["for", "foreach", "while", "do"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: ["php"],
+      cues: [
+        [/<\?php/, 10],
+        [/\$\w+\s*=/, 3],
+        [/\$this->/, 5],
+        [/\bforeach\s*\(\s*\$\w+\s+as\b/, 5],
+        [/\bfunction\s+\w+\s*\(\s*(?:\??\w+\s+)?&?\$/, 4],
+        [/\becho\s/, 2],
+      ],
+    },
+  },
+
+  ruby: {
+    name: "ruby",
+    label: "Ruby",
+    aliases: ["rb"],
+    extensions: [".rb"],
+    treesitter: false,
+    keywords: [
+      "alias",
+      "and",
+      "begin",
+      "break",
+      "case",
+      "class",
+      "def",
+      "defined?",
+      "do",
+      "else",
+      "elsif",
+      "end",
+      "ensure",
+      "false",
+      "for",
+      "if",
+      "in",
+      "module",
+      "next",
+      "nil",
+      "not",
+      "or",
+      "redo",
+      "rescue",
+      "retry",
+      "return",
+      "self",
+      "super",
+      "then",
+      "true",
+      "undef",
+      "unless",
+      "until",
+      "when",
+      "while",
+      "yield",
+    ],
+    lexer: {
+      lineComments: ["#"],
+      blockComment: ["=begin", "=end"],
+      blockCommentAtLineStart: true,
+      backtickStrings: "raw",
+      regexLiterals: true,
+      symbols: true,
+      identifierPattern: /^(?:@@?|\$)?[\p{L}_][\p{L}\p{N}_]*(?:[?!](?!=))?/u,
+      excludeOperators: [
+        "//",
+        "//=",
+        "===",
+        "!==",
+        "++",
+        "--",
+        ":=",
+        "??",
+        "?.",
+        ">>>",
+        ">>>=",
+      ],
+      extraOperators: ["&.", "..", "=~", "!~"],
+    },
+    syntax: {
+      blocks: "end",
+      functionKeywords: ["def"],
+      typeKeywords: ["class", "module"],
+      declarationKeywords: [],
+      paramStyle: "name-first",
+      closureBars: true,
+      assignmentDeclares: true,
+      conditionals: ["if", "elsif", "else", "unless", "case", "when"],
+      loops: ["for", "while", "until"],
+      returns: ["return"],
+    },
+    detection: {
+      shebangs: ["ruby"],
+      cues: [
+        [/^\s*def\s+(?:self\.)?\w+[?!]?(?:\s*\(.*\))?\s*$/m, 2],
+        [/^\s*end\s*$/m, 3],
+        [/(?<![.\w])puts\s/, 3],
+        [/\bdo\s*\|[\w, ]+\||\{\s*\|[\w, ]+\|/, 4],
+        [/\belsif\b|\bunless\b/, 3],
+        [/^\s*require(?:_relative)?\s+["']/m, 3],
+        [/\battr_(?:accessor|reader|writer)\b/, 4],
+        [/\bnil\b|#\{/, 1],
+      ],
+    },
+  },
+};
+
+// alias / extension → canonical name
+const ALIASES = new Map();
+for (const language of Object.values(LANGUAGES)) {
+  ALIASES.set(language.name, language.name);
+  language.aliases.forEach((alias) => ALIASES.set(alias, language.name));
+}
+
+/**
+ * Normalize language aliases to canonical names
+ * Unknown languages are returned lowercased so callers can still report them.
+ * @param {string} lang - Language name or alias (e.g. "py", "C#", "golang")
+ * @returns {string} Canonical language name
+ */
+export function resolveLanguage(lang) {
+  if (lang == null) return lang;
+  const key = String(lang).trim().toLowerCase();
+  return ALIASES.get(key) || key;
+}
+
+/**
+ * Registry entry for a language
+ * @param {string} lang - Language name or alias
+ * @returns {Object|null} Entry, or null when the language is not supported
+ */
+export function getLanguage(lang) {
+  return LANGUAGES[resolveLanguage(lang)] || null;
+}
+
+/**
+ * @param {string} lang - Language name or alias
+ * @returns {boolean} Whether the language has first-class support
+ */
+export function isSupportedLanguage(lang) {
+  return getLanguage(lang) !== null;
+}
+
+/**
+ * Canonical names of all supported languages
+ * @returns {Array<string>}
+ */
+export function getSupportedLanguages() {
+  return Object.keys(LANGUAGES);
+}
+
+/**
+ * Language for a file name, from its extension
+ * @param {string} fileName - File name or path
+ * @returns {string|null} Canonical language or null
+ */
+export function languageForFile(fileName) {
+  const match = /(\.[^./\\]+)$/.exec(String(fileName || "").toLowerCase());
+  if (!match) return null;
+  const language = Object.values(LANGUAGES).find((entry) =>
+    entry.extensions.includes(match[1]),
+  );
+  return language ? language.name : null;
+}
+
+export default {
+  resolveLanguage,
+  getLanguage,
+  isSupportedLanguage,
+  getSupportedLanguages,
+  languageForFile,
+};
@@ -0,0 +1,130 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as languages from "./languages.js";
+import { extractCodeChunks } from "./chunking.js";
+import { analyzeStructure, normalizeCode } from "./codeNormalizer.js";
+
+const outline = (chunks) =>
+  chunks.map((c) => [c.type, c.name, c.startLine, c.endLine, c.parentIndex]);
+
+test("aliases and file extensions resolve to canonical names", () => {
+  assert.equal(languages.resolveLanguage(" Golang "), "go");
+  assert.equal(languages.resolveLanguage("C#"), "csharp");
+  assert.equal(languages.resolveLanguage("kt"), "kotlin");
+  assert.equal(languages.resolveLanguage("rb"), "ruby");
+  assert.equal(languages.resolveLanguage("rs"), "rust");
+  assert.equal(languages.resolveLanguage("Cobol"), "cobol");
+  assert.equal(languages.resolveLanguage(null), null);
+
+  assert.equal(languages.languageForFile("src/Main.KT"), "kotlin");
+  assert.equal(languages.languageForFile("app/models/user.rb"), "ruby");
+  assert.equal(languages.languageForFile("index.php"), "php");
+  assert.equal(languages.languageForFile("Program.cs"), "csharp");
+  assert.equal(languages.languageForFile("README"), null);
+  assert.equal(languages.languageForFile("notes.txt"), null);
+
+  assert.equal(languages.isSupportedLanguage("golang"), true);
+  assert.equal(languages.isSupportedLanguage("cobol"), false);
+});
+
+test("every entry has the fields the other modules read", () => {
+  for (const name of languages.getSupportedLanguages()) {
+    const entry = languages.getLanguage(name);
+    assert.equal(entry.name, name);
+    assert.ok(entry.keywords.length > 0, name);
+    assert.ok(["indent", "braces", "end"].includes(entry.syntax.blocks), name);
+    assert.ok(entry.syntax.functionKeywords, name);
+    assert.ok(Array.isArray(entry.detection.cues), name);
+    entry.extensions.forEach((extension) =>
+      assert.equal(languages.languageForFile(`file${extension}`), name),
+    );
+  }
+});
+
+test("Rust impl blocks and functions are chunked and normalized", () => {
+  const code = `struct Counter {
+    count: u32,
+}
+
+impl Counter {
+    fn increment(&mut self, step: u32) -> u32 {
+        let next = self.count + step;
+        self.count = next;
+        next
+    }
+}
+
+fn main() {
+    let mut counter = Counter { count: 0 };
+    for i in 0..3 {
+        counter.increment(i);
+    }
+}`;
+  assert.deepEqual(outline(extractCodeChunks(code, "rust")), [
+    ["class", "Counter", 4, 10, null],
+    ["method", "increment", 5, 9, 0],
+    ["function", "main", 12, 17, null],
+  ]);
+
+  const normalized = normalizeCode(code, "rust");
+  assert.match(normalized, /let var1 = self\.count \+ var0;/);
+  assert.match(normalized, /for var3 in 0\.\.3/);
+});
+
+test("Ruby blocks end with `end`", () => {
+  const code = `class Account
+  def initialize(balance)
+    @balance = balance
+  end
+
+  def deposit(amount)
+    if amount > 0
+      @balance += amount
+    end
+    @balance
+  end
+end`;
+  assert.deepEqual(outline(extractCodeChunks(code, "ruby")), [
+    ["class", "Account", 0, 11, null],
+    ["method", "initialize", 1, 3, 0],
+    ["method", "deposit", 5, 10, 0],
+  ]);
+  assert.deepEqual(analyzeStructure(code, "ruby"), {
+    lines: 11,
+    conditionals: 1,
+    loops: 0,
+    returns: 0,
+    functions: 2,
+    classes: 1,
+  });
+});
+
+test("Kotlin and PHP declarations are renamed like the original languages", () => {
+  const kotlin = normalizeCode(
+    `fun total(prices: List<Int>): Int {
+    var sum = 0
+    for (price in prices) {
+        if (price > 0) sum += price
+    }
+    return sum
+}`,
+    "kotlin",
+  );
+  assert.match(kotlin, /fun func0\(var0: List<Int>\): Int/);
+  assert.match(kotlin, /for \(var2 in var0\)/);
+
+  const php = normalizeCode(
+    `<?php
+function total($prices) {
+    $sum = 0;
+    foreach ($prices as $price) {
+        if ($price > 0) { $sum += $price; }
+    }
+    return $sum;
+}`,
+    "php",
+  );
+  assert.match(php, /^<\?php\nfunction func0\(var0\)/);
+  assert.match(php, /foreach \(var0 as var2\)/);
+});
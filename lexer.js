@@ -0,0 +1,668 @@
+/**
+ * Lexer Module
+ * Per-language tokenizer for every language in the registry (languages.js).
+ * Classifies every token as keyword, identifier, number, string, comment,
+ * operator, punctuation or preprocessor, with exact source offsets, so callers
+ * (codeNormalizer.js, chunking.js) can rewrite code token by token instead of
+ * with regexes that also match inside strings, comments and member accesses.
+ *
+ * Token: { type, value, start, end, line, column }
+ *   - start/end: character offsets into the source (end exclusive)
+ *   - line: 1-based line, column: 0-based column of the first character
+ *   - Python string tokens carry `docstring: true` when the string is a
+ *     statement of its own (module/class/function docstrings)
+ */
+
+import {
+  getLanguage,
+  getSupportedLanguages,
+  resolveLanguage,
+} from "./languages.js";
+
+// Longest first so multi-character operators win
+const OPERATORS = [
+  ">>>=",
+  "<<=",
+  ">>=",
+  ">>>",
+  "**=",
+  "//=",
+  "...",
+  "===",
+  "!==",
+  "<=>",
+  "->",
+  "::",
+  "=>",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "++",
+  "--",
+  "+=",
+  "-=",
+  "*=",
+  "/=",
+  "%=",
+  "&=",
+  "|=",
+  "^=",
+  "<<",
+  ">>",
+  "**",
+  "//",
+  "??",
+  "?.",
+  ":=",
+];
+
+const PUNCTUATION = new Set(["(", ")", "[", "]", "{", "}", ",", ";", ":", "."]);
+
+/**
+ * Lexical rules per language, built from the registry
+ */
+const LANGUAGE_SPECS = Object.fromEntries(
+  getSupportedLanguages().map((name) => {
+    const { keywords, lexer } = getLanguage(name);
+    const excluded = new Set(lexer.excludeOperators || []);
+    const operators = [
+      ...OPERATORS.filter((op) => !excluded.has(op)),
+      ...(lexer.extraOperators || []),
+    ].sort((a, b) => b.length - a.length);
+    return [
+      name,
+      {
+        ...lexer,
+        lineComments: lexer.lineComments || [],
+        keywords: new Set(keywords),
+        operators,
+      },
+    ];
+  }),
+);
+
+const IDENTIFIER = /^[\p{L}_$][\p{L}\p{N}_$]*/u;
+const NUMBER =
+  /^(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.(?!\.)[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[a-zA-Z]*/;
+
+// Tokens after which "/" starts a regex literal rather than division (JavaScript)
+const REGEX_PRECEDING_KEYWORDS = new Set([
+  "return",
+  "typeof",
+  "instanceof",
+  "in",
+  "of",
+  "new",
+  "delete",
+  "void",
+  "throw",
+  "case",
+  "do",
+  "else",
+  "yield",
+  "await",
+]);
+
+/**
+ * Languages with a dedicated lexer
+ * @returns {Array<string>} Canonical language names
+ */
+export function getLexerLanguages() {
+  return getSupportedLanguages();
+}
+
+/**
+ * Lexical rules for a language (unknown languages use the JavaScript rules)
+ * @param {string} language - Programming language or alias
+ */
+export function getLanguageSpec(language) {
+  return LANGUAGE_SPECS[resolveLanguage(language)] || LANGUAGE_SPECS.javascript;
+}
+
+/**
+ * Check whether a word is a reserved keyword of the language
+ * @param {string} word - Identifier text
+ * @param {string} language - Programming language
+ */
+export function isKeyword(word, language) {
+  return getLanguageSpec(language).keywords.has(word);
+}
+
+/**
+ * Find the end of a quoted string starting at `start` (quote length 1 or 3)
+ * Backslash escapes are skipped; single-line strings stop at a newline.
+ */
+function scanQuoted(source, start, quote, multiline) {
+  let i = start + quote.length;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (source.startsWith(quote, i)) return i + quote.length;
+    if (ch === "\n" && !multiline) return i;
+    i++;
+  }
+  return source.length;
+}
+
+/**
+ * Find the end of a block comment (nested comments for Rust/Kotlin)
+ */
+function scanBlockComment(source, start, spec) {
+  const [open, close] = spec.blockComment;
+  let depth = 0;
+  let i = start;
+  while (i < source.length) {
+    if (source.startsWith(open, i)) {
+      depth++;
+      i += open.length;
+      if (!spec.nestedBlockComments && depth > 1) depth = 1;
+      continue;
+    }
+    if (source.startsWith(close, i)) {
+      depth--;
+      i += close.length;
+      if (depth === 0) return i;
+      continue;
+    }
+    i++;
+  }
+  return source.length;
+}
+
+/**
+ * Find the end of a JavaScript template literal, skipping nested ${ ... } expressions
+ */
+function scanTemplate(source, start) {
+  let i = start + 1;
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (ch === "`") return i + 1;
+    if (ch === "$" && source[i + 1] === "{") {
+      let depth = 1;
+      i += 2;
+      while (i < source.length && depth > 0) {
+        if (source[i] === "{") depth++;
+        else if (source[i] === "}") depth--;
+        else if (source[i] === "`") i = scanTemplate(source, i) - 1;
+        else if (source[i] === '"' || source[i] === "'") {
+          i = scanQuoted(source, i, source[i], false) - 1;
+        }
+        i++;
+      }
+      continue;
+    }
+    i++;
+  }
+  return source.length;
+}
+
+/**
+ * Find the end of a JavaScript regex literal (handles character classes)
+ */
+function scanRegex(source, start) {
+  let i = start + 1;
+  let inClass = false;
+  while (i < source.length && source[i] !== "\n") {
+    const ch = source[i];
+    if (ch === "\\") {
+      i += 2;
+      continue;
+    }
+    if (ch === "[") inClass = true;
+    else if (ch === "]") inClass = false;
+    else if (ch === "/" && !inClass) {
+      i++;
+      while (i < source.length && /[a-z]/i.test(source[i])) i++;
+      return i;
+    }
+    i++;
+  }
+  return -1; // not a regex after all
+}
+
+function regexAllowedAfter(previous) {
+  if (!previous) return true;
+  if (previous.type === "keyword") {
+    return REGEX_PRECEDING_KEYWORDS.has(previous.value);
+  }
+  if (
+    previous.type === "identifier" ||
+    previous.type === "number" ||
+    previous.type === "string"
+  ) {
+    return false;
+  }
+  return ![")", "]", "}"].includes(previous.value);
+}
+
+/**
+ * Tokenize source code
+ * Whitespace is not emitted; use start/end offsets to recover layout.
+ * @param {string} code - Source code
+ * @param {string} language - Programming language (aliases resolved)
+ * @returns {Array<Object>} Tokens in source order
+ */
+export function tokenize(code, language = "javascript") {
+  const spec = getLanguageSpec(language);
+  const identifierPattern = spec.identifierPattern || IDENTIFIER;
+  const source = code || "";
+  const tokens = [];
+
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+  let lastSignificant = null;
+
+  const push = (type, end, extra = {}) => {
+    const value = source.slice(i, end);
+    const token = {
+      type,
+      value,
+      start: i,
+      end,
+      line,
+      column: i - lineStart,
+      ...extra,
+    };
+    tokens.push(token);
+    if (type !== "comment") lastSignificant = token;
+
+    // Advance line bookkeeping across multi-line tokens
+    for (let k = i; k < end; k++) {
+      if (source[k] === "\n") {
+        line++;
+        lineStart = k + 1;
+      }
+    }
+    i = end;
+    return token;
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === "\n") {
+      line++;
+      i++;
+      lineStart = i;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const rest = source.slice(i, i + 4);
+    const atLineStart = source.slice(lineStart, i).trim() === "";
+
+    // Comments
+    if (spec.lineComments.some((marker) => source.startsWith(marker, i))) {
+      const end = source.indexOf("\n", i);
+      push("comment", end === -1 ? source.length : end);
+      continue;
+    }
+    if (
+      spec.blockComment &&
+      source.startsWith(spec.blockComment[0], i) &&
+      (!spec.blockCommentAtLineStart || atLineStart)
+    ) {
+      push("comment", scanBlockComment(source, i, spec));
+      continue;
+    }
+
+    // PHP open/close tags are markup, not code
+    if (spec.openTags && /^(?:<\?php|<\?=|\?>)/.test(source.slice(i, i + 5))) {
+      push("preprocessor", i + (source.startsWith("<?php", i) ? 5 : 2));
+      continue;
+    }
+
+    // Preprocessor directives (C/C++), including backslash continuations
+    if (spec.preprocessor && ch === "#" && atLineStart) {
+      let end = i;
+      while (end < source.length) {
+        const newline = source.indexOf("\n", end);
+        if (newline === -1) {
+          end = source.length;
+          break;
+        }
+        if (source[newline - 1] === "\\") {
+          end = newline + 1;
+          continue;
+        }
+        end = newline;
+        break;
+      }
+      push("preprocessor", end);
+      continue;
+    }
+
+    // Strings (with optional prefixes such as r"", f"", u8"", R"(...)")
+    const prefixMatch = spec.stringPrefix
+      ? source.slice(i, i + 3).match(spec.stringPrefix)
+      : null;
+    const prefix = prefixMatch ? prefixMatch[0] : "";
+    const quoteAt = i + prefix.length;
+    const quoteChar = source[quoteAt];
+
+    // Rust raw strings: r"...", r#"..."#, br"..."
+    if (spec.rawStrings === "rust") {
+      const raw = source.slice(i, i + 260).match(/^b?r(#*)"/);
+      if (raw) {
+        const close = source.indexOf(`"${raw[1]}`, i + raw[0].length);
+        push(
+          "string",
+          close === -1 ? source.length : close + 1 + raw[1].length,
+        );
+        continue;
+      }
+    }
+
+    // Rust lifetimes ('a) look like unterminated char literals
+    if (spec.lifetimes && ch === "'" && !prefix) {
+      const name = source.slice(i + 1, i + 257).match(IDENTIFIER);
+      if (name && source[i + 1 + name[0].length] !== "'") {
+        push("identifier", i + 1 + name[0].length);
+        continue;
+      }
+    }
+
+    // Ruby symbols (:name) are literals, not references to a variable
+    if (
+      spec.symbols &&
+      ch === ":" &&
+      source[i - 1] !== ":" &&
+      source[i + 1] !== ":" &&
+      !(
+        lastSignificant &&
+        ["identifier", "number", "string"].includes(lastSignificant.type) &&
+        lastSignificant.end === i
+      )
+    ) {
+      const name = source.slice(i + 1, i + 257).match(identifierPattern);
+      if (name) {
+        push("string", i + 1 + name[0].length);
+        continue;
+      }
+    }
+
+    if (quoteChar === '"' || quoteChar === "'") {
+      if (spec.verbatimStrings && prefix.includes("@")) {
+        // C# verbatim strings: multi-line, "" escapes a quote, no backslash escapes
+        let end = quoteAt + 1;
+        while (end < source.length) {
+          if (source[end] === '"' && source[end + 1] === '"') end += 2;
+          else if (source[end] === '"') break;
+          else end++;
+        }
+        push("string", Math.min(end + 1, source.length));
+        continue;
+      }
+
+      if (
+        spec.rawStrings === "cpp" &&
+        prefix.endsWith("R") &&
+        quoteChar === '"'
+      ) {
+        const open = source.indexOf("(", quoteAt);
+        const delimiter = source.slice(quoteAt + 1, open);
+        const close = source.indexOf(`)${delimiter}"`, open);
+        push(
+          "string",
+          close === -1 ? source.length : close + delimiter.length + 2,
+        );
+        continue;
+      }
+
+      const triple = quoteChar.repeat(3);
+      if (spec.tripleQuotedStrings && source.startsWith(triple, quoteAt)) {
+        const previous = lastSignificant;
+        const token = push("string", scanQuoted(source, quoteAt, triple, true));
+        // A string that is its own statement is a docstring
+        if (
+          spec.docstrings &&
+          atLineStart &&
+          (!previous ||
+            previous.value === ":" ||
+            (previous.line < token.line &&
+              previous.type !== "operator" &&
+              !["(", "[", "{", ","].includes(previous.value)))
+        ) {
+          const nextNewline = source.indexOf("\n", token.end);
+          const tail = source.slice(
+            token.end,
+            nextNewline === -1 ? source.length : nextNewline,
+          );
+          if (tail.trim() === "" || tail.trim().startsWith("#")) {
+            token.docstring = true;
+          }
+        }
+        continue;
+      }
+
+      push("string", scanQuoted(source, quoteAt, quoteChar, false));
+      continue;
+    }
+
+    if (spec.backtickStrings && ch === "`") {
+      push(
+        "string",
+        spec.backtickStrings === "template"
+          ? scanTemplate(source, i)
+          : scanQuoted(source, i, "`", true),
+      );
+      continue;
+    }
+
+    if (
+      spec.regexLiterals &&
+      ch === "/" &&
+      regexAllowedAfter(lastSignificant)
+    ) {
+      const end = scanRegex(source, i);
+      if (end !== -1) {
+        push("string", end, { regex: true });
+        continue;
+      }
+    }
+
+    // Numbers (before identifiers and before "." punctuation)
+    if (/\d/.test(ch) || (ch === "." && /\d/.test(source[i + 1] || ""))) {
+      const match = source.slice(i).match(NUMBER);
+      push("number", i + match[0].length);
+      continue;
+    }
+
+    const identifier = source.slice(i, i + 256).match(identifierPattern);
+    if (identifier) {
+      const word = identifier[0];
+      push(spec.keywords.has(word) ? "keyword" : "identifier", i + word.length);
+      continue;
+    }
+
+    const operator = spec.operators.find((op) => rest.startsWith(op));
+    if (operator) {
+      push("operator", i + operator.length);
+      continue;
+    }
+
+    push(PUNCTUATION.has(ch) ? "punctuation" : "operator", i + 1);
+  }
+
+  return tokens;
+}
+
+// Ruby keywords that open a block closed by `end` when they start a statement
+const END_BLOCK_OPENERS = new Set([
+  "if",
+  "unless",
+  "while",
+  "until",
+  "case",
+  "begin",
+  "for",
+]);
+
+/**
+ * Rewrite `end`-delimited blocks (Ruby) as braces so block-structured code can
+ * be analyzed like brace languages: a virtual "{" is inserted after every
+ * def/class/module/do header and the matching `end` becomes "}". Blocks that
+ * open no scope (if/while/case/begin ...) keep their `end` keyword.
+ * Other languages are returned unchanged.
+ * @param {Array<Object>} tokens - Tokens (comments already removed)
+ * @param {string} language - Programming language
+ * @returns {Array<Object>} Tokens; virtual tokens carry `virtual: true`
+ */
+export function toBraceBlocks(tokens, language) {
+  if (getLanguage(language)?.syntax.blocks !== "end") return tokens;
+
+  const output = [];
+  const stack = []; // true = scope block (rewritten), false = plain block
+  let pendingHeader = null; // { afterIndex } - insert "{" after this token index
+  let loopLine = -1; // line of a while/until/for whose optional `do` is not a block
+
+  const endLine = (token) =>
+    token.line + (token.value.match(/\n/g) || []).length;
+  const startsStatement = (k) => {
+    if (k === 0) return true;
+    const previous = tokens[k - 1];
+    if (
+      previous.value === ";" ||
+      previous.value === "{" ||
+      previous.value === "|"
+    )
+      return true;
+    if (
+      previous.type === "operator" ||
+      ["(", ",", "["].includes(previous.value)
+    )
+      return true;
+    if (
+      previous.type === "keyword" &&
+      ["then", "do", "else", "return"].includes(previous.value)
+    )
+      return true;
+    return endLine(previous) < tokens[k].line;
+  };
+  // Last token of the header line starting at k (stops before ";")
+  const headerEnd = (k) => {
+    let j = k;
+    while (
+      j + 1 < tokens.length &&
+      tokens[j + 1].line === tokens[k].line &&
+      tokens[j + 1].value !== ";"
+    ) {
+      j++;
+    }
+    return j;
+  };
+  const openBrace = (token) => ({
+    type: "punctuation",
+    value: "{",
+    start: token.end,
+    end: token.end,
+    line: endLine(token),
+    column: token.column + token.value.length,
+    virtual: true,
+  });
+
+  for (let k = 0; k < tokens.length; k++) {
+    const token = tokens[k];
+    output.push(token);
+
+    if (token.type === "keyword") {
+      const text = token.value;
+      if (text === "def") {
+        // `def name(params)`, `def self.name params`; endless `def name = expr` has no end
+        let j = k + 1;
+        if (tokens[j]?.value === "self" && tokens[j + 1]?.value === ".") j += 2;
+        j++; // method name (identifier or operator)
+        if (tokens[j]?.value === "(" && tokens[j].line === token.line) {
+          let depth = 0;
+          for (; j < tokens.length; j++) {
+            if (tokens[j].value === "(") depth++;
+            else if (tokens[j].value === ")" && --depth === 0) break;
+          }
+        } else {
+          j = headerEnd(k);
+        }
+        if (tokens[j + 1]?.value === "=" && tokens[j + 1].line === token.line)
+          continue;
+        stack.push(true);
+        pendingHeader = { afterIndex: Math.min(j, tokens.length - 1) };
+      } else if (text === "class" || text === "module") {
+        stack.push(true);
+        pendingHeader = { afterIndex: headerEnd(k) };
+      } else if (text === "do") {
+        if (token.line === loopLine) {
+          loopLine = -1;
+          continue;
+        }
+        stack.push(true);
+        output.push(openBrace(token));
+      } else if (END_BLOCK_OPENERS.has(text) && startsStatement(k)) {
+        stack.push(false);
+        if (["while", "until", "for"].includes(text)) loopLine = token.line;
+      } else if (text === "end" && stack.length > 0) {
+        if (stack.pop()) {
+          output[output.length - 1] = {
+            ...token,
+            type: "punctuation",
+            value: "}",
+            virtual: true,
+          };
+        }
+      }
+    }
+
+    if (pendingHeader && pendingHeader.afterIndex === k) {
+      output.push(openBrace(token));
+      pendingHeader = null;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Rebuild source text from tokens, replacing token text via `mapToken`.
+ * Text between tokens (whitespace) is copied from the original source.
+ * @param {string} code - Original source
+ * @param {Array<Object>} tokens - Tokens from tokenize()
+ * @param {Function} mapToken - (token, index) → replacement string, or null to drop the token
+ * @returns {string} Rewritten source
+ */
+export function rebuildSource(code, tokens, mapToken) {
+  let output = "";
+  let cursor = 0;
+  tokens.forEach((token, index) => {
+    output += code.slice(cursor, token.start);
+    const replacement = mapToken(token, index);
+    if (replacement === null) {
+      // Keep line structure when dropping multi-line tokens (block comments, docstrings)
+      output += "\n".repeat((token.value.match(/\n/g) || []).length);
+    } else {
+      output += replacement;
+    }
+    cursor = token.end;
+  });
+  return output + code.slice(cursor);
+}
+
+export default {
+  tokenize,
+  toBraceBlocks,
+  rebuildSource,
+  isKeyword,
+  getLanguageSpec,
+  getLexerLanguages,
+};
@@ -0,0 +1,84 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as lexer from "./lexer.js";
+
+const summary = (code, language) =>
+  lexer.tokenize(code, language).map((t) => [t.type, t.value]);
+
+test("every registered language has a lexer", () => {
+  assert.deepEqual(lexer.getLexerLanguages().sort(), [
+    "c",
+    "cpp",
+    "csharp",
+    "go",
+    "java",
+    "javascript",
+    "kotlin",
+    "php",
+    "python",
+    "ruby",
+    "rust",
+  ]);
+  assert.equal(lexer.isKeyword("def", "python"), true);
+  assert.equal(lexer.isKeyword("def", "java"), false);
+});
+
+test("comment markers inside strings stay strings", () => {
+  assert.deepEqual(summary('x = "a // not comment" // real', "javascript"), [
+    ["identifier", "x"],
+    ["operator", "="],
+    ["string", '"a // not comment"'],
+    ["comment", "// real"],
+  ]);
+});
+
+test("tokens carry lines, columns and source offsets", () => {
+  const code = "y = a.b /* c */ + 1.5e3";
+  const tokens = lexer.tokenize(`x\n${code}`, "javascript");
+  const number = tokens.find((t) => t.type === "number");
+  assert.equal(number.value, "1.5e3");
+  assert.equal(number.line, 2);
+  assert.equal(number.column, code.indexOf("1.5e3"));
+  assert.equal(`x\n${code}`.slice(number.start, number.end), "1.5e3");
+  assert.deepEqual(
+    tokens.slice(3, 6).map((t) => [t.type, t.value]),
+    [
+      ["identifier", "a"],
+      ["punctuation", "."],
+      ["identifier", "b"],
+    ],
+  );
+});
+
+test("Python docstrings are marked, f-strings are strings", () => {
+  const tokens = lexer.tokenize(
+    'def f():\n    """doc"""\n    s = f"{x}" # c\n    return s',
+    "python",
+  );
+  const [docstring, fString] = tokens.filter((t) => t.type === "string");
+  assert.equal(docstring.docstring, true);
+  assert.equal(fString.value, 'f"{x}"');
+  assert.ok(!fString.docstring);
+  assert.ok(tokens.some((t) => t.type === "comment" && t.value === "# c"));
+});
+
+test("language-specific string forms", () => {
+  assert.deepEqual(
+    summary('let r = r#"raw "str"#;', "rust").map(([type]) => type),
+    ["keyword", "identifier", "operator", "string", "punctuation"],
+  );
+  const [, , raw] = lexer.tokenize("s := `multi\nline`", "go");
+  assert.equal(raw.type, "string");
+  assert.equal(raw.value, "`multi\nline`");
+});
+
+test("rebuildSource rewrites tokens and keeps the layout", () => {
+  const code = "int total = count + 1; // sum";
+  const tokens = lexer.tokenize(code, "c");
+  const rebuilt = lexer.rebuildSource(code, tokens, (token) => {
+    if (token.type === "comment") return null;
+    return token.type === "identifier" ? "ID" : token.value;
+  });
+  assert.equal(rebuilt.trimEnd(), "int ID = ID + 1;");
+});
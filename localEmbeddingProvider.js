@@ -0,0 +1,91 @@
+/**
+ * Embedding Provider - Local (offline)
+ * Deterministic code embeddings computed on CPU with no network access:
+ * token unigrams, bigrams and trigrams are feature-hashed (signed) into a
+ * fixed-size vector, weighted by sublinear term frequency and L2-normalized.
+ *
+ * Vectors have the same 1536 dimensions as text-embedding-3-small so every
+ * vector store schema works unchanged, but the two spaces are NOT comparable:
+ * re-embed stored submissions (POST /api/reembed) after switching provider.
+ */
+
+export const name = "local";
+export const model = "local-hashed-ngram-v1";
+export const dimensions = 1536;
+export const requiresApiKey = false;
+
+/**
+ * Raw cosine similarity of two unrelated programs in this space.
+ * Shared keywords and punctuation keep it above zero; vectorDb.js calibrates
+ * scores against it the same way it does for OpenAI's ~0.70 floor.
+ */
+export const similarityBaseline = 0.3;
+
+// Identifiers, numbers, string literals, multi-char operators, single symbols
+const TOKEN_PATTERN =
+  /[A-Za-z_$][\w$]*|\d+(?:\.\d+)?|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`[^`]*`|===|!==|==|!=|<=|>=|&&|\|\||=>|->|::|\+\+|--|[+\-*/%]=|[^\s\w]/g;
+
+// Weight per n-gram size: single tokens are mostly keywords shared by everyone
+const NGRAM_WEIGHTS = { 1: 0.5, 2: 1.0, 3: 1.0 };
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Feature string
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split code into lexical tokens
+ * @param {string} text - Code text
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  return text.match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * Embed a single text
+ * @param {string} text - Code text (already normalized by embeddings.js)
+ * @returns {Array<number>} L2-normalized vector of `dimensions` floats
+ */
+export function embedText(text) {
+  const tokens = tokenize(text);
+  const counts = new Map();
+
+  for (const [size, weight] of Object.entries(NGRAM_WEIGHTS)) {
+    const n = Number(size);
+    for (let i = 0; i + n <= tokens.length; i++) {
+      const feature = `${n}|${tokens.slice(i, i + n).join(" ")}`;
+      const entry = counts.get(feature);
+      if (entry) entry.count++;
+      else counts.set(feature, { count: 1, weight });
+    }
+  }
+
+  const vector = new Array(dimensions).fill(0);
+  for (const [feature, { count, weight }] of counts) {
+    const hash = fnv1a(feature);
+    const sign = fnv1a(`sign|${feature}`) & 1 ? 1 : -1;
+    vector[hash % dimensions] += sign * weight * (1 + Math.log(count));
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map((value) => value / norm);
+}
+
+/**
+ * Provider entry point used by embeddings.js
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<Array<number>>>} One vector per text
+ */
+export async function embedBatch(texts) {
+  return texts.map(embedText);
+}
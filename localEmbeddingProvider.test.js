@@ -0,0 +1,92 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as localProvider from "./localEmbeddingProvider.js";
+import {
+  cosineSimilarity,
+  generateCodeEmbedding,
+  getEmbeddingProviderInfo,
+} from "./embeddings.js";
+
+const ORIGINAL = `
+def total(values):
+    result = 0
+    for value in values:
+        if value > 0:
+            result += value
+    return result
+`;
+
+const EDITED = `
+def total(values):
+    result = 0
+    for value in values:
+        if value > 0:
+            result += value
+    print("done")
+    return result
+`;
+
+const UNRELATED = `
+class Stack:
+    def __init__(self):
+        self.items = []
+
+    def push(self, item):
+        self.items.append(item)
+`;
+
+test("tokenizes identifiers, literals and multi-character operators", () => {
+  assert.deepEqual(localProvider.tokenize('if (a >= 10 && b !== "x") a++;'), [
+    "if",
+    "(",
+    "a",
+    ">=",
+    "10",
+    "&&",
+    "b",
+    "!==",
+    '"x"',
+    ")",
+    "a",
+    "++",
+    ";",
+  ]);
+});
+
+test("returns deterministic unit vectors of the advertised size", () => {
+  const first = localProvider.embedText(ORIGINAL);
+  assert.equal(first.length, localProvider.dimensions);
+  assert.deepEqual(localProvider.embedText(ORIGINAL), first);
+
+  const norm = Math.sqrt(first.reduce((sum, value) => sum + value * value, 0));
+  assert.ok(Math.abs(norm - 1) < 1e-9);
+
+  assert.ok(localProvider.embedText("").every((value) => value === 0));
+});
+
+test("edited copies score well above unrelated code", async () => {
+  const [original, edited, unrelated] = await localProvider.embedBatch([
+    ORIGINAL,
+    EDITED,
+    UNRELATED,
+  ]);
+  const copyScore = cosineSimilarity(original, edited);
+  const unrelatedScore = cosineSimilarity(original, unrelated);
+
+  assert.ok(copyScore > 0.8, `copy scored ${copyScore}`);
+  assert.ok(unrelatedScore < copyScore - 0.3, `unrelated ${unrelatedScore}`);
+});
+
+test("is selected by EMBEDDING_PROVIDER=local without an API key", async () => {
+  assert.deepEqual(getEmbeddingProviderInfo(), {
+    provider: "local",
+    model: localProvider.model,
+    dimensions: 1536,
+    similarityBaseline: localProvider.similarityBaseline,
+    requiresApiKey: false,
+  });
+
+  const embedding = await generateCodeEmbedding(ORIGINAL, "python");
+  assert.equal(embedding.length, 1536);
+});
@@ -0,0 +1,107 @@
+/**
+ * Match Alignment Module
+ * Turns the evidence of the detectors into aligned regions for side-by-side
+ * highlighting (MOSS-style): each region is a span in the query code, the
+ * span it matches in the other submission, a per-region similarity and the
+ * detector that found it.
+ *
+ *   - chunk_embeddings: a query chunk and its best chunk in the submission
+ *     (whole lines, similarity = calibrated chunk similarity)
+ *   - winnowing: merged fingerprint matches (share of the region's fingerprints that match)
+ *   - gst: Greedy String Tiling tiles (identical token-type runs, similarity 1)
+ *
+ * Spans use 1-based lines and columns; endLine is inclusive and endColumn is
+ * exclusive, as in most editors' range APIs.
+ */
+
+import { TOOL_NAME as WINNOWING } from "./winnowing.js";
+import { TOOL_NAME as GST } from "./greedyStringTiling.js";
+
+export const CHUNK_DETECTOR = "chunk_embeddings";
+const MAX_REGIONS = 50;
+
+/**
+ * Span covering whole lines, from the first non-blank character to the end of the last line
+ */
+function lineSpan(lines, startLine, endLine) {
+  const first = lines[startLine - 1] ?? "";
+  const last = lines[endLine - 1] ?? "";
+  return {
+    startLine,
+    startColumn: first.length - first.trimStart().length + 1,
+    endLine,
+    endColumn: last.trimEnd().length + 1,
+  };
+}
+
+function tokenSpan(region, side) {
+  return {
+    startLine: region[`startLine${side}`],
+    startColumn: region[`startColumn${side}`] ?? 1,
+    endLine: region[`endLine${side}`],
+    endColumn: region[`endColumn${side}`] ?? null,
+  };
+}
+
+/**
+ * Aligned regions between the query code and one other submission
+ * @param {Object} evidence - { queryCode, matchedCode, chunks: [{ similarity, queryLines, matchedLines }] (1-based), fingerprintRegions: winnowing matched_regions, tiles: GST tiles }
+ * @returns {Array<Object>} [{ detector, similarity, query: span, matched: span }] in query order
+ */
+export function buildAlignedRegions(evidence) {
+  const {
+    queryCode = "",
+    matchedCode = "",
+    chunks = [],
+    fingerprintRegions = [],
+    tiles = [],
+  } = evidence;
+  const queryLines = queryCode.split("\n");
+  const matchedLines = matchedCode.split("\n");
+
+  const regions = [
+    ...chunks
+      .filter((chunk) => chunk.queryLines && chunk.matchedLines)
+      .map((chunk) => ({
+        detector: CHUNK_DETECTOR,
+        similarity: chunk.similarity,
+        query: lineSpan(
+          queryLines,
+          chunk.queryLines.start,
+          chunk.queryLines.end,
+        ),
+        matched: lineSpan(
+          matchedLines,
+          chunk.matchedLines.start,
+          chunk.matchedLines.end,
+        ),
+      })),
+    ...fingerprintRegions.map((region) => ({
+      detector: WINNOWING,
+      similarity: region.similarity ?? 1,
+      query: tokenSpan(region, "A"),
+      matched: tokenSpan(region, "B"),
+    })),
+    ...tiles.map((tile) => ({
+      detector: GST,
+      similarity: 1,
+      query: tokenSpan(tile, "A"),
+      matched: tokenSpan(tile, "B"),
+    })),
+  ];
+
+  // Keep the strongest regions, then list them in query order
+  return regions
+    .sort((x, y) => y.similarity - x.similarity)
+    .slice(0, MAX_REGIONS)
+    .sort(
+      (x, y) =>
+        x.query.startLine - y.query.startLine ||
+        x.query.startColumn - y.query.startColumn,
+    );
+}
+
+export default {
+  CHUNK_DETECTOR,
+  buildAlignedRegions,
+};
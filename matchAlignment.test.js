@@ -0,0 +1,115 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildAlignedRegions, CHUNK_DETECTOR } from "./matchAlignment.js";
+import { compareCode } from "./greedyStringTiling.js";
+import { compareFingerprints, fingerprintCode } from "./winnowing.js";
+
+const QUERY = `import sys
+
+def total(values):
+    result = 0
+    for value in values:
+        result += value
+    return result
+`;
+
+// Same function, renamed and moved down two lines
+const MATCHED = `# helper
+import sys
+
+
+def add_all(items):
+    acc = 0
+    for item in items:
+        acc += item
+    return acc
+`;
+
+test("chunk regions span whole lines from the first non-blank character", () => {
+  const [region] = buildAlignedRegions({
+    queryCode: QUERY,
+    matchedCode: MATCHED,
+    chunks: [
+      {
+        similarity: 0.9,
+        queryLines: { start: 4, end: 7 },
+        matchedLines: { start: 6, end: 9 },
+      },
+      // Chunks without line ranges cannot be highlighted
+      { similarity: 1, queryLines: null, matchedLines: { start: 1, end: 1 } },
+    ],
+  });
+
+  assert.deepEqual(region, {
+    detector: CHUNK_DETECTOR,
+    similarity: 0.9,
+    query: { startLine: 4, startColumn: 5, endLine: 7, endColumn: 18 },
+    matched: { startLine: 6, startColumn: 5, endLine: 9, endColumn: 15 },
+  });
+});
+
+test("detector regions map to both sides of the pair", () => {
+  const tiles = compareCode(QUERY, MATCHED, "python").tiles;
+  const fingerprintRegions = compareFingerprints(
+    fingerprintCode(QUERY, "python"),
+    fingerprintCode(MATCHED, "python"),
+  ).matchedRegions;
+  assert.ok(tiles.length > 0);
+  assert.ok(fingerprintRegions.length > 0);
+
+  const regions = buildAlignedRegions({
+    queryCode: QUERY,
+    matchedCode: MATCHED,
+    tiles,
+    fingerprintRegions,
+  });
+  const gst = regions.find((region) => region.detector === "gst");
+  assert.deepEqual(gst, {
+    detector: "gst",
+    similarity: 1,
+    query: { startLine: 1, startColumn: 1, endLine: 7, endColumn: 18 },
+    matched: { startLine: 2, startColumn: 1, endLine: 9, endColumn: 15 },
+  });
+
+  const winnowing = regions.find((region) => region.detector === "winnowing");
+  assert.equal(winnowing.similarity, 1);
+  assert.deepEqual(
+    [winnowing.query.startLine, winnowing.matched.startLine],
+    [3, 5],
+  );
+
+  // Listed in query order
+  assert.deepEqual(
+    regions.map((region) => region.detector),
+    ["gst", "winnowing"],
+  );
+});
+
+test("keeps the 50 strongest regions, listed in query order", () => {
+  const tiles = Array.from({ length: 60 }, (_, i) => ({
+    startLineA: 60 - i,
+    endLineA: 60 - i,
+    startLineB: i + 1,
+    endLineB: i + 1,
+  }));
+  const fingerprintRegions = [
+    {
+      startLineA: 100,
+      endLineA: 101,
+      startLineB: 1,
+      endLineB: 2,
+      similarity: 0.2,
+    },
+  ];
+
+  const regions = buildAlignedRegions({ tiles, fingerprintRegions });
+  assert.equal(regions.length, 50);
+  assert.ok(regions.every((region) => region.detector === "gst"));
+  for (let i = 1; i < regions.length; i++) {
+    assert.ok(regions[i - 1].query.startLine <= regions[i].query.startLine);
+  }
+  // Token spans without columns start at column 1 and leave the end open
+  assert.equal(regions[0].query.startColumn, 1);
+  assert.equal(regions[0].query.endColumn, null);
+});
@@ -0,0 +1,274 @@
+/**
+ * Vector Store - In-Memory
+ * Reference implementation of the vector store interface (see vectorDb.js).
+ * Records are kept in a Map with Pinecone-style metadata, so the same filters
+ * (type, questionId, examId, language) behave exactly like the cloud backend,
+ * and one Map per tenant, like Pinecone namespaces.
+ * Nothing is persisted: intended for tests, demos and offline experiments.
+ */
+
+const namespaces = new Map();
+
+export const name = "memory";
+export const label = "In-Memory (Non-persistent)";
+export const eventuallyConsistent = false;
+export const configHint =
+  "The in-memory store needs no configuration; data is lost when the server restarts.";
+
+/**
+ * Check whether record metadata satisfies an equality filter.
+ * Filter keys with null/undefined values are ignored.
+ * @param {Object} metadata - Record metadata
+ * @param {Object} filter - e.g. { type, questionId, examId, language }
+ * @returns {boolean}
+ */
+export function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(
+    ([key, value]) => value == null || metadata[key] === value,
+  );
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+const EMPTY = new Map();
+
+/** Records of one tenant (created on first write) */
+function recordsOf(tenantId, create = false) {
+  if (create && !namespaces.has(tenantId)) namespaces.set(tenantId, new Map());
+  return namespaces.get(tenantId) || EMPTY;
+}
+
+/**
+ * Rank records of one type by cosine similarity to the query vector
+ */
+function queryRecords(embedding, type, filter, limit, minSimilarity) {
+  const { tenantId, ...metadataFilter } = filter;
+  const matches = [];
+  for (const record of recordsOf(tenantId).values()) {
+    if (!matchesFilter(record.metadata, { ...metadataFilter, type })) continue;
+    const score = cosine(embedding, record.values);
+    if (score >= minSimilarity) matches.push({ ...record, score });
+  }
+  return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Remove every record (useful between tests)
+ */
+export function clear() {
+  namespaces.clear();
+}
+
+export async function initialize() {
+  console.log("[Memory Store] Ready (data is not persisted)");
+  return true;
+}
+
+/**
+ * Save submission with embedding (re-saving the same ID replaces its vectors)
+ * @param {Object} data - { tenantId, submissionId, studentId, questionId, examId, language, contentRef, contentHash, codeLength, embedding, chunks }
+ */
+export async function saveSubmission(data) {
+  const {
+    tenantId,
+    submissionId,
+    studentId,
+    questionId,
+    examId,
+    contentRef,
+    contentHash,
+    codeLength,
+    embedding,
+    chunks,
+    language,
+  } = data;
+  const records = recordsOf(tenantId, true);
+
+  for (const [id, record] of records) {
+    if (record.metadata.submissionId === submissionId) records.delete(id);
+  }
+
+  const baseMetadata = {
+    submissionId,
+    studentId,
+    questionId,
+    examId,
+    language,
+    timestamp: Date.now(),
+  };
+
+  records.set(`sub_${submissionId}`, {
+    values: [...embedding],
+    metadata: {
+      ...baseMetadata,
+      type: "submission",
+      contentRef,
+      contentHash,
+      codeLength,
+    },
+  });
+
+  chunks.forEach((chunk, idx) => {
+    records.set(`sub_${submissionId}_chunk_${idx}`, {
+      values: [...chunk.embedding],
+      metadata: {
+        ...baseMetadata,
+        type: "chunk",
+        chunkIndex: idx,
+        chunkText: chunk.text,
+        startLine: chunk.startLine ?? null,
+        endLine: chunk.endLine ?? null,
+      },
+    });
+  });
+
+  console.log(
+    `[Memory Store] Saved submission ${submissionId} with ${chunks.length} chunks (tenant ${tenantId})`,
+  );
+  return submissionId;
+}
+
+/**
+ * Find similar submissions (raw cosine scores, calibrated by vectorDb.js)
+ * @param {Array<number>} embedding - Query embedding vector
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @param {number} limit - Number of results
+ * @param {number} minSimilarity - Minimum raw similarity threshold
+ */
+export async function findSimilarSubmissions(
+  embedding,
+  filter,
+  limit,
+  minSimilarity,
+) {
+  return queryRecords(
+    embedding,
+    "submission",
+    filter,
+    limit,
+    minSimilarity,
+  ).map(({ metadata, score }) => ({
+    submission_id: metadata.submissionId,
+    student_id: metadata.studentId,
+    question_id: metadata.questionId,
+    language: metadata.language || null,
+    content_ref: metadata.contentRef,
+    content_hash: metadata.contentHash,
+    rawSimilarity: score,
+  }));
+}
+
+/**
+ * Find similar chunks (raw cosine scores, calibrated by vectorDb.js)
+ * @param {Array<number>} embedding - Query embedding vector
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @param {number} limit - Number of results
+ * @param {number} minSimilarity - Minimum raw similarity threshold
+ */
+export async function findSimilarChunks(
+  embedding,
+  filter,
+  limit,
+  minSimilarity,
+) {
+  return queryRecords(embedding, "chunk", filter, limit, minSimilarity).map(
+    ({ metadata, score }) => ({
+      submission_id: metadata.submissionId,
+      student_id: metadata.studentId,
+      question_id: metadata.questionId,
+      language: metadata.language || null,
+      chunk_index: metadata.chunkIndex,
+      chunk_text: metadata.chunkText,
+      start_line: metadata.startLine,
+      end_line: metadata.endLine,
+      rawSimilarity: score,
+    }),
+  );
+}
+
+/**
+ * Get all submissions for a question
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ */
+export async function getSubmissionsByQuestion(filter) {
+  const { tenantId, ...metadataFilter } = filter;
+  return [...recordsOf(tenantId).values()]
+    .filter((record) =>
+      matchesFilter(record.metadata, { ...metadataFilter, type: "submission" }),
+    )
+    .sort((a, b) => b.metadata.timestamp - a.metadata.timestamp)
+    .map(({ metadata }) => ({
+      id: metadata.submissionId,
+      student_id: metadata.studentId,
+      question_id: metadata.questionId,
+      exam_id: metadata.examId || null,
+      language: metadata.language || null,
+      content_ref: metadata.contentRef,
+      content_hash: metadata.contentHash,
+      created_at: new Date(metadata.timestamp),
+    }));
+}
+
+/**
+ * Get submission by ID
+ */
+export async function getSubmission(submissionId, tenantId) {
+  const record = recordsOf(tenantId).get(`sub_${submissionId}`);
+  if (!record) return null;
+
+  const { metadata } = record;
+  return {
+    id: metadata.submissionId,
+    student_id: metadata.studentId,
+    question_id: metadata.questionId,
+    exam_id: metadata.examId || null,
+    language: metadata.language || null,
+    content_ref: metadata.contentRef,
+    content_hash: metadata.contentHash,
+    created_at: new Date(metadata.timestamp),
+  };
+}
+
+/**
+ * Get the stored embedding vector for a submission
+ * @param {string} submissionId - Submission ID
+ * @param {string} tenantId - Tenant
+ * @returns {Array<number>|null} Embedding vector or null if not found
+ */
+export async function getSubmissionEmbedding(submissionId, tenantId) {
+  const record = recordsOf(tenantId).get(`sub_${submissionId}`);
+  return record ? [...record.values] : null;
+}
+
+/**
+ * Get the stored chunk vectors of a submission
+ * @param {string} submissionId - Submission ID
+ * @param {string} tenantId - Tenant
+ * @returns {Array<Object>} [{ chunk_index, start_line, end_line, embedding }] by chunk index
+ */
+export async function getChunkEmbeddings(submissionId, tenantId) {
+  return [...recordsOf(tenantId).values()]
+    .filter(
+      ({ metadata }) =>
+        metadata.type === "chunk" && metadata.submissionId === submissionId,
+    )
+    .sort((a, b) => a.metadata.chunkIndex - b.metadata.chunkIndex)
+    .map(({ values, metadata }) => ({
+      chunk_index: metadata.chunkIndex,
+      start_line: metadata.startLine,
+      end_line: metadata.endLine,
+      embedding: [...values],
+    }));
+}
@@ -0,0 +1,142 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as memoryStore from "./memoryStore.js";
+import { assertVectorStore } from "./vectorDb.js";
+
+function record(overrides = {}) {
+  return {
+    tenantId: "default",
+    submissionId: "s1",
+    studentId: "alice",
+    questionId: "q1",
+    examId: null,
+    language: "python",
+    contentRef: "s1",
+    contentHash: "hash-s1",
+    codeLength: 42,
+    embedding: [1, 0, 0],
+    chunks: [
+      { text: "def a():", embedding: [1, 0, 0], startLine: 1, endLine: 2 },
+      { text: "def b():", embedding: [0, 1, 0], startLine: 4, endLine: 6 },
+    ],
+    ...overrides,
+  };
+}
+
+test.beforeEach(async () => {
+  memoryStore.clear();
+  await memoryStore.saveSubmission(record());
+  await memoryStore.saveSubmission(
+    record({
+      submissionId: "s2",
+      studentId: "bob",
+      examId: "midterm",
+      contentRef: "s2",
+      embedding: [0.6, 0.8, 0],
+      chunks: [],
+    }),
+  );
+});
+
+test("implements the vector store interface", async () => {
+  assert.doesNotThrow(() => assertVectorStore(memoryStore, "memory"));
+  assert.equal(await memoryStore.initialize(), true);
+});
+
+test("matchesFilter ignores null filter values", () => {
+  const metadata = { questionId: "q1", examId: "midterm" };
+  assert.equal(
+    memoryStore.matchesFilter(metadata, { questionId: "q1", examId: null }),
+    true,
+  );
+  assert.equal(
+    memoryStore.matchesFilter(metadata, { questionId: "q1", examId: "final" }),
+    false,
+  );
+});
+
+test("ranks submissions by raw cosine similarity", async () => {
+  const matches = await memoryStore.findSimilarSubmissions(
+    [1, 0, 0],
+    { tenantId: "default", questionId: "q1" },
+    10,
+    0,
+  );
+  assert.deepEqual(
+    matches.map((m) => [m.submission_id, m.rawSimilarity]),
+    [
+      ["s1", 1],
+      ["s2", 0.6],
+    ],
+  );
+
+  const exam = await memoryStore.findSimilarSubmissions(
+    [1, 0, 0],
+    { tenantId: "default", questionId: "q1", examId: "midterm" },
+    10,
+    0,
+  );
+  assert.deepEqual(
+    exam.map((m) => m.submission_id),
+    ["s2"],
+  );
+});
+
+test("returns chunks with their line ranges in chunk order", async () => {
+  const [best] = await memoryStore.findSimilarChunks(
+    [0, 1, 0],
+    { tenantId: "default", questionId: "q1" },
+    1,
+    0.5,
+  );
+  assert.equal(best.chunk_text, "def b():");
+  assert.equal(best.start_line, 4);
+
+  const stored = await memoryStore.getChunkEmbeddings("s1", "default");
+  assert.deepEqual(
+    stored.map((c) => [c.chunk_index, c.end_line]),
+    [
+      [0, 2],
+      [1, 6],
+    ],
+  );
+});
+
+test("re-saving a submission replaces its chunks", async () => {
+  await memoryStore.saveSubmission(
+    record({ embedding: [0, 0, 1], chunks: [] }),
+  );
+  assert.deepEqual(
+    await memoryStore.getSubmissionEmbedding("s1", "default"),
+    [0, 0, 1],
+  );
+  assert.equal(
+    (await memoryStore.getChunkEmbeddings("s1", "default")).length,
+    0,
+  );
+});
+
+test("keeps tenants in separate namespaces", async () => {
+  await memoryStore.saveSubmission(
+    record({ tenantId: "uni-a", studentId: "carol", contentRef: "uni-a:s1" }),
+  );
+  assert.equal(
+    (await memoryStore.getSubmission("s1", "default")).student_id,
+    "alice",
+  );
+  assert.equal(
+    (await memoryStore.getSubmission("s1", "uni-a")).student_id,
+    "carol",
+  );
+  assert.equal(await memoryStore.getSubmission("s2", "uni-a"), null);
+  assert.deepEqual(
+    (
+      await memoryStore.getSubmissionsByQuestion({
+        tenantId: "uni-b",
+        questionId: "q1",
+      })
+    ).length,
+    0,
+  );
+});
@@ -0,0 +1,506 @@
+/**
+ * Vector Store - PostgreSQL + pgvector
+ * Self-hosted alternative to Pinecone: submissions, whole-code vectors and chunk
+ * vectors live in the tables defined by schema.sql, searched with cosine distance.
+ * Every query is limited to one tenant through submissions.tenant_id.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import pg from "pg";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const SCHEMA_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "schema.sql",
+);
+
+// Candidate list size for HNSW searches. Filters (tenant, question, exam,
+// language) are applied after the index scan, so the default of 40 would
+// leave filtered queries with too few rows.
+const EF_SEARCH = parseInt(process.env.PGVECTOR_EF_SEARCH, 10) || 200;
+const MAX_EF_SEARCH = 1000;
+
+let pool = null;
+let iterativeScan = false;
+
+export const name = "pgvector";
+export const label = "PostgreSQL + pgvector (Self-hosted)";
+export const eventuallyConsistent = false;
+export const configHint =
+  "Please set DATABASE_URL (or DB_HOST, DB_PORT, DB_NAME, DB_USER, DB_PASSWORD) in your backend .env file and make sure the pgvector extension is installed.";
+
+/**
+ * Get or create the connection pool (lazy initialization)
+ * Uses DATABASE_URL when set, otherwise the individual DB_* variables.
+ */
+function getPool() {
+  if (!pool) {
+    const ssl =
+      process.env.DB_SSL === "false"
+        ? false
+        : process.env.DB_SSL
+          ? { rejectUnauthorized: false }
+          : undefined;
+
+    const config = process.env.DATABASE_URL
+      ? { connectionString: process.env.DATABASE_URL }
+      : {
+          host: process.env.DB_HOST || "localhost",
+          port: Number(process.env.DB_PORT) || 5432,
+          database: process.env.DB_NAME || "plagiarism_db",
+          user: process.env.DB_USER || "postgres",
+          password: process.env.DB_PASSWORD,
+        };
+
+    pool = new pg.Pool({
+      ...config,
+      ...(ssl !== undefined ? { ssl } : {}),
+      max: 20,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 2000,
+    });
+    pool.on("error", (error) => {
+      console.error("[pgvector Pool Error]", error.message);
+    });
+    console.log("[pgvector] Connection pool created");
+  }
+
+  return pool;
+}
+
+function requirePool() {
+  if (!pool) {
+    throw new Error(
+      "pgvector database not initialized. Please configure DATABASE_URL (or DB_* variables) in .env file.",
+    );
+  }
+  return pool;
+}
+
+/** pgvector accepts the JSON array text form: '[0.1,0.2,...]' */
+function toVectorLiteral(embedding) {
+  return `[${embedding.join(",")}]`;
+}
+
+function parseVector(value) {
+  if (!value) return null;
+  return Array.isArray(value) ? value : JSON.parse(value);
+}
+
+/**
+ * Run a nearest-neighbour query with HNSW search settings scoped to it
+ * SET LOCAL only lasts for the transaction, so the pooled connection goes back
+ * with the server defaults. pgvector >= 0.8 can also keep scanning the index
+ * until enough rows pass the filters (hnsw.iterative_scan).
+ * @param {string} sql - Query ordered by vector distance
+ * @param {Array} params - Query parameters
+ * @param {number} limit - Rows requested, ef_search is never below it
+ * @returns {Object} pg query result
+ */
+async function searchQuery(sql, params, limit) {
+  const efSearch = Math.min(Math.max(EF_SEARCH, limit), MAX_EF_SEARCH);
+  const client = await requirePool().connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT set_config('hnsw.ef_search', $1, true)", [
+      String(efSearch),
+    ]);
+    if (iterativeScan) {
+      await client.query(
+        "SELECT set_config('hnsw.iterative_scan', 'strict_order', true)",
+      );
+    }
+    const result = await client.query(sql, params);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/** True when a pgvector version string ("0.8.0") is at least major.minor */
+function versionAtLeast(version, major, minor) {
+  const [vMajor, vMinor] = String(version || "0.0")
+    .split(".")
+    .map((part) => parseInt(part, 10) || 0);
+  return vMajor > major || (vMajor === major && vMinor >= minor);
+}
+
+/**
+ * Append tenant/question/exam/language conditions to a WHERE clause
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @param {Array} params - Query parameters (mutated)
+ * @returns {string} SQL conditions joined with AND
+ */
+function buildWhere({ tenantId, questionId, examId, language }, params) {
+  params.push(tenantId);
+  const conditions = [`s.tenant_id = $${params.length}`];
+  params.push(questionId);
+  conditions.push(`s.question_id = $${params.length}`);
+  if (examId) {
+    params.push(examId);
+    conditions.push(`s.exam_id = $${params.length}`);
+  }
+  if (language) {
+    params.push(language);
+    conditions.push(`s.language = $${params.length}`);
+  }
+  return conditions.join(" AND ");
+}
+
+/**
+ * Connect to PostgreSQL and apply schema.sql (idempotent, CREATE ... IF NOT EXISTS)
+ */
+export async function initialize() {
+  try {
+    const client = getPool();
+    await client.query(fs.readFileSync(SCHEMA_PATH, "utf8"));
+    const { rows } = await client.query(
+      "SELECT extversion FROM pg_extension WHERE extname = 'vector'",
+    );
+    const version = rows[0]?.extversion;
+    iterativeScan = versionAtLeast(version, 0, 8);
+    console.log(
+      `[pgvector] Connected and schema verified (pgvector ${version || "unknown"}, ef_search ${EF_SEARCH}${iterativeScan ? ", iterative scan" : ""})`,
+    );
+    return true;
+  } catch (error) {
+    console.error("[pgvector Init Error]", error.message);
+    console.warn(
+      "[pgvector] Server will start but vector operations will fail until the database is reachable",
+    );
+    if (pool) {
+      await pool.end().catch(() => {});
+      pool = null;
+    }
+    return false;
+  }
+}
+
+/**
+ * Save submission with embedding (re-saving the same ID replaces its vectors)
+ * IDs are the table key, so an ID another tenant already uses is refused
+ * instead of overwriting that tenant's row.
+ * @param {Object} data - { tenantId, submissionId, studentId, questionId, examId, language, contentRef, contentHash, codeLength, embedding, chunks }
+ */
+export async function saveSubmission(data) {
+  const {
+    tenantId,
+    submissionId,
+    studentId,
+    questionId,
+    examId,
+    contentRef,
+    contentHash,
+    codeLength,
+    embedding,
+    chunks,
+    language,
+  } = data;
+
+  const client = await requirePool().connect();
+  try {
+    await client.query("BEGIN");
+
+    const { rowCount } = await client.query(
+      `INSERT INTO submissions (id, tenant_id, student_id, question_id, exam_id, language, content_ref, content_hash, code_length)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (id) DO UPDATE SET
+         student_id = EXCLUDED.student_id,
+         question_id = EXCLUDED.question_id,
+         exam_id = EXCLUDED.exam_id,
+         language = EXCLUDED.language,
+         content_ref = EXCLUDED.content_ref,
+         content_hash = EXCLUDED.content_hash,
+         code_length = EXCLUDED.code_length
+       WHERE submissions.tenant_id = EXCLUDED.tenant_id`,
+      [
+        submissionId,
+        tenantId,
+        studentId,
+        questionId,
+        examId,
+        language,
+        contentRef,
+        contentHash,
+        codeLength,
+      ],
+    );
+    if (rowCount === 0) {
+      throw new Error(
+        `Submission ID ${submissionId} is already used by another tenant`,
+      );
+    }
+
+    await client.query(
+      `INSERT INTO submission_vectors (submission_id, embedding)
+       VALUES ($1, $2::vector)
+       ON CONFLICT (submission_id) DO UPDATE SET embedding = EXCLUDED.embedding`,
+      [submissionId, toVectorLiteral(embedding)],
+    );
+
+    await client.query(
+      "DELETE FROM submission_chunks WHERE submission_id = $1",
+      [submissionId],
+    );
+    for (let idx = 0; idx < chunks.length; idx++) {
+      await client.query(
+        `INSERT INTO submission_chunks (submission_id, chunk_index, chunk_text, start_line, end_line, embedding)
+         VALUES ($1, $2, $3, $4, $5, $6::vector)`,
+        [
+          submissionId,
+          idx,
+          chunks[idx].text,
+          chunks[idx].startLine ?? null,
+          chunks[idx].endLine ?? null,
+          toVectorLiteral(chunks[idx].embedding),
+        ],
+      );
+    }
+
+    await client.query("COMMIT");
+    console.log(
+      `[pgvector] Saved submission ${submissionId} with ${chunks.length} chunks`,
+    );
+
+    return submissionId;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("[pgvector Save Error]", error.message);
+    throw new Error(`[pgvector Save Error] ${error.message}`);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find similar submissions (raw cosine scores, calibrated by vectorDb.js)
+ * @param {Array<number>} embedding - Query embedding vector
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @param {number} limit - Number of results
+ * @param {number} minSimilarity - Minimum raw similarity threshold
+ */
+export async function findSimilarSubmissions(
+  embedding,
+  filter,
+  limit,
+  minSimilarity,
+) {
+  try {
+    const params = [toVectorLiteral(embedding)];
+    const where = buildWhere(filter, params);
+    params.push(minSimilarity, limit);
+
+    const { rows } = await searchQuery(
+      `SELECT s.id, s.student_id, s.question_id, s.language, s.content_ref, s.content_hash,
+              1 - (v.embedding <=> $1::vector) AS similarity
+       FROM submission_vectors v
+       JOIN submissions s ON s.id = v.submission_id
+       WHERE ${where} AND 1 - (v.embedding <=> $1::vector) >= $${params.length - 1}
+       ORDER BY v.embedding <=> $1::vector
+       LIMIT $${params.length}`,
+      params,
+      limit,
+    );
+
+    const results = rows.map((row) => ({
+      submission_id: row.id,
+      student_id: row.student_id,
+      question_id: row.question_id,
+      language: row.language || null,
+      content_ref: row.content_ref,
+      content_hash: row.content_hash,
+      rawSimilarity: Number(row.similarity),
+    }));
+
+    console.log(
+      `[pgvector] Found ${results.length} submissions (raw threshold: ${minSimilarity})`,
+    );
+    return results;
+  } catch (error) {
+    console.error("[pgvector Search Error]", error.message);
+    throw new Error(`[pgvector Search Error] ${error.message}`);
+  }
+}
+
+/**
+ * Find similar chunks (raw cosine scores, calibrated by vectorDb.js)
+ * @param {Array<number>} embedding - Query embedding vector
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @param {number} limit - Number of results
+ * @param {number} minSimilarity - Minimum raw similarity threshold
+ */
+export async function findSimilarChunks(
+  embedding,
+  filter,
+  limit,
+  minSimilarity,
+) {
+  try {
+    const params = [toVectorLiteral(embedding)];
+    const where = buildWhere(filter, params);
+    params.push(minSimilarity, limit);
+
+    const { rows } = await searchQuery(
+      `SELECT s.id, s.student_id, s.question_id, s.language,
+              c.chunk_index, c.chunk_text, c.start_line, c.end_line,
+              1 - (c.embedding <=> $1::vector) AS similarity
+       FROM submission_chunks c
+       JOIN submissions s ON s.id = c.submission_id
+       WHERE ${where} AND 1 - (c.embedding <=> $1::vector) >= $${params.length - 1}
+       ORDER BY c.embedding <=> $1::vector
+       LIMIT $${params.length}`,
+      params,
+      limit,
+    );
+
+    const results = rows.map((row) => ({
+      submission_id: row.id,
+      student_id: row.student_id,
+      question_id: row.question_id,
+      language: row.language || null,
+      chunk_index: row.chunk_index,
+      chunk_text: row.chunk_text,
+      start_line: row.start_line,
+      end_line: row.end_line,
+      rawSimilarity: Number(row.similarity),
+    }));
+
+    console.log(`[pgvector] Found ${results.length} similar chunks`);
+    return results;
+  } catch (error) {
+    console.error("[pgvector Chunk Search Error]", error.message);
+    throw new Error(`[pgvector Chunk Search Error] ${error.message}`);
+  }
+}
+
+/**
+ * Get all submissions for a question
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ */
+export async function getSubmissionsByQuestion(filter) {
+  try {
+    const params = [];
+    const where = buildWhere(filter, params);
+
+    const { rows } = await requirePool().query(
+      `SELECT s.id, s.student_id, s.question_id, s.exam_id, s.language, s.content_ref, s.content_hash, s.created_at
+       FROM submissions s
+       WHERE ${where}
+       ORDER BY s.created_at DESC`,
+      params,
+    );
+
+    return rows.map((row) => ({
+      id: row.id,
+      student_id: row.student_id,
+      question_id: row.question_id,
+      exam_id: row.exam_id || null,
+      language: row.language || null,
+      content_ref: row.content_ref,
+      content_hash: row.content_hash,
+      created_at: row.created_at,
+    }));
+  } catch (error) {
+    console.error("[pgvector Get Error]", error.message);
+    throw new Error(`[pgvector Get Error] ${error.message}`);
+  }
+}
+
+/**
+ * Get submission by ID (within a tenant)
+ */
+export async function getSubmission(submissionId, tenantId) {
+  try {
+    const { rows } = await requirePool().query(
+      `SELECT id, student_id, question_id, exam_id, language, content_ref, content_hash, created_at
+       FROM submissions WHERE id = $1 AND tenant_id = $2`,
+      [submissionId, tenantId],
+    );
+    if (rows.length === 0) return null;
+
+    const row = rows[0];
+    return {
+      id: row.id,
+      student_id: row.student_id,
+      question_id: row.question_id,
+      exam_id: row.exam_id || null,
+      language: row.language || null,
+      content_ref: row.content_ref,
+      content_hash: row.content_hash,
+      created_at: row.created_at,
+    };
+  } catch (error) {
+    console.error("[pgvector Fetch Error]", error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored embedding vector for a submission (avoids re-calling OpenAI)
+ * @param {string} submissionId - Submission ID
+ * @param {string} tenantId - Tenant
+ * @returns {Array<number>|null} Embedding vector or null if not found
+ */
+export async function getSubmissionEmbedding(submissionId, tenantId) {
+  try {
+    const { rows } = await requirePool().query(
+      `SELECT v.embedding::text AS embedding
+       FROM submission_vectors v
+       JOIN submissions s ON s.id = v.submission_id
+       WHERE v.submission_id = $1 AND s.tenant_id = $2`,
+      [submissionId, tenantId],
+    );
+    return rows.length > 0 ? parseVector(rows[0].embedding) : null;
+  } catch (error) {
+    console.error("[pgvector Fetch Embedding Error]", error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored chunk vectors of a submission
+ * @param {string} submissionId - Submission ID
+ * @param {string} tenantId - Tenant
+ * @returns {Array<Object>} [{ chunk_index, start_line, end_line, embedding }] by chunk index
+ */
+export async function getChunkEmbeddings(submissionId, tenantId) {
+  try {
+    const { rows } = await requirePool().query(
+      `SELECT c.chunk_index, c.start_line, c.end_line, c.embedding::text AS embedding
+       FROM submission_chunks c
+       JOIN submissions s ON s.id = c.submission_id
+       WHERE c.submission_id = $1 AND s.tenant_id = $2
+       ORDER BY c.chunk_index`,
+      [submissionId, tenantId],
+    );
+    return rows.map((row) => ({
+      chunk_index: row.chunk_index,
+      start_line: row.start_line,
+      end_line: row.end_line,
+      embedding: parseVector(row.embedding),
+    }));
+  } catch (error) {
+    console.error("[pgvector Fetch Chunk Embeddings Error]", error.message);
+    return [];
+  }
+}
+
+/**
+ * Close the connection pool (tests and graceful shutdown)
+ */
+export async function close() {
+  if (pool) {
+    const current = pool;
+    pool = null;
+    iterativeScan = false;
+    await current.end();
+  }
+}
@@ -0,0 +1,201 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import pg from "pg";
+import * as pgvectorStore from "./pgvectorStore.js";
+import { assertVectorStore } from "./vectorDb.js";
+
+const RealPool = pg.Pool;
+const DIMENSIONS = 1536;
+
+/** Records every statement and answers the few the store reads back */
+class FakePool {
+  static queries = [];
+  static extversion = "0.8.0";
+
+  on() {}
+
+  async query(sql) {
+    FakePool.queries.push({ sql });
+    if (sql.includes("pg_extension")) {
+      return { rows: [{ extversion: FakePool.extversion }] };
+    }
+    return { rows: [], rowCount: 1 };
+  }
+
+  async connect() {
+    return {
+      query: async (sql, params) => {
+        FakePool.queries.push({ sql, params });
+        if (sql.includes("<=>")) {
+          return {
+            rows: [
+              {
+                id: "s1",
+                student_id: "alice",
+                question_id: "q1",
+                language: "python",
+                content_ref: "s1",
+                content_hash: "hash-s1",
+                similarity: "0.99",
+              },
+            ],
+          };
+        }
+        return { rows: [], rowCount: 1 };
+      },
+      release() {},
+    };
+  }
+
+  async end() {}
+}
+
+/** Deterministic pseudo-random vector (Park-Miller generator) */
+function randomVector(seed) {
+  let state = seed;
+  return Array.from({ length: DIMENSIONS }, () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 - 0.5;
+  });
+}
+
+test("implements the vector store interface", () => {
+  assert.doesNotThrow(() => assertVectorStore(pgvectorStore, "pgvector"));
+});
+
+test("scopes HNSW search settings to each similarity query", async (t) => {
+  pg.Pool = FakePool;
+  t.after(async () => {
+    await pgvectorStore.close();
+    pg.Pool = RealPool;
+    FakePool.queries = [];
+  });
+
+  assert.equal(await pgvectorStore.initialize(), true);
+  assert.ok(
+    FakePool.queries.some(({ sql }) => /USING hnsw/.test(sql)),
+    "schema.sql creates HNSW indexes",
+  );
+  assert.ok(FakePool.queries.every(({ sql }) => !/USING ivfflat/.test(sql)));
+
+  FakePool.queries = [];
+  const matches = await pgvectorStore.findSimilarSubmissions(
+    [1, 0, 0],
+    { tenantId: "default", questionId: "q1" },
+    5,
+    0.5,
+  );
+  assert.equal(matches[0].submission_id, "s1");
+  assert.equal(matches[0].rawSimilarity, 0.99);
+
+  const statements = FakePool.queries.map(({ sql }) => sql);
+  assert.equal(statements[0], "BEGIN");
+  assert.match(statements[1], /set_config\('hnsw\.ef_search', \$1, true\)/);
+  assert.deepEqual(FakePool.queries[1].params, ["200"]);
+  assert.match(statements[2], /hnsw\.iterative_scan/);
+  assert.match(statements[3], /ORDER BY v\.embedding <=> \$1::vector/);
+  assert.equal(statements[4], "COMMIT");
+
+  FakePool.queries = [];
+  await pgvectorStore.findSimilarChunks(
+    [1, 0, 0],
+    { tenantId: "default", questionId: "q1" },
+    5000,
+    0.5,
+  );
+  assert.deepEqual(
+    FakePool.queries[1].params,
+    ["1000"],
+    "ef_search follows large limits up to the cap",
+  );
+});
+
+test("skips iterative scans on pgvector before 0.8", async (t) => {
+  pg.Pool = FakePool;
+  FakePool.extversion = "0.7.4";
+  t.after(async () => {
+    await pgvectorStore.close();
+    pg.Pool = RealPool;
+    FakePool.extversion = "0.8.0";
+    FakePool.queries = [];
+  });
+
+  assert.equal(await pgvectorStore.initialize(), true);
+  FakePool.queries = [];
+  await pgvectorStore.findSimilarSubmissions(
+    [1, 0, 0],
+    { tenantId: "default", questionId: "q1" },
+    5,
+    0,
+  );
+  assert.ok(FakePool.queries.every(({ sql }) => !/iterative_scan/.test(sql)));
+});
+
+test(
+  "finds a known near-duplicate among filtered rows (live database)",
+  {
+    skip: process.env.PGVECTOR_TEST_URL
+      ? false
+      : "set PGVECTOR_TEST_URL to run against PostgreSQL + pgvector",
+  },
+  async (t) => {
+    process.env.DATABASE_URL = process.env.PGVECTOR_TEST_URL;
+    const tenantId = `test-${process.pid}-${Date.now()}`;
+    t.after(async () => {
+      await pgvectorStore.close();
+      const pool = new RealPool({
+        connectionString: process.env.PGVECTOR_TEST_URL,
+      });
+      await pool.query("DELETE FROM submissions WHERE tenant_id = $1", [
+        tenantId,
+      ]);
+      await pool.end();
+    });
+
+    assert.equal(await pgvectorStore.initialize(), true);
+
+    // Most rows belong to another question, so a plain index scan returns
+    // candidates that the question filter then discards.
+    for (let i = 0; i < 300; i++) {
+      await pgvectorStore.saveSubmission({
+        tenantId,
+        submissionId: `${tenantId}-noise-${i}`,
+        studentId: `student-${i}`,
+        questionId: i % 10 === 0 ? "q1" : "q2",
+        examId: null,
+        language: "python",
+        contentRef: `${tenantId}-noise-${i}`,
+        contentHash: `hash-${i}`,
+        codeLength: 10,
+        embedding: randomVector(i + 1),
+        chunks: [],
+      });
+    }
+
+    const original = randomVector(9999);
+    await pgvectorStore.saveSubmission({
+      tenantId,
+      submissionId: `${tenantId}-copy`,
+      studentId: "copier",
+      questionId: "q1",
+      examId: null,
+      language: "python",
+      contentRef: `${tenantId}-copy`,
+      contentHash: "hash-copy",
+      codeLength: 10,
+      embedding: original.map((value, i) => value + (i % 7 === 0 ? 0.01 : 0)),
+      chunks: [],
+    });
+
+    const matches = await pgvectorStore.findSimilarSubmissions(
+      original,
+      { tenantId, questionId: "q1" },
+      5,
+      0.9,
+    );
+    assert.equal(matches.length, 1);
+    assert.equal(matches[0].submission_id, `${tenantId}-copy`);
+    assert.ok(matches[0].rawSimilarity > 0.99);
+  },
+);
@@ -0,0 +1,468 @@
+/**
+ * Vector Store - Pinecone
+ * Handles vector storage and similarity search using Pinecone cloud vector DB
+ * No local database setup required!
+ * Each tenant has its own namespace in the index.
+ */
+
+import { Pinecone } from "@pinecone-database/pinecone";
+import dotenv from "dotenv";
+import { DEFAULT_TENANT } from "./tenants.js";
+
+dotenv.config();
+
+const INDEX_NAME = process.env.PINECONE_INDEX_NAME || "plagiarism-detector";
+const PLACEHOLDER_KEY = "your_pinecone_api_key_here";
+// listPaginated and deleteMany both accept at most 1000 IDs per call
+const ID_BATCH_SIZE = 1000;
+let pinecone = null;
+let index = null;
+
+function getApiKey() {
+  const apiKey = process.env.PINECONE_API_KEY;
+  return apiKey && apiKey !== PLACEHOLDER_KEY ? apiKey : null;
+}
+
+export const name = "pinecone";
+export const label = "Pinecone (Cloud)";
+export const eventuallyConsistent = true;
+export const configHint = getApiKey()
+  ? `PINECONE_API_KEY is set but the index "${INDEX_NAME}" could not be opened. Check the key and PINECONE_INDEX_NAME in your backend .env file.`
+  : "PINECONE_API_KEY is missing. Please set it in your backend .env file. Get free API key from https://www.pinecone.io/";
+
+/**
+ * Get or create Pinecone client (lazy initialization)
+ */
+function getPineconeClient() {
+  if (!pinecone) {
+    const apiKey = getApiKey();
+
+    if (!apiKey) {
+      throw new Error(
+        "Pinecone API key is not configured. Please set PINECONE_API_KEY in your .env file. " +
+          "Get your free API key from https://www.pinecone.io/",
+      );
+    }
+
+    pinecone = new Pinecone({ apiKey });
+    console.log("[Pinecone] Client initialized");
+  }
+
+  return pinecone;
+}
+
+function requireIndex() {
+  if (!index) {
+    throw new Error(
+      "Pinecone index not initialized. Please configure PINECONE_API_KEY in .env file.",
+    );
+  }
+  return index;
+}
+
+/**
+ * Index handle of a tenant's namespace. The default tenant uses the default
+ * namespace, where records written before tenants existed already are.
+ */
+function indexFor(tenantId) {
+  const base = requireIndex();
+  return tenantId && tenantId !== DEFAULT_TENANT
+    ? base.namespace(tenantId)
+    : base;
+}
+
+/**
+ * Build a Pinecone metadata filter from a store filter
+ * @param {string} type - Record type ("submission" or "chunk")
+ * @param {Object} filter - { questionId, examId, language } (the tenant is the namespace)
+ */
+function buildFilter(type, { questionId, examId, language }) {
+  const filter = {
+    type: { $eq: type },
+    questionId: { $eq: questionId },
+  };
+  if (examId) filter.examId = { $eq: examId };
+  if (language) filter.language = { $eq: language };
+  return filter;
+}
+
+/**
+ * Delete chunk vectors left over from an earlier save of the same submission
+ * Re-saving overwrites chunks 0..keepCount-1 by ID, so only higher indexes can
+ * be stale. Serverless indexes list them by ID prefix; pod-based indexes do not
+ * support listing and are cleaned up with a metadata filter instead.
+ * @param {Object} namespace - Index handle of the tenant's namespace
+ * @param {string} submissionId - Submission ID
+ * @param {number} keepCount - Number of chunks in the new version
+ */
+async function deleteStaleChunks(namespace, submissionId, keepCount) {
+  const prefix = `sub_${submissionId}_chunk_`;
+  let staleIds = [];
+
+  try {
+    let paginationToken;
+    do {
+      const page = await namespace.listPaginated({
+        prefix,
+        ...(paginationToken ? { paginationToken } : {}),
+      });
+      for (const { id } of page.vectors || []) {
+        // The prefix also matches IDs like "sub_<id>_chunk_x_chunk_0"
+        const suffix = id.slice(prefix.length);
+        if (/^\d+$/.test(suffix) && Number(suffix) >= keepCount) {
+          staleIds.push(id);
+        }
+      }
+      paginationToken = page.pagination?.next;
+    } while (paginationToken);
+  } catch (error) {
+    console.warn(
+      `[Pinecone] Listing by prefix failed (${error.message}), deleting stale chunks by metadata filter`,
+    );
+    await namespace.deleteMany({
+      type: { $eq: "chunk" },
+      submissionId: { $eq: submissionId },
+      chunkIndex: { $gte: keepCount },
+    });
+    return;
+  }
+
+  for (let i = 0; i < staleIds.length; i += ID_BATCH_SIZE) {
+    await namespace.deleteMany(staleIds.slice(i, i + ID_BATCH_SIZE));
+  }
+  if (staleIds.length > 0) {
+    console.log(
+      `[Pinecone] Deleted ${staleIds.length} stale chunks of submission ${submissionId}`,
+    );
+  }
+}
+
+/**
+ * Initialize Pinecone index
+ */
+export async function initialize() {
+  try {
+    const client = getPineconeClient();
+    index = client.index(INDEX_NAME);
+    console.log(`[Pinecone] Connected to index: ${INDEX_NAME}`);
+    return true;
+  } catch (error) {
+    console.error("[Pinecone Init Error]", error.message);
+    console.warn(
+      "[Pinecone] Server will start but vector operations will fail until API key is configured",
+    );
+    return false;
+  }
+}
+
+/**
+ * Save submission with embedding (re-saving the same ID replaces its vectors)
+ * @param {Object} data - { tenantId, submissionId, studentId, questionId, examId, language, contentRef, contentHash, codeLength, embedding, chunks }
+ */
+export async function saveSubmission(data) {
+  const {
+    tenantId,
+    submissionId,
+    studentId,
+    questionId,
+    examId,
+    contentRef,
+    contentHash,
+    codeLength,
+    embedding,
+    chunks,
+    language,
+  } = data;
+
+  try {
+    const namespace = indexFor(tenantId);
+
+    const baseMetadata = {
+      type: "submission",
+      submissionId: submissionId,
+      studentId: studentId,
+      questionId: questionId,
+      // Full source lives in the content store; metadata keeps only a pointer + hash
+      contentRef: contentRef,
+      contentHash: contentHash,
+      codeLength: codeLength,
+      timestamp: Date.now(),
+    };
+    if (examId) baseMetadata.examId = examId;
+    if (language) baseMetadata.language = language;
+
+    const vectors = [];
+
+    // Store whole-submission vector
+    vectors.push({
+      id: `sub_${submissionId}`,
+      values: embedding,
+      metadata: { ...baseMetadata },
+    });
+
+    // Store chunk vectors
+    const chunkBaseMeta = {
+      type: "chunk",
+      submissionId: submissionId,
+      studentId: studentId,
+      questionId: questionId,
+    };
+    if (examId) chunkBaseMeta.examId = examId;
+    if (language) chunkBaseMeta.language = language;
+
+    chunks.forEach((chunk, idx) => {
+      vectors.push({
+        id: `sub_${submissionId}_chunk_${idx}`,
+        values: chunk.embedding,
+        metadata: {
+          ...chunkBaseMeta,
+          chunkIndex: idx,
+          chunkText: chunk.text.substring(0, 1000), // Preview; full text is recovered from content
+          ...(chunk.startLine != null && chunk.endLine != null
+            ? { startLine: chunk.startLine, endLine: chunk.endLine }
+            : {}),
+          timestamp: Date.now(),
+        },
+      });
+    });
+
+    // Drop chunks a previous, longer version of this submission left behind
+    await deleteStaleChunks(namespace, submissionId, chunks.length);
+
+    // Upsert to Pinecone
+    await namespace.upsert(vectors);
+    console.log(
+      `[Pinecone] Saved submission ${submissionId} with ${chunks.length} chunks`,
+    );
+
+    return submissionId;
+  } catch (error) {
+    console.error("[Pinecone Save Error]", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find similar submissions (raw cosine scores, calibrated by vectorDb.js)
+ * @param {Array<number>} embedding - Query embedding vector
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @param {number} limit - Number of results
+ * @param {number} minSimilarity - Minimum raw similarity threshold
+ */
+export async function findSimilarSubmissions(
+  embedding,
+  filter,
+  limit,
+  minSimilarity,
+) {
+  try {
+    const queryResponse = await indexFor(filter.tenantId).query({
+      vector: embedding,
+      topK: 100, // Get more results
+      filter: buildFilter("submission", filter),
+      includeMetadata: true,
+    });
+
+    const results = queryResponse.matches
+      .filter((match) => match.score >= minSimilarity)
+      .slice(0, limit)
+      .map((match) => ({
+        submission_id: match.metadata.submissionId,
+        student_id: match.metadata.studentId,
+        question_id: match.metadata.questionId,
+        language: match.metadata.language || null,
+        code: match.metadata.code, // Legacy records only (pre content store)
+        content_ref: match.metadata.contentRef || null,
+        content_hash: match.metadata.contentHash || null,
+        rawSimilarity: match.score,
+      }));
+
+    console.log(
+      `[Pinecone] Found ${results.length} submissions (raw threshold: ${minSimilarity})`,
+    );
+    return results;
+  } catch (error) {
+    console.error("[Pinecone Search Error]", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Find similar chunks (raw cosine scores, calibrated by vectorDb.js)
+ * @param {Array<number>} embedding - Query embedding vector
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @param {number} limit - Number of results
+ * @param {number} minSimilarity - Minimum raw similarity threshold
+ */
+export async function findSimilarChunks(
+  embedding,
+  filter,
+  limit,
+  minSimilarity,
+) {
+  try {
+    const queryResponse = await indexFor(filter.tenantId).query({
+      vector: embedding,
+      topK: 100,
+      filter: buildFilter("chunk", filter),
+      includeMetadata: true,
+    });
+
+    const results = queryResponse.matches
+      .filter((match) => match.score >= minSimilarity)
+      .slice(0, limit)
+      .map((match) => ({
+        submission_id: match.metadata.submissionId,
+        student_id: match.metadata.studentId,
+        question_id: match.metadata.questionId,
+        language: match.metadata.language || null,
+        chunk_index: match.metadata.chunkIndex,
+        chunk_text: match.metadata.chunkText,
+        start_line: match.metadata.startLine ?? null,
+        end_line: match.metadata.endLine ?? null,
+        rawSimilarity: match.score,
+      }));
+
+    console.log(`[Pinecone] Found ${results.length} similar chunks`);
+    return results;
+  } catch (error) {
+    console.error("[Pinecone Chunk Search Error]", error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get all submissions for a question
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ */
+export async function getSubmissionsByQuestion(filter) {
+  try {
+    const namespace = indexFor(filter.tenantId);
+
+    // Pinecone query vectors cannot be all zeros. Use a tiny non-zero probe
+    const probeVector = Array(1536).fill(0);
+    probeVector[0] = 0.001;
+
+    const queryResponse = await namespace.query({
+      vector: probeVector,
+      topK: 1000,
+      filter: buildFilter("submission", filter),
+      includeMetadata: true,
+    });
+
+    return queryResponse.matches.map((match) => ({
+      id: match.metadata.submissionId,
+      student_id: match.metadata.studentId,
+      question_id: match.metadata.questionId,
+      exam_id: match.metadata.examId || null,
+      language: match.metadata.language || null,
+      code: match.metadata.code,
+      content_ref: match.metadata.contentRef || null,
+      content_hash: match.metadata.contentHash || null,
+      created_at: new Date(match.metadata.timestamp),
+    }));
+  } catch (error) {
+    console.error("[Pinecone Get Error]", error.message);
+    throw new Error(`[Pinecone Get Error] ${error.message}`);
+  }
+}
+
+/**
+ * Get submission by ID (within a tenant's namespace)
+ */
+export async function getSubmission(submissionId, tenantId) {
+  try {
+    const fetchResponse = await indexFor(tenantId).fetch([
+      `sub_${submissionId}`,
+    ]);
+
+    if (
+      !fetchResponse.records ||
+      Object.keys(fetchResponse.records).length === 0
+    ) {
+      return null;
+    }
+
+    const record = fetchResponse.records[`sub_${submissionId}`];
+
+    return {
+      id: record.metadata.submissionId,
+      student_id: record.metadata.studentId,
+      question_id: record.metadata.questionId,
+      exam_id: record.metadata.examId || null,
+      language: record.metadata.language || null,
+      code: record.metadata.code,
+      content_ref: record.metadata.contentRef || null,
+      content_hash: record.metadata.contentHash || null,
+      created_at: new Date(record.metadata.timestamp),
+    };
+  } catch (error) {
+    console.error("[Pinecone Fetch Error]", error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored embedding vector for a submission (avoids re-calling OpenAI)
+ * @param {string} submissionId - Submission ID
+ * @param {string} tenantId - Tenant (namespace)
+ * @returns {Array<number>|null} Embedding vector or null if not found
+ */
+export async function getSubmissionEmbedding(submissionId, tenantId) {
+  try {
+    const fetchResponse = await indexFor(tenantId).fetch([
+      `sub_${submissionId}`,
+    ]);
+
+    if (
+      !fetchResponse.records ||
+      Object.keys(fetchResponse.records).length === 0
+    ) {
+      return null;
+    }
+
+    const record = fetchResponse.records[`sub_${submissionId}`];
+    return record.values || null;
+  } catch (error) {
+    console.error("[Pinecone Fetch Embedding Error]", error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored chunk vectors of a submission
+ * Pinecone has no listing by metadata, so this queries with the submission's
+ * own vector and a submissionId filter (values included).
+ * @param {string} submissionId - Submission ID
+ * @param {string} tenantId - Tenant (namespace)
+ * @returns {Array<Object>} [{ chunk_index, start_line, end_line, embedding }] by chunk index
+ */
+export async function getChunkEmbeddings(submissionId, tenantId) {
+  try {
+    const embedding = await getSubmissionEmbedding(submissionId, tenantId);
+    if (!embedding) return [];
+
+    const queryResponse = await indexFor(tenantId).query({
+      vector: embedding,
+      topK: 1000,
+      filter: {
+        type: { $eq: "chunk" },
+        submissionId: { $eq: submissionId },
+      },
+      includeMetadata: true,
+      includeValues: true,
+    });
+
+    return queryResponse.matches
+      .map((match) => ({
+        chunk_index: match.metadata.chunkIndex,
+        start_line: match.metadata.startLine ?? null,
+        end_line: match.metadata.endLine ?? null,
+        embedding: match.values,
+      }))
+      .sort((a, b) => a.chunk_index - b.chunk_index);
+  } catch (error) {
+    console.error("[Pinecone Fetch Chunk Embeddings Error]", error.message);
+    return [];
+  }
+}
@@ -0,0 +1,129 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Pinecone } from "@pinecone-database/pinecone";
+
+/** In-memory stand-in for a serverless Pinecone index handle */
+function fakeIndex({ supportsListing = true } = {}) {
+  const records = new Map();
+  const calls = { deleteMany: [] };
+  const handle = {
+    records,
+    calls,
+    namespace: () => handle,
+    async upsert(vectors) {
+      for (const vector of vectors) records.set(vector.id, vector);
+    },
+    async listPaginated({ prefix, paginationToken }) {
+      if (!supportsListing) {
+        throw new Error(
+          "listPaginated is supported only for serverless indexes",
+        );
+      }
+      const ids = [...records.keys()].filter((id) => id.startsWith(prefix));
+      const start = paginationToken ? Number(paginationToken) : 0;
+      const page = ids.slice(start, start + 2);
+      return {
+        vectors: page.map((id) => ({ id })),
+        pagination:
+          start + 2 < ids.length ? { next: String(start + 2) } : undefined,
+      };
+    },
+    async deleteMany(target) {
+      calls.deleteMany.push(target);
+      if (Array.isArray(target)) {
+        for (const id of target) records.delete(id);
+      }
+    },
+  };
+  return handle;
+}
+
+function record(submissionId, chunkCount) {
+  return {
+    tenantId: "default",
+    submissionId,
+    studentId: "alice",
+    questionId: "q1",
+    examId: null,
+    language: "python",
+    contentRef: submissionId,
+    contentHash: `hash-${submissionId}`,
+    codeLength: 42,
+    embedding: [1, 0, 0],
+    chunks: Array.from({ length: chunkCount }, (_, idx) => ({
+      text: `chunk ${idx}`,
+      embedding: [0, 1, 0],
+      startLine: idx + 1,
+      endLine: idx + 1,
+    })),
+  };
+}
+
+/** Fresh module instance (configHint is fixed at import time) */
+async function loadStore(apiKey, tag) {
+  // An empty value also keeps dotenv from filling the key in from a local .env
+  process.env.PINECONE_API_KEY = apiKey;
+  return import(`./pineconeStore.js?${tag}`);
+}
+
+test("has no built-in API key and reports the missing one", async () => {
+  const store = await loadStore("", "missing-key");
+  assert.match(store.configHint, /PINECONE_API_KEY is missing/);
+  assert.equal(await store.initialize(), false);
+
+  const placeholder = await loadStore(
+    "your_pinecone_api_key_here",
+    "placeholder",
+  );
+  assert.match(placeholder.configHint, /PINECONE_API_KEY is missing/);
+  assert.equal(await placeholder.initialize(), false);
+});
+
+test("re-saving a shorter submission deletes its stale chunks", async (t) => {
+  const index = fakeIndex();
+  const original = Pinecone.prototype.index;
+  Pinecone.prototype.index = () => index;
+  t.after(() => {
+    Pinecone.prototype.index = original;
+  });
+
+  const store = await loadStore("test-key", "listing");
+  assert.doesNotMatch(store.configHint, /missing/);
+  assert.equal(await store.initialize(), true);
+
+  await store.saveSubmission(record("s1", 5));
+  // Shares the "sub_s1_chunk_" prefix but belongs to another submission
+  await store.saveSubmission(record("s1_chunk_x", 1));
+  await store.saveSubmission(record("s1", 2));
+
+  assert.deepEqual([...index.records.keys()].sort(), [
+    "sub_s1",
+    "sub_s1_chunk_0",
+    "sub_s1_chunk_1",
+    "sub_s1_chunk_x",
+    "sub_s1_chunk_x_chunk_0",
+  ]);
+});
+
+test("falls back to a metadata filter on pod-based indexes", async (t) => {
+  const index = fakeIndex({ supportsListing: false });
+  const original = Pinecone.prototype.index;
+  Pinecone.prototype.index = () => index;
+  t.after(() => {
+    Pinecone.prototype.index = original;
+  });
+
+  const store = await loadStore("test-key", "filter");
+  assert.equal(await store.initialize(), true);
+  await store.saveSubmission(record("s1", 3));
+
+  assert.deepEqual(index.calls.deleteMany, [
+    {
+      type: { $eq: "chunk" },
+      submissionId: { $eq: "s1" },
+      chunkIndex: { $gte: 3 },
+    },
+  ]);
+  assert.equal(index.records.size, 4);
+});
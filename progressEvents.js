@@ -0,0 +1,115 @@
+/**
+ * Progress Events Module
+ * Server-Sent Events for long requests, so a UI can show what a check or a
+ * bulk job is doing instead of waiting for the whole response.
+ *
+ * A request opts in with `Accept: text/event-stream`. The handler then reports
+ * stages (`pool`, `embedded`, `local_matches`, ...) as named events, and the
+ * response it would have sent as JSON arrives as the last event: `result` for
+ * 2xx/3xx, `error` otherwise (with the HTTP status in the payload, since the
+ * stream itself has already answered 200). Without the header every reporter
+ * call is a no-op and the handler answers with plain JSON as before.
+ */
+
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 15000;
+
+/**
+ * Whether the client asked for an event stream
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+  return (req.headers.accept || "").includes("text/event-stream");
+}
+
+/**
+ * Start an event stream on a response
+ * @param {Object} res - Express response
+ * @returns {Object} { send(event, data), end(), closed }
+ */
+export function openEventStream(res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let eventId = 0;
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(": keep-alive\n\n");
+  }, HEARTBEAT_MS);
+  const stop = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  res.on("close", stop);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      eventId++;
+      res.write(
+        `id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`,
+      );
+    },
+    end() {
+      if (closed) return;
+      stop();
+      res.end();
+    },
+    get closed() {
+      return closed;
+    },
+  };
+}
+
+/**
+ * Stage reporter for a request handler. When streaming, the handler's final
+ * `res.status(...).json(...)` becomes the `result` / `error` event, so the
+ * handler keeps a single code path for both modes.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} { streaming, stage(name, data) }
+ */
+export function createProgressReporter(req, res) {
+  if (!wantsEventStream(req)) {
+    return { streaming: false, stage() {} };
+  }
+
+  const startedAt = Date.now();
+  const stream = openEventStream(res);
+  let statusCode = 200;
+  res.status = (code) => {
+    statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    stream.send(statusCode < 400 ? "result" : "error", {
+      status: statusCode,
+      ...body,
+    });
+    stream.end();
+    return res;
+  };
+
+  return {
+    streaming: true,
+    stage(name, data = {}) {
+      stream.send(name, { ...data, elapsedMs: Date.now() - startedAt });
+    },
+  };
+}
+
+export default {
+  wantsEventStream,
+  openEventStream,
+  createProgressReporter,
+};
@@ -0,0 +1,133 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import * as progressEvents from "./progressEvents.js";
+
+/** Just enough of an Express response to record what is written */
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = null;
+    this.headers = {};
+    this.chunks = [];
+    this.ended = false;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  set(headers) {
+    Object.assign(this.headers, headers);
+    return this;
+  }
+
+  json(body) {
+    this.chunks.push(JSON.stringify(body));
+    this.ended = true;
+    return this;
+  }
+
+  flushHeaders() {}
+
+  write(chunk) {
+    if (this.ended) throw new Error("write after end");
+    this.chunks.push(chunk);
+  }
+
+  end() {
+    this.ended = true;
+  }
+
+  /** Parsed `event:` / `data:` pairs, ignoring keep-alive comments */
+  events() {
+    return this.chunks
+      .filter((chunk) => chunk.startsWith("id:"))
+      .map((chunk) => {
+        const [, event] = chunk.match(/^event: (.*)$/m);
+        const [, data] = chunk.match(/^data: (.*)$/m);
+        return { event, data: JSON.parse(data) };
+      });
+  }
+}
+
+function request(accept) {
+  return { headers: accept ? { accept } : {} };
+}
+
+test("is a no-op for plain JSON requests", () => {
+  const res = new FakeResponse();
+  const progress = progressEvents.createProgressReporter(
+    request("application/json"),
+    res,
+  );
+  assert.equal(progress.streaming, false);
+  progress.stage("pool", { candidates: 3 });
+
+  res.status(201).json({ ok: true });
+  assert.equal(res.statusCode, 201);
+  assert.deepEqual(res.chunks, ['{"ok":true}']);
+});
+
+test("streams stages and ends with the handler's result", () => {
+  const res = new FakeResponse();
+  const progress = progressEvents.createProgressReporter(
+    request("text/event-stream"),
+    res,
+  );
+  assert.equal(progress.streaming, true);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["Content-Type"], "text/event-stream");
+
+  progress.stage("pool", { candidates: 3 });
+  progress.stage("embedded");
+  res.status(201).json({ submissionId: "s1" });
+  // Anything reported after the final event is dropped
+  progress.stage("late");
+
+  const events = res.events();
+  assert.deepEqual(
+    events.map(({ event }) => event),
+    ["pool", "embedded", "result"],
+  );
+  assert.equal(events[0].data.candidates, 3);
+  assert.equal(typeof events[1].data.elapsedMs, "number");
+  assert.deepEqual(events[2].data, { status: 201, submissionId: "s1" });
+  assert.ok(res.ended);
+  assert.equal(res.statusCode, 200, "the stream itself already answered 200");
+});
+
+test("ends with an error event carrying the HTTP status", () => {
+  const res = new FakeResponse();
+  progressEvents.createProgressReporter(request("text/event-stream"), res);
+
+  res.status(404).json({ error: "Submission not found" });
+
+  assert.deepEqual(res.events(), [
+    { event: "error", data: { status: 404, error: "Submission not found" } },
+  ]);
+  assert.ok(res.ended);
+});
+
+test("clears the heartbeat when the client disconnects", async () => {
+  process.env.SSE_HEARTBEAT_MS = "5";
+  const fastHeartbeat = await import("./progressEvents.js?heartbeat");
+  delete process.env.SSE_HEARTBEAT_MS;
+
+  const res = new FakeResponse();
+  const progress = fastHeartbeat.createProgressReporter(
+    request("text/event-stream"),
+    res,
+  );
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.ok(res.chunks.includes(": keep-alive\n\n"));
+
+  res.emit("close");
+  const written = res.chunks.length;
+  progress.stage("after_close");
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(res.chunks.length, written);
+  assert.ok(!res.ended, "a closed connection is not ended again");
+});
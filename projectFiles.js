@@ -0,0 +1,428 @@
+/**
+ * Project Files Module
+ * Multi-file submissions (Java packages, Python modules, C with headers, ...).
+ * A file map or a zip archive becomes an ordered list of source files, each
+ * with its own language, laid out in one combined source so the content store,
+ * vector stores, winnowing and the external API keep working on a single
+ * `code` string.
+ *
+ * Files are sorted by path and separated by a blank line. The manifest records
+ * where each file sits in the combined source (0-based startLine / endLine), so
+ * stored chunk line ranges map back to a file and file-relative lines. Files
+ * are matched by content, never by path, so renamed or moved files still match.
+ */
+
+import zlib from "zlib";
+import dotenv from "dotenv";
+import * as chunking from "./chunking.js";
+import { hashContent } from "./contentStore.js";
+import { detectLanguage } from "./languageDetector.js";
+import { languageForFile, resolveLanguage } from "./languages.js";
+
+dotenv.config();
+
+export const MAX_PROJECT_FILES =
+  parseInt(process.env.PROJECT_MAX_FILES, 10) || 200;
+// Upper bound on the uncompressed size of a zip upload (zip bombs)
+export const MAX_ARCHIVE_BYTES =
+  parseInt(process.env.PROJECT_MAX_ARCHIVE_BYTES, 10) || 20 * 1024 * 1024;
+
+// Path segments that never hold submission sources
+const IGNORED_SEGMENTS = new Set([
+  "__MACOSX",
+  "node_modules",
+  "__pycache__",
+  "target",
+  "build",
+  "dist",
+  "bin",
+  "obj",
+]);
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+/**
+ * Read the files of a zip archive (stored and deflated entries)
+ * @param {Buffer} buffer - Zip archive bytes
+ * @returns {Array<Object>} [{ path, content }] (content decoded as UTF-8)
+ */
+export function readZipArchive(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw new Error("Invalid project archive: not a zip file");
+  }
+
+  // End of central directory: last 22 bytes plus an optional comment (≤ 64 KB)
+  let end = -1;
+  for (
+    let i = buffer.length - 22;
+    i >= Math.max(0, buffer.length - 22 - 0xffff);
+    i--
+  ) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Invalid project archive: not a zip file");
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (offset === 0xffffffff || entryCount === 0xffff) {
+    throw new Error(
+      "Invalid project archive: zip64 archives are not supported",
+    );
+  }
+
+  // Every offset and length comes from the archive itself, so a crafted file
+  // could point anywhere: check each range before reading it
+  const requireRange = (start, length, what) => {
+    if (start < 0 || start + length > buffer.length) {
+      throw new Error(`Invalid project archive: truncated ${what}`);
+    }
+  };
+
+  const files = [];
+  let totalBytes = 0;
+  for (let n = 0; n < entryCount; n++) {
+    requireRange(offset, 46, "central directory");
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+      throw new Error("Invalid project archive: corrupt central directory");
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    requireRange(
+      offset + 46,
+      nameLength + extraLength + commentLength,
+      "central directory",
+    );
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue; // directory
+    if (flags & 0x1) {
+      throw new Error(`Invalid project archive: ${name} is encrypted`);
+    }
+    totalBytes += size;
+    if (totalBytes > MAX_ARCHIVE_BYTES) {
+      throw new Error(
+        `Invalid project archive: more than ${MAX_ARCHIVE_BYTES} bytes uncompressed`,
+      );
+    }
+
+    requireRange(localOffset, 30, `entry ${name}`);
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+      throw new Error(`Invalid project archive: corrupt entry ${name}`);
+    }
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    requireRange(dataStart, compressedSize, `entry ${name}`);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      // zlib rejects a zero output limit; an empty file needs no inflating
+      if (size === 0) {
+        content = Buffer.alloc(0);
+      } else {
+        try {
+          content = zlib.inflateRawSync(data, { maxOutputLength: size });
+        } catch (error) {
+          throw new Error(
+            `Invalid project archive: corrupt entry ${name} (${error.message})`,
+          );
+        }
+      }
+    } else {
+      throw new Error(
+        `Invalid project archive: ${name} uses unsupported compression (${method})`,
+      );
+    }
+    files.push({ path: name, content: content.toString("utf8") });
+  }
+
+  return files;
+}
+
+/** Forward slashes, no leading "./" or "/" */
+function cleanPath(filePath) {
+  return String(filePath || "")
+    .replace(/\\/g, "/")
+    .replace(/^(?:\.\/|\/)+/, "")
+    .trim();
+}
+
+function isIgnoredPath(filePath) {
+  return filePath
+    .split("/")
+    .some(
+      (segment) => segment.startsWith(".") || IGNORED_SEGMENTS.has(segment),
+    );
+}
+
+/** Drop a top-level folder shared by every file (`project/src/A.java` → `src/A.java`) */
+function stripCommonRoot(files) {
+  const roots = new Set(files.map((file) => file.path.split("/")[0]));
+  if (roots.size !== 1 || files.some((file) => !file.path.includes("/"))) {
+    return files;
+  }
+  return files.map((file) => ({
+    ...file,
+    path: file.path.slice(file.path.indexOf("/") + 1),
+  }));
+}
+
+/**
+ * Normalize the files of a multi-file submission
+ * Archives only keep files with a known source extension; explicit file maps
+ * also keep files of other extensions when the request names a language or
+ * the language is detected with confidence.
+ * @param {Object|Array<Object>} files - { "path": "source" } or [{ path, content|code, language? }]
+ * @param {Object} [options] - { language: default for unknown extensions, fromArchive }
+ * @returns {Array<Object>} [{ path, language, content }] sorted by path
+ */
+export function normalizeProjectFiles(files, options = {}) {
+  const { language = null, fromArchive = false } = options;
+  const entries = Array.isArray(files)
+    ? files.map((file) => ({
+        path: file?.path ?? file?.name,
+        content: file?.content ?? file?.code,
+        language: file?.language,
+      }))
+    : Object.entries(files || {}).map(([filePath, content]) => ({
+        path: filePath,
+        content,
+      }));
+
+  const seen = new Set();
+  let normalized = [];
+  for (const entry of entries) {
+    const filePath = cleanPath(entry.path);
+    if (!filePath || typeof entry.content !== "string") {
+      throw new Error(
+        "Invalid project: every file needs a path and string content",
+      );
+    }
+    if (seen.has(filePath)) {
+      throw new Error(`Invalid project: duplicate file ${filePath}`);
+    }
+    seen.add(filePath);
+
+    const content = entry.content.replace(/\r\n/g, "\n");
+    if (isIgnoredPath(filePath) || content.includes("\u0000")) continue;
+    if (content.trim().length === 0) continue;
+
+    let fileLanguage = entry.language
+      ? resolveLanguage(entry.language)
+      : languageForFile(filePath);
+    if (!fileLanguage) {
+      if (fromArchive) continue;
+      if (language) {
+        fileLanguage = resolveLanguage(language);
+      } else {
+        const detected = detectLanguage(content);
+        if (detected.lowConfidence) continue; // README.md, data files, ...
+        fileLanguage = detected.language;
+      }
+    }
+    normalized.push({
+      path: filePath,
+      language: fileLanguage,
+      content,
+      explicit: Boolean(entry.language),
+    });
+  }
+
+  // `.h` maps to C, but headers of a C++ project are C++
+  if (normalized.some((file) => file.language === "cpp")) {
+    normalized.forEach((file) => {
+      if (file.path.endsWith(".h") && !file.explicit) file.language = "cpp";
+    });
+  }
+  normalized = normalized.map(({ explicit, ...file }) => file);
+
+  if (fromArchive) normalized = stripCommonRoot(normalized);
+  if (normalized.length === 0) {
+    throw new Error("Invalid project: no source files found");
+  }
+  if (normalized.length > MAX_PROJECT_FILES) {
+    throw new Error(
+      `Invalid project: ${normalized.length} files (limit ${MAX_PROJECT_FILES})`,
+    );
+  }
+  return normalized.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Project files from a request body, or null for single-file submissions
+ * @param {Object} body - Request body: `files` (map or array) or `zip` (base64)
+ * @param {string} [language] - Language for files without a known extension
+ * @returns {Array<Object>|null} Normalized files
+ */
+export function filesFromRequest(body, language = null) {
+  if (body?.files != null) {
+    return normalizeProjectFiles(body.files, { language });
+  }
+  if (body?.zip != null) {
+    const buffer = Buffer.isBuffer(body.zip)
+      ? body.zip
+      : Buffer.from(String(body.zip), "base64");
+    return normalizeProjectFiles(readZipArchive(buffer), {
+      language,
+      fromArchive: true,
+    });
+  }
+  return null;
+}
+
+/**
+ * Lay files out in one combined source
+ * @param {Array<Object>} files - Normalized files
+ * @returns {Object} { code, language (most lines), files: [{ path, language, startLine, endLine, lineCount, hash }] }
+ */
+export function buildProject(files) {
+  const parts = [];
+  const manifest = [];
+  const linesByLanguage = {};
+  let line = 0;
+
+  files.forEach((file) => {
+    const content = file.content.replace(/\s+$/, "");
+    const lineCount = content.split("\n").length;
+    manifest.push({
+      path: file.path,
+      language: file.language,
+      startLine: line,
+      endLine: line + lineCount - 1,
+      lineCount,
+      hash: hashContent(content),
+    });
+    linesByLanguage[file.language] =
+      (linesByLanguage[file.language] || 0) + lineCount;
+    parts.push(content);
+    line += lineCount + 1; // blank separator line
+  });
+
+  const language = Object.entries(linesByLanguage).sort(
+    (a, b) => b[1] - a[1],
+  )[0][0];
+
+  return { code: parts.join("\n\n"), language, files: manifest };
+}
+
+/**
+ * File that holds a line range of the combined source
+ * @param {Array<Object>} files - Project manifest (buildProject().files)
+ * @param {number} startLine - 0-based start line in the combined source
+ * @param {number} endLine - 0-based end line in the combined source
+ * @returns {Object|null} { path, language, startLine, endLine (file-relative, 0-based), wholeFile }
+ */
+export function locateLines(files, startLine, endLine) {
+  const file = (files || []).find(
+    (entry) => startLine >= entry.startLine && startLine <= entry.endLine,
+  );
+  if (!file) return null;
+  return {
+    path: file.path,
+    language: file.language,
+    startLine: startLine - file.startLine,
+    endLine: Math.min(endLine, file.endLine) - file.startLine,
+    wholeFile: startLine === file.startLine && endLine === file.endLine,
+  };
+}
+
+/**
+ * Source of every project file, cut from the combined source by the manifest
+ * @param {string} code - Combined source (line positions kept, e.g. with starter lines blanked)
+ * @param {Array<Object>} files - Project manifest (buildProject().files)
+ * @returns {Array<Object>} [{ path, language, startLine, endLine, content }]
+ */
+export function splitProject(code, files) {
+  const lines = code.split("\n");
+  return files.map(({ path, language, startLine, endLine }) => ({
+    path,
+    language,
+    startLine,
+    endLine,
+    content: lines.slice(startLine, endLine + 1).join("\n"),
+  }));
+}
+
+/**
+ * Chunk every file with its own language
+ * Each file is a `file` chunk (unless trivial) whose children are the file's
+ * classes and functions; line ranges refer to the combined source.
+ * @param {Object} project - buildProject() result
+ * @returns {Array<Object>} Chunks with filePath and language
+ */
+export function chunkProject(project) {
+  const chunks = [];
+
+  splitProject(project.code, project.files).forEach((file) => {
+    const { content } = file;
+    const fileChunk = {
+      text: content,
+      type: "file",
+      name: file.path,
+      startLine: file.startLine,
+      endLine: file.endLine,
+    };
+    const keepFile = chunking.filterTrivialChunks([fileChunk]).length > 0;
+    const fileIndex = keepFile ? chunks.length : null;
+    if (keepFile) {
+      chunks.push({
+        ...fileChunk,
+        index: fileIndex,
+        parentIndex: null,
+        depth: 0,
+        filePath: file.path,
+        language: file.language,
+      });
+    }
+
+    // Definitions; a "whole" fallback chunk would repeat the file chunk
+    const base = chunks.length;
+    const fileChunks = chunking
+      .extractCodeChunks(content, file.language)
+      .filter((chunk) => chunk.type !== "whole");
+    fileChunks.forEach((chunk) => {
+      chunks.push({
+        ...chunk,
+        index: base + chunk.index,
+        parentIndex:
+          chunk.parentIndex != null ? base + chunk.parentIndex : fileIndex,
+        depth: chunk.depth + (keepFile ? 1 : 0),
+        startLine: chunk.startLine + file.startLine,
+        endLine: chunk.endLine + file.startLine,
+        filePath: file.path,
+        language: file.language,
+      });
+    });
+  });
+
+  return chunks;
+}
+
+export default {
+  MAX_PROJECT_FILES,
+  MAX_ARCHIVE_BYTES,
+  readZipArchive,
+  normalizeProjectFiles,
+  filesFromRequest,
+  buildProject,
+  locateLines,
+  splitProject,
+  chunkProject,
+};
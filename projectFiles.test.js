@@ -0,0 +1,239 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import * as projectFiles from "./projectFiles.js";
+
+/**
+ * Minimal zip writer: [{ name, content, deflate?, flags?, size? }] → Buffer.
+ * CRCs are left at 0 (readZipArchive does not check them); `size` overrides
+ * the declared uncompressed size.
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const raw = Buffer.from(entry.content ?? "", "utf8");
+    const data = entry.deflate ? zlib.deflateRawSync(raw) : raw;
+    const method = entry.deflate ? 8 : 0;
+    const size = entry.size ?? raw.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(entry.flags ?? 0, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(entry.flags ?? 0, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, data);
+    centrals.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/** Offset of the first central directory header */
+const centralOffset = (zip) => zip.readUInt32LE(zip.length - 22 + 16);
+
+const MAIN_JAVA = `public class Main {
+    public static void main(String[] args) {
+        System.out.println(Util.twice(21));
+    }
+}`;
+
+const UTIL_PY = `def twice(value):
+    result = value * 2
+    return result
+`;
+
+test("reads stored and deflated entries, skipping directories", () => {
+  const files = projectFiles.readZipArchive(
+    buildZip([
+      { name: "src/" },
+      { name: "src/Main.java", content: MAIN_JAVA },
+      { name: "src/util.py", content: UTIL_PY, deflate: true },
+      { name: "src/empty.py", content: "", deflate: true },
+    ]),
+  );
+  assert.deepEqual(files, [
+    { path: "src/Main.java", content: MAIN_JAVA },
+    { path: "src/util.py", content: UTIL_PY },
+    { path: "src/empty.py", content: "" },
+  ]);
+});
+
+test("rejects input that is not a zip archive", () => {
+  assert.throws(
+    () => projectFiles.readZipArchive(Buffer.from("not a zip at all, sorry!")),
+    /not a zip file/,
+  );
+  assert.throws(() => projectFiles.readZipArchive("zip"), /not a zip file/);
+});
+
+test("rejects crafted offsets and lengths instead of reading past the end", () => {
+  const zip = buildZip([{ name: "a.py", content: UTIL_PY }]);
+  const central = centralOffset(zip);
+
+  const farLocalHeader = Buffer.from(zip);
+  farLocalHeader.writeUInt32LE(zip.length + 100, central + 42);
+  assert.throws(
+    () => projectFiles.readZipArchive(farLocalHeader),
+    /truncated entry a\.py/,
+  );
+
+  const hugeData = Buffer.from(zip);
+  hugeData.writeUInt32LE(0x7fffffff, central + 20);
+  assert.throws(
+    () => projectFiles.readZipArchive(hugeData),
+    /truncated entry a\.py/,
+  );
+
+  const longName = Buffer.from(zip);
+  longName.writeUInt16LE(0xffff, central + 28);
+  assert.throws(
+    () => projectFiles.readZipArchive(longName),
+    /truncated central directory/,
+  );
+
+  const farDirectory = Buffer.from(zip);
+  farDirectory.writeUInt32LE(zip.length - 10, zip.length - 22 + 16);
+  assert.throws(
+    () => projectFiles.readZipArchive(farDirectory),
+    /truncated central directory/,
+  );
+});
+
+test("reports corrupt, encrypted and oversized entries", () => {
+  const corrupt = buildZip([{ name: "a.py", content: UTIL_PY, deflate: true }]);
+  const dataStart = 30 + "a.py".length;
+  corrupt.fill(0xff, dataStart, dataStart + 4);
+  assert.throws(
+    () => projectFiles.readZipArchive(corrupt),
+    /corrupt entry a\.py/,
+  );
+
+  assert.throws(
+    () =>
+      projectFiles.readZipArchive(
+        buildZip([{ name: "a.py", content: UTIL_PY, flags: 1 }]),
+      ),
+    /a\.py is encrypted/,
+  );
+
+  assert.throws(
+    () =>
+      projectFiles.readZipArchive(
+        buildZip([
+          {
+            name: "a.py",
+            content: UTIL_PY,
+            size: projectFiles.MAX_ARCHIVE_BYTES + 1,
+          },
+        ]),
+      ),
+    /bytes uncompressed/,
+  );
+});
+
+test("zip uploads drop the shared root folder and non-source files", () => {
+  const zip = buildZip([
+    { name: "project/src/Main.java", content: MAIN_JAVA },
+    { name: "project/util.py", content: UTIL_PY, deflate: true },
+    { name: "project/README.md", content: "# Notes" },
+    { name: "project/.git/config", content: "[core]" },
+    { name: "__MACOSX/project/._util.py", content: "junk" },
+  ]);
+  const files = projectFiles.filesFromRequest({
+    zip: zip.toString("base64"),
+  });
+  assert.deepEqual(
+    files.map((file) => [file.path, file.language]),
+    [
+      ["src/Main.java", "java"],
+      ["util.py", "python"],
+    ],
+  );
+});
+
+test("file maps are validated", () => {
+  assert.equal(projectFiles.filesFromRequest({ code: "x = 1" }), null);
+  assert.throws(
+    () =>
+      projectFiles.normalizeProjectFiles([
+        { path: "a.py", content: UTIL_PY },
+        { path: "./a.py", content: UTIL_PY },
+      ]),
+    /duplicate file a\.py/,
+  );
+  assert.throws(
+    () => projectFiles.normalizeProjectFiles({ "notes.txt": "   " }),
+    /no source files found/,
+  );
+});
+
+test("the combined source maps lines back to files", () => {
+  const project = projectFiles.buildProject(
+    projectFiles.normalizeProjectFiles({
+      "Main.java": MAIN_JAVA,
+      "util.py": UTIL_PY,
+    }),
+  );
+  assert.equal(project.language, "java");
+  assert.deepEqual(
+    project.files.map((f) => [f.path, f.startLine, f.endLine]),
+    [
+      ["Main.java", 0, 4],
+      ["util.py", 6, 8],
+    ],
+  );
+  assert.equal(project.code.split("\n")[6], "def twice(value):");
+
+  assert.deepEqual(projectFiles.locateLines(project.files, 7, 8), {
+    path: "util.py",
+    language: "python",
+    startLine: 1,
+    endLine: 2,
+    wholeFile: false,
+  });
+  assert.equal(projectFiles.locateLines(project.files, 5, 5), null);
+
+  const [, util] = projectFiles.splitProject(project.code, project.files);
+  assert.equal(util.content, UTIL_PY.trimEnd());
+});
+
+test("every file is chunked in its own language", () => {
+  const project = projectFiles.buildProject(
+    projectFiles.normalizeProjectFiles({
+      "Main.java": MAIN_JAVA,
+      "util.py": UTIL_PY,
+    }),
+  );
+  const chunks = projectFiles.chunkProject(project);
+  const twice = chunks.find((chunk) => chunk.name === "twice");
+  assert.equal(twice.language, "python");
+  assert.equal(twice.filePath, "util.py");
+  assert.equal(twice.startLine, 6);
+  assert.equal(chunks[twice.parentIndex].type, "file");
+  assert.ok(
+    chunks.some((chunk) => chunk.language === "java" && chunk.name === "Main"),
+  );
+});
@@ -3,19 +3,21 @@
 
 -- Table: submissions
 CREATE TABLE IF NOT EXISTS submissions (
-    id SERIAL PRIMARY KEY,
+    id VARCHAR(255) PRIMARY KEY,
     student_id VARCHAR(255) NOT NULL,
     question_id VARCHAR(255) NOT NULL,
+    exam_id VARCHAR(255),
+    language VARCHAR(50),
     code TEXT NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(student_id, question_id)
+    code_length INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Note: Vector tables cannot be created without pgvector extension
 -- You will need to enable pgvector on Railway to use the full system
 
 -- Indexes for faster lookups
-CREATE INDEX IF NOT EXISTS submissions_question_id_idx ON submissions(question_id);
+CREATE INDEX IF NOT EXISTS submissions_question_id_idx ON submissions(question_id, exam_id);
 CREATE INDEX IF NOT EXISTS submissions_student_id_idx ON submissions(student_id);
 
 -- Verify tables were created
@@ -0,0 +1,41 @@
+-- SQLite Schema for Semantic Code Plagiarism Detection
+-- Used when VECTOR_DB_PROVIDER=sqlite (applied automatically on startup)
+-- Embeddings are stored as little-endian Float32 BLOBs and searched with
+-- brute-force cosine similarity in sqliteStore.js (no extension required)
+
+PRAGMA foreign_keys = ON;
+
+-- Table: submissions (full source lives in the content store, see contentStore.js)
+-- tenant_id isolates tenants (see tenants.js); databases created before it
+-- existed get the column from sqliteStore.js, with every row in "default"
+CREATE TABLE IF NOT EXISTS submissions (
+    id TEXT PRIMARY KEY,
+    tenant_id TEXT NOT NULL DEFAULT 'default',
+    student_id TEXT NOT NULL,
+    question_id TEXT NOT NULL,
+    exam_id TEXT,
+    language TEXT,
+    content_ref TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    code_length INTEGER NOT NULL,
+    embedding BLOB NOT NULL,
+    embedding_norm REAL NOT NULL,
+    created_at INTEGER NOT NULL
+);
+
+-- Table: submission_chunks
+CREATE TABLE IF NOT EXISTS submission_chunks (
+    submission_id TEXT NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    chunk_text TEXT NOT NULL,
+    start_line INTEGER,
+    end_line INTEGER,
+    embedding BLOB NOT NULL,
+    embedding_norm REAL NOT NULL,
+    PRIMARY KEY (submission_id, chunk_index)
+);
+
+-- Indexes for the metadata filters applied before the cosine scan
+CREATE INDEX IF NOT EXISTS submissions_question_id_idx ON submissions(question_id, exam_id);
+CREATE INDEX IF NOT EXISTS submissions_tenant_question_idx ON submissions(tenant_id, question_id, exam_id);
+CREATE INDEX IF NOT EXISTS submissions_student_id_idx ON submissions(student_id);
@@ -1,25 +1,35 @@
 -- PostgreSQL Schema for Semantic Code Plagiarism Detection
 -- Requires PostgreSQL 12+ with pgvector extension
+-- Used when VECTOR_DB_PROVIDER=pgvector (applied automatically on startup)
 
 -- Enable pgvector extension
 CREATE EXTENSION IF NOT EXISTS vector;
 
 -- Table: submissions
--- Stores the original code submissions from students
+-- Stores submission metadata; the full source lives in the content store
+-- (contentStore.js) and is referenced by content_ref + content_hash
+-- id is the application-generated submission ID (e.g. alice_q1_1739123456789)
+-- tenant_id isolates tenants (see tenants.js); every query filters on it
 CREATE TABLE IF NOT EXISTS submissions (
-    id SERIAL PRIMARY KEY,
+    id VARCHAR(255) PRIMARY KEY,
+    tenant_id VARCHAR(255) NOT NULL DEFAULT 'default',
     student_id VARCHAR(255) NOT NULL,
     question_id VARCHAR(255) NOT NULL,
-    code TEXT NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(student_id, question_id)
+    exam_id VARCHAR(255),
+    language VARCHAR(50),
+    content_ref VARCHAR(255) NOT NULL,
+    content_hash CHAR(64) NOT NULL,
+    code_length INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Databases created before tenants existed: existing rows join the default tenant
+ALTER TABLE submissions ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(255) NOT NULL DEFAULT 'default';
+
 -- Table: submission_vectors
 -- Stores whole-submission embeddings (1536 dimensions for text-embedding-3-small)
 CREATE TABLE IF NOT EXISTS submission_vectors (
-    id SERIAL PRIMARY KEY,
-    submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+    submission_id VARCHAR(255) PRIMARY KEY REFERENCES submissions(id) ON DELETE CASCADE,
     embedding VECTOR(1536) NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -28,54 +38,60 @@ CREATE TABLE IF NOT EXISTS submission_vectors (
 -- Stores chunk-level embeddings (e.g., per function or code block)
 CREATE TABLE IF NOT EXISTS submission_chunks (
     id SERIAL PRIMARY KEY,
-    submission_id INTEGER NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+    submission_id VARCHAR(255) NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
     chunk_index INTEGER NOT NULL,
     chunk_text TEXT NOT NULL,
+    start_line INTEGER,
+    end_line INTEGER,
     embedding VECTOR(1536) NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(submission_id, chunk_index)
 );
 
 -- Indexes for efficient vector similarity search using cosine distance
--- Using ivfflat index for faster approximate nearest neighbor search
--- Note: For small datasets (<10k), you can skip indexes as seq scan may be faster
+-- HNSW (pgvector >= 0.5) needs no training data, so it can be created on empty
+-- tables at startup and stays accurate as submissions are added. The previous
+-- ivfflat indexes were built on empty tables (centroids fitted to nothing), which
+-- made filtered searches return too few matches; they are dropped here.
+-- hnsw.ef_search is raised per query by pgvectorStore.js so tenant/question
+-- filters applied after the index scan still leave enough candidates.
+DROP INDEX IF EXISTS submission_vectors_embedding_idx;
+DROP INDEX IF EXISTS submission_chunks_embedding_idx;
 
 -- Index for submission_vectors
-CREATE INDEX IF NOT EXISTS submission_vectors_embedding_idx 
-ON submission_vectors 
-USING ivfflat (embedding vector_cosine_ops)
-WITH (lists = 100);
+CREATE INDEX IF NOT EXISTS submission_vectors_embedding_hnsw_idx
+ON submission_vectors
+USING hnsw (embedding vector_cosine_ops);
 
 -- Index for submission_chunks
-CREATE INDEX IF NOT EXISTS submission_chunks_embedding_idx 
-ON submission_chunks 
-USING ivfflat (embedding vector_cosine_ops)
-WITH (lists = 100);
+CREATE INDEX IF NOT EXISTS submission_chunks_embedding_hnsw_idx
+ON submission_chunks
+USING hnsw (embedding vector_cosine_ops);
 
 -- Indexes for faster lookups
-CREATE INDEX IF NOT EXISTS submissions_question_id_idx ON submissions(question_id);
+CREATE INDEX IF NOT EXISTS submissions_question_id_idx ON submissions(question_id, exam_id);
+CREATE INDEX IF NOT EXISTS submissions_tenant_question_idx ON submissions(tenant_id, question_id, exam_id);
 CREATE INDEX IF NOT EXISTS submissions_student_id_idx ON submissions(student_id);
-CREATE INDEX IF NOT EXISTS submission_vectors_submission_id_idx ON submission_vectors(submission_id);
 CREATE INDEX IF NOT EXISTS submission_chunks_submission_id_idx ON submission_chunks(submission_id);
 
 -- Sample query examples:
--- 
+--
 -- Find top 5 similar submissions using cosine distance:
--- SELECT 
+-- SELECT
 --     s.id, s.student_id, s.question_id,
 --     1 - (sv.embedding <=> $1::vector) as similarity
 -- FROM submission_vectors sv
 -- JOIN submissions s ON s.id = sv.submission_id
--- WHERE s.question_id = $2
+-- WHERE s.tenant_id = $3 AND s.question_id = $2
 -- ORDER BY sv.embedding <=> $1::vector
 -- LIMIT 5;
 --
 -- Find similar chunks:
--- SELECT 
+-- SELECT
 --     s.id, s.student_id, sc.chunk_text,
 --     1 - (sc.embedding <=> $1::vector) as similarity
 -- FROM submission_chunks sc
 -- JOIN submissions s ON s.id = sc.submission_id
--- WHERE s.question_id = $2
+-- WHERE s.tenant_id = $3 AND s.question_id = $2
 -- ORDER BY sc.embedding <=> $1::vector
 -- LIMIT 5;
-
@@ -6,14 +6,95 @@
 
 import * as codeNormalizer from './codeNormalizer.js';
 
+/**
+ * Default weight of each detection method in the combined score. Weights are
+ * relative: they are divided by the sum of the weights of the methods that ran.
+ */
+export const DEFAULT_WEIGHTS = {
+  semantic_embeddings: 0.25,
+  copydetect: 0.50,          // strongest single signal of copying
+  treesitter: 0.25,          // AST structure
+  gst: 0.25,                 // local Greedy String Tiling (structural)
+  difflib: 0                 // excluded from final similarity
+};
+
+/**
+ * Default scoring profile: every tunable number of the scoring pipeline.
+ * Stored profiles (scoringProfiles.js) are complete copies of this shape.
+ */
+export const DEFAULT_SCORING_PROFILE = {
+  weights: DEFAULT_WEIGHTS,
+  // Default plagiarism threshold on the overall score
+  similarityThreshold: 0.75,
+  // Raw cosine mapped to 0% by vectorDb.calibrateScore (null: embedding provider's)
+  similarityBaseline: null,
+  // First band whose minScore and minMethods are met wins; else 'very_low'
+  confidenceBands: [
+    { level: 'very_high', minScore: 0.90, minMethods: 3 },
+    { level: 'high', minScore: 0.85, minMethods: 2 },
+    { level: 'high', minScore: 0.75, minMethods: 0 },
+    { level: 'medium', minScore: 0.65, minMethods: 0 },
+    { level: 'low', minScore: 0.50, minMethods: 0 }
+  ],
+  // Rules of classifyPlagiarismType ("Min": at least, "Below": less than)
+  classification: {
+    structuralDifferenceBelow: 0.85, // structural penalty factor
+    exact_copy: { copyMin: 0.95, astMin: 0.95, difflibMin: 0.90 },
+    variable_rename: { astMin: 0.90, copyMin: 0.80, difflibBelow: 0.70 },
+    structural_similarity: { astMin: 0.80, embeddingMin: 0.75, copyBelow: 0.70 },
+    different_implementation: { embeddingMin: 0.70 },
+    template_code: { embeddingMin: 0.85, astBelow: 0.60, copyBelow: 0.60 },
+    logic_transformation: { embeddingMin: 0.70, astBelow: 0.65, copyOrDifflibBelow: 0.60 },
+    lowSimilarityBelow: 0.50
+  },
+  // Local verdict of /api/check: best embedding similarity → high / medium / low
+  riskBands: { high: 0.85, medium: 0.75 },
+  // Score multiplier by function-count difference; first tier reached wins, else 1.0
+  structuralPenalty: codeNormalizer.STRUCTURAL_PENALTY_TIERS
+};
+
+/**
+ * Complete a (partial) scoring profile with another one. Weights, riskBands
+ * and classification rules are merged field by field; confidenceBands and
+ * structuralPenalty tiers are replaced as a whole.
+ * @param {Object} [overrides] - Partial profile
+ * @param {Object} [base] - Complete profile (default: DEFAULT_SCORING_PROFILE)
+ * @returns {Object} Complete profile
+ */
+export function mergeScoringProfile(overrides = {}, base = DEFAULT_SCORING_PROFILE) {
+  const classification = { ...base.classification };
+  Object.entries(overrides?.classification || {}).forEach(([rule, value]) => {
+    classification[rule] = value !== null && typeof value === 'object'
+      ? { ...classification[rule], ...value }
+      : value;
+  });
+  return {
+    ...base,
+    ...overrides,
+    weights: { ...base.weights, ...(overrides?.weights || {}) },
+    confidenceBands: overrides?.confidenceBands || base.confidenceBands,
+    structuralPenalty: overrides?.structuralPenalty || base.structuralPenalty,
+    classification,
+    riskBands: { ...base.riskBands, ...(overrides?.riskBands || {}) }
+  };
+}
+
 /**
  * Calculate weighted plagiarism score from multiple detection methods
  * 
- * SCORING WEIGHTS (difflib excluded — 0% weight):
- * - Semantic Embeddings: 25%
- * - CopyDetect: 25%
- * - Tree-Sitter AST: 50% (best at detecting structural differences)
- * - Difflib: 0% (excluded from final similarity)
+ * DEFAULT WEIGHTS (options.profile.weights overrides them; difflib excluded):
+ * - Semantic Embeddings: 0.25
+ * - CopyDetect: 0.50
+ * - Tree-Sitter AST: 0.25
+ * - Greedy String Tiling: 0.25 (local token tiling, structural like Tree-Sitter)
+ * - Difflib: 0 (excluded from final similarity)
+ * 
+ * Weights are normalized over the methods that actually ran, so the local GST
+ * signal keeps a structural component in the score when treesitter is unavailable.
+ * 
+ * The copydetect slot takes the higher of the remote `copydetect` tool and the
+ * local `winnowing` fingerprint detector, so copy detection still counts when
+ * the external service is down.
  * 
  * STRUCTURAL PENALTY:
  * - Applied when function/class decomposition differs significantly
@@ -23,7 +104,7 @@ import * as codeNormalizer from './codeNormalizer.js';
  * 
  * @param {Object} localResult - Local embedding results
  * @param {Object} externalResult - External API tool results
- * @param {Object} options - Additional options (currentCode, comparedCode, language)
+ * @param {Object} options - Additional options (currentCode, comparedCode, language, profile)
  * @returns {Object} Weighted score with breakdown
  */
 export function calculateWeightedScore(localResult, externalResult, options = {}) {
@@ -31,23 +112,24 @@ export function calculateWeightedScore(localResult, externalResult, options = {}
     semantic_embeddings: 0,
     copydetect: 0,
     treesitter: 0,
+    gst: 0,
     difflib: 0
   };
   
-  const weights = {
-    semantic_embeddings: 0.25, // 25%
-    copydetect: 0.50,          // 25%
-    treesitter: 0.25,          // 50% - best at detecting structural differences
-    difflib: 0                 // 0% - excluded from final similarity
-  };
+  const profile = mergeScoringProfile(options.profile);
+  const weights = profile.weights;
   
   const available = {
     semantic_embeddings: false,
     copydetect: false,
     treesitter: false,
+    gst: false,
     difflib: false
   };
   
+  // Which tool supplied the copydetect score ('copydetect' or 'winnowing')
+  let copydetectSource = null;
+  
   // 1. Semantic Embeddings Score (Local)
   // Note: Even if maxSimilarity is 0, it means embeddings ran but found no matches above threshold
   // This is different from embeddings not running at all
@@ -67,12 +149,19 @@ export function calculateWeightedScore(localResult, externalResult, options = {}
       
       const maxSim = Math.max(...comp.results.map(r => r.similarity || 0));
       
-      if (comp.tool === 'copydetect') {
-        scores.copydetect = Math.max(0, Math.min(1, maxSim));
+      if (comp.tool === 'copydetect' || comp.tool === 'winnowing') {
+        const copyScore = Math.max(0, Math.min(1, maxSim));
+        if (!available.copydetect || copyScore > scores.copydetect) {
+          scores.copydetect = copyScore;
+          copydetectSource = comp.tool;
+        }
         available.copydetect = true;
       } else if (comp.tool.startsWith('treesitter')) {
         scores.treesitter = Math.max(0, Math.min(1, maxSim));
         available.treesitter = true;
+      } else if (comp.tool === 'gst') {
+        scores.gst = Math.max(0, Math.min(1, maxSim));
+        available.gst = true;
       } else if (comp.tool === 'difflib') {
         scores.difflib = Math.max(0, Math.min(1, maxSim));
         available.difflib = true;
@@ -101,24 +190,19 @@ export function calculateWeightedScore(localResult, externalResult, options = {}
     const penaltyResult = codeNormalizer.calculateStructuralPenalty(
       options.currentCode,
       options.comparedCode,
-      options.language
+      options.language,
+      profile.structuralPenalty
     );
     structuralPenalty = penaltyResult.penaltyFactor;
     penaltyDetails = penaltyResult;
     overallScore = overallScore * structuralPenalty;
     // Log penalty details for debugging
-    const { funcDiff, struct1, struct2 } = penaltyResult;
+    const { funcDiff, tier, struct1, struct2 } = penaltyResult;
     console.log(`[Scoring] Structural penalty applied: ${(structuralPenalty * 100).toFixed(0)}% multiplier (${(100 - structuralPenalty * 100).toFixed(0)}% penalty)`);
     console.log(`[Scoring]   Reason: funcDiff=${funcDiff} (Code1: ${struct1.functions} functions, Code2: ${struct2.functions} functions)`);
-    if (funcDiff >= 3) {
-      console.log(`[Scoring]   Tier: funcDiff>=3 → 70% penalty (modular vs monolithic)`);
-    } else if (funcDiff === 2) {
-      console.log(`[Scoring]   Tier: funcDiff=2 → 50% penalty`);
-    } else if (funcDiff === 1) {
-      console.log(`[Scoring]   Tier: funcDiff=1 → 25% penalty`);
-    } else {
-      console.log(`[Scoring]   Tier: funcDiff=0 → no penalty`);
-    }
+    console.log(tier
+      ? `[Scoring]   Tier: funcDiff>=${tier.minFunctionDiff} → ${Math.round((1 - tier.factor) * 100)}% penalty`
+      : `[Scoring]   Tier: none reached → no penalty`);
   }
   
   // Calculate method count
@@ -138,7 +222,8 @@ export function calculateWeightedScore(localResult, externalResult, options = {}
         score: scores.copydetect,
         weight: weights.copydetect,
         contribution: available.copydetect ? scores.copydetect * weights.copydetect : 0,
-        available: available.copydetect
+        available: available.copydetect,
+        source: copydetectSource
       },
       treesitter: {
         score: scores.treesitter,
@@ -146,6 +231,12 @@ export function calculateWeightedScore(localResult, externalResult, options = {}
         contribution: available.treesitter ? scores.treesitter * weights.treesitter : 0,
         available: available.treesitter
       },
+      gst: {
+        score: scores.gst,
+        weight: weights.gst,
+        contribution: available.gst ? scores.gst * weights.gst : 0,
+        available: available.gst
+      },
       difflib: {
         score: scores.difflib,
         weight: weights.difflib,
@@ -154,7 +245,8 @@ export function calculateWeightedScore(localResult, externalResult, options = {}
       }
     },
     methodCount,
-    confidence: calculateConfidence(overallScore, methodCount)
+    confidence: calculateConfidence(overallScore, methodCount, profile.confidenceBands),
+    profile
   };
 }
 
@@ -162,15 +254,12 @@ export function calculateWeightedScore(localResult, externalResult, options = {}
  * Calculate confidence level based on score and method agreement
  * @param {number} score - Overall plagiarism score
  * @param {number} methodCount - Number of methods that detected similarity
+ * @param {Array<Object>} [bands] - Scoring profile confidenceBands
  * @returns {string} Confidence level
  */
-function calculateConfidence(score, methodCount) {
-  if (score >= 0.90 && methodCount >= 3) return 'very_high';
-  if (score >= 0.85 && methodCount >= 2) return 'high';
-  if (score >= 0.75) return 'high';
-  if (score >= 0.65) return 'medium';
-  if (score >= 0.50) return 'low';
-  return 'very_low';
+function calculateConfidence(score, methodCount, bands = DEFAULT_SCORING_PROFILE.confidenceBands) {
+  const band = bands.find(b => score >= b.minScore && methodCount >= (b.minMethods || 0));
+  return band ? band.level : 'very_low';
 }
 
 /**
@@ -182,17 +271,23 @@ function calculateConfidence(score, methodCount) {
  */
 export function classifyPlagiarismType(scoreBreakdown) {
   const { breakdown, overallScore, structuralPenalty } = scoreBreakdown;
+  const rules = (scoreBreakdown.profile || DEFAULT_SCORING_PROFILE).classification;
   
   const embedding = breakdown.semantic_embeddings.score;
   const copy = breakdown.copydetect.score;
-  const ast = breakdown.treesitter.score;
+  // Structural score: best of the available AST (treesitter) and token-tiling (gst) signals
+  const structuralScores = [breakdown.treesitter, breakdown.gst]
+    .filter(method => method?.available)
+    .map(method => method.score);
+  const ast = structuralScores.length > 0 ? Math.max(...structuralScores) : breakdown.treesitter.score;
   const diff = breakdown.difflib.score;
   
   // Check if structural penalty was applied (codes have different organization)
-  const hasStructuralDifference = structuralPenalty < 0.85;
+  const hasStructuralDifference = structuralPenalty < rules.structuralDifferenceBelow;
   
   // Exact/Near-Exact Copy
-  if (copy >= 0.95 && ast >= 0.95 && diff >= 0.90) {
+  const exact = rules.exact_copy;
+  if (copy >= exact.copyMin && ast >= exact.astMin && diff >= exact.difflibMin) {
     return {
       type: 'exact_copy',
       severity: 'critical',
@@ -201,7 +296,8 @@ export function classifyPlagiarismType(scoreBreakdown) {
   }
   
   // Variable Renaming / Cosmetic Changes
-  if (ast >= 0.90 && copy >= 0.80 && diff < 0.70) {
+  const rename = rules.variable_rename;
+  if (ast >= rename.astMin && copy >= rename.copyMin && diff < rename.difflibBelow) {
     return {
       type: 'variable_rename',
       severity: 'high',
@@ -210,7 +306,8 @@ export function classifyPlagiarismType(scoreBreakdown) {
   }
   
   // Structural Similarity (same algorithm, different implementation)
-  if (ast >= 0.80 && embedding >= 0.75 && copy < 0.70) {
+  const structural = rules.structural_similarity;
+  if (ast >= structural.astMin && embedding >= structural.embeddingMin && copy < structural.copyBelow) {
     return {
       type: 'structural_similarity',
       severity: 'medium',
@@ -220,7 +317,7 @@ export function classifyPlagiarismType(scoreBreakdown) {
   
   // Different Implementation (semantically similar but structurally different)
   // This catches cases where logic is similar but organization differs (3 functions vs 1)
-  if (hasStructuralDifference && embedding >= 0.70) {
+  if (hasStructuralDifference && embedding >= rules.different_implementation.embeddingMin) {
     return {
       type: 'different_implementation',
       severity: 'low',
@@ -229,7 +326,8 @@ export function classifyPlagiarismType(scoreBreakdown) {
   }
   
   // Template/Skeleton Code
-  if (embedding >= 0.85 && ast < 0.60 && copy < 0.60) {
+  const template = rules.template_code;
+  if (embedding >= template.embeddingMin && ast < template.astBelow && copy < template.copyBelow) {
     return {
       type: 'template_code',
       severity: 'low',
@@ -238,7 +336,9 @@ export function classifyPlagiarismType(scoreBreakdown) {
   }
   
   // Logic Transformation (recursive ↔ iterative)
-  if (embedding >= 0.70 && ast < 0.65 && (copy < 0.60 || diff < 0.60)) {
+  const transform = rules.logic_transformation;
+  if (embedding >= transform.embeddingMin && ast < transform.astBelow &&
+      (copy < transform.copyOrDifflibBelow || diff < transform.copyOrDifflibBelow)) {
     return {
       type: 'logic_transformation',
       severity: 'medium',
@@ -247,7 +347,7 @@ export function classifyPlagiarismType(scoreBreakdown) {
   }
   
   // Low Similarity
-  if (overallScore < 0.50) {
+  if (overallScore < rules.lowSimilarityBelow) {
     return {
       type: 'different_implementation',
       severity: 'none',
@@ -270,7 +370,7 @@ export function classifyPlagiarismType(scoreBreakdown) {
  * @param {Object} localResult - Local results with maxSimilarity
  * @param {Object} externalResult - External API results
  * @param {number} threshold - Detection threshold (default 0.75)
- * @param {Object} options - Additional options (currentCode, comparedCode, language)
+ * @param {Object} options - Additional options (currentCode, comparedCode, language, profile)
  * @returns {Object} Final report
  */
 export function generatePlagiarismReport(localResult, externalResult, threshold = 0.75, options = {}) {
@@ -295,7 +395,7 @@ export function generatePlagiarismReport(localResult, externalResult, threshold
   if (scoreData.breakdown.copydetect.available) {
     detectionMethods.push('copydetect');
     reasoning.push(
-      `Copy detection: ${(scoreData.breakdown.copydetect.score * 100).toFixed(1)}%`
+      `Copy detection: ${(scoreData.breakdown.copydetect.score * 100).toFixed(1)}% (${scoreData.breakdown.copydetect.source})`
     );
   }
   
@@ -306,6 +406,13 @@ export function generatePlagiarismReport(localResult, externalResult, threshold
     );
   }
   
+  if (scoreData.breakdown.gst.available) {
+    detectionMethods.push('greedy_string_tiling');
+    reasoning.push(
+      `Token tiling (GST): ${(scoreData.breakdown.gst.score * 100).toFixed(1)}%`
+    );
+  }
+  
   if (scoreData.breakdown.difflib.available) {
     detectionMethods.push('difflib');
     reasoning.push(
@@ -355,6 +462,9 @@ export function generatePlagiarismReport(localResult, externalResult, threshold
 }
 
 export default {
+  DEFAULT_WEIGHTS,
+  DEFAULT_SCORING_PROFILE,
+  mergeScoringProfile,
   calculateWeightedScore,
   classifyPlagiarismType,
   generatePlagiarismReport
@@ -0,0 +1,87 @@
+import './testEnv.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as scoringEngine from './scoringEngine.js';
+import { calculateStructuralPenalty, STRUCTURAL_PENALTY_TIERS } from './codeNormalizer.js';
+
+const MODULAR = `def read():
+    return input()
+
+def parse(text):
+    return int(text)
+
+def main():
+    print(parse(read()))
+`;
+
+const MONOLITHIC = `def main():
+    print(int(input()))
+`;
+
+const external = (...comparisons) => ({ comparisons });
+const tool = (name, similarity) => ({ tool: name, available: true, results: [{ similarity }] });
+
+test('mergeScoringProfile merges weights and replaces band and tier lists', () => {
+  const merged = scoringEngine.mergeScoringProfile({
+    weights: { gst: 1 },
+    riskBands: { high: 0.9 },
+    structuralPenalty: [],
+    classification: { exact_copy: { copyMin: 0.99 } }
+  });
+  assert.equal(merged.weights.gst, 1);
+  assert.equal(merged.weights.copydetect, scoringEngine.DEFAULT_WEIGHTS.copydetect);
+  assert.deepEqual(merged.riskBands, { high: 0.9, medium: 0.75 });
+  assert.deepEqual(merged.structuralPenalty, []);
+  assert.equal(merged.classification.exact_copy.copyMin, 0.99);
+  assert.equal(merged.classification.exact_copy.astMin, 0.95);
+  assert.equal(scoringEngine.mergeScoringProfile().structuralPenalty, STRUCTURAL_PENALTY_TIERS);
+});
+
+test('weights are normalized over the methods that ran', () => {
+  const result = scoringEngine.calculateWeightedScore(
+    { maxSimilarity: 0.5 },
+    external(tool('winnowing', 1), tool('copydetect', 0.2))
+  );
+  // (0.5 * 0.25 + 1 * 0.5) / 0.75
+  assert.ok(Math.abs(result.overallScore - 0.625 / 0.75) < 1e-9);
+  assert.equal(result.breakdown.copydetect.source, 'winnowing');
+  assert.equal(result.methodCount, 2);
+});
+
+test('the structural penalty uses the first tier reached', () => {
+  assert.equal(calculateStructuralPenalty(MODULAR, MONOLITHIC, 'python').funcDiff, 2);
+  assert.equal(calculateStructuralPenalty(MODULAR, MONOLITHIC, 'python').penaltyFactor, 0.5);
+  assert.equal(calculateStructuralPenalty(MODULAR, MODULAR, 'python').tier, null);
+
+  const custom = calculateStructuralPenalty(MODULAR, MONOLITHIC, 'python', [
+    { minFunctionDiff: 5, factor: 0 },
+    { minFunctionDiff: 2, factor: 0.9 }
+  ]);
+  assert.equal(custom.penaltyFactor, 0.9);
+  assert.deepEqual(custom.tier, { minFunctionDiff: 2, factor: 0.9 });
+});
+
+test('profiles set the structural penalty tiers of the weighted score', () => {
+  const score = profile => scoringEngine.calculateWeightedScore(
+    { maxSimilarity: 1 },
+    external(),
+    { currentCode: MODULAR, comparedCode: MONOLITHIC, language: 'python', profile }
+  );
+  assert.equal(score().structuralPenalty, 0.5);
+  assert.equal(score().overallScore, 0.5);
+  assert.equal(score({ structuralPenalty: [] }).structuralPenalty, 1);
+  assert.equal(score({ structuralPenalty: [{ minFunctionDiff: 1, factor: 0.2 }] }).overallScore, 0.2);
+});
+
+test('confidence bands come from the profile', () => {
+  const result = scoringEngine.calculateWeightedScore(
+    { maxSimilarity: 0.6 },
+    external(),
+    { profile: { confidenceBands: [{ level: 'high', minScore: 0.5, minMethods: 1 }] } }
+  );
+  assert.equal(result.confidence, 'high');
+  assert.equal(
+    scoringEngine.calculateWeightedScore({ maxSimilarity: 0.6 }, external()).confidence,
+    'low'
+  );
+});
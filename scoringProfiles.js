@@ -0,0 +1,692 @@
+/**
+ * Scoring Profiles Module
+ * Lets every course tune detection without code changes. A scoring profile
+ * holds every number of the scoring pipeline (scoringEngine.js
+ * DEFAULT_SCORING_PROFILE): method weights, default similarity threshold,
+ * cosine calibration baseline, confidence bands, classification rules, the
+ * local verdict's risk bands and the structural penalty tiers.
+ *
+ * Profiles are named per tenant and versioned: saving a profile adds a new
+ * version and keeps the old ones, so a stored check can always be scored
+ * again with the exact profile version it reports.
+ *
+ * Profile in effect for a request, first match wins:
+ *   1. the profile the request names ("strict" = latest, "strict@2" = version 2)
+ *   2. the profile assigned to the question in the request's exam
+ *   3. the profile assigned to the question (every exam)
+ *   4. the profile assigned to the tenant
+ *   5. "builtin": the defaults with the tenant config's similarityThreshold
+ *      and weights (tenants.js)
+ *
+ * The builtin profile is versioned too: whenever the tenant config or the
+ * defaults change what it holds, the next resolution records a new version,
+ * so "builtin@N" keeps scoring the way it did.
+ *
+ * Backend is chosen with SCORING_PROFILE_STORE_PROVIDER:
+ *   - "fs" (default): one JSON file per profile (all versions) and one
+ *     assignments file per tenant under SCORING_PROFILE_STORE_DIR/<tenant>
+ *   - "memory": in-process Maps (tests and demos)
+ */
+
+import fs from "fs";
+import path from "path";
+import { isDeepStrictEqual } from "util";
+import dotenv from "dotenv";
+import {
+  DEFAULT_SCORING_PROFILE,
+  mergeScoringProfile,
+} from "./scoringEngine.js";
+import { DEFAULT_TENANT, getTenantConfig } from "./tenants.js";
+
+dotenv.config();
+
+export const SCORING_PROFILE_STORE_PROVIDER = (
+  process.env.SCORING_PROFILE_STORE_PROVIDER || "fs"
+)
+  .trim()
+  .toLowerCase();
+const SCORING_PROFILE_STORE_DIR = path.resolve(
+  process.env.SCORING_PROFILE_STORE_DIR || "data/scoring-profiles",
+);
+
+// Name of the defaults; cannot be stored
+export const BUILTIN_PROFILE = "builtin";
+// Where the builtin profile's versions are recorded ("_" never starts a profile name)
+const BUILTIN_RECORD = "_builtin";
+
+// Same alphabet as tenant ids (used in file names)
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const CONFIDENCE_LEVELS = ["very_high", "high", "medium", "low"];
+
+const memoryProfiles = new Map();
+const memoryAssignments = new Map();
+// Saves of one profile run in order, so concurrent saves never share a version
+const locks = new Map();
+
+function tenantDir(tenantId) {
+  return path.join(SCORING_PROFILE_STORE_DIR, tenantId);
+}
+
+function profilePath(tenantId, name) {
+  return path.join(tenantDir(tenantId), `${name}.json`);
+}
+
+// "_" cannot start a profile name, so this never clashes with a profile
+function assignmentsPath(tenantId) {
+  return path.join(tenantDir(tenantId), "_assignments.json");
+}
+
+function withLock(key, task) {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.then(task, task);
+  const settled = run.catch(() => {});
+  locks.set(key, settled);
+  settled.then(() => {
+    if (locks.get(key) === settled) locks.delete(key);
+  });
+  return run;
+}
+
+async function readJson(file, memory, key) {
+  if (SCORING_PROFILE_STORE_PROVIDER === "memory") {
+    const stored = memory.get(key);
+    return stored ? structuredClone(stored) : null;
+  }
+  try {
+    return JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Scoring Profile Store Read Error]", error.message);
+    }
+    return null;
+  }
+}
+
+async function writeJson(file, memory, key, record) {
+  if (SCORING_PROFILE_STORE_PROVIDER === "memory") {
+    memory.set(key, structuredClone(record));
+    return;
+  }
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  // Write to a temp file and rename so readers never see a partial file
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempFile, JSON.stringify(record), "utf8");
+  await fs.promises.rename(tempFile, file);
+}
+
+function readProfile(tenantId, name) {
+  return readJson(
+    profilePath(tenantId, name),
+    memoryProfiles,
+    `${tenantId}/${name}`,
+  );
+}
+
+function writeProfile(record) {
+  return writeJson(
+    profilePath(record.tenantId, record.name),
+    memoryProfiles,
+    `${record.tenantId}/${record.name}`,
+    record,
+  );
+}
+
+/**
+ * Parse a profile reference: "strict" (latest version) or "strict@2"
+ * @param {string} value - Profile name, optionally with @version
+ * @returns {Object|null} { name, version } (version null: latest), or null when none was given
+ */
+export function parseProfileRef(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const [rawName, rawVersion, ...rest] = String(value)
+    .trim()
+    .toLowerCase()
+    .split("@");
+  const version = rawVersion === undefined ? null : Number(rawVersion);
+  if (
+    rest.length > 0 ||
+    !PROFILE_NAME_PATTERN.test(rawName) ||
+    (version !== null && (!Number.isInteger(version) || version < 1))
+  ) {
+    throw new Error(
+      `Invalid scoring profile "${value}": use a name of letters, digits, "-" or "_", optionally with @version`,
+    );
+  }
+  return { name: rawName, version };
+}
+
+function validateUnit(name, value, { nullable = false } = {}) {
+  if (value === null && nullable) return null;
+  const number = Number(value);
+  if (
+    value === null ||
+    typeof value === "boolean" ||
+    !Number.isFinite(number) ||
+    number < 0 ||
+    number > 1
+  ) {
+    throw new Error(
+      `Invalid scoring profile: ${name} must be a number between 0 and 1`,
+    );
+  }
+  return number;
+}
+
+function requireObject(name, value) {
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error(`Invalid scoring profile: ${name} must be an object`);
+  }
+}
+
+function rejectUnknown(name, value, allowed) {
+  const unknown = Object.keys(value).filter((key) => !(key in allowed));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid scoring profile: unknown ${name} ${unknown.join(", ")}. Use: ${Object.keys(allowed).join(", ")}`,
+    );
+  }
+}
+
+function validateWeights(weights) {
+  requireObject("weights", weights);
+  rejectUnknown("weights", weights, DEFAULT_SCORING_PROFILE.weights);
+  const validated = {};
+  Object.entries(weights).forEach(([method, value]) => {
+    const number = Number(value);
+    if (typeof value === "boolean" || !Number.isFinite(number) || number < 0) {
+      throw new Error(
+        `Invalid scoring profile: weight "${method}" must be a number >= 0`,
+      );
+    }
+    validated[method] = number;
+  });
+  return validated;
+}
+
+function validateConfidenceBands(bands) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error(
+      "Invalid scoring profile: confidenceBands must be a non-empty array",
+    );
+  }
+  return bands.map((band, i) => {
+    requireObject(`confidenceBands[${i}]`, band);
+    rejectUnknown(`confidenceBands[${i}] fields`, band, {
+      level: true,
+      minScore: true,
+      minMethods: true,
+    });
+    if (!CONFIDENCE_LEVELS.includes(band.level)) {
+      throw new Error(
+        `Invalid scoring profile: confidenceBands[${i}].level must be one of ${CONFIDENCE_LEVELS.join(", ")}`,
+      );
+    }
+    const minMethods = band.minMethods ?? 0;
+    if (!Number.isInteger(minMethods) || minMethods < 0) {
+      throw new Error(
+        `Invalid scoring profile: confidenceBands[${i}].minMethods must be an integer >= 0`,
+      );
+    }
+    return {
+      level: band.level,
+      minScore: validateUnit(`confidenceBands[${i}].minScore`, band.minScore),
+      minMethods,
+    };
+  });
+}
+
+function validateStructuralPenalty(tiers) {
+  if (!Array.isArray(tiers)) {
+    throw new Error(
+      "Invalid scoring profile: structuralPenalty must be an array (empty: no penalty)",
+    );
+  }
+  return tiers.map((tier, i) => {
+    requireObject(`structuralPenalty[${i}]`, tier);
+    rejectUnknown(`structuralPenalty[${i}] fields`, tier, {
+      minFunctionDiff: true,
+      factor: true,
+    });
+    if (!Number.isInteger(tier.minFunctionDiff) || tier.minFunctionDiff < 1) {
+      throw new Error(
+        `Invalid scoring profile: structuralPenalty[${i}].minFunctionDiff must be an integer >= 1`,
+      );
+    }
+    return {
+      minFunctionDiff: tier.minFunctionDiff,
+      factor: validateUnit(`structuralPenalty[${i}].factor`, tier.factor),
+    };
+  });
+}
+
+function validateClassification(classification) {
+  requireObject("classification", classification);
+  const defaults = DEFAULT_SCORING_PROFILE.classification;
+  rejectUnknown("classification rules", classification, defaults);
+  const validated = {};
+  Object.entries(classification).forEach(([rule, value]) => {
+    if (typeof defaults[rule] === "number") {
+      validated[rule] = validateUnit(`classification.${rule}`, value);
+      return;
+    }
+    requireObject(`classification.${rule}`, value);
+    rejectUnknown(`classification.${rule} fields`, value, defaults[rule]);
+    validated[rule] = Object.fromEntries(
+      Object.entries(value).map(([field, limit]) => [
+        field,
+        validateUnit(`classification.${rule}.${field}`, limit),
+      ]),
+    );
+  });
+  return validated;
+}
+
+/**
+ * Validate a (partial) scoring profile
+ * @param {Object} profile - Fields of DEFAULT_SCORING_PROFILE to set
+ * @returns {Object} Validated fields (only those given)
+ */
+export function validateScoringProfile(profile) {
+  requireObject("profile", profile);
+  rejectUnknown("fields", profile, DEFAULT_SCORING_PROFILE);
+
+  const validated = {};
+  if ("weights" in profile)
+    validated.weights = validateWeights(profile.weights);
+  if ("similarityThreshold" in profile) {
+    validated.similarityThreshold = validateUnit(
+      "similarityThreshold",
+      profile.similarityThreshold,
+    );
+  }
+  if ("similarityBaseline" in profile) {
+    validated.similarityBaseline = validateUnit(
+      "similarityBaseline",
+      profile.similarityBaseline,
+      { nullable: true },
+    );
+    if (validated.similarityBaseline === 1) {
+      throw new Error(
+        "Invalid scoring profile: similarityBaseline must be below 1",
+      );
+    }
+  }
+  if ("confidenceBands" in profile) {
+    validated.confidenceBands = validateConfidenceBands(
+      profile.confidenceBands,
+    );
+  }
+  if ("classification" in profile) {
+    validated.classification = validateClassification(profile.classification);
+  }
+  if ("structuralPenalty" in profile) {
+    validated.structuralPenalty = validateStructuralPenalty(
+      profile.structuralPenalty,
+    );
+  }
+  if ("riskBands" in profile) {
+    requireObject("riskBands", profile.riskBands);
+    rejectUnknown(
+      "riskBands",
+      profile.riskBands,
+      DEFAULT_SCORING_PROFILE.riskBands,
+    );
+    validated.riskBands = Object.fromEntries(
+      Object.entries(profile.riskBands).map(([band, value]) => [
+        band,
+        validateUnit(`riskBands.${band}`, value),
+      ]),
+    );
+  }
+  return validated;
+}
+
+// Checks that only make sense on the complete profile
+function validateComplete(profile) {
+  if (!Object.values(profile.weights).some((value) => value > 0)) {
+    throw new Error("Invalid scoring profile: at least one weight must be > 0");
+  }
+  if (profile.riskBands.high < profile.riskBands.medium) {
+    throw new Error(
+      "Invalid scoring profile: riskBands.high must be >= riskBands.medium",
+    );
+  }
+  return profile;
+}
+
+/**
+ * Profile used when none is named or assigned: the defaults with the tenant
+ * config's similarityThreshold and weights
+ * @param {string} [tenantId] - Tenant ID
+ * @returns {Promise<Object>} Complete profile
+ */
+export async function getBuiltinProfile(tenantId = DEFAULT_TENANT) {
+  const config = await getTenantConfig(tenantId);
+  return mergeScoringProfile({
+    similarityThreshold: config.similarityThreshold,
+    ...(config.weights ? { weights: config.weights } : {}),
+  });
+}
+
+/**
+ * Recorded versions of the builtin profile, adding a version when the builtin
+ * profile no longer matches the latest one
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object>} Profile record with versions
+ */
+async function builtinRecord(tenantId) {
+  const profile = await getBuiltinProfile(tenantId);
+  const isCurrent = (record) =>
+    record &&
+    isDeepStrictEqual(
+      record.versions[record.versions.length - 1].profile,
+      profile,
+    );
+
+  const stored = await readProfile(tenantId, BUILTIN_RECORD);
+  if (isCurrent(stored)) return stored;
+  return withLock(`${tenantId}/${BUILTIN_RECORD}`, async () => {
+    const existing = await readProfile(tenantId, BUILTIN_RECORD);
+    if (isCurrent(existing)) return existing;
+
+    const now = new Date().toISOString();
+    const record = existing || {
+      tenantId,
+      name: BUILTIN_PROFILE,
+      description: "Defaults with the tenant's threshold and weights",
+      createdAt: now,
+      versions: [],
+    };
+    record.versions.push({
+      version: record.versions.length + 1,
+      profile,
+      note: existing ? "Tenant config or defaults changed" : null,
+      createdAt: now,
+      createdBy: null,
+    });
+    record.updatedAt = now;
+    await writeJson(
+      profilePath(tenantId, BUILTIN_RECORD),
+      memoryProfiles,
+      `${tenantId}/${BUILTIN_RECORD}`,
+      record,
+    );
+    console.log(
+      `[Scoring Profiles] Recorded ${BUILTIN_PROFILE} v${record.versions.length} (tenant ${tenantId})`,
+    );
+    return record;
+  });
+}
+
+function describeProfile(record, version = null) {
+  const entry = version
+    ? record.versions.find((v) => v.version === version)
+    : record.versions[record.versions.length - 1];
+  if (!entry) return null;
+  return {
+    name: record.name,
+    tenantId: record.tenantId,
+    description: record.description,
+    version: entry.version,
+    latestVersion: record.versions.length,
+    profile: entry.profile,
+    note: entry.note,
+    createdAt: entry.createdAt,
+    createdBy: entry.createdBy,
+  };
+}
+
+/**
+ * Save a new version of a profile (creating it on first save). Fields not
+ * given are taken from the latest version, or from the builtin profile.
+ * @param {string} tenantId - Tenant ID
+ * @param {string} name - Profile name
+ * @param {Object} data - { description, profile (partial), note }
+ * @param {string} [actor] - Who saved it
+ * @returns {Promise<Object>} The new version (as returned by getScoringProfile)
+ */
+export async function saveScoringProfile(
+  tenantId,
+  name,
+  data = {},
+  actor = null,
+) {
+  const ref = parseProfileRef(name);
+  if (!ref || ref.version !== null) {
+    throw new Error(
+      "Invalid scoring profile name: give a name without @version",
+    );
+  }
+  if (ref.name === BUILTIN_PROFILE) {
+    throw new Error(
+      `Invalid scoring profile name: "${BUILTIN_PROFILE}" is reserved for the defaults`,
+    );
+  }
+  const changes = validateScoringProfile(data.profile ?? {});
+
+  return withLock(`${tenantId}/${ref.name}`, async () => {
+    const existing = await readProfile(tenantId, ref.name);
+    const base = existing
+      ? existing.versions[existing.versions.length - 1].profile
+      : await getBuiltinProfile(tenantId);
+    const profile = validateComplete(mergeScoringProfile(changes, base));
+
+    const now = new Date().toISOString();
+    const record = existing || {
+      tenantId,
+      name: ref.name,
+      description: null,
+      createdAt: now,
+      versions: [],
+    };
+    if (data.description != null) {
+      record.description = String(data.description).trim() || null;
+    }
+    record.versions.push({
+      version: record.versions.length + 1,
+      profile,
+      note: data.note != null ? String(data.note) : null,
+      createdAt: now,
+      createdBy: actor,
+    });
+    record.updatedAt = now;
+    await writeProfile(record);
+    console.log(
+      `[Scoring Profiles] Saved ${ref.name} v${record.versions.length} (tenant ${tenantId})`,
+    );
+    return describeProfile(record);
+  });
+}
+
+/**
+ * A profile version
+ * @param {string} tenantId - Tenant ID
+ * @param {string} ref - "name" (latest version) or "name@version"
+ * @returns {Promise<Object|null>} { name, tenantId, description, version, latestVersion, profile, note, createdAt, createdBy }, or null if it does not exist
+ */
+export async function getScoringProfile(tenantId, ref) {
+  const { name, version } = parseProfileRef(ref) || {};
+  if (!name) return null;
+  const record =
+    name === BUILTIN_PROFILE
+      ? await builtinRecord(tenantId)
+      : await readProfile(tenantId, name);
+  return record ? describeProfile(record, version) : null;
+}
+
+/**
+ * Versions of a profile, oldest first
+ * @param {string} tenantId - Tenant ID
+ * @param {string} name - Profile name
+ * @returns {Promise<Array<Object>|null>} Versions as returned by getScoringProfile, or null if the profile does not exist
+ */
+export async function listScoringProfileVersions(tenantId, name) {
+  const ref = parseProfileRef(name);
+  if (!ref) return null;
+  const record =
+    ref.name === BUILTIN_PROFILE
+      ? await builtinRecord(tenantId)
+      : await readProfile(tenantId, ref.name);
+  if (!record) return null;
+  return record.versions.map((entry) => describeProfile(record, entry.version));
+}
+
+/**
+ * Stored profiles of a tenant (latest versions), by name
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Array<Object>>} Profiles as returned by getScoringProfile
+ */
+export async function listScoringProfiles(tenantId) {
+  let records;
+  if (SCORING_PROFILE_STORE_PROVIDER === "memory") {
+    records = [...memoryProfiles.values()]
+      .filter(
+        (record) =>
+          record.tenantId === tenantId && record.name !== BUILTIN_PROFILE,
+      )
+      .map((record) => structuredClone(record));
+  } else {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(tenantDir(tenantId));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    records = (
+      await Promise.all(
+        files
+          .filter((file) => file.endsWith(".json") && !file.startsWith("_"))
+          .map((file) => readProfile(tenantId, file.slice(0, -5))),
+      )
+    ).filter(Boolean);
+  }
+  return records
+    .map((record) => describeProfile(record))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Profile assignments of a tenant
+ * @param {string} tenantId - Tenant ID
+ * @returns {Promise<Object>} { tenant (profile ref or null), questions: { questionId: ref }, exams: { examId: { questionId: ref } } }
+ */
+export async function getAssignments(tenantId) {
+  const stored = await readJson(
+    assignmentsPath(tenantId),
+    memoryAssignments,
+    tenantId,
+  );
+  return {
+    tenant: stored?.tenant ?? null,
+    questions: stored?.questions ?? {},
+    exams: stored?.exams ?? {},
+  };
+}
+
+/**
+ * Assign a profile to a question (in one exam or in all), or to the whole tenant
+ * @param {string} tenantId - Tenant ID
+ * @param {string|null} questionId - Question ID (null: the tenant's default)
+ * @param {string|null} ref - "name" (follows new versions), "name@version" (pinned), or null to remove the assignment
+ * @param {string|null} [examId] - Exam the question assignment is limited to
+ * @returns {Promise<Object>} Assignments as returned by getAssignments
+ */
+export async function assignScoringProfile(
+  tenantId,
+  questionId,
+  ref,
+  examId = null,
+) {
+  if (examId && !questionId) {
+    throw new Error(
+      "Invalid scoring profile assignment: an examId needs a questionId",
+    );
+  }
+  const parsed = parseProfileRef(ref);
+  if (parsed && parsed.name !== BUILTIN_PROFILE) {
+    if (!(await getScoringProfile(tenantId, ref))) {
+      throw new Error(`Scoring profile not found: ${ref}`);
+    }
+  }
+  const normalized = parsed
+    ? `${parsed.name}${parsed.version ? `@${parsed.version}` : ""}`
+    : null;
+
+  return withLock(`${tenantId}/_assignments`, async () => {
+    const assignments = await getAssignments(tenantId);
+    if (examId) {
+      const exam = assignments.exams[examId] || {};
+      if (normalized) exam[questionId] = normalized;
+      else delete exam[questionId];
+      if (Object.keys(exam).length > 0) assignments.exams[examId] = exam;
+      else delete assignments.exams[examId];
+    } else if (questionId) {
+      if (normalized) assignments.questions[questionId] = normalized;
+      else delete assignments.questions[questionId];
+    } else {
+      assignments.tenant = normalized;
+    }
+    await writeJson(
+      assignmentsPath(tenantId),
+      memoryAssignments,
+      tenantId,
+      assignments,
+    );
+    console.log(
+      `[Scoring Profiles] ${questionId ? `Question ${questionId}${examId ? ` of exam ${examId}` : ""}` : "Tenant default"} → ${normalized ?? BUILTIN_PROFILE} (tenant ${tenantId})`,
+    );
+    return assignments;
+  });
+}
+
+/**
+ * Profile in effect for a request (see the module header for the order)
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} [options] - { questionId, examId, requested (profile ref from the request) }
+ * @returns {Promise<Object>} { name, version, source (request, exam, question, tenant, builtin), profile }
+ */
+export async function resolveScoringProfile(tenantId, options = {}) {
+  const { questionId = null, examId = null, requested = null } = options;
+  // A blank reference ("" or spaces) counts as not given
+  const given = (value) => value != null && String(value).trim() !== "";
+  const assignments = given(requested) ? null : await getAssignments(tenantId);
+  const candidates = [
+    ["request", requested],
+    [
+      "exam",
+      questionId && examId ? assignments?.exams[examId]?.[questionId] : null,
+    ],
+    ["question", questionId ? assignments?.questions[questionId] : null],
+    ["tenant", assignments?.tenant],
+  ];
+  const [source, ref] = candidates.find(([, value]) => given(value)) || [
+    "builtin",
+    BUILTIN_PROFILE,
+  ];
+
+  const found = await getScoringProfile(tenantId, ref);
+  if (!found) {
+    throw new Error(`Scoring profile not found: ${ref}`);
+  }
+  return {
+    name: found.name,
+    version: found.version,
+    source,
+    profile: found.profile,
+  };
+}
+
+export default {
+  SCORING_PROFILE_STORE_PROVIDER,
+  BUILTIN_PROFILE,
+  parseProfileRef,
+  validateScoringProfile,
+  getBuiltinProfile,
+  saveScoringProfile,
+  getScoringProfile,
+  listScoringProfileVersions,
+  listScoringProfiles,
+  getAssignments,
+  assignScoringProfile,
+  resolveScoringProfile,
+};
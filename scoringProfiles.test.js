@@ -0,0 +1,233 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as scoringProfiles from "./scoringProfiles.js";
+import { saveTenant } from "./tenants.js";
+import { DEFAULT_SCORING_PROFILE } from "./scoringEngine.js";
+
+test("profile references name a profile and optionally a version", () => {
+  assert.deepEqual(scoringProfiles.parseProfileRef(" Strict@2 "), {
+    name: "strict",
+    version: 2,
+  });
+  assert.deepEqual(scoringProfiles.parseProfileRef("strict"), {
+    name: "strict",
+    version: null,
+  });
+  assert.equal(scoringProfiles.parseProfileRef("  "), null);
+  for (const ref of ["strict@0", "strict@x", "a@1@2", "_hidden"]) {
+    assert.throws(
+      () => scoringProfiles.parseProfileRef(ref),
+      /Invalid scoring profile/,
+    );
+  }
+});
+
+test("profiles are validated field by field", () => {
+  assert.deepEqual(
+    scoringProfiles.validateScoringProfile({
+      weights: { gst: "0.5" },
+      structuralPenalty: [{ minFunctionDiff: 2, factor: 0.4 }],
+    }),
+    {
+      weights: { gst: 0.5 },
+      structuralPenalty: [{ minFunctionDiff: 2, factor: 0.4 }],
+    },
+  );
+  for (const [profile, message] of [
+    [{ colour: 1 }, /unknown fields colour/],
+    [{ weights: { gst: -1 } }, /weight "gst" must be a number >= 0/],
+    [{ similarityBaseline: 1 }, /similarityBaseline must be below 1/],
+    [{ confidenceBands: [] }, /non-empty array/],
+    [{ confidenceBands: [{ level: "max", minScore: 0.9 }] }, /level must be/],
+    [{ structuralPenalty: { minFunctionDiff: 1 } }, /must be an array/],
+    [
+      { structuralPenalty: [{ minFunctionDiff: 0, factor: 0.5 }] },
+      /minFunctionDiff must be an integer >= 1/,
+    ],
+    [
+      { structuralPenalty: [{ minFunctionDiff: 1, factor: 2 }] },
+      /factor must be a number between 0 and 1/,
+    ],
+    [{ riskBands: { extreme: 0.9 } }, /unknown riskBands extreme/],
+  ]) {
+    assert.throws(
+      () => scoringProfiles.validateScoringProfile(profile),
+      message,
+    );
+  }
+});
+
+test("saving a profile adds a version on top of the previous one", async () => {
+  const v1 = await scoringProfiles.saveScoringProfile(
+    "versions",
+    "strict",
+    { profile: { similarityThreshold: 0.6 }, description: "Strict" },
+    "alice",
+  );
+  assert.equal(v1.version, 1);
+  assert.equal(v1.createdBy, "alice");
+  assert.deepEqual(
+    v1.profile.structuralPenalty,
+    DEFAULT_SCORING_PROFILE.structuralPenalty,
+  );
+
+  const v2 = await scoringProfiles.saveScoringProfile("versions", "strict", {
+    profile: { structuralPenalty: [] },
+  });
+  assert.equal(v2.version, 2);
+  assert.equal(v2.profile.similarityThreshold, 0.6);
+  assert.deepEqual(v2.profile.structuralPenalty, []);
+  assert.equal(v2.description, "Strict");
+
+  const pinned = await scoringProfiles.getScoringProfile(
+    "versions",
+    "strict@1",
+  );
+  assert.equal(pinned.latestVersion, 2);
+  assert.deepEqual(
+    pinned.profile.structuralPenalty,
+    DEFAULT_SCORING_PROFILE.structuralPenalty,
+  );
+  assert.equal(
+    await scoringProfiles.getScoringProfile("versions", "strict@3"),
+    null,
+  );
+  assert.equal(
+    (await scoringProfiles.listScoringProfileVersions("versions", "strict"))
+      .length,
+    2,
+  );
+  assert.deepEqual(
+    (await scoringProfiles.listScoringProfiles("versions")).map((p) => p.name),
+    ["strict"],
+  );
+});
+
+test("builtin is reserved and incomplete profiles are refused", async () => {
+  await assert.rejects(
+    scoringProfiles.saveScoringProfile("reserved", "builtin", {}),
+    /reserved for the defaults/,
+  );
+  await assert.rejects(
+    scoringProfiles.saveScoringProfile("reserved", "strict@2", {}),
+    /without @version/,
+  );
+  await assert.rejects(
+    scoringProfiles.saveScoringProfile("reserved", "none", {
+      profile: {
+        weights: {
+          semantic_embeddings: 0,
+          copydetect: 0,
+          treesitter: 0,
+          gst: 0,
+        },
+      },
+    }),
+    /at least one weight must be > 0/,
+  );
+});
+
+test("the builtin profile gets a new version when the tenant config changes", async () => {
+  await saveTenant("course-b", { config: { similarityThreshold: 0.7 } });
+  const first = await scoringProfiles.getScoringProfile("course-b", "builtin");
+  assert.equal(first.version, 1);
+  assert.equal(first.profile.similarityThreshold, 0.7);
+  assert.equal(
+    (await scoringProfiles.getScoringProfile("course-b", "builtin")).version,
+    1,
+  );
+
+  await saveTenant("course-b", { config: { similarityThreshold: 0.9 } });
+  const second = await scoringProfiles.resolveScoringProfile("course-b");
+  assert.equal(second.source, "builtin");
+  assert.equal(second.version, 2);
+  assert.equal(second.profile.similarityThreshold, 0.9);
+
+  const old = await scoringProfiles.getScoringProfile("course-b", "builtin@1");
+  assert.equal(old.profile.similarityThreshold, 0.7);
+  assert.deepEqual(await scoringProfiles.listScoringProfiles("course-b"), []);
+});
+
+test("request, exam, question and tenant assignments resolve in order", async () => {
+  const tenant = "resolve";
+  for (const name of ["a", "b", "c", "d"]) {
+    await scoringProfiles.saveScoringProfile(tenant, name, {});
+  }
+  await scoringProfiles.assignScoringProfile(tenant, null, "a");
+  await scoringProfiles.assignScoringProfile(tenant, "q1", "b");
+  await scoringProfiles.assignScoringProfile(tenant, "q1", "c@1", "final");
+
+  const resolve = (options) =>
+    scoringProfiles.resolveScoringProfile(tenant, options);
+  assert.equal(
+    (await resolve({ questionId: "q1", examId: "final", requested: "d" }))
+      .source,
+    "request",
+  );
+  assert.equal(
+    (await resolve({ questionId: "q1", examId: "final" })).name,
+    "c",
+  );
+  assert.equal(
+    (await resolve({ questionId: "q1", examId: "midterm" })).name,
+    "b",
+  );
+  assert.equal(
+    (await resolve({ questionId: "q2", examId: "final" })).name,
+    "a",
+  );
+  assert.equal((await resolve({})).source, "tenant");
+
+  const assignments = await scoringProfiles.assignScoringProfile(
+    tenant,
+    "q1",
+    null,
+    "final",
+  );
+  assert.deepEqual(assignments.exams, {});
+  assert.equal(
+    (await resolve({ questionId: "q1", examId: "final" })).source,
+    "question",
+  );
+});
+
+test("a blank profile reference counts as not given", async () => {
+  const tenant = "blank";
+  await scoringProfiles.saveScoringProfile(tenant, "lenient", {});
+  await scoringProfiles.assignScoringProfile(tenant, "q1", "lenient");
+
+  for (const requested of ["", "   ", null]) {
+    const resolved = await scoringProfiles.resolveScoringProfile(tenant, {
+      questionId: "q1",
+      requested,
+    });
+    assert.equal(resolved.source, "question");
+    assert.equal(resolved.name, "lenient");
+  }
+  assert.equal(
+    (await scoringProfiles.resolveScoringProfile(tenant, { requested: " " }))
+      .source,
+    "builtin",
+  );
+});
+
+test("assignments are checked before they are stored", async () => {
+  await assert.rejects(
+    scoringProfiles.assignScoringProfile("checks", null, "lenient", "final"),
+    /an examId needs a questionId/,
+  );
+  await assert.rejects(
+    scoringProfiles.assignScoringProfile("checks", "q1", "missing"),
+    /Scoring profile not found: missing/,
+  );
+  await assert.rejects(
+    scoringProfiles.resolveScoringProfile("checks", { requested: "missing" }),
+    /Scoring profile not found: missing/,
+  );
+  assert.deepEqual(await scoringProfiles.getAssignments("checks"), {
+    tenant: null,
+    questions: {},
+    exams: {},
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Similarity Matrix Module
+ * All-vs-all comparison of the submissions of a question (and exam), so an
+ * instructor can review every pair instead of checking one submission at a time.
+ *
+ * Every pair is scored from stored data only (nothing is embedded again):
+ *   - embedding: cosine of the stored whole-submission vectors, calibrated like /api/check
+ *   - chunks: each chunk's best match in the other submission, averaged both ways
+ *   - fingerprints: winnowing over the stored fingerprints
+ *   - gst: Greedy String Tiling over language-neutral tokens
+ * The combined score is the scoring engine's weighted score, with the higher of
+ * embedding and chunk similarity in the semantic slot, scored with the
+ * scoring profile in effect (weights, confidence bands, similarity baseline). Registered starter code is excluded the same
+ * way as in /api/check.
+ */
+
+import dotenv from "dotenv";
+import * as vectorDb from "./vectorDb.js";
+import * as winnowing from "./winnowing.js";
+import * as greedyStringTiling from "./greedyStringTiling.js";
+import * as scoringEngine from "./scoringEngine.js";
+import * as starterCode from "./starterCode.js";
+import { resolveLanguage } from "./languages.js";
+
+dotenv.config();
+
+// Pairs grow quadratically; larger pools should be split by exam
+export const MAX_MATRIX_SUBMISSIONS =
+  parseInt(process.env.SIMILARITY_MATRIX_MAX_SUBMISSIONS, 10) || 200;
+
+const CSV_COLUMNS = [
+  "submissionA",
+  "studentA",
+  "submissionB",
+  "studentB",
+  "combined",
+  "confidence",
+  "embedding",
+  "chunks",
+  "fingerprints",
+  "gst",
+];
+
+function round(value) {
+  return value == null ? null : Math.round(value * 1000) / 1000;
+}
+
+/** Vector with its norm, so each cosine is a single dot product */
+function withNorm(vector) {
+  if (!vector || vector.length === 0) return null;
+  let sum = 0;
+  for (const value of vector) sum += value * value;
+  return { vector, norm: Math.sqrt(sum) };
+}
+
+function cosine(a, b) {
+  if (!a || !b || a.norm === 0 || b.norm === 0) return 0;
+  const length = Math.min(a.vector.length, b.vector.length);
+  let dot = 0;
+  for (let i = 0; i < length; i++) dot += a.vector[i] * b.vector[i];
+  return dot / (a.norm * b.norm);
+}
+
+/** Mean over chunks of A of the best calibrated match among chunks of B */
+function bestChunkMatches(chunksA, chunksB, baseline) {
+  const best = chunksA.map((a) =>
+    Math.max(
+      ...chunksB.map((b) => vectorDb.calibrateScore(cosine(a, b), baseline)),
+    ),
+  );
+  return best.reduce((sum, value) => sum + value, 0) / best.length;
+}
+
+/**
+ * Chunk similarity of two submissions (symmetric), or null when either has no chunks
+ */
+function chunkSimilarity(chunksA, chunksB, baseline) {
+  if (chunksA.length === 0 || chunksB.length === 0) return null;
+  return (
+    (bestChunkMatches(chunksA, chunksB, baseline) +
+      bestChunkMatches(chunksB, chunksA, baseline)) /
+    2
+  );
+}
+
+/**
+ * Compare every pair of submissions for a question
+ * @param {string} questionId - Question ID
+ * @param {Object} [options] - { tenantId, examId, language (only submissions in this language), top (pairs to return, default 50), profile (scoring profile) }
+ * @returns {Promise<Object>} { questionId, examId, language, submissions, matrix, pairs, topPairs, starterCode, stats }
+ */
+export async function buildSimilarityMatrix(questionId, options = {}) {
+  const { tenantId, examId = null, top = 50, profile = null } = options;
+  const baseline = profile?.similarityBaseline ?? null;
+  const language = options.language ? resolveLanguage(options.language) : null;
+  const startedAt = Date.now();
+
+  const submissions = await vectorDb.getSubmissionsByQuestion(
+    questionId,
+    examId,
+    language,
+    tenantId,
+  );
+  if (submissions.length > MAX_MATRIX_SUBMISSIONS) {
+    throw new Error(
+      `Too many submissions for a similarity matrix: ${submissions.length} (limit ${MAX_MATRIX_SUBMISSIONS}); filter by examId or language`,
+    );
+  }
+  // Oldest first, so row order is stable as submissions are added
+  submissions.reverse();
+
+  const starter = await starterCode.getStarterCode(
+    questionId,
+    examId,
+    tenantId,
+  );
+  const starterSource = starter?.code ?? null;
+
+  // Stored vectors (no embedding calls)
+  const vectors = [];
+  for (const sub of submissions) {
+    const chunks = await vectorDb.getChunkEmbeddings(sub.id, tenantId);
+    vectors.push({
+      embedding: withNorm(
+        await vectorDb.getSubmissionEmbedding(sub.id, tenantId),
+      ),
+      chunks: chunks.map((chunk) => withNorm(chunk.embedding)).filter(Boolean),
+    });
+  }
+
+  // Fingerprints and token streams per submission and language, without starter code
+  const starterHashes = new Map();
+  const fingerprints = new Map();
+  const tokenStreams = new Map();
+  const languageOf = (sub) => resolveLanguage(sub.language || "javascript");
+  const fingerprintsFor = async (sub, lang) => {
+    const key = `${sub.id}|${lang}`;
+    if (!fingerprints.has(key)) {
+      if (starterSource && !starterHashes.has(lang)) {
+        starterHashes.set(
+          lang,
+          new Set(
+            winnowing
+              .fingerprintCode(starterSource, lang)
+              .fingerprints.map((fp) => fp[0]),
+          ),
+        );
+      }
+      fingerprints.set(
+        key,
+        winnowing.excludeFingerprints(
+          await winnowing.loadFingerprints(sub, lang),
+          starterHashes.get(lang),
+        ),
+      );
+    }
+    return fingerprints.get(key);
+  };
+  const tokensFor = (sub, lang) => {
+    const key = `${sub.id}|${lang}`;
+    if (!tokenStreams.has(key)) {
+      tokenStreams.set(
+        key,
+        greedyStringTiling.toTokenTypes(
+          starterCode.subtractStarterCode(sub.code || "", starterSource),
+          lang,
+        ),
+      );
+    }
+    return tokenStreams.get(key);
+  };
+
+  const n = submissions.length;
+  const matrix = Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (__, j) => (i === j ? 1 : null)),
+  );
+  const pairs = [];
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const a = submissions[i];
+      const b = submissions[j];
+      const lang = languageOf(a);
+
+      const embedding =
+        vectors[i].embedding && vectors[j].embedding
+          ? vectorDb.calibrateScore(
+              cosine(vectors[i].embedding, vectors[j].embedding),
+              baseline,
+            )
+          : null;
+      const chunks = chunkSimilarity(
+        vectors[i].chunks,
+        vectors[j].chunks,
+        baseline,
+      );
+      const fingerprintSimilarity = winnowing.compareFingerprints(
+        await fingerprintsFor(a, lang),
+        await fingerprintsFor(b, lang),
+      ).similarity;
+      const gst = greedyStringTiling.compareTokenStreams(
+        tokensFor(a, lang),
+        tokensFor(b, lang),
+      ).similarity;
+
+      const semantic =
+        embedding == null && chunks == null
+          ? null
+          : Math.max(embedding ?? 0, chunks ?? 0);
+      const score = scoringEngine.calculateWeightedScore(
+        semantic != null ? { maxSimilarity: semantic } : {},
+        {
+          comparisons: [
+            {
+              tool: winnowing.TOOL_NAME,
+              available: true,
+              results: [{ similarity: fingerprintSimilarity }],
+            },
+            {
+              tool: greedyStringTiling.TOOL_NAME,
+              available: true,
+              results: [{ similarity: gst }],
+            },
+          ],
+        },
+        profile ? { profile } : {},
+      );
+
+      const combined = round(score.overallScore);
+      matrix[i][j] = combined;
+      matrix[j][i] = combined;
+
+      // A student's own resubmissions are not suspicious pairs
+      if (
+        (a.student_id || "").trim().toLowerCase() ===
+        (b.student_id || "").trim().toLowerCase()
+      ) {
+        continue;
+      }
+      pairs.push({
+        submissionA: a.id,
+        studentA: a.student_id,
+        submissionB: b.id,
+        studentB: b.student_id,
+        combined,
+        confidence: score.confidence,
+        embedding: round(embedding),
+        chunks: round(chunks),
+        fingerprints: round(fingerprintSimilarity),
+        gst: round(gst),
+      });
+    }
+  }
+
+  pairs.sort((x, y) => y.combined - x.combined);
+  console.log(
+    `[Similarity Matrix] Compared ${n} submissions (${pairs.length} pairs) for question ${questionId} in ${Date.now() - startedAt}ms`,
+  );
+
+  return {
+    questionId,
+    examId,
+    language,
+    submissions: submissions.map((sub) => ({
+      submissionId: sub.id,
+      studentId: sub.student_id,
+      language: sub.language || null,
+      createdAt: sub.created_at ?? null,
+    })),
+    matrix,
+    pairs,
+    topPairs: pairs.slice(0, top),
+    starterCode: Boolean(starter),
+    stats: {
+      submissionCount: n,
+      pairCount: pairs.length,
+      missingEmbeddings: vectors.filter((v) => !v.embedding).length,
+    },
+  };
+}
+
+function csvField(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export of pairs (one row per pair, highest combined score first)
+ * @param {Array<Object>} pairs - buildSimilarityMatrix().pairs
+ * @returns {string} CSV text with a header row
+ */
+export function pairsToCsv(pairs) {
+  const rows = pairs.map((pair) =>
+    CSV_COLUMNS.map((column) => csvField(pair[column])).join(","),
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+export default {
+  MAX_MATRIX_SUBMISSIONS,
+  buildSimilarityMatrix,
+  pairsToCsv,
+};
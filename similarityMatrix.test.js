@@ -0,0 +1,146 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as vectorDb from "./vectorDb.js";
+import * as memoryStore from "./memoryStore.js";
+import * as starterCode from "./starterCode.js";
+import { fingerprintCode } from "./winnowing.js";
+import { embedText } from "./localEmbeddingProvider.js";
+import { buildSimilarityMatrix, pairsToCsv } from "./similarityMatrix.js";
+
+const ORIGINAL = `def bubble_sort(items):
+    n = len(items)
+    for i in range(n):
+        for j in range(0, n - i - 1):
+            if items[j] > items[j + 1]:
+                items[j], items[j + 1] = items[j + 1], items[j]
+    return items
+`;
+
+const RENAMED = `def sort_values(values):
+    count = len(values)
+    for a in range(count):
+        for b in range(0, count - a - 1):
+            if values[b] > values[b + 1]:
+                values[b], values[b + 1] = values[b + 1], values[b]
+    return values
+`;
+
+const UNRELATED = `class Stack:
+    def __init__(self):
+        self.data = {}
+
+    def push(self, key, value):
+        self.data[key] = value
+        print("stored", key)
+`;
+
+async function submit(submissionId, studentId, code, overrides = {}) {
+  await vectorDb.saveSubmission({
+    submissionId,
+    studentId,
+    questionId: "q1",
+    language: "python",
+    code,
+    embedding: embedText(code),
+    chunks: [
+      {
+        text: code,
+        embedding: embedText(code),
+        startLine: 1,
+        endLine: code.split("\n").length,
+      },
+    ],
+    fingerprints: fingerprintCode(code, "python"),
+    ...overrides,
+  });
+}
+
+test.before(async () => {
+  assert.equal(await vectorDb.initializeIndex("memory"), true);
+  memoryStore.clear();
+  await submit("s1", "alice", ORIGINAL);
+  await submit("s2", 'bob "the, builder"', RENAMED);
+  await submit("s3", "carol", UNRELATED);
+  // A resubmission of the same student, saved last
+  await submit("s4", " Alice ", ORIGINAL);
+  // Another question and another tenant stay out of the matrix
+  await submit("other", "dave", ORIGINAL, { questionId: "q2" });
+  await submit("s5", "erin", ORIGINAL, { tenantId: "uni-a" });
+});
+
+test("scores every pair into a symmetric matrix, oldest submission first", async () => {
+  const result = await buildSimilarityMatrix("q1");
+
+  assert.deepEqual(
+    result.submissions.map((s) => s.submissionId),
+    ["s1", "s2", "s3", "s4"],
+  );
+  assert.equal(result.stats.submissionCount, 4);
+  assert.equal(result.stats.missingEmbeddings, 0);
+  assert.equal(result.starterCode, false);
+
+  const { matrix } = result;
+  for (let i = 0; i < 4; i++) {
+    assert.equal(matrix[i][i], 1);
+    for (let j = 0; j < 4; j++) assert.equal(matrix[i][j], matrix[j][i]);
+  }
+  assert.ok(matrix[0][1] > matrix[0][2]);
+  assert.ok(matrix[0][3] >= matrix[0][1]);
+});
+
+test("pairs skip a student's own resubmissions and rank copies first", async () => {
+  const { pairs, topPairs, stats } = await buildSimilarityMatrix("q1", {
+    top: 1,
+  });
+
+  // 6 pairs among 4 submissions, minus alice's s1/s4
+  assert.equal(stats.pairCount, 5);
+  assert.equal(pairs.length, 5);
+  assert.ok(
+    pairs.every(
+      (pair) => !(pair.submissionA === "s1" && pair.submissionB === "s4"),
+    ),
+  );
+  for (let i = 1; i < pairs.length; i++) {
+    assert.ok(pairs[i - 1].combined >= pairs[i].combined);
+  }
+
+  assert.equal(topPairs.length, 1);
+  assert.equal(topPairs[0].studentB, 'bob "the, builder"');
+  assert.equal(topPairs[0].fingerprints, 1);
+  assert.equal(topPairs[0].gst, 1);
+  const carol = pairs.find((pair) => pair.studentB === "carol");
+  assert.ok(carol.combined < topPairs[0].combined);
+});
+
+test("registered starter code is reported and excluded", async (t) => {
+  await starterCode.saveStarterCode({
+    questionId: "q1",
+    language: "python",
+    code: ORIGINAL,
+  });
+  t.after(() => starterCode.deleteStarterCode("q1"));
+
+  const result = await buildSimilarityMatrix("q1");
+  assert.equal(result.starterCode, true);
+  const copy = result.pairs.find((pair) => pair.submissionB === "s2");
+  assert.equal(copy.fingerprints, 0);
+});
+
+test("CSV export has a header row and quotes fields that need it", async () => {
+  const { pairs } = await buildSimilarityMatrix("q1");
+  const lines = pairsToCsv(pairs).trimEnd().split("\n");
+
+  assert.equal(
+    lines[0],
+    "submissionA,studentA,submissionB,studentB,combined,confidence,embedding,chunks,fingerprints,gst",
+  );
+  assert.equal(lines.length, pairs.length + 1);
+  assert.ok(lines[1].startsWith('s1,alice,s2,"bob ""the, builder""",'));
+  assert.equal(pairsToCsv([]), `${lines[0]}\n`);
+  assert.equal(
+    pairsToCsv([{ submissionA: "x", embedding: null }]),
+    `${lines[0]}\nx,,,,,,,,,\n`,
+  );
+});
@@ -3,9 +3,13 @@
  * Run this with: node simple-test.js
  * 
  * Make sure the server is running first: npm start
+ * With authentication on, pass a key: PLAGIARISM_API_KEY=pdk_... node simple-test.js
  */
 
 const BASE_URL = 'http://localhost:3000';
+const AUTH_HEADERS = process.env.PLAGIARISM_API_KEY
+  ? { Authorization: `Bearer ${process.env.PLAGIARISM_API_KEY}` }
+  : {};
 
 // Test code samples
 const testCases = {
@@ -52,7 +56,7 @@ const fact = (x) => {
 async function apiCall(endpoint, method = 'GET', body = null) {
   const options = {
     method,
-    headers: { 'Content-Type': 'application/json' }
+    headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS }
   };
   
   if (body) {
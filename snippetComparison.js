@@ -0,0 +1,232 @@
+/**
+ * Snippet Comparison Module
+ * Compares two pieces of code directly, without a question or stored
+ * submissions, for ad hoc investigations and threshold tuning.
+ *
+ * Runs the same pipeline as /api/check on a single pair: normalized
+ * embeddings (whole code and chunks), winnowing, Greedy String Tiling,
+ * optionally the external service, and the scoring engine with the structural
+ * penalty. Nothing is persisted: no submission, fingerprint or content is
+ * stored and new embeddings are not written to the embedding cache.
+ */
+
+import * as embeddings from "./embeddings.js";
+import * as chunking from "./chunking.js";
+import * as winnowing from "./winnowing.js";
+import * as greedyStringTiling from "./greedyStringTiling.js";
+import * as externalPlagiarism from "./externalPlagiarismService.js";
+import * as scoringEngine from "./scoringEngine.js";
+import { buildAlignedRegions } from "./matchAlignment.js";
+import { calibrateScore } from "./vectorDb.js";
+
+// Ids the two snippets get in tool results and external API payloads
+export const SNIPPET_A = "snippet_a";
+export const SNIPPET_B = "snippet_b";
+const MAX_CHUNK_MATCHES = 10;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function chunkLines(chunk) {
+  // Chunk lines are 0-based; reported 1-based like /api/check
+  return chunk.startLine != null
+    ? { start: chunk.startLine + 1, end: chunk.endLine + 1 }
+    : null;
+}
+
+/**
+ * Best match in B for every chunk of A, and the symmetric chunk similarity
+ */
+function compareChunks(chunksA, chunksB, baseline) {
+  if (chunksA.length === 0 || chunksB.length === 0) {
+    return { similarity: null, matches: [] };
+  }
+  const scores = chunksA.map((a) =>
+    chunksB.map((b) =>
+      calibrateScore(
+        embeddings.cosineSimilarity(a.embedding, b.embedding),
+        baseline,
+      ),
+    ),
+  );
+  const bestForA = scores.map((row) => Math.max(...row));
+  const bestForB = chunksB.map((_, j) =>
+    Math.max(...scores.map((row) => row[j])),
+  );
+  const mean = (values) =>
+    values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  const matches = chunksA
+    .map((a, i) => {
+      const j = scores[i].indexOf(bestForA[i]);
+      const b = chunksB[j];
+      return {
+        similarity: round(bestForA[i]),
+        chunkA: {
+          index: a.index,
+          name: a.name,
+          type: a.type,
+          lines: chunkLines(a),
+        },
+        chunkB: {
+          index: b.index,
+          name: b.name,
+          type: b.type,
+          lines: chunkLines(b),
+        },
+      };
+    })
+    .sort((x, y) => y.similarity - x.similarity)
+    .slice(0, MAX_CHUNK_MATCHES);
+
+  return { similarity: (mean(bestForA) + mean(bestForB)) / 2, matches };
+}
+
+/**
+ * Compare two code snippets with every detector and the scoring engine
+ * @param {string} codeA - Checked code (the "current" side of the structural penalty)
+ * @param {string} codeB - Compared code
+ * @param {Object} options - { language, threshold (default 0.75), useNormalization (default true), useExternal (default false), customApiKey, profile (scoring profile) }
+ * @returns {Promise<Object>} { report (generatePlagiarismReport), embedding, chunks, fingerprints, tiles, regions, external }
+ */
+export async function compareSnippets(codeA, codeB, options = {}) {
+  const {
+    language,
+    threshold = 0.75,
+    useNormalization = true,
+    useExternal = false,
+    customApiKey = null,
+    profile = null,
+  } = options;
+  const noCache = { storeInCache: false };
+
+  // Whole-code embeddings
+  const [embeddingA, embeddingB] = await Promise.all([
+    embeddings.generateCodeEmbedding(
+      codeA,
+      language,
+      customApiKey,
+      useNormalization,
+      noCache,
+    ),
+    embeddings.generateCodeEmbedding(
+      codeB,
+      language,
+      customApiKey,
+      useNormalization,
+      noCache,
+    ),
+  ]);
+  const rawSimilarity = embeddings.cosineSimilarity(embeddingA, embeddingB);
+  const baseline = profile?.similarityBaseline ?? null;
+  const embeddingSimilarity = calibrateScore(rawSimilarity, baseline);
+
+  // Chunk embeddings
+  const [chunksA, chunksB] = await Promise.all(
+    [codeA, codeB].map((code) =>
+      embeddings.generateChunkEmbeddings(
+        chunking.extractCodeChunks(code, language),
+        language,
+        customApiKey,
+        useNormalization,
+        noCache,
+      ),
+    ),
+  );
+  const chunkComparison = compareChunks(chunksA, chunksB, baseline);
+
+  // Local detectors (B has no submission id, so nothing is looked up in the content store)
+  const other = [{ studentId: SNIPPET_B, code: codeB }];
+  const winnowingComparison = await winnowing.buildWinnowingComparison(
+    codeA,
+    language,
+    other,
+  );
+  const gstComparison = greedyStringTiling.buildGstComparison(
+    codeA,
+    language,
+    other,
+  );
+
+  let externalResult = { available: false, summary: [], comparisons: [] };
+  if (useExternal) {
+    externalResult = externalPlagiarism.formatExternalResult(
+      await externalPlagiarism.checkExternalPlagiarism(
+        "compare",
+        { studentId: SNIPPET_A, code: codeA },
+        other,
+        language,
+        1,
+      ),
+      other,
+    );
+  }
+
+  const report = scoringEngine.generatePlagiarismReport(
+    { hasMatches: true, maxSimilarity: embeddingSimilarity, matchCount: 1 },
+    {
+      ...externalResult,
+      comparisons: [
+        ...externalResult.comparisons,
+        winnowingComparison,
+        gstComparison,
+      ],
+    },
+    threshold,
+    { currentCode: codeA, comparedCode: codeB, language, profile },
+  );
+
+  console.log(
+    `[Compare] ${language} snippets: ${report.overallPercentage} (embedding ${round(embeddingSimilarity)}, ${chunksA.length}/${chunksB.length} chunks, external ${useExternal ? (externalResult.available ? "used" : "unavailable") : "skipped"})`,
+  );
+
+  const toolDetails = (comparison) => {
+    const result = comparison.results[0];
+    return result
+      ? { similarity: result.similarity, ...result.details }
+      : { similarity: 0, error: comparison.error || null };
+  };
+
+  return {
+    report,
+    embedding: {
+      similarity: round(embeddingSimilarity),
+      rawSimilarity: round(rawSimilarity),
+      provider: embeddings.EMBEDDING_PROVIDER,
+      normalized: useNormalization,
+    },
+    chunks: {
+      countA: chunksA.length,
+      countB: chunksB.length,
+      similarity:
+        chunkComparison.similarity != null
+          ? round(chunkComparison.similarity)
+          : null,
+      matches: chunkComparison.matches,
+    },
+    fingerprints: toolDetails(winnowingComparison),
+    tiles: toolDetails(gstComparison),
+    regions: buildAlignedRegions({
+      queryCode: codeA,
+      matchedCode: codeB,
+      chunks: chunkComparison.matches.map((match) => ({
+        similarity: match.similarity,
+        queryLines: match.chunkA.lines,
+        matchedLines: match.chunkB.lines,
+      })),
+      fingerprintRegions:
+        winnowingComparison.results[0]?.details.matched_regions || [],
+      tiles: gstComparison.results[0]?.details.tiles || [],
+    }),
+    external: useExternal
+      ? externalResult
+      : { available: false, skipped: true },
+  };
+}
+
+export default {
+  SNIPPET_A,
+  SNIPPET_B,
+  compareSnippets,
+};
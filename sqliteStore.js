@@ -0,0 +1,443 @@
+/**
+ * Vector Store - SQLite (embedded)
+ * Single-file store for laptops, offline exams and integration tests: no cloud
+ * account and no database server. Candidates are narrowed with SQL on
+ * tenant/question/exam, then ranked with brute-force cosine similarity in JS.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const MODULE_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SCHEMA_PATH = path.join(MODULE_DIR, "schema-sqlite.sql");
+const DB_PATH =
+  process.env.SQLITE_DB_PATH || path.join(MODULE_DIR, "dataBase.db");
+
+let db = null;
+
+export const name = "sqlite";
+export const label = "SQLite (Embedded)";
+export const eventuallyConsistent = false;
+export const configHint =
+  "Please set SQLITE_DB_PATH to a writable file and make sure the better-sqlite3 package is installed.";
+
+function requireDb() {
+  if (!db) {
+    throw new Error(
+      "SQLite database not initialized. Please check SQLITE_DB_PATH in .env file.",
+    );
+  }
+  return db;
+}
+
+/** Serialize an embedding as a Float32 BLOB */
+function toBlob(embedding) {
+  return Buffer.from(Float32Array.from(embedding).buffer);
+}
+
+function fromBlob(blob) {
+  return Array.from(
+    new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4),
+  );
+}
+
+function vectorNorm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  return Math.sqrt(sum);
+}
+
+/**
+ * Raw cosine similarity between a query vector and a stored BLOB
+ * @param {Array<number>} query - Query vector
+ * @param {number} queryNorm - Precomputed norm of the query
+ * @param {Buffer} blob - Stored Float32 BLOB
+ * @param {number} blobNorm - Precomputed norm of the stored vector
+ */
+function cosineAgainstBlob(query, queryNorm, blob, blobNorm) {
+  if (queryNorm === 0 || blobNorm === 0) return 0;
+  const stored = new Float32Array(
+    blob.buffer,
+    blob.byteOffset,
+    blob.byteLength / 4,
+  );
+  const length = Math.min(query.length, stored.length);
+  let dot = 0;
+  for (let i = 0; i < length; i++) dot += query[i] * stored[i];
+  return dot / (queryNorm * blobNorm);
+}
+
+/**
+ * Build WHERE conditions for tenant/question/exam/language filters
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @returns {Object} { where, params }
+ */
+function buildWhere({ tenantId, questionId, examId, language }) {
+  const conditions = ["s.tenant_id = ?", "s.question_id = ?"];
+  const params = [tenantId, questionId];
+  if (examId) {
+    conditions.push("s.exam_id = ?");
+    params.push(examId);
+  }
+  if (language) {
+    conditions.push("s.language = ?");
+    params.push(language);
+  }
+  return { where: conditions.join(" AND "), params };
+}
+
+/**
+ * Rank candidate rows by cosine similarity and keep the best matches
+ */
+function rankRows(rows, embedding, limit, minSimilarity) {
+  const queryNorm = vectorNorm(embedding);
+  return rows
+    .map((row) => ({
+      row,
+      score: cosineAgainstBlob(
+        embedding,
+        queryNorm,
+        row.embedding,
+        row.embedding_norm,
+      ),
+    }))
+    .filter((entry) => entry.score >= minSimilarity)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Databases created before tenants existed: add tenant_id (rows join the
+ * default tenant) before the schema creates the index on it
+ */
+function addTenantColumn(database) {
+  const columns = database.prepare("PRAGMA table_info(submissions)").all();
+  if (
+    columns.length > 0 &&
+    !columns.some((column) => column.name === "tenant_id")
+  ) {
+    database.exec(
+      "ALTER TABLE submissions ADD COLUMN tenant_id TEXT NOT NULL DEFAULT 'default'",
+    );
+    console.log("[SQLite] Added tenant_id to submissions (default tenant)");
+  }
+}
+
+/**
+ * Open the database file and apply schema-sqlite.sql
+ */
+export async function initialize() {
+  try {
+    const { default: Database } = await import("better-sqlite3");
+    fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+    db = new Database(DB_PATH);
+    addTenantColumn(db);
+    db.exec(fs.readFileSync(SCHEMA_PATH, "utf8"));
+    console.log(`[SQLite] Opened database: ${DB_PATH}`);
+    return true;
+  } catch (error) {
+    console.error("[SQLite Init Error]", error.message);
+    console.warn(
+      "[SQLite] Server will start but vector operations will fail until the database can be opened",
+    );
+    db = null;
+    return false;
+  }
+}
+
+/**
+ * Save submission with embedding (re-saving the same ID replaces its vectors)
+ * IDs are the table key, so an ID another tenant already uses is refused
+ * instead of overwriting that tenant's row.
+ * @param {Object} data - { tenantId, submissionId, studentId, questionId, examId, language, contentRef, contentHash, codeLength, embedding, chunks }
+ */
+export async function saveSubmission(data) {
+  const {
+    tenantId,
+    submissionId,
+    studentId,
+    questionId,
+    examId,
+    contentRef,
+    contentHash,
+    codeLength,
+    embedding,
+    chunks,
+    language,
+  } = data;
+
+  try {
+    const database = requireDb();
+
+    const save = database.transaction(() => {
+      const { changes } = database
+        .prepare(
+          `INSERT INTO submissions (id, tenant_id, student_id, question_id, exam_id, language, content_ref, content_hash, code_length, embedding, embedding_norm, created_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (id) DO UPDATE SET
+             student_id = excluded.student_id,
+             question_id = excluded.question_id,
+             exam_id = excluded.exam_id,
+             language = excluded.language,
+             content_ref = excluded.content_ref,
+             content_hash = excluded.content_hash,
+             code_length = excluded.code_length,
+             embedding = excluded.embedding,
+             embedding_norm = excluded.embedding_norm
+           WHERE submissions.tenant_id = excluded.tenant_id`,
+        )
+        .run(
+          submissionId,
+          tenantId,
+          studentId,
+          questionId,
+          examId,
+          language,
+          contentRef,
+          contentHash,
+          codeLength,
+          toBlob(embedding),
+          vectorNorm(embedding),
+          Date.now(),
+        );
+      if (changes === 0) {
+        throw new Error(
+          `Submission ID ${submissionId} is already used by another tenant`,
+        );
+      }
+
+      database
+        .prepare("DELETE FROM submission_chunks WHERE submission_id = ?")
+        .run(submissionId);
+
+      const insertChunk = database.prepare(
+        `INSERT INTO submission_chunks (submission_id, chunk_index, chunk_text, start_line, end_line, embedding, embedding_norm)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      );
+      chunks.forEach((chunk, idx) => {
+        insertChunk.run(
+          submissionId,
+          idx,
+          chunk.text,
+          chunk.startLine ?? null,
+          chunk.endLine ?? null,
+          toBlob(chunk.embedding),
+          vectorNorm(chunk.embedding),
+        );
+      });
+    });
+    save();
+
+    console.log(
+      `[SQLite] Saved submission ${submissionId} with ${chunks.length} chunks`,
+    );
+    return submissionId;
+  } catch (error) {
+    console.error("[SQLite Save Error]", error.message);
+    throw new Error(`[SQLite Save Error] ${error.message}`);
+  }
+}
+
+/**
+ * Find similar submissions (raw cosine scores, calibrated by vectorDb.js)
+ * @param {Array<number>} embedding - Query embedding vector
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @param {number} limit - Number of results
+ * @param {number} minSimilarity - Minimum raw similarity threshold
+ */
+export async function findSimilarSubmissions(
+  embedding,
+  filter,
+  limit,
+  minSimilarity,
+) {
+  try {
+    const { where, params } = buildWhere(filter);
+    const rows = requireDb()
+      .prepare(
+        `SELECT s.id, s.student_id, s.question_id, s.language, s.content_ref, s.content_hash, s.embedding, s.embedding_norm
+         FROM submissions s WHERE ${where}`,
+      )
+      .all(...params);
+
+    const results = rankRows(rows, embedding, limit, minSimilarity).map(
+      ({ row, score }) => ({
+        submission_id: row.id,
+        student_id: row.student_id,
+        question_id: row.question_id,
+        language: row.language || null,
+        content_ref: row.content_ref,
+        content_hash: row.content_hash,
+        rawSimilarity: score,
+      }),
+    );
+
+    console.log(
+      `[SQLite] Found ${results.length} submissions (raw threshold: ${minSimilarity}, scanned: ${rows.length})`,
+    );
+    return results;
+  } catch (error) {
+    console.error("[SQLite Search Error]", error.message);
+    throw new Error(`[SQLite Search Error] ${error.message}`);
+  }
+}
+
+/**
+ * Find similar chunks (raw cosine scores, calibrated by vectorDb.js)
+ * @param {Array<number>} embedding - Query embedding vector
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ * @param {number} limit - Number of results
+ * @param {number} minSimilarity - Minimum raw similarity threshold
+ */
+export async function findSimilarChunks(
+  embedding,
+  filter,
+  limit,
+  minSimilarity,
+) {
+  try {
+    const { where, params } = buildWhere(filter);
+    const rows = requireDb()
+      .prepare(
+        `SELECT s.id, s.student_id, s.question_id, s.language,
+                c.chunk_index, c.chunk_text, c.start_line, c.end_line, c.embedding, c.embedding_norm
+         FROM submission_chunks c
+         JOIN submissions s ON s.id = c.submission_id
+         WHERE ${where}`,
+      )
+      .all(...params);
+
+    const results = rankRows(rows, embedding, limit, minSimilarity).map(
+      ({ row, score }) => ({
+        submission_id: row.id,
+        student_id: row.student_id,
+        question_id: row.question_id,
+        language: row.language || null,
+        chunk_index: row.chunk_index,
+        chunk_text: row.chunk_text,
+        start_line: row.start_line,
+        end_line: row.end_line,
+        rawSimilarity: score,
+      }),
+    );
+
+    console.log(`[SQLite] Found ${results.length} similar chunks`);
+    return results;
+  } catch (error) {
+    console.error("[SQLite Chunk Search Error]", error.message);
+    throw new Error(`[SQLite Chunk Search Error] ${error.message}`);
+  }
+}
+
+/**
+ * Get all submissions for a question
+ * @param {Object} filter - { tenantId, questionId, examId, language }
+ */
+export async function getSubmissionsByQuestion(filter) {
+  try {
+    const { where, params } = buildWhere(filter);
+    const rows = requireDb()
+      .prepare(
+        `SELECT s.id, s.student_id, s.question_id, s.exam_id, s.language, s.content_ref, s.content_hash, s.created_at
+         FROM submissions s WHERE ${where}
+         ORDER BY s.created_at DESC`,
+      )
+      .all(...params);
+
+    return rows.map((row) => ({
+      id: row.id,
+      student_id: row.student_id,
+      question_id: row.question_id,
+      exam_id: row.exam_id || null,
+      language: row.language || null,
+      content_ref: row.content_ref,
+      content_hash: row.content_hash,
+      created_at: new Date(row.created_at),
+    }));
+  } catch (error) {
+    console.error("[SQLite Get Error]", error.message);
+    throw new Error(`[SQLite Get Error] ${error.message}`);
+  }
+}
+
+/**
+ * Get submission by ID (within a tenant)
+ */
+export async function getSubmission(submissionId, tenantId) {
+  try {
+    const row = requireDb()
+      .prepare(
+        `SELECT id, student_id, question_id, exam_id, language, content_ref, content_hash, created_at
+         FROM submissions WHERE id = ? AND tenant_id = ?`,
+      )
+      .get(submissionId, tenantId);
+    if (!row) return null;
+
+    return {
+      id: row.id,
+      student_id: row.student_id,
+      question_id: row.question_id,
+      exam_id: row.exam_id || null,
+      language: row.language || null,
+      content_ref: row.content_ref,
+      content_hash: row.content_hash,
+      created_at: new Date(row.created_at),
+    };
+  } catch (error) {
+    console.error("[SQLite Fetch Error]", error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored embedding vector for a submission (avoids re-calling OpenAI)
+ * @param {string} submissionId - Submission ID
+ * @param {string} tenantId - Tenant
+ * @returns {Array<number>|null} Embedding vector or null if not found
+ */
+export async function getSubmissionEmbedding(submissionId, tenantId) {
+  try {
+    const row = requireDb()
+      .prepare(
+        "SELECT embedding FROM submissions WHERE id = ? AND tenant_id = ?",
+      )
+      .get(submissionId, tenantId);
+    return row ? fromBlob(row.embedding) : null;
+  } catch (error) {
+    console.error("[SQLite Fetch Embedding Error]", error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the stored chunk vectors of a submission
+ * @param {string} submissionId - Submission ID
+ * @param {string} tenantId - Tenant
+ * @returns {Array<Object>} [{ chunk_index, start_line, end_line, embedding }] by chunk index
+ */
+export async function getChunkEmbeddings(submissionId, tenantId) {
+  try {
+    const rows = requireDb()
+      .prepare(
+        `SELECT c.chunk_index, c.start_line, c.end_line, c.embedding
+         FROM submission_chunks c
+         JOIN submissions s ON s.id = c.submission_id
+         WHERE c.submission_id = ? AND s.tenant_id = ?
+         ORDER BY c.chunk_index`,
+      )
+      .all(submissionId, tenantId);
+    return rows.map((row) => ({
+      chunk_index: row.chunk_index,
+      start_line: row.start_line,
+      end_line: row.end_line,
+      embedding: fromBlob(row.embedding),
+    }));
+  } catch (error) {
+    console.error("[SQLite Fetch Chunk Embeddings Error]", error.message);
+    return [];
+  }
+}
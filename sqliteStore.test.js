@@ -0,0 +1,166 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import * as sqliteStore from "./sqliteStore.js";
+import { assertVectorStore } from "./vectorDb.js";
+
+function record(overrides = {}) {
+  return {
+    tenantId: "default",
+    submissionId: "s1",
+    studentId: "alice",
+    questionId: "q1",
+    examId: null,
+    language: "python",
+    contentRef: "s1",
+    contentHash: "hash-s1",
+    codeLength: 42,
+    embedding: [1, 0, 0],
+    chunks: [
+      { text: "def a():", embedding: [1, 0, 0], startLine: 1, endLine: 2 },
+      { text: "def b():", embedding: [0, 1, 0], startLine: 4, endLine: 6 },
+    ],
+    ...overrides,
+  };
+}
+
+test.before(async () => {
+  assert.equal(await sqliteStore.initialize(), true);
+  await sqliteStore.saveSubmission(record());
+  await sqliteStore.saveSubmission(
+    record({
+      submissionId: "s2",
+      studentId: "bob",
+      examId: "midterm",
+      contentRef: "s2",
+      embedding: [0.6, 0.8, 0],
+      chunks: [],
+    }),
+  );
+  await sqliteStore.saveSubmission(
+    record({
+      tenantId: "uni-a",
+      submissionId: "a1",
+      contentRef: "uni-a:a1",
+      embedding: [1, 0, 0],
+      chunks: [],
+    }),
+  );
+});
+
+test("implements the vector store interface", () => {
+  assert.doesNotThrow(() => assertVectorStore(sqliteStore, "sqlite"));
+  assert.ok(fs.existsSync(process.env.SQLITE_DB_PATH));
+});
+
+test("ranks submissions by raw cosine similarity", async () => {
+  const matches = await sqliteStore.findSimilarSubmissions(
+    [1, 0, 0],
+    { tenantId: "default", questionId: "q1" },
+    10,
+    0,
+  );
+  assert.deepEqual(
+    matches.map((m) => m.submission_id),
+    ["s1", "s2"],
+  );
+  assert.ok(Math.abs(matches[0].rawSimilarity - 1) < 1e-6);
+  assert.ok(Math.abs(matches[1].rawSimilarity - 0.6) < 1e-6);
+  assert.equal(matches[0].content_ref, "s1");
+});
+
+test("applies minSimilarity, examId and language filters", async () => {
+  const strict = await sqliteStore.findSimilarSubmissions(
+    [1, 0, 0],
+    { tenantId: "default", questionId: "q1" },
+    10,
+    0.9,
+  );
+  assert.deepEqual(
+    strict.map((m) => m.submission_id),
+    ["s1"],
+  );
+
+  const exam = await sqliteStore.getSubmissionsByQuestion({
+    tenantId: "default",
+    questionId: "q1",
+    examId: "midterm",
+  });
+  assert.deepEqual(
+    exam.map((s) => s.id),
+    ["s2"],
+  );
+
+  const otherLanguage = await sqliteStore.findSimilarSubmissions(
+    [1, 0, 0],
+    { tenantId: "default", questionId: "q1", language: "java" },
+    10,
+    0,
+  );
+  assert.equal(otherLanguage.length, 0);
+});
+
+test("keeps chunk vectors and line ranges", async () => {
+  const chunks = await sqliteStore.findSimilarChunks(
+    [0, 1, 0],
+    { tenantId: "default", questionId: "q1" },
+    1,
+    0.5,
+  );
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].chunk_text, "def b():");
+  assert.equal(chunks[0].start_line, 4);
+  assert.equal(chunks[0].end_line, 6);
+
+  const stored = await sqliteStore.getChunkEmbeddings("s1", "default");
+  assert.deepEqual(
+    stored.map((c) => c.chunk_index),
+    [0, 1],
+  );
+  assert.deepEqual(stored[1].embedding, [0, 1, 0]);
+});
+
+test("re-saving a submission replaces its vectors", async () => {
+  await sqliteStore.saveSubmission(
+    record({ submissionId: "s3", chunks: record().chunks }),
+  );
+  await sqliteStore.saveSubmission(
+    record({ submissionId: "s3", embedding: [0, 0, 1], chunks: [] }),
+  );
+  assert.deepEqual(
+    await sqliteStore.getSubmissionEmbedding("s3", "default"),
+    [0, 0, 1],
+  );
+  assert.equal(
+    (await sqliteStore.getChunkEmbeddings("s3", "default")).length,
+    0,
+  );
+});
+
+test("isolates tenants", async () => {
+  assert.equal(await sqliteStore.getSubmission("a1", "default"), null);
+  assert.equal((await sqliteStore.getSubmission("a1", "uni-a")).id, "a1");
+
+  const matches = await sqliteStore.findSimilarSubmissions(
+    [1, 0, 0],
+    { tenantId: "uni-a", questionId: "q1" },
+    10,
+    0,
+  );
+  assert.deepEqual(
+    matches.map((m) => m.submission_id),
+    ["a1"],
+  );
+});
+
+test("refuses an ID that another tenant already uses", async () => {
+  await assert.rejects(
+    sqliteStore.saveSubmission(record({ tenantId: "uni-b", chunks: [] })),
+    /already used by another tenant/,
+  );
+  assert.equal(
+    (await sqliteStore.getSubmission("s1", "default")).student_id,
+    "alice",
+  );
+});
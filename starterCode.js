@@ -0,0 +1,293 @@
+/**
+ * Starter Code Module
+ * Instructor-provided skeletons registered per question (and optionally exam).
+ * Lines a submission shares with the starter code are blanked out before
+ * embedding, chunking, token tiling and external comparison, and the starter's
+ * fingerprints are dropped from winnowing, so students who filled in the same
+ * skeleton no longer match each other on the skeleton.
+ *
+ * Starter lines are matched in order (longest common subsequence of trimmed,
+ * non-blank lines); a skeleton line the student edited counts as their own.
+ * Blanking keeps line numbers, so chunk ranges and matched regions still point
+ * into the original submission.
+ *
+ * Starter code is registered per tenant (tenants.js): two tenants can use the
+ * same question ID with different skeletons.
+ *
+ * Backend is chosen with STARTER_CODE_PROVIDER:
+ *   - "fs" (default): one JSON file per question/exam under STARTER_CODE_DIR
+ *   - "memory": in-process Map (tests and demos)
+ */
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import * as chunking from "./chunking.js";
+import { hashContent } from "./contentStore.js";
+import { DEFAULT_TENANT } from "./tenants.js";
+
+dotenv.config();
+
+export const STARTER_CODE_PROVIDER = (process.env.STARTER_CODE_PROVIDER || "fs")
+  .trim()
+  .toLowerCase();
+const STARTER_CODE_DIR = path.resolve(
+  process.env.STARTER_CODE_DIR || "data/starter",
+);
+// Above this many line pairs the in-order match falls back to a multiset match
+const MAX_LCS_CELLS = 4000000;
+
+const memoryStarters = new Map();
+
+// Default-tenant keys keep the format from before tenants existed
+function starterKey(questionId, examId, tenantId = DEFAULT_TENANT) {
+  const key = examId ? `${questionId}::${examId}` : `${questionId}::`;
+  return tenantId && tenantId !== DEFAULT_TENANT ? `${tenantId}/${key}` : key;
+}
+
+function starterPath(key) {
+  return path.join(STARTER_CODE_DIR, `${encodeURIComponent(key)}.json`);
+}
+
+async function readStarter(key) {
+  try {
+    if (STARTER_CODE_PROVIDER === "memory") {
+      return memoryStarters.get(key) || null;
+    }
+    return JSON.parse(await fs.promises.readFile(starterPath(key), "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error("[Starter Code Read Error]", error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Register (or replace) the starter code of a question
+ * @param {Object} data - { tenantId (optional), questionId, examId (optional), code, language, files (optional project manifest) }
+ * @returns {Promise<Object>} Stored record
+ */
+export async function saveStarterCode(data) {
+  const tenantId = data.tenantId || DEFAULT_TENANT;
+  const key = starterKey(data.questionId, data.examId, tenantId);
+  const existing = await readStarter(key);
+  const now = new Date().toISOString();
+  const record = {
+    tenantId,
+    questionId: data.questionId,
+    examId: data.examId || null,
+    language: data.language,
+    code: data.code,
+    files: data.files || null,
+    contentHash: hashContent(data.code),
+    lineCount: data.code.split("\n").length,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  try {
+    if (STARTER_CODE_PROVIDER === "memory") {
+      memoryStarters.set(key, record);
+    } else {
+      await fs.promises.mkdir(STARTER_CODE_DIR, { recursive: true });
+      // Write to a temp file and rename so readers never see a partial file
+      const target = starterPath(key);
+      const tempFile = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(record), "utf8");
+      await fs.promises.rename(tempFile, target);
+    }
+  } catch (error) {
+    console.error("[Starter Code Save Error]", error.message);
+    throw new Error(`[Starter Code Save Error] ${error.message}`);
+  }
+
+  console.log(
+    `[Starter Code] Registered ${record.lineCount} lines for question ${record.questionId}${record.examId ? ` exam ${record.examId}` : ""}`,
+  );
+  return record;
+}
+
+/**
+ * Starter code that applies to a question: the exam-specific one when the exam
+ * has its own, otherwise the question-wide one
+ * @param {string} questionId - Question ID
+ * @param {string} [examId] - Exam ID
+ * @param {string} [tenantId] - Tenant (default tenant when omitted)
+ * @returns {Promise<Object|null>} Record or null if none is registered
+ */
+export async function getStarterCode(
+  questionId,
+  examId = null,
+  tenantId = DEFAULT_TENANT,
+) {
+  if (!questionId) return null;
+  if (examId) {
+    const forExam = await readStarter(starterKey(questionId, examId, tenantId));
+    if (forExam) return forExam;
+  }
+  return readStarter(starterKey(questionId, null, tenantId));
+}
+
+/**
+ * Remove the starter code registered for exactly this question/exam
+ * @param {string} questionId - Question ID
+ * @param {string} [examId] - Exam ID
+ * @param {string} [tenantId] - Tenant (default tenant when omitted)
+ * @returns {Promise<boolean>} Whether a record was removed
+ */
+export async function deleteStarterCode(
+  questionId,
+  examId = null,
+  tenantId = DEFAULT_TENANT,
+) {
+  const key = starterKey(questionId, examId, tenantId);
+  if (STARTER_CODE_PROVIDER === "memory") {
+    return memoryStarters.delete(key);
+  }
+  try {
+    await fs.promises.unlink(starterPath(key));
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") return false;
+    console.error("[Starter Code Delete Error]", error.message);
+    throw new Error(`[Starter Code Delete Error] ${error.message}`);
+  }
+}
+
+/** Comparable form of a line: trimmed, inner whitespace collapsed */
+function lineKey(line) {
+  return line.trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Lines of a submission that come from the starter code
+ * @param {string} code - Submission source
+ * @param {string} starter - Starter source
+ * @returns {Set<number>} 0-based line numbers in the submission
+ */
+export function findStarterLines(code, starter) {
+  const lines = code.split("\n");
+  const codeLines = [];
+  lines.forEach((line, index) => {
+    const key = lineKey(line);
+    if (key) codeLines.push({ key, index });
+  });
+  const starterLines = starter.split("\n").map(lineKey).filter(Boolean);
+  const matched = new Set();
+  const n = codeLines.length;
+  const m = starterLines.length;
+  if (n === 0 || m === 0) return matched;
+
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    // Very large inputs: each starter line removes one equal submission line
+    const remaining = new Map();
+    starterLines.forEach((key) =>
+      remaining.set(key, (remaining.get(key) || 0) + 1),
+    );
+    codeLines.forEach(({ key, index }) => {
+      if (remaining.get(key) > 0) {
+        remaining.set(key, remaining.get(key) - 1);
+        matched.add(index);
+      }
+    });
+    return matched;
+  }
+
+  // Longest common subsequence, filled from the end so the walk runs forwards
+  const width = m + 1;
+  const table = new Int32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] =
+        codeLines[i].key === starterLines[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (codeLines[i].key === starterLines[j]) {
+      matched.add(codeLines[i].index);
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Blank out the lines a submission shares with the starter code
+ * @param {string} code - Submission source
+ * @param {string} [starter] - Starter source (code is returned unchanged without one)
+ * @returns {string} Source with the same line count and starter lines emptied
+ */
+export function subtractStarterCode(code, starter) {
+  if (!starter || !code) return code;
+  const starterLines = findStarterLines(code, starter);
+  if (starterLines.size === 0) return code;
+  return code
+    .split("\n")
+    .map((line, index) => (starterLines.has(index) ? "" : line))
+    .join("\n");
+}
+
+/**
+ * Point chunks at the student-written part of their lines and drop chunks
+ * that are (almost) entirely starter code
+ * @param {Array<Object>} chunks - Chunks of the original source (line ranges kept)
+ * @param {string} strippedCode - subtractStarterCode() result for the same source
+ * @returns {Array<Object>} Re-indexed chunks
+ */
+export function subtractFromChunks(chunks, strippedCode) {
+  const lines = strippedCode.split("\n");
+  return chunking.filterAndReindex(
+    chunks.map((chunk) => ({
+      ...chunk,
+      text: lines
+        .slice(chunk.startLine, chunk.endLine + 1)
+        .filter((line) => line.trim())
+        .join("\n"),
+    })),
+  );
+}
+
+/**
+ * Student-written part of a submission, used for its embeddings
+ * @param {string} code - Submission source
+ * @param {Array<Object>} chunks - Chunks of the submission
+ * @param {Object} [starter] - getStarterCode() record
+ * @returns {Object} { code (starter lines blanked; the original when nothing else is left), chunks, starterLines }
+ */
+export function subtractFromSubmission(code, chunks, starter) {
+  if (!starter) return { code, chunks, starterLines: 0 };
+  const stripped = subtractStarterCode(code, starter.code);
+  const originalLines = code.split("\n");
+  const starterLines = stripped
+    .split("\n")
+    .filter(
+      (line, index) => !line.trim() && originalLines[index].trim(),
+    ).length;
+  return {
+    // Embedding providers reject empty input, so a bare skeleton keeps its text
+    code: stripped.trim() ? stripped : code,
+    chunks: subtractFromChunks(chunks, stripped),
+    starterLines,
+  };
+}
+
+export default {
+  STARTER_CODE_PROVIDER,
+  saveStarterCode,
+  getStarterCode,
+  deleteStarterCode,
+  findStarterLines,
+  subtractStarterCode,
+  subtractFromChunks,
+  subtractFromSubmission,
+};
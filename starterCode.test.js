@@ -0,0 +1,114 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as starterCode from "./starterCode.js";
+import { extractCodeChunks } from "./chunking.js";
+import { buildWinnowingComparison } from "./winnowing.js";
+
+const STARTER = `import sys
+
+def read_input():
+    return sys.stdin.read().split()
+
+def solve(values):
+    # TODO: implement
+    pass
+
+if __name__ == "__main__":
+    print(solve(read_input()))
+`;
+
+const fill = (body) => STARTER.replace("    # TODO: implement\n    pass", body);
+
+const ALICE = fill(`    total = 0
+    for value in values:
+        total += int(value)
+    return total`);
+
+const BOB = fill(`    numbers = sorted(int(v) for v in values)
+    middle = len(numbers) // 2
+    return numbers[middle]`);
+
+test("starter lines are matched in order, edited lines stay the student's", () => {
+  const code = `import sys\n\ndef read_input():\n    return sys.stdin.read().split(",")\n`;
+  const lines = starterCode.findStarterLines(code, STARTER);
+  assert.deepEqual([...lines].sort(), [0, 2]);
+  assert.equal(starterCode.findStarterLines(code, "").size, 0);
+});
+
+test("subtraction blanks starter lines and keeps line numbers", () => {
+  const stripped = starterCode.subtractStarterCode(ALICE, STARTER);
+  const lines = stripped.split("\n");
+  assert.equal(lines.length, ALICE.split("\n").length);
+  assert.equal(lines[0], "");
+  assert.equal(lines[6], "    total = 0");
+  assert.equal(starterCode.subtractStarterCode(ALICE, null), ALICE);
+});
+
+test("chunks made only of starter code are dropped", () => {
+  const chunks = extractCodeChunks(ALICE, "python");
+  const result = starterCode.subtractFromSubmission(ALICE, chunks, {
+    code: STARTER,
+  });
+  assert.ok(result.starterLines >= 5);
+  assert.deepEqual(
+    result.chunks.map((chunk) => chunk.name),
+    ["solve"],
+  );
+  assert.doesNotMatch(result.chunks[0].text, /def solve/);
+
+  const bare = starterCode.subtractFromSubmission(STARTER, [], {
+    code: STARTER,
+  });
+  assert.equal(bare.code, STARTER);
+  assert.equal(
+    starterCode.subtractFromSubmission(ALICE, chunks, null).code,
+    ALICE,
+  );
+});
+
+test("shared skeletons no longer match in winnowing", async () => {
+  const without = await buildWinnowingComparison(ALICE, "python", [
+    { id: "bob", code: BOB },
+  ]);
+  const withStarter = await buildWinnowingComparison(
+    ALICE,
+    "python",
+    [{ id: "bob", code: BOB }],
+    { starterCode: STARTER },
+  );
+  assert.ok(without.results[0].similarity > 0.3);
+  assert.ok(
+    withStarter.results[0].similarity < 0.1,
+    `got ${withStarter.results[0].similarity}`,
+  );
+});
+
+test("exam starter code overrides the question-wide one, per tenant", async () => {
+  await starterCode.saveStarterCode({
+    questionId: "q1",
+    code: STARTER,
+    language: "python",
+  });
+  await starterCode.saveStarterCode({
+    questionId: "q1",
+    examId: "final",
+    code: "def main():\n    pass",
+    language: "python",
+  });
+
+  assert.equal((await starterCode.getStarterCode("q1")).code, STARTER);
+  assert.equal(
+    (await starterCode.getStarterCode("q1", "midterm")).code,
+    STARTER,
+  );
+  assert.equal(
+    (await starterCode.getStarterCode("q1", "final")).code,
+    "def main():\n    pass",
+  );
+  assert.equal(await starterCode.getStarterCode("q1", null, "uni-a"), null);
+
+  assert.equal(await starterCode.deleteStarterCode("q1", "final"), true);
+  assert.equal((await starterCode.getStarterCode("q1", "final")).code, STARTER);
+  assert.equal(await starterCode.deleteStarterCode("q1", "final"), false);
+});
@@ -0,0 +1,319 @@
+/**
+ * Tenants Module
+ * Lets several departments share one deployment. Every submission, starter
+ * code, job, check, case and API key belongs to a tenant (a course or
+ * department), so two tenants that both use question "q1" never see or match
+ * each other's data:
+ *   - Pinecone: one namespace per tenant (the default tenant keeps the
+ *     default namespace, so existing indexes need no migration)
+ *   - pgvector / SQLite: a tenant_id column filtered by every query
+ *   - memory: one record map per tenant
+ *
+ * Data written before tenants existed belongs to the "default" tenant.
+ *
+ * A tenant needs no registration; storing one adds its name and config:
+ *   - similarityThreshold: default threshold of /api/check and /api/compare
+ *     (through the builtin scoring profile, see scoringProfiles.js)
+ *   - clusterThreshold: default edge threshold of /api/clusters
+ *   - weights: per-method weights of the builtin scoring profile
+ *   - languages: languages accepted for submissions and checks (null: all)
+ *
+ * Backend is chosen with TENANT_STORE_PROVIDER:
+ *   - "fs" (default): one JSON file per tenant under TENANT_STORE_DIR
+ *   - "memory": in-process Map (tests and demos)
+ */
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { DEFAULT_WEIGHTS } from "./scoringEngine.js";
+import { resolveLanguage, isSupportedLanguage } from "./languages.js";
+
+dotenv.config();
+
+export const DEFAULT_TENANT = "default";
+export const TENANT_STORE_PROVIDER = (process.env.TENANT_STORE_PROVIDER || "fs")
+  .trim()
+  .toLowerCase();
+const TENANT_STORE_DIR = path.resolve(
+  process.env.TENANT_STORE_DIR || "data/tenants",
+);
+
+// Lowercase letters, digits, "-" and "_" (used in file names and namespaces)
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+export const DEFAULT_TENANT_CONFIG = {
+  similarityThreshold: 0.75,
+  clusterThreshold: null, // collusionClusters.DEFAULT_CLUSTER_THRESHOLD
+  weights: null, // scoringEngine.DEFAULT_WEIGHTS
+  languages: null, // every language
+};
+
+const memoryTenants = new Map();
+// Tenant records are read on every request; the store is only written here
+const cache = new Map();
+
+function tenantPath(id) {
+  return path.join(TENANT_STORE_DIR, `${id}.json`);
+}
+
+/**
+ * Normalize a tenant ID
+ * @param {string} value - Tenant ID (case-insensitive)
+ * @returns {string|null} Lowercased ID, or null when none was given
+ */
+export function normalizeTenantId(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const id = String(value).trim().toLowerCase();
+  if (!TENANT_ID_PATTERN.test(id)) {
+    throw new Error(
+      `Invalid tenant id "${value}": use 1-63 letters, digits, "-" or "_"`,
+    );
+  }
+  return id;
+}
+
+/**
+ * Tenant a stored record belongs to (records from before tenants: default)
+ * @param {Object} record - Record with an optional tenantId
+ * @returns {string}
+ */
+export function tenantOf(record) {
+  return record?.tenantId || DEFAULT_TENANT;
+}
+
+function validateUnit(name, value) {
+  if (value === null) return null;
+  const number = Number(value);
+  if (typeof value === "boolean" || !Number.isFinite(number)) {
+    throw new Error(`Invalid tenant config: ${name} must be a number 0-1`);
+  }
+  if (number < 0 || number > 1) {
+    throw new Error(`Invalid tenant config: ${name} must be between 0 and 1`);
+  }
+  return number;
+}
+
+function validateWeights(weights) {
+  if (weights === null) return null;
+  if (typeof weights !== "object" || Array.isArray(weights)) {
+    throw new Error(
+      `Invalid tenant config: weights must be an object with keys ${Object.keys(DEFAULT_WEIGHTS).join(", ")}`,
+    );
+  }
+  const validated = {};
+  Object.entries(weights).forEach(([method, value]) => {
+    if (!(method in DEFAULT_WEIGHTS)) {
+      throw new Error(
+        `Invalid tenant config: unknown weight "${method}". Use: ${Object.keys(DEFAULT_WEIGHTS).join(", ")}`,
+      );
+    }
+    const number = Number(value);
+    if (typeof value === "boolean" || !Number.isFinite(number) || number < 0) {
+      throw new Error(
+        `Invalid tenant config: weight "${method}" must be a number >= 0`,
+      );
+    }
+    validated[method] = number;
+  });
+  const merged = { ...DEFAULT_WEIGHTS, ...validated };
+  if (!Object.values(merged).some((value) => value > 0)) {
+    throw new Error("Invalid tenant config: at least one weight must be > 0");
+  }
+  return validated;
+}
+
+function validateLanguages(list) {
+  if (list === null) return null;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error(
+      "Invalid tenant config: languages must be a non-empty array (or null for all)",
+    );
+  }
+  const resolved = list.map((lang) => resolveLanguage(String(lang)));
+  const unknown = resolved.filter((lang) => !isSupportedLanguage(lang));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid tenant config: unsupported languages ${unknown.join(", ")}`,
+    );
+  }
+  return [...new Set(resolved)];
+}
+
+/**
+ * Validate a (partial) tenant config
+ * @param {Object} config - { similarityThreshold, clusterThreshold, weights, languages }
+ * @returns {Object} Validated fields (only those given)
+ */
+export function validateTenantConfig(config) {
+  if (config == null || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("Invalid tenant config: config must be an object");
+  }
+  const unknown = Object.keys(config).filter(
+    (key) => !(key in DEFAULT_TENANT_CONFIG),
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid tenant config: unknown fields ${unknown.join(", ")}. Use: ${Object.keys(DEFAULT_TENANT_CONFIG).join(", ")}`,
+    );
+  }
+
+  const validated = {};
+  if ("similarityThreshold" in config) {
+    validated.similarityThreshold = validateUnit(
+      "similarityThreshold",
+      config.similarityThreshold,
+    );
+  }
+  if ("clusterThreshold" in config) {
+    validated.clusterThreshold = validateUnit(
+      "clusterThreshold",
+      config.clusterThreshold,
+    );
+  }
+  if ("weights" in config) validated.weights = validateWeights(config.weights);
+  if ("languages" in config) {
+    validated.languages = validateLanguages(config.languages);
+  }
+  return validated;
+}
+
+async function readTenant(id) {
+  if (cache.has(id)) return cache.get(id);
+  let record = null;
+  if (TENANT_STORE_PROVIDER === "memory") {
+    record = memoryTenants.get(id) || null;
+  } else {
+    try {
+      record = JSON.parse(await fs.promises.readFile(tenantPath(id), "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("[Tenant Store Read Error]", error.message);
+        return null; // Not cached: the next request tries again
+      }
+    }
+  }
+  cache.set(id, record);
+  return record;
+}
+
+async function writeTenant(record) {
+  if (TENANT_STORE_PROVIDER === "memory") {
+    memoryTenants.set(record.id, structuredClone(record));
+  } else {
+    await fs.promises.mkdir(TENANT_STORE_DIR, { recursive: true });
+    // Write to a temp file and rename so readers never see a partial file
+    const target = tenantPath(record.id);
+    const tempFile = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(record), "utf8");
+    await fs.promises.rename(tempFile, target);
+  }
+  cache.set(record.id, record);
+}
+
+/**
+ * Tenant with its effective config (defaults for anything not stored)
+ * @param {string} id - Tenant ID
+ * @returns {Promise<Object>} { id, name, registered, config, createdAt, updatedAt, updatedBy }
+ */
+export async function getTenant(id) {
+  const tenantId = normalizeTenantId(id) || DEFAULT_TENANT;
+  const stored = await readTenant(tenantId);
+  return {
+    id: tenantId,
+    name: stored?.name || tenantId,
+    registered: Boolean(stored),
+    config: { ...DEFAULT_TENANT_CONFIG, ...(stored?.config || {}) },
+    createdAt: stored?.createdAt || null,
+    updatedAt: stored?.updatedAt || null,
+    updatedBy: stored?.updatedBy || null,
+  };
+}
+
+/**
+ * Effective config of a tenant
+ * @param {string} id - Tenant ID
+ * @returns {Promise<Object>} { similarityThreshold, clusterThreshold, weights, languages }
+ */
+export async function getTenantConfig(id) {
+  return (await getTenant(id)).config;
+}
+
+/**
+ * Register a tenant or update its name and config (config fields not given
+ * are kept; null resets a field to the default)
+ * @param {string} id - Tenant ID
+ * @param {Object} data - { name, config }
+ * @param {string} [actor] - Who made the change
+ * @returns {Promise<Object>} Tenant as returned by getTenant()
+ */
+export async function saveTenant(id, data = {}, actor = null) {
+  const tenantId = normalizeTenantId(id);
+  if (!tenantId) throw new Error("Invalid tenant id: id is required");
+  const config = validateTenantConfig(data.config ?? {});
+  if (data.name != null && !String(data.name).trim()) {
+    throw new Error("Invalid tenant name: name cannot be empty");
+  }
+
+  const existing = await readTenant(tenantId);
+  const now = new Date().toISOString();
+  await writeTenant({
+    id: tenantId,
+    name: data.name != null ? String(data.name).trim() : existing?.name || null,
+    config: { ...(existing?.config || {}), ...config },
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    updatedBy: actor,
+  });
+  console.log(
+    `[Tenants] ${existing ? "Updated" : "Registered"} tenant ${tenantId}`,
+  );
+  return getTenant(tenantId);
+}
+
+/**
+ * Registered tenants (the default tenant is always listed)
+ * @returns {Promise<Array<Object>>} Tenants as returned by getTenant(), by ID
+ */
+export async function listTenants() {
+  let ids = [];
+  if (TENANT_STORE_PROVIDER === "memory") {
+    ids = [...memoryTenants.keys()];
+  } else {
+    try {
+      ids = (await fs.promises.readdir(TENANT_STORE_DIR))
+        .filter((file) => file.endsWith(".json"))
+        .map((file) => file.slice(0, -5));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+  const all = [...new Set([DEFAULT_TENANT, ...ids])].sort();
+  return Promise.all(all.map((id) => getTenant(id)));
+}
+
+/**
+ * Whether a tenant accepts submissions and checks in a language
+ * @param {Object} config - Tenant config
+ * @param {string} language - Language name or alias
+ * @returns {boolean}
+ */
+export function isLanguageAllowed(config, language) {
+  return (
+    !config?.languages || config.languages.includes(resolveLanguage(language))
+  );
+}
+
+export default {
+  DEFAULT_TENANT,
+  DEFAULT_TENANT_CONFIG,
+  TENANT_STORE_PROVIDER,
+  normalizeTenantId,
+  tenantOf,
+  validateTenantConfig,
+  getTenant,
+  getTenantConfig,
+  saveTenant,
+  listTenants,
+  isLanguageAllowed,
+};
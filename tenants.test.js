@@ -0,0 +1,184 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as tenants from "./tenants.js";
+import * as vectorDb from "./vectorDb.js";
+import * as memoryStore from "./memoryStore.js";
+import * as contentStore from "./contentStore.js";
+
+test.before(async () => {
+  assert.equal(await vectorDb.initializeIndex("memory"), true);
+});
+
+test("tenant IDs are lowercased and validated", () => {
+  assert.equal(tenants.normalizeTenantId(" Uni-A "), "uni-a");
+  assert.equal(tenants.normalizeTenantId(""), null);
+  assert.equal(tenants.normalizeTenantId(null), null);
+  assert.throws(() => tenants.normalizeTenantId("a:b"), /Invalid tenant id/);
+  assert.throws(() => tenants.normalizeTenantId("-a"), /Invalid tenant id/);
+  assert.equal(tenants.tenantOf({}), tenants.DEFAULT_TENANT);
+});
+
+test("tenant configs are validated", () => {
+  assert.deepEqual(
+    tenants.validateTenantConfig({
+      similarityThreshold: "0.8",
+      languages: ["py", "Java"],
+    }),
+    { similarityThreshold: 0.8, languages: ["python", "java"] },
+  );
+  for (const [config, message] of [
+    [{ similarityThreshold: 2 }, /between 0 and 1/],
+    [{ clusterThreshold: true }, /must be a number/],
+    [{ weights: { nope: 1 } }, /unknown weight "nope"/],
+    [
+      {
+        weights: {
+          semantic_embeddings: 0,
+          copydetect: 0,
+          treesitter: 0,
+          gst: 0,
+          difflib: 0,
+        },
+      },
+      /at least one weight/,
+    ],
+    [{ weights: { gst: -1 } }, /must be a number >= 0/],
+    [{ languages: [] }, /non-empty array/],
+    [{ languages: ["cobol"] }, /unsupported languages cobol/],
+    [{ color: "red" }, /unknown fields color/],
+  ]) {
+    assert.throws(() => tenants.validateTenantConfig(config), message);
+  }
+});
+
+test("saved tenants keep config fields that are not given", async () => {
+  const unregistered = await tenants.getTenant("uni-x");
+  assert.equal(unregistered.registered, false);
+  assert.deepEqual(unregistered.config, tenants.DEFAULT_TENANT_CONFIG);
+
+  await tenants.saveTenant("Uni-A", {
+    name: "University A",
+    config: { similarityThreshold: 0.6, languages: ["python"] },
+  });
+  const updated = await tenants.saveTenant(
+    "uni-a",
+    { config: { similarityThreshold: null } },
+    "admin",
+  );
+  assert.equal(updated.name, "University A");
+  assert.equal(updated.updatedBy, "admin");
+  assert.equal(updated.config.similarityThreshold, null);
+  assert.deepEqual(updated.config.languages, ["python"]);
+
+  assert.equal(tenants.isLanguageAllowed(updated.config, "py"), true);
+  assert.equal(tenants.isLanguageAllowed(updated.config, "java"), false);
+  assert.deepEqual(
+    (await tenants.listTenants()).map((tenant) => tenant.id),
+    ["default", "uni-a"],
+  );
+  await assert.rejects(tenants.saveTenant(" "), /id is required/);
+});
+
+test("tenants never see each other's submissions", async () => {
+  memoryStore.clear();
+  const save = (tenantId, submissionId, code) =>
+    vectorDb.saveSubmission({
+      tenantId,
+      submissionId,
+      studentId: `${tenantId}-student`,
+      questionId: "q1",
+      code,
+      embedding: [1, 0],
+      chunks: [],
+    });
+  await save("uni-a", "s1", "print('a')");
+  await save("uni-b", "s1", "print('b')");
+
+  assert.equal(
+    (await vectorDb.getSubmission("s1", "uni-a")).code,
+    "print('a')",
+  );
+  assert.equal(
+    (await vectorDb.getSubmission("s1", "uni-b")).code,
+    "print('b')",
+  );
+  assert.equal(await vectorDb.getSubmission("s1"), null);
+  assert.deepEqual(
+    (
+      await vectorDb.findSimilarSubmissions(
+        [1, 0],
+        "q1",
+        5,
+        0,
+        null,
+        null,
+        "UNI-A",
+      )
+    ).map((match) => match.student_id),
+    ["uni-a-student"],
+  );
+});
+
+test("content refs cannot collide across tenants", async () => {
+  memoryStore.clear();
+  // Default-tenant ID that looks like tenant deptb's ref for "s1"
+  await vectorDb.saveSubmission({
+    submissionId: "deptb:s1",
+    studentId: "default-student",
+    questionId: "q1",
+    code: "default code",
+    embedding: [1, 0],
+    chunks: [],
+  });
+  await vectorDb.saveSubmission({
+    tenantId: "deptb",
+    submissionId: "s1",
+    studentId: "deptb-student",
+    questionId: "q1",
+    code: "deptb code",
+    embedding: [1, 0],
+    chunks: [],
+  });
+
+  const ownDefault = await vectorDb.getSubmission("deptb:s1");
+  assert.equal(ownDefault.content_ref, "default:deptb:s1");
+  assert.equal(ownDefault.code, "default code");
+  assert.equal(
+    (await vectorDb.getSubmission("s1", "deptb")).code,
+    "deptb code",
+  );
+
+  await vectorDb.saveSubmission({
+    submissionId: "plain",
+    studentId: "x",
+    questionId: "q1",
+    code: "plain code",
+    embedding: [1, 0],
+    chunks: [],
+  });
+  assert.equal((await vectorDb.getSubmission("plain")).content_ref, "plain");
+});
+
+test("chunks of default-tenant IDs stored under the bare ID keep their text", async () => {
+  memoryStore.clear();
+  const code = "line zero\nline one\nline two";
+  // Written before refs were namespaced: the content sits under the bare ID
+  const content = await contentStore.saveContent("legacy:1", code);
+  await memoryStore.saveSubmission({
+    tenantId: tenants.DEFAULT_TENANT,
+    submissionId: "legacy:1",
+    studentId: "old",
+    questionId: "q1",
+    examId: null,
+    language: null,
+    ...content,
+    embedding: [1, 0],
+    chunks: [
+      { text: "stale preview", embedding: [1, 0], startLine: 1, endLine: 2 },
+    ],
+  });
+
+  const [chunk] = await vectorDb.findSimilarChunks([1, 0], "q1", 5, 0);
+  assert.equal(chunk.chunk_text, "line one\nline two");
+});
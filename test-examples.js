@@ -101,7 +101,10 @@ const checkPrime = (n) => {
 async function testSubmit() {
   const response = await fetch('http://localhost:3000/api/submit', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer pdk_...' // API key from POST /api/keys
+    },
     body: JSON.stringify({
       code: example1Original,
       studentId: 'student_001',
@@ -118,7 +121,10 @@ async function testSubmit() {
 async function testCheck() {
   const response = await fetch('http://localhost:3000/api/check', {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: 'Bearer pdk_...' // API key from POST /api/keys
+    },
     body: JSON.stringify({
       code: example1Paraphrased,
       questionId: 'problem_1',
@@ -3,11 +3,15 @@
  * 
  * This script demonstrates how the external plagiarism API works
  * and tests the combined detection system.
+ * With authentication on, pass a key: PLAGIARISM_API_KEY=pdk_... node test-external-api.js
  */
 
 import axios from 'axios';
 
 const BASE_URL = 'http://localhost:3000';
+const AUTH_HEADERS = process.env.PLAGIARISM_API_KEY
+  ? { Authorization: `Bearer ${process.env.PLAGIARISM_API_KEY}` }
+  : {};
 
 // Test cases
 const testCases = [
@@ -62,7 +66,7 @@ async function submitCode(studentId, questionId, code) {
       questionId,
       code,
       language: 'javascript'
-    });
+    }, { headers: AUTH_HEADERS });
     
     if (response.data.success) {
       console.log(`✅ Submission successful - ID: ${response.data.submissionId}`);
@@ -87,7 +91,7 @@ async function checkSimilarity(questionId, code) {
       language: 'javascript',
       similarityThreshold: 0.75,
       maxResults: 5
-    });
+    }, { headers: AUTH_HEADERS });
     
     if (response.data.success) {
       return response.data;
@@ -0,0 +1,41 @@
+/**
+ * Test Environment
+ * Imported first by every *.test.js file: points every store at its in-memory
+ * provider (or a throwaway temp directory) and the embedding provider at the
+ * offline local model, so `npm test` needs no network, no cloud accounts and
+ * never writes into the repository.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const TEMP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "plagdetect-test-"));
+
+const TEST_ENV = {
+  VECTOR_DB_PROVIDER: "memory",
+  EMBEDDING_PROVIDER: "local",
+  EMBEDDING_CACHE_PROVIDER: "memory",
+  CONTENT_STORE_PROVIDER: "memory",
+  STARTER_CODE_PROVIDER: "memory",
+  JOB_STORE_PROVIDER: "memory",
+  CASE_STORE_PROVIDER: "memory",
+  CHECK_STORE_PROVIDER: "memory",
+  API_KEY_STORE_PROVIDER: "memory",
+  TENANT_STORE_PROVIDER: "memory",
+  SCORING_PROFILE_STORE_PROVIDER: "memory",
+  SQLITE_DB_PATH: path.join(TEMP_DIR, "test.db"),
+  EXTERNAL_PLAGIAGARISM_API_URL: "http://127.0.0.1:9/detect",
+  JWT_SECRET: "test-secret",
+  AUTH_BOOTSTRAP_KEY: "test-bootstrap",
+};
+
+for (const [key, value] of Object.entries(TEST_ENV)) {
+  process.env[key] = value;
+}
+
+process.on("exit", () => {
+  fs.rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+export { TEMP_DIR };
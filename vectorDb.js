@@ -1,20 +1,85 @@
 /**
- * Vector Database Module - Pinecone
- * Handles vector storage and similarity search using Pinecone cloud vector DB
- * No local database setup required!
+ * Vector Database Module
+ * Single entry point for vector storage and similarity search. The actual backend
+ * is chosen at startup (initializeIndex) from VECTOR_DB_PROVIDER:
+ *   - "pinecone" (default): Pinecone cloud vector DB (pineconeStore.js)
+ *   - "pgvector": self-hosted PostgreSQL + pgvector (pgvectorStore.js)
+ *   - "sqlite": embedded single-file SQLite database (sqliteStore.js)
+ *   - "memory": in-process reference implementation, no network (memoryStore.js)
+ *
+ * Backends return raw cosine scores; this module normalizes inputs and applies
+ * score calibration so every backend reports the same similarity scale.
+ *
+ * Every read and write is limited to one tenant (tenants.js); the tenant is the
+ * last argument of each function and defaults to the default tenant.
  */
 
-import { Pinecone } from "@pinecone-database/pinecone";
 import dotenv from "dotenv";
+import * as contentStore from "./contentStore.js";
+import { locateLines } from "./projectFiles.js";
+import { getEmbeddingProviderInfo } from "./embeddings.js";
+import { DEFAULT_TENANT, normalizeTenantId } from "./tenants.js";
 
 dotenv.config();
 
-const INDEX_NAME = process.env.PINECONE_INDEX_NAME || "plagiarism-detector";
-let pinecone = null;
-let index = null;
+/**
+ * Vector store interface. Every backend module exports:
+ *
+ *   name, label                  - identifiers for logs and /api/health
+ *   configHint                   - what to configure when initialize() fails
+ *   eventuallyConsistent         - true if fresh writes may not be readable yet
+ *   initialize()                 → Promise<boolean>
+ *   saveSubmission(record)       → Promise<submissionId>
+ *       record: { tenantId, submissionId, studentId, questionId, examId|null, language|null,
+ *                 contentRef, contentHash, codeLength, embedding,
+ *                 chunks: [{ text, embedding, startLine?, endLine? }] }
+ *   findSimilarSubmissions(embedding, filter, limit, minSimilarity)
+ *       → Promise<[{ submission_id, student_id, question_id, language, content_ref, content_hash, rawSimilarity }]>
+ *   findSimilarChunks(embedding, filter, limit, minSimilarity)
+ *       → Promise<[{ submission_id, student_id, question_id, language, chunk_index, chunk_text,
+ *                    start_line, end_line, rawSimilarity }]>
+ *   getSubmissionsByQuestion(filter)
+ *       → Promise<[{ id, student_id, question_id, exam_id, language, content_ref, content_hash, created_at }]>
+ *   getSubmission(submissionId, tenantId)  → Promise<Object|null>
+ *   getSubmissionEmbedding(submissionId, tenantId) → Promise<Array<number>|null>
+ *   getChunkEmbeddings(submissionId, tenantId)
+ *       → Promise<[{ chunk_index, start_line, end_line, embedding }]> (by chunk_index)
+ *
+ * filter: { tenantId, questionId, examId|null, language|null } — tenantId is
+ * always set and must isolate tenants completely (namespace, column or map);
+ * examId and language are optional equality filters. Results are ordered by
+ * descending rawSimilarity. Submission IDs only need to be unique per tenant.
+ *
+ * Backends never store source code: saveSubmission() here writes it to the
+ * content store first, and every read path re-attaches the full `code`.
+ */
+export const STORE_METHODS = [
+  "initialize",
+  "saveSubmission",
+  "findSimilarSubmissions",
+  "findSimilarChunks",
+  "getSubmissionsByQuestion",
+  "getSubmission",
+  "getSubmissionEmbedding",
+  "getChunkEmbeddings",
+];
+
+const STORE_LOADERS = {
+  pinecone: () => import("./pineconeStore.js"),
+  pgvector: () => import("./pgvectorStore.js"),
+  sqlite: () => import("./sqliteStore.js"),
+  memory: () => import("./memoryStore.js"),
+};
+
+export const VECTOR_DB_PROVIDER = (process.env.VECTOR_DB_PROVIDER || "pinecone")
+  .trim()
+  .toLowerCase();
+
+let store = null;
+let activeProvider = VECTOR_DB_PROVIDER;
 
 /**
- * Calibrate raw Pinecone cosine similarity to a meaningful plagiarism percentage.
+ * Calibrate raw cosine similarity to a meaningful plagiarism percentage.
  *
  * OpenAI's text-embedding-3-small has a natural cosine-similarity floor of ~0.70
  * for completely unrelated texts — returning a raw score of 0.70–0.80 even when two
@@ -29,143 +94,236 @@ let index = null;
  *   raw 0.85 (structurally similar) → 50 %
  *   raw 0.95 (near-identical)       → 83 %
  *   raw 1.00 (exact copy)           → 100 %
+ *
+ * The baseline belongs to the embedding space, so it comes from the active
+ * embedding provider (0.70 for OpenAI, lower for the offline local provider).
  */
-const COSINE_SIMILARITY_BASELINE = 0.7;
+const COSINE_SIMILARITY_BASELINE =
+  getEmbeddingProviderInfo().similarityBaseline;
+
+export function calibrateScore(rawScore, baseline = null) {
+  // A scoring profile may set its own baseline (scoringProfiles.js)
+  const floor = baseline ?? COSINE_SIMILARITY_BASELINE;
+  return Math.max(0, (rawScore - floor) / (1 - floor));
+}
+
+function normalizeOptionalId(value) {
+  return value != null && String(value).trim() !== ""
+    ? String(value).trim()
+    : null;
+}
 
-function calibrateScore(rawScore) {
-  return Math.max(
-    0,
-    (rawScore - COSINE_SIMILARITY_BASELINE) / (1 - COSINE_SIMILARITY_BASELINE),
+function normalizeLanguage(value) {
+  return value && String(value).trim()
+    ? String(value).trim().toLowerCase()
+    : null;
+}
+
+function normalizeTenant(value) {
+  return normalizeTenantId(value) || DEFAULT_TENANT;
+}
+
+/**
+ * Content store pointer of a submission: "<tenant>:<id>". Default-tenant IDs
+ * without ":" keep the bare ID (as before tenants), so a ref without ":" is
+ * always the default tenant's and any other ref names its tenant before the
+ * first ":" (a default-tenant "deptb:s1" is "default:deptb:s1", never the
+ * ref of tenant deptb's "s1").
+ */
+function contentRefFor(submissionId, tenantId) {
+  const id = String(submissionId);
+  return tenantId === DEFAULT_TENANT && !id.includes(":")
+    ? id
+    : `${tenantId}:${id}`;
+}
+
+/**
+ * Full source of a submission by ID. Default-tenant submissions with ":" in
+ * their ID that were stored under the bare ID are still found there (rows
+ * carry their own content_ref; this is for lookups by ID only).
+ */
+async function getSubmissionContent(submissionId, tenantId) {
+  const content = await contentStore.getContentWithFiles(
+    contentRefFor(submissionId, tenantId),
   );
+  if (
+    content ||
+    tenantId !== DEFAULT_TENANT ||
+    !String(submissionId).includes(":")
+  ) {
+    return content;
+  }
+  return contentStore.getContentWithFiles(String(submissionId));
+}
+
+/** Build the store filter object from the public positional arguments */
+function buildStoreFilter(questionId, examId, language, tenantId) {
+  return {
+    tenantId: normalizeTenant(tenantId),
+    questionId,
+    examId: normalizeOptionalId(examId),
+    language: normalizeLanguage(language),
+  };
 }
 
 /**
- * Get or create Pinecone client (lazy initialization)
+ * Attach full source (and the file manifest of multi-file projects) from the
+ * content store to submission rows.
+ * Rows written before the content store existed fall back to their legacy
+ * (possibly truncated) `code` field.
+ * @param {Array<Object>} rows - Backend rows with content_ref / content_hash
+ * @param {string} idKey - Row field holding the submission ID
  */
-function getPineconeClient() {
-  if (!pinecone) {
-    const apiKey =
-      process.env.PINECONE_API_KEY ??
-      "pcsk_69ch9a_RPQLUArtXyReUKk87f7grMHiBzmz2EBWoqhENNJFufkbCPJ4DWJ9hrfq1DzcDXN";
-
-    if (!apiKey || apiKey === "your_pinecone_api_key_here") {
-      throw new Error(
-        "Pinecone API key is not configured. Please set PINECONE_API_KEY in your .env file. " +
-          "Get your free API key from https://www.pinecone.io/",
+async function attachCode(rows, idKey) {
+  return Promise.all(
+    rows.map(async (row) => {
+      const content = await contentStore.getContentWithFiles(
+        row.content_ref || row[idKey],
+        row.content_hash,
       );
-    }
+      return {
+        ...row,
+        code: content?.code ?? row.code ?? "",
+        files: content?.files ?? null,
+      };
+    }),
+  );
+}
+
+/**
+ * Replace stored chunk previews with the exact lines from the full source.
+ * Chunks of multi-file projects also get their file (`file`: path, language,
+ * file-relative lines, whether the chunk is the whole file).
+ * @param {Array<Object>} chunks - Backend chunk rows with start_line / end_line
+ * @param {string} tenantId - Tenant the chunks belong to
+ */
+async function attachChunkText(chunks, tenantId) {
+  const sources = new Map();
+  return Promise.all(
+    chunks.map(async (chunk) => {
+      if (chunk.start_line == null || chunk.end_line == null) return chunk;
+      if (!sources.has(chunk.submission_id)) {
+        sources.set(
+          chunk.submission_id,
+          getSubmissionContent(chunk.submission_id, tenantId),
+        );
+      }
+      const content = await sources.get(chunk.submission_id);
+      if (!content?.code) return chunk;
+      return {
+        ...chunk,
+        chunk_text: content.code
+          .split("\n")
+          .slice(chunk.start_line, chunk.end_line + 1)
+          .join("\n"),
+        file: content.files
+          ? locateLines(content.files, chunk.start_line, chunk.end_line)
+          : null,
+      };
+    }),
+  );
+}
 
-    pinecone = new Pinecone({ apiKey });
-    console.log("[Pinecone] Client initialized");
+function requireStore() {
+  if (!store) {
+    throw new Error(
+      `Vector database not initialized (provider: ${activeProvider}). Call initializeIndex() first.`,
+    );
+  }
+  return store;
+}
+
+/**
+ * Verify that a backend module implements the vector store interface
+ * @param {Object} candidate - Loaded backend module
+ * @param {string} provider - Provider name (for the error message)
+ */
+export function assertVectorStore(candidate, provider) {
+  const missing = STORE_METHODS.filter(
+    (method) => typeof candidate?.[method] !== "function",
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      `Vector database backend "${provider}" is missing: ${missing.join(", ")}`,
+    );
   }
+  return candidate;
+}
 
-  return pinecone;
+/**
+ * Register an additional backend (e.g. a test double) under a provider name
+ * @param {string} provider - Provider name used by VECTOR_DB_PROVIDER / initializeIndex
+ * @param {Function} loader - Returns the backend module (or a promise of it)
+ */
+export function registerVectorStore(provider, loader) {
+  STORE_LOADERS[provider.trim().toLowerCase()] = loader;
+}
+
+/**
+ * Describe the configured backend (for startup logs and error responses)
+ * @returns {Object} { provider, label, configHint, eventuallyConsistent }
+ */
+export function getStoreInfo() {
+  return {
+    provider: activeProvider,
+    label: store?.label || activeProvider,
+    configHint: store?.configHint || "",
+    eventuallyConsistent: store?.eventuallyConsistent ?? false,
+  };
 }
 
 /**
- * Initialize Pinecone index
+ * Load and initialize a vector store backend
+ * @param {string} [provider] - Backend name (defaults to VECTOR_DB_PROVIDER)
+ * @returns {Promise<boolean>} True if the backend is ready
  */
-export async function initializeIndex() {
+export async function initializeIndex(provider = VECTOR_DB_PROVIDER) {
+  activeProvider = provider.trim().toLowerCase();
+  store = null;
+
+  const loader = STORE_LOADERS[activeProvider];
+  if (!loader) {
+    console.error(
+      `[VectorDB] Unknown VECTOR_DB_PROVIDER "${activeProvider}". Supported: ${Object.keys(STORE_LOADERS).join(", ")}`,
+    );
+    return false;
+  }
+
   try {
-    const client = getPineconeClient();
-    index = client.index(INDEX_NAME);
-    console.log(`[Pinecone] Connected to index: ${INDEX_NAME}`);
-    return true;
+    store = assertVectorStore(await loader(), activeProvider);
   } catch (error) {
-    console.error("[Pinecone Init Error]", error.message);
-    console.warn(
-      "[Pinecone] Server will start but vector operations will fail until API key is configured",
-    );
+    console.error("[VectorDB Load Error]", error.message);
     return false;
   }
+
+  console.log(`[VectorDB] Using ${store.label || activeProvider}`);
+  return store.initialize();
 }
 
 /**
  * Save submission with embedding
- * @param {Object} data - { submissionId, studentId, questionId, examId (optional), code, embedding, chunks }
+ * Full source goes to the content store; the vector store keeps a pointer + hash.
+ * @param {Object} data - { tenantId (optional), submissionId, studentId, questionId, examId (optional), code, embedding, chunks, fingerprints (optional), files (optional project manifest) }
  */
 export async function saveSubmission(data) {
-  const {
-    submissionId,
-    studentId,
-    questionId,
-    examId,
+  const backend = requireStore();
+  const { code, fingerprints, files, ...record } = data;
+  const tenantId = normalizeTenant(data.tenantId);
+  const content = await contentStore.saveContent(
+    contentRefFor(data.submissionId, tenantId),
     code,
-    embedding,
-    chunks,
-    language,
-  } = data;
-  const normalizedExamId =
-    examId != null && String(examId).trim() !== "" ? String(examId).trim() : "";
-  const normalizedLanguage =
-    language && String(language).trim()
-      ? String(language).trim().toLowerCase()
-      : "";
-
-  try {
-    if (!index) {
-      throw new Error(
-        "Pinecone index not initialized. Please configure PINECONE_API_KEY in .env file.",
-      );
-    }
-
-    const baseMetadata = {
-      type: "submission",
-      submissionId: submissionId,
-      studentId: studentId,
-      questionId: questionId,
-      code: code.substring(0, 1000), // Pinecone metadata limit
-      codeLength: code.length,
-      timestamp: Date.now(),
-    };
-    if (normalizedExamId) baseMetadata.examId = normalizedExamId;
-    if (normalizedLanguage) baseMetadata.language = normalizedLanguage;
-
-    const vectors = [];
-
-    // Store whole-submission vector
-    vectors.push({
-      id: `sub_${submissionId}`,
-      values: embedding,
-      metadata: { ...baseMetadata },
-    });
-
-    // Store chunk vectors
-    const chunkBaseMeta = {
-      type: "chunk",
-      submissionId: submissionId,
-      studentId: studentId,
-      questionId: questionId,
-    };
-    if (normalizedExamId) chunkBaseMeta.examId = normalizedExamId;
-    if (normalizedLanguage) chunkBaseMeta.language = normalizedLanguage;
-
-    if (chunks && chunks.length > 0) {
-      chunks.forEach((chunk, idx) => {
-        vectors.push({
-          id: `sub_${submissionId}_chunk_${idx}`,
-          values: chunk.embedding,
-          metadata: {
-            ...chunkBaseMeta,
-            chunkIndex: idx,
-            chunkText: chunk.text.substring(0, 1000),
-            timestamp: Date.now(),
-          },
-        });
-      });
-    }
-
-    // Upsert to Pinecone
-    await index.upsert(vectors);
-    console.log(
-      `[Pinecone] Saved submission ${submissionId} with ${chunks.length} chunks`,
-    );
+    fingerprints,
+    files,
+  );
 
-    return submissionId;
-  } catch (error) {
-    console.error("[Pinecone Save Error]", error.message);
-    throw error;
-  }
+  return backend.saveSubmission({
+    ...record,
+    ...content,
+    tenantId,
+    examId: normalizeOptionalId(data.examId),
+    language: normalizeLanguage(data.language),
+    chunks: data.chunks || [],
+  });
 }
 
 /**
@@ -175,6 +333,8 @@ export async function saveSubmission(data) {
  * @param {number} limit - Number of results
  * @param {number} minSimilarity - Minimum similarity threshold
  * @param {string} [examId] - Optional exam ID to filter submissions (same exam only)
+ * @param {string} [language] - Optional language to filter submissions
+ * @param {string} [tenantId] - Tenant to search within (default tenant when omitted)
  */
 export async function findSimilarSubmissions(
   embedding,
@@ -182,60 +342,30 @@ export async function findSimilarSubmissions(
   limit = 5,
   minSimilarity = 0.3,
   examId = null,
+  language = null,
+  tenantId = DEFAULT_TENANT,
 ) {
-  try {
-    if (!index) {
-      throw new Error(
-        "Pinecone index not initialized. Please configure PINECONE_API_KEY in .env file.",
-      );
-    }
-
-    const filter = {
-      type: { $eq: "submission" },
-      questionId: { $eq: questionId },
-    };
-    const normalizedExamId =
-      examId != null && String(examId).trim() !== ""
-        ? String(examId).trim()
-        : null;
-    if (normalizedExamId) filter.examId = { $eq: normalizedExamId };
-
-    const queryResponse = await index.query({
-      vector: embedding,
-      topK: 100, // Get more results
-      filter,
-      includeMetadata: true,
-    });
-
-    // Filter by raw score first (keeps cast wide), then calibrate before returning.
-    // The calibration remaps the OpenAI embedding baseline (~0.70 for unrelated code)
-    // to 0 % so the final similarity value is an honest plagiarism percentage.
-    const results = queryResponse.matches
-      .filter((match) => match.score >= minSimilarity)
-      .slice(0, limit)
-      .map((match) => ({
-        submission_id: match.metadata.submissionId,
-        student_id: match.metadata.studentId,
-        question_id: match.metadata.questionId,
-        language: match.metadata.language || null,
-        code: match.metadata.code,
-        similarity: calibrateScore(match.score),
-        rawSimilarity: match.score,
-      }));
+  const matches = await requireStore().findSimilarSubmissions(
+    embedding,
+    buildStoreFilter(questionId, examId, language, tenantId),
+    limit,
+    minSimilarity,
+  );
 
+  // Filter by raw score first (keeps cast wide), then calibrate before returning.
+  // The calibration remaps the OpenAI embedding baseline (~0.70 for unrelated code)
+  // to 0 % so the final similarity value is an honest plagiarism percentage.
+  const results = (await attachCode(matches, "submission_id")).map((match) => ({
+    ...match,
+    similarity: calibrateScore(match.rawSimilarity),
+  }));
+
+  if (results.length > 0) {
     console.log(
-      `[Pinecone] Found ${results.length} submissions (raw threshold: ${minSimilarity})`,
+      `[VectorDB] Top similarity (calibrated): ${(results[0].similarity * 100).toFixed(1)}% (raw: ${(results[0].rawSimilarity * 100).toFixed(1)}%)`,
     );
-    if (results.length > 0) {
-      console.log(
-        `[Pinecone] Top similarity (calibrated): ${(results[0].similarity * 100).toFixed(1)}% (raw: ${(results[0].rawSimilarity * 100).toFixed(1)}%)`,
-      );
-    }
-    return results;
-  } catch (error) {
-    console.error("[Pinecone Search Error]", error.message);
-    throw error;
   }
+  return results;
 }
 
 /**
@@ -245,6 +375,8 @@ export async function findSimilarSubmissions(
  * @param {number} limit - Number of results
  * @param {number} minSimilarity - Minimum similarity threshold
  * @param {string} [examId] - Optional exam ID to filter chunks (same exam only)
+ * @param {string} [language] - Optional language to filter chunks
+ * @param {string} [tenantId] - Tenant to search within (default tenant when omitted)
  */
 export async function findSimilarChunks(
   embedding,
@@ -252,179 +384,107 @@ export async function findSimilarChunks(
   limit = 10,
   minSimilarity = 0.75,
   examId = null,
+  language = null,
+  tenantId = DEFAULT_TENANT,
 ) {
-  try {
-    if (!index) {
-      throw new Error(
-        "Pinecone index not initialized. Please configure PINECONE_API_KEY in .env file.",
-      );
-    }
-
-    const filter = {
-      type: { $eq: "chunk" },
-      questionId: { $eq: questionId },
-    };
-    const normalizedExamId =
-      examId != null && String(examId).trim() !== ""
-        ? String(examId).trim()
-        : null;
-    if (normalizedExamId) filter.examId = { $eq: normalizedExamId };
-
-    const queryResponse = await index.query({
-      vector: embedding,
-      topK: 100,
-      filter,
-      includeMetadata: true,
-    });
-
-    const results = queryResponse.matches
-      .filter((match) => match.score >= minSimilarity)
-      .slice(0, limit)
-      .map((match) => ({
-        submission_id: match.metadata.submissionId,
-        student_id: match.metadata.studentId,
-        question_id: match.metadata.questionId,
-        language: match.metadata.language || null,
-        chunk_index: match.metadata.chunkIndex,
-        chunk_text: match.metadata.chunkText,
-        similarity: calibrateScore(match.score),
-        rawSimilarity: match.score,
-      }));
-
-    console.log(`[Pinecone] Found ${results.length} similar chunks`);
-    return results;
-  } catch (error) {
-    console.error("[Pinecone Chunk Search Error]", error.message);
-    throw error;
-  }
+  const filter = buildStoreFilter(questionId, examId, language, tenantId);
+  const matches = await requireStore().findSimilarChunks(
+    embedding,
+    filter,
+    limit,
+    minSimilarity,
+  );
+
+  return (await attachChunkText(matches, filter.tenantId)).map((match) => ({
+    ...match,
+    similarity: calibrateScore(match.rawSimilarity),
+  }));
 }
 
 /**
  * Get all submissions for a question
  * @param {string} questionId - Question ID
  * @param {string} [examId] - Optional exam ID to filter (only submissions for this exam)
+ * @param {string} [language] - Optional language to filter
+ * @param {string} [tenantId] - Tenant (default tenant when omitted)
  */
-export async function getSubmissionsByQuestion(questionId, examId = null) {
-  try {
-    if (!index) {
-      throw new Error(
-        "Pinecone index not initialized. Please configure PINECONE_API_KEY in .env file.",
-      );
-    }
-
-    const normalizedQuestionId = questionId?.trim?.();
-    if (!normalizedQuestionId) {
-      throw new Error("Question ID is required");
-    }
-
-    const filter = {
-      type: { $eq: "submission" },
-      questionId: { $eq: normalizedQuestionId },
-    };
-    const normalizedExamId =
-      examId != null && String(examId).trim() !== ""
-        ? String(examId).trim()
-        : null;
-    if (normalizedExamId) filter.examId = { $eq: normalizedExamId };
-
-    // Pinecone query vectors cannot be all zeros. Use a tiny non-zero probe
-    const probeVector = Array(1536).fill(0);
-    probeVector[0] = 0.001;
-
-    const queryResponse = await index.query({
-      vector: probeVector,
-      topK: 1000,
-      filter,
-      includeMetadata: true,
-    });
-
-    return queryResponse.matches.map((match) => ({
-      id: match.metadata.submissionId,
-      student_id: match.metadata.studentId,
-      question_id: match.metadata.questionId,
-      exam_id: match.metadata.examId || null,
-      language: match.metadata.language || null,
-      code: match.metadata.code,
-      created_at: new Date(match.metadata.timestamp),
-    }));
-  } catch (error) {
-    console.error("[Pinecone Get Error]", error.message);
-    throw new Error(`[Pinecone Get Error] ${error.message}`);
+export async function getSubmissionsByQuestion(
+  questionId,
+  examId = null,
+  language = null,
+  tenantId = DEFAULT_TENANT,
+) {
+  const normalizedQuestionId = questionId?.trim?.();
+  if (!normalizedQuestionId) {
+    throw new Error("Question ID is required");
   }
+
+  const submissions = await requireStore().getSubmissionsByQuestion(
+    buildStoreFilter(normalizedQuestionId, examId, language, tenantId),
+  );
+  return attachCode(submissions, "id");
 }
 
 /**
  * Get submission by ID
+ * @param {string} submissionId - Submission ID
+ * @param {string} [tenantId] - Tenant (other tenants' submissions are not found)
  */
-export async function getSubmission(submissionId) {
-  try {
-    if (!index) {
-      throw new Error(
-        "Pinecone index not initialized. Please configure PINECONE_API_KEY in .env file.",
-      );
-    }
-
-    const fetchResponse = await index.fetch([`sub_${submissionId}`]);
-
-    if (
-      !fetchResponse.records ||
-      Object.keys(fetchResponse.records).length === 0
-    ) {
-      return null;
-    }
-
-    const record = fetchResponse.records[`sub_${submissionId}`];
-
-    return {
-      id: record.metadata.submissionId,
-      student_id: record.metadata.studentId,
-      question_id: record.metadata.questionId,
-      language: record.metadata.language || null,
-      code: record.metadata.code,
-      created_at: new Date(record.metadata.timestamp),
-    };
-  } catch (error) {
-    console.error("[Pinecone Fetch Error]", error.message);
-    return null;
-  }
+export async function getSubmission(submissionId, tenantId = DEFAULT_TENANT) {
+  const submission = await requireStore().getSubmission(
+    submissionId,
+    normalizeTenant(tenantId),
+  );
+  if (!submission) return null;
+
+  const [withCode] = await attachCode([submission], "id");
+  return withCode;
 }
 
 /**
  * Get the stored embedding vector for a submission (avoids re-calling OpenAI)
  * @param {string} submissionId - Submission ID
+ * @param {string} [tenantId] - Tenant (default tenant when omitted)
  * @returns {Array<number>|null} Embedding vector or null if not found
  */
-export async function getSubmissionEmbedding(submissionId) {
-  try {
-    if (!index) {
-      throw new Error(
-        "Pinecone index not initialized. Please configure PINECONE_API_KEY in .env file.",
-      );
-    }
-
-    const fetchResponse = await index.fetch([`sub_${submissionId}`]);
-
-    if (
-      !fetchResponse.records ||
-      Object.keys(fetchResponse.records).length === 0
-    ) {
-      return null;
-    }
+export async function getSubmissionEmbedding(
+  submissionId,
+  tenantId = DEFAULT_TENANT,
+) {
+  return requireStore().getSubmissionEmbedding(
+    submissionId,
+    normalizeTenant(tenantId),
+  );
+}
 
-    const record = fetchResponse.records[`sub_${submissionId}`];
-    return record.values || null;
-  } catch (error) {
-    console.error("[Pinecone Fetch Embedding Error]", error.message);
-    return null;
-  }
+/**
+ * Get the stored chunk vectors of a submission (avoids re-calling OpenAI)
+ * @param {string} submissionId - Submission ID
+ * @param {string} [tenantId] - Tenant (default tenant when omitted)
+ * @returns {Promise<Array<Object>>} [{ chunk_index, start_line, end_line, embedding }]
+ */
+export async function getChunkEmbeddings(
+  submissionId,
+  tenantId = DEFAULT_TENANT,
+) {
+  return requireStore().getChunkEmbeddings(
+    submissionId,
+    normalizeTenant(tenantId),
+  );
 }
 
 export default {
+  STORE_METHODS,
+  calibrateScore,
   initializeIndex,
+  registerVectorStore,
+  assertVectorStore,
+  getStoreInfo,
   saveSubmission,
   findSimilarSubmissions,
   findSimilarChunks,
   getSubmissionsByQuestion,
   getSubmission,
   getSubmissionEmbedding,
+  getChunkEmbeddings,
 };
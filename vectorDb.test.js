@@ -0,0 +1,79 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as vectorDb from "./vectorDb.js";
+import * as memoryStore from "./memoryStore.js";
+
+test("refuses to run before a backend is initialized", async () => {
+  await assert.rejects(
+    vectorDb.findSimilarSubmissions([1, 0], "q1"),
+    /Vector database not initialized/,
+  );
+});
+
+test("assertVectorStore lists the missing methods", () => {
+  assert.throws(
+    () => vectorDb.assertVectorStore({ initialize() {} }, "broken"),
+    /"broken" is missing: saveSubmission, findSimilarSubmissions/,
+  );
+});
+
+test("initializeIndex rejects unknown providers and incomplete backends", async () => {
+  assert.equal(await vectorDb.initializeIndex("nope"), false);
+
+  vectorDb.registerVectorStore("Incomplete", () => ({
+    initialize: () => true,
+  }));
+  assert.equal(await vectorDb.initializeIndex("incomplete"), false);
+});
+
+test("registered backends are loaded by provider name", async () => {
+  vectorDb.registerVectorStore("double", () => ({
+    ...memoryStore,
+    label: "Test Double",
+  }));
+  assert.equal(await vectorDb.initializeIndex(" Double "), true);
+  assert.equal(vectorDb.getStoreInfo().provider, "double");
+  assert.equal(vectorDb.getStoreInfo().label, "Test Double");
+});
+
+test("calibrateScore maps the baseline to 0 and an exact copy to 1", () => {
+  assert.equal(vectorDb.calibrateScore(0.7, 0.7), 0);
+  assert.equal(vectorDb.calibrateScore(0.5, 0.7), 0);
+  assert.equal(vectorDb.calibrateScore(1, 0.7), 1);
+  assert.ok(Math.abs(vectorDb.calibrateScore(0.85, 0.7) - 0.5) < 1e-9);
+});
+
+test("saves full source in the content store and re-attaches it on read", async () => {
+  assert.equal(await vectorDb.initializeIndex("memory"), true);
+  memoryStore.clear();
+  const code = "x = 1\n".repeat(500);
+
+  await vectorDb.saveSubmission({
+    submissionId: "s1",
+    studentId: "alice",
+    questionId: "q1",
+    examId: "  ",
+    language: " Python ",
+    code,
+    embedding: [1, 0],
+    chunks: [{ text: "x = 1", embedding: [1, 0], startLine: 2, endLine: 3 }],
+  });
+
+  const submission = await vectorDb.getSubmission("s1");
+  assert.equal(submission.code, code);
+  assert.equal(submission.exam_id, null);
+  assert.equal(submission.language, "python");
+
+  const [match] = await vectorDb.findSimilarSubmissions([1, 0], "q1", 5, 0);
+  assert.equal(match.code, code);
+  assert.equal(match.similarity, 1);
+
+  const [chunk] = await vectorDb.findSimilarChunks([1, 0], "q1", 5, 0);
+  assert.equal(chunk.chunk_text, "x = 1\nx = 1");
+
+  await assert.rejects(
+    vectorDb.getSubmissionsByQuestion("  "),
+    /Question ID is required/,
+  );
+});
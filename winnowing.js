@@ -0,0 +1,407 @@
+/**
+ * Winnowing Fingerprint Detector (MOSS-style)
+ * Local copy-detection signal that needs no network: k-grams of the normalized
+ * token stream (codeNormalizer.tokenizeNormalized) are hashed, and winnowing
+ * keeps the minimum hash of every window of W consecutive k-grams.
+ *
+ * Guarantee: any copied run of at least K + W - 1 tokens shares a fingerprint.
+ * Because identifiers, strings and numbers are normalized, renaming variables
+ * or changing literals does not hide a copy.
+ *
+ * Fingerprints are stored per submission (content store) and comparisons are
+ * reported as a `copydetect`-equivalent tool result with matched regions
+ * (1-based lines and columns, end column exclusive).
+ */
+
+import dotenv from "dotenv";
+import { tokenizeNormalized } from "./codeNormalizer.js";
+import * as contentStore from "./contentStore.js";
+import { resolveLanguage } from "./languages.js";
+import { splitProject } from "./projectFiles.js";
+
+dotenv.config();
+
+export const WINNOWING_K = parseInt(process.env.WINNOWING_K, 10) || 5;
+export const WINNOWING_WINDOW = parseInt(process.env.WINNOWING_WINDOW, 10) || 4;
+export const TOOL_NAME = "winnowing";
+// Bump when the token stream changes (stored fingerprints are then recomputed)
+export const FINGERPRINT_VERSION = 5;
+
+/**
+ * 32-bit FNV-1a hash of a k-gram
+ * @param {string} text - Joined k-gram tokens
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashKgram(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Compute winnowed fingerprints for a piece of code
+ * Multi-file projects are fingerprinted file by file, each in its own
+ * language; lines still refer to the combined source.
+ * @param {string} code - Source code
+ * @param {string} language - Programming language (of the project, for files)
+ * @param {Array<Object>} [files] - Project manifest (projectFiles.buildProject().files)
+ * @returns {Object} { version, k, window, language, tokenCount, fingerprints: [[hash, startLine, endLine, startColumn, endColumn], ...] }
+ */
+export function fingerprintCode(code, language = "python", files = null) {
+  if (files?.length) {
+    const parts = splitProject(code || "", files).map((file) => ({
+      file,
+      result: fingerprintCode(file.content, file.language),
+    }));
+    return {
+      version: FINGERPRINT_VERSION,
+      k: WINNOWING_K,
+      window: WINNOWING_WINDOW,
+      language,
+      tokenCount: parts.reduce((sum, { result }) => sum + result.tokenCount, 0),
+      fingerprints: parts.flatMap(({ file, result }) =>
+        result.fingerprints.map(([hash, startLine, endLine, ...columns]) => [
+          hash,
+          startLine + file.startLine,
+          endLine + file.startLine,
+          ...columns,
+        ]),
+      ),
+    };
+  }
+
+  const tokens = tokenizeNormalized(code, language);
+  const k = WINNOWING_K;
+  const window = WINNOWING_WINDOW;
+
+  const kgrams = [];
+  for (let i = 0; i + k <= tokens.length; i++) {
+    const text = tokens
+      .slice(i, i + k)
+      .map((t) => t.value)
+      .join(" ");
+    const last = tokens[i + k - 1];
+    kgrams.push({
+      hash: hashKgram(text),
+      startLine: tokens[i].line,
+      endLine: last.endLine,
+      startColumn: tokens[i].column + 1,
+      endColumn: last.endColumn + 1,
+    });
+  }
+
+  // Short programs: fewer k-grams than a window → keep them all
+  const fingerprints = [];
+  const toFingerprint = (g) => [
+    g.hash,
+    g.startLine,
+    g.endLine,
+    g.startColumn,
+    g.endColumn,
+  ];
+  if (kgrams.length > 0 && kgrams.length < window) {
+    kgrams.forEach((g) => fingerprints.push(toFingerprint(g)));
+  }
+
+  let lastSelected = -1;
+  for (let start = 0; start + window <= kgrams.length; start++) {
+    // Rightmost minimal hash in the window (standard winnowing tie-break)
+    let minIdx = start;
+    for (let i = start + 1; i < start + window; i++) {
+      if (kgrams[i].hash <= kgrams[minIdx].hash) minIdx = i;
+    }
+    if (minIdx !== lastSelected) {
+      fingerprints.push(toFingerprint(kgrams[minIdx]));
+      lastSelected = minIdx;
+    }
+  }
+
+  return {
+    version: FINGERPRINT_VERSION,
+    k,
+    window,
+    language,
+    tokenCount: tokens.length,
+    fingerprints,
+  };
+}
+
+/**
+ * Load stored fingerprints for a submission, recomputing them when missing or
+ * produced by a different tokenizer version or parameters. The submission is
+ * always tokenized with its own stored language.
+ * @param {Object} submission - Row with id/submission_id, content_ref, code, language, files (project manifest)
+ * @param {string} fallbackLanguage - Language used when the row stores none
+ */
+export async function loadFingerprints(submission, fallbackLanguage) {
+  const language = submission.language
+    ? resolveLanguage(submission.language)
+    : fallbackLanguage;
+  const ref =
+    submission.content_ref || submission.submission_id || submission.id;
+  const stored = ref ? await contentStore.getFingerprints(ref) : null;
+  if (
+    stored &&
+    stored.version === FINGERPRINT_VERSION &&
+    stored.k === WINNOWING_K &&
+    stored.window === WINNOWING_WINDOW &&
+    stored.language === language
+  ) {
+    return stored;
+  }
+  return fingerprintCode(submission.code || "", language, submission.files);
+}
+
+/** Compare two (line, column) positions */
+function comparePositions(lineA, columnA, lineB, columnB) {
+  return lineA - lineB || (columnA ?? 0) - (columnB ?? 0);
+}
+
+/**
+ * Merge sorted line ranges that overlap or touch (columns follow the lines)
+ */
+function mergeRegions(pairs) {
+  const sorted = [...pairs].sort(
+    (a, b) =>
+      comparePositions(
+        a.startLineA,
+        a.startColumnA,
+        b.startLineA,
+        b.startColumnA,
+      ) ||
+      comparePositions(
+        a.startLineB,
+        a.startColumnB,
+        b.startLineB,
+        b.startColumnB,
+      ),
+  );
+  const merged = [];
+  for (const pair of sorted) {
+    const last = merged[merged.length - 1];
+    if (
+      last &&
+      pair.startLineA <= last.endLineA + 1 &&
+      pair.startLineB <= last.endLineB + 1 &&
+      pair.endLineB >= last.startLineB - 1
+    ) {
+      if (
+        comparePositions(
+          pair.endLineA,
+          pair.endColumnA,
+          last.endLineA,
+          last.endColumnA,
+        ) > 0
+      ) {
+        last.endLineA = pair.endLineA;
+        last.endColumnA = pair.endColumnA;
+      }
+      if (
+        comparePositions(
+          pair.startLineB,
+          pair.startColumnB,
+          last.startLineB,
+          last.startColumnB,
+        ) < 0
+      ) {
+        last.startLineB = pair.startLineB;
+        last.startColumnB = pair.startColumnB;
+      }
+      if (
+        comparePositions(
+          pair.endLineB,
+          pair.endColumnB,
+          last.endLineB,
+          last.endColumnB,
+        ) > 0
+      ) {
+        last.endLineB = pair.endLineB;
+        last.endColumnB = pair.endColumnB;
+      }
+    } else {
+      merged.push({ ...pair });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Compare two fingerprint sets
+ * similarity = shared fingerprints over all fingerprints (both sides), so a
+ * partial copy scores by how much of both programs it covers. Each matched
+ * region gets its own similarity: the share of the checked code's fingerprints
+ * inside the region that are shared.
+ * @param {Object} a - fingerprintCode() result for the checked code
+ * @param {Object} b - fingerprintCode() result for a stored submission
+ * @returns {Object} { similarity, coverageA, coverageB, matchedFingerprints, matchedRegions }
+ */
+export function compareFingerprints(a, b) {
+  const totalA = a.fingerprints.length;
+  const totalB = b.fingerprints.length;
+  if (totalA === 0 || totalB === 0) {
+    return {
+      similarity: 0,
+      coverageA: 0,
+      coverageB: 0,
+      matchedFingerprints: 0,
+      matchedRegions: [],
+    };
+  }
+
+  const byHashB = new Map();
+  for (const fp of b.fingerprints) {
+    if (!byHashB.has(fp[0])) byHashB.set(fp[0], []);
+    byHashB.get(fp[0]).push(fp);
+  }
+  const hashesA = new Set(a.fingerprints.map((fp) => fp[0]));
+
+  let matchedA = 0;
+  const pairs = [];
+  for (const [
+    hash,
+    startLine,
+    endLine,
+    startColumn,
+    endColumn,
+  ] of a.fingerprints) {
+    const inB = byHashB.get(hash);
+    if (!inB) continue;
+    matchedA++;
+    for (const [, startLineB, endLineB, startColumnB, endColumnB] of inB) {
+      pairs.push({
+        startLineA: startLine,
+        endLineA: endLine,
+        startLineB,
+        endLineB,
+        startColumnA: startColumn,
+        endColumnA: endColumn,
+        startColumnB,
+        endColumnB,
+      });
+    }
+  }
+  const matchedB = b.fingerprints.filter((fp) => hashesA.has(fp[0])).length;
+
+  const matchedRegions = mergeRegions(pairs).map((region) => {
+    const inside = a.fingerprints.filter(
+      (fp) => fp[1] >= region.startLineA && fp[2] <= region.endLineA,
+    );
+    const shared = inside.filter((fp) => byHashB.has(fp[0])).length;
+    return {
+      ...region,
+      similarity:
+        inside.length > 0
+          ? Math.round((shared / inside.length) * 1000) / 1000
+          : 1,
+    };
+  });
+
+  return {
+    similarity: (matchedA + matchedB) / (totalA + totalB),
+    coverageA: matchedA / totalA,
+    coverageB: matchedB / totalB,
+    matchedFingerprints: matchedA,
+    matchedRegions,
+  };
+}
+
+/**
+ * Drop fingerprints whose hash is in a set (MOSS-style base file exclusion)
+ * @param {Object} set - fingerprintCode() result
+ * @param {Set<number>} hashes - Hashes to drop
+ * @returns {Object} Fingerprint set without those hashes
+ */
+export function excludeFingerprints(set, hashes) {
+  if (!hashes || hashes.size === 0) return set;
+  return {
+    ...set,
+    fingerprints: set.fingerprints.filter((fp) => !hashes.has(fp[0])),
+  };
+}
+
+/**
+ * Compare code against stored submissions and format the outcome like an
+ * external tool comparison, so the scoring engine can use it in the copydetect slot
+ * @param {string} code - Code being checked
+ * @param {string} language - Programming language
+ * @param {Array<Object>} submissions - Rows with code (and content_ref) from vectorDb
+ * @param {Object} [options] - { starterCode: source whose fingerprints are ignored on both sides, files: project manifest of the checked code }
+ * @returns {Promise<Object>} { tool, available, mainStudentId, results: [{ studentId, submissionId, similarity, details }] }
+ */
+export async function buildWinnowingComparison(
+  code,
+  language,
+  submissions,
+  options = {},
+) {
+  try {
+    const starterHashes = options.starterCode
+      ? new Set(
+          fingerprintCode(options.starterCode, language).fingerprints.map(
+            (fp) => fp[0],
+          ),
+        )
+      : null;
+    const current = excludeFingerprints(
+      fingerprintCode(code, language, options.files),
+      starterHashes,
+    );
+
+    const results = await Promise.all(
+      submissions.map(async (sub) => {
+        const stored = excludeFingerprints(
+          await loadFingerprints(sub, language),
+          starterHashes,
+        );
+        const comparison = compareFingerprints(current, stored);
+        return {
+          studentId: sub.studentId || sub.student_id || sub.id,
+          submissionId: sub.submission_id || sub.id,
+          similarity: Math.round(comparison.similarity * 1000) / 1000,
+          code: sub.code,
+          details: {
+            coverage_checked: Math.round(comparison.coverageA * 1000) / 1000,
+            coverage_matched: Math.round(comparison.coverageB * 1000) / 1000,
+            matched_fingerprints: comparison.matchedFingerprints,
+            matched_regions: comparison.matchedRegions,
+          },
+        };
+      }),
+    );
+
+    results.sort((x, y) => y.similarity - x.similarity);
+    console.log(
+      `[Winnowing] Compared against ${results.length} submissions (k=${WINNOWING_K}, w=${WINNOWING_WINDOW}), max similarity: ${results[0]?.similarity ?? 0}`,
+    );
+
+    return {
+      tool: TOOL_NAME,
+      available: true,
+      mainStudentId: "current_check",
+      results,
+    };
+  } catch (error) {
+    console.error("[Winnowing Error]", error.message);
+    return {
+      tool: TOOL_NAME,
+      available: false,
+      error: error.message,
+      results: [],
+    };
+  }
+}
+
+export default {
+  WINNOWING_K,
+  WINNOWING_WINDOW,
+  TOOL_NAME,
+  FINGERPRINT_VERSION,
+  fingerprintCode,
+  excludeFingerprints,
+  loadFingerprints,
+  compareFingerprints,
+  buildWinnowingComparison,
+};
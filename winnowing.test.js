@@ -0,0 +1,162 @@
+import "./testEnv.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import * as winnowing from "./winnowing.js";
+import * as contentStore from "./contentStore.js";
+import { buildProject, normalizeProjectFiles } from "./projectFiles.js";
+
+const ORIGINAL = `def bubble_sort(items):
+    n = len(items)
+    for i in range(n):
+        for j in range(0, n - i - 1):
+            if items[j] > items[j + 1]:
+                items[j], items[j + 1] = items[j + 1], items[j]
+    return items
+`;
+
+const RENAMED = `def sort_values(values):
+    count = len(values)
+    for a in range(count):
+        for b in range(0, count - a - 1):
+            if values[b] > values[b + 1]:
+                values[b], values[b + 1] = values[b + 1], values[b]
+    return values
+`;
+
+const UNRELATED = `class Stack:
+    def __init__(self):
+        self.data = {}
+
+    def push(self, key, value):
+        self.data[key] = value
+        print("stored", key)
+`;
+
+test("fingerprints record their parameters and line ranges", () => {
+  const result = winnowing.fingerprintCode(ORIGINAL, "python");
+  assert.equal(result.version, winnowing.FINGERPRINT_VERSION);
+  assert.equal(result.k, winnowing.WINNOWING_K);
+  assert.equal(result.window, winnowing.WINNOWING_WINDOW);
+  assert.ok(result.fingerprints.length > 0);
+  for (const [hash, startLine, endLine] of result.fingerprints) {
+    assert.ok(Number.isInteger(hash) && hash >= 0);
+    assert.ok(startLine <= endLine);
+  }
+});
+
+test("identifier renaming does not change the fingerprints", () => {
+  const comparison = winnowing.compareFingerprints(
+    winnowing.fingerprintCode(ORIGINAL, "python"),
+    winnowing.fingerprintCode(RENAMED, "python"),
+  );
+  assert.equal(comparison.similarity, 1);
+  assert.equal(comparison.coverageA, 1);
+  assert.ok(comparison.matchedRegions.length > 0);
+});
+
+test("unrelated code shares few fingerprints", () => {
+  const comparison = winnowing.compareFingerprints(
+    winnowing.fingerprintCode(ORIGINAL, "python"),
+    winnowing.fingerprintCode(UNRELATED, "python"),
+  );
+  assert.ok(comparison.similarity < 0.2, `got ${comparison.similarity}`);
+});
+
+test("empty code compares as 0", () => {
+  const comparison = winnowing.compareFingerprints(
+    winnowing.fingerprintCode("", "python"),
+    winnowing.fingerprintCode(ORIGINAL, "python"),
+  );
+  assert.equal(comparison.similarity, 0);
+  assert.deepEqual(comparison.matchedRegions, []);
+});
+
+test("excludeFingerprints drops the given hashes", () => {
+  const set = winnowing.fingerprintCode(ORIGINAL, "python");
+  const hashes = new Set(set.fingerprints.slice(0, 2).map((fp) => fp[0]));
+  const remaining = winnowing.excludeFingerprints(set, hashes);
+  assert.ok(remaining.fingerprints.every((fp) => !hashes.has(fp[0])));
+  assert.equal(winnowing.excludeFingerprints(set, new Set()), set);
+});
+
+test("loadFingerprints tokenizes a submission in its own language", async () => {
+  const javaCode = "public class A { int f(int x) { return x * 2 + 1; } }";
+  const loaded = await winnowing.loadFingerprints(
+    { id: "missing", language: "Java", code: javaCode },
+    "python",
+  );
+  assert.equal(loaded.language, "java");
+  assert.deepEqual(loaded, winnowing.fingerprintCode(javaCode, "java"));
+
+  const fallback = await winnowing.loadFingerprints(
+    { id: "missing", code: ORIGINAL },
+    "python",
+  );
+  assert.equal(fallback.language, "python");
+});
+
+test("loadFingerprints reuses stored fingerprints only when they are current", async () => {
+  const current = winnowing.fingerprintCode(ORIGINAL, "python");
+  await contentStore.saveContent("fresh", ORIGINAL, current);
+  const fresh = await winnowing.loadFingerprints(
+    { content_ref: "fresh", language: "python", code: "" },
+    "python",
+  );
+  assert.deepEqual(fresh, current);
+
+  await contentStore.saveContent("stale", ORIGINAL, {
+    ...current,
+    version: winnowing.FINGERPRINT_VERSION - 1,
+    fingerprints: [],
+  });
+  const stale = await winnowing.loadFingerprints(
+    { content_ref: "stale", language: "python", code: ORIGINAL },
+    "python",
+  );
+  assert.deepEqual(stale.fingerprints, current.fingerprints);
+});
+
+test("projects are fingerprinted file by file in each file's language", () => {
+  const javaCode = "public class A {\n  int f(int x) { return x * 2 + 1; }\n}";
+  const project = buildProject(
+    normalizeProjectFiles({ "a/Main.java": javaCode, "b/sort.py": ORIGINAL }),
+  );
+  const combined = winnowing.fingerprintCode(
+    project.code,
+    project.language,
+    project.files,
+  );
+  const java = winnowing.fingerprintCode(javaCode, "java");
+  const python = winnowing.fingerprintCode(ORIGINAL, "python");
+  const pythonStart = project.files[1].startLine;
+
+  assert.equal(combined.tokenCount, java.tokenCount + python.tokenCount);
+  assert.deepEqual(combined.fingerprints, [
+    ...java.fingerprints,
+    ...python.fingerprints.map(([hash, start, end, ...columns]) => [
+      hash,
+      start + pythonStart,
+      end + pythonStart,
+      ...columns,
+    ]),
+  ]);
+});
+
+test("buildWinnowingComparison ranks stored submissions", async () => {
+  const comparison = await winnowing.buildWinnowingComparison(
+    ORIGINAL,
+    "python",
+    [
+      { id: "u", student_id: "bob", code: UNRELATED },
+      { id: "r", student_id: "alice", code: RENAMED },
+    ],
+  );
+  assert.equal(comparison.tool, winnowing.TOOL_NAME);
+  assert.equal(comparison.available, true);
+  assert.deepEqual(
+    comparison.results.map((r) => r.studentId),
+    ["alice", "bob"],
+  );
+  assert.equal(comparison.results[0].similarity, 1);
+  assert.equal(comparison.results[0].details.coverage_checked, 1);
+});